@@ -0,0 +1,2194 @@
+// This file is automatically generated by kanji-to-hiragana-worker/scripts/build-browser.js. DO NOT EDIT.
+// Offline kakasi converter for Kanji Terminator, exposed as KanjiTerminatorKakasi.
+var KanjiTerminatorKakasi = (function () {
+  var definitions = {
+  "./alignment": function (module, exports, require) {
+// Splits the reading of a kanji compound into per-kanji readings
+"use strict";
+
+const { tailReadings } = require("./kanji_converter");
+
+// Voiced variants produced by rendaku (e.g. 人々 -> ひと + びと)
+const RENDAKU = {
+  "か": "が", "き": "ぎ", "く": "ぐ", "け": "げ", "こ": "ご",
+  "さ": "ざ", "し": "じ", "す": "ず", "せ": "ぜ", "そ": "ぞ",
+  "た": "だ", "ち": "ぢ", "つ": "づ", "て": "で", "と": "ど",
+  "は": "ば", "ひ": "び", "ふ": "ぶ", "へ": "べ", "ほ": "ぼ",
+};
+
+// Semi-voiced variants (e.g. 一本 -> いっ + ぽん)
+const HANDAKU = {
+  "は": "ぱ", "ひ": "ぴ", "ふ": "ぷ", "へ": "ぺ", "ほ": "ぽ",
+};
+
+// Final kana that may become a geminate (e.g. 学校 -> がっ + こう)
+const GEMINATE = ["つ", "く", "ち", "き"];
+
+/**
+ * Collect every reading the dictionary knows for a single kanji, including
+ * the sound changes it may undergo inside a compound.
+ * @param {string} char - A single kanji
+ * @param {Object} kanjiDict - The generated kanji dictionary
+ * @returns {string[]} - Candidate readings, longest first
+ */
+function charReadings(char, kanjiDict) {
+  const mapping = kanjiDict[char];
+  if (!mapping) {
+    return [];
+  }
+
+  const readings = new Set();
+  for (const key in mapping) {
+    for (const { reading: base } of tailReadings(mapping[key])) {
+      addReading(readings, base);
+    }
+  }
+
+  return [...readings].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Add a reading of a kanji and the variants it takes inside a compound
+ * @param {Set<string>} readings - Readings collected so far
+ * @param {string} base - Dictionary reading
+ */
+function addReading(readings, base) {
+  readings.add(base);
+
+  const head = base[0];
+  const rest = base.slice(1);
+  if (RENDAKU[head]) {
+    readings.add(RENDAKU[head] + rest);
+  }
+  if (HANDAKU[head]) {
+    readings.add(HANDAKU[head] + rest);
+  }
+  if (base.length > 1 && GEMINATE.includes(base[base.length - 1])) {
+    readings.add(base.slice(0, -1) + "っ");
+  }
+}
+
+/**
+ * Align the reading of a kanji word to its individual characters.
+ * Falls back to a single segment spanning the whole word when the reading
+ * can't be split unambiguously (e.g. jukujikun such as 今日 -> きょう).
+ * @param {string} word - Kanji word as it appears in the text
+ * @param {string} normalizedWord - The same word after synonym normalization (used for lookups)
+ * @param {string} reading - Hiragana reading of the whole word
+ * @param {Object} kanjiDict - The generated kanji dictionary
+ * @returns {{ text: string, reading: string }[]} - Per-kanji segments
+ */
+function alignReading(word, normalizedWord, reading, kanjiDict) {
+  const chars = [...normalizedWord];
+  const surface = [...word];
+  if (chars.length < 2 || chars.length !== surface.length) {
+    return [{ text: word, reading }];
+  }
+
+  const splits = [];
+  const search = (charIdx, readingIdx, acc) => {
+    if (splits.length > 1) {
+      return;
+    }
+    if (charIdx === chars.length) {
+      if (readingIdx === reading.length) {
+        splits.push(acc.slice());
+      }
+      return;
+    }
+    // The iteration mark repeats the previous kanji (e.g. 人々)
+    const char = chars[charIdx] === "々" && charIdx > 0 ? chars[charIdx - 1] : chars[charIdx];
+    for (const candidate of charReadings(char, kanjiDict)) {
+      if (reading.startsWith(candidate, readingIdx)) {
+        acc.push(candidate);
+        search(charIdx + 1, readingIdx + candidate.length, acc);
+        acc.pop();
+      }
+    }
+  };
+  search(0, 0, []);
+
+  // Zero or several possible splits: keep the reading over the whole word
+  if (splits.length !== 1) {
+    return [{ text: word, reading }];
+  }
+
+  return splits[0].map((part, idx) => ({ text: surface[idx], reading: part }));
+}
+
+module.exports = {
+  alignReading
+};
+
+  },
+  "./hepburn_dict": function (module, exports, require) {
+// This file is automatically generated by scripts/codegen.js. DO NOT EDIT.
+"use strict";
+module.exports = {
+  HEPBURN_MAX_KLEN: 3,
+  hepburnDict: {
+  "ぁ": "a",
+  "あ": "a",
+  "ば": "ba",
+  "っば": "bba",
+  "っべ": "bbe",
+  "っび": "bbi",
+  "っぼ": "bbo",
+  "っぶ": "bbu",
+  "っびゃ": "bbya",
+  "っびょ": "bbyo",
+  "っびゅ": "bbyu",
+  "べ": "be",
+  "び": "bi",
+  "ぼ": "bo",
+  "ぶ": "bu",
+  "びゃ": "bya",
+  "びょ": "byo",
+  "びゅ": "byu",
+  "ちゃ": "cha",
+  "ちぇ": "che",
+  "ち": "chi",
+  "ちょ": "cho",
+  "ちゅ": "chu",
+  "だ": "da",
+  "っだ": "dda",
+  "っで": "dde",
+  "っど": "ddo",
+  "で": "de",
+  "でぃ": "di",
+  "ど": "do",
+  "ぇ": "e",
+  "え": "e",
+  "ゑ": "e",
+  "ふぁ": "fa",
+  "ふぇ": "fe",
+  "っふぁ": "ffa",
+  "っふぇ": "ffe",
+  "っふぃ": "ffi",
+  "っふぉ": "ffo",
+  "っふ": "ffu",
+  "ふぃ": "fi",
+  "ふぉ": "fo",
+  "ふ": "fu",
+  "が": "ga",
+  "げ": "ge",
+  "っが": "gga",
+  "っげ": "gge",
+  "っぎ": "ggi",
+  "っご": "ggo",
+  "っぐ": "ggu",
+  "っぎゃ": "ggya",
+  "っぎょ": "ggyo",
+  "っぎゅ": "ggyu",
+  "ぎ": "gi",
+  "ご": "go",
+  "ぐ": "gu",
+  "ぎゃ": "gya",
+  "ぎょ": "gyo",
+  "ぎゅ": "gyu",
+  "は": "ha",
+  "へ": "he",
+  "っは": "hha",
+  "っへ": "hhe",
+  "っひ": "hhi",
+  "っほ": "hho",
+  "っひゃ": "hhya",
+  "っひょ": "hhyo",
+  "っひゅ": "hhyu",
+  "ひ": "hi",
+  "ほ": "ho",
+  "ひゃ": "hya",
+  "ひょ": "hyo",
+  "ひゅ": "hyu",
+  "ぃ": "i",
+  "い": "i",
+  "ゐ": "i",
+  "じゃ": "ja",
+  "ぢゃ": "ja",
+  "じ": "ji",
+  "ぢ": "ji",
+  "っじゃ": "jja",
+  "っじ": "jji",
+  "っぢ": "jji",
+  "っじょ": "jjo",
+  "っじゅ": "jju",
+  "っぢゃ": "jjya",
+  "っぢょ": "jjyo",
+  "っぢゅ": "jjyu",
+  "じょ": "jo",
+  "ぢょ": "jo",
+  "じゅ": "ju",
+  "ぢゅ": "ju",
+  "か": "ka",
+  "ゕ": "ka",
+  "ヵ": "ka",
+  "け": "ke",
+  "ゖ": "ke",
+  "ヶ": "ke",
+  "き": "ki",
+  "っか": "kka",
+  "っけ": "kke",
+  "っき": "kki",
+  "っこ": "kko",
+  "っく": "kku",
+  "っきゃ": "kkya",
+  "っきょ": "kkyo",
+  "っきゅ": "kkyu",
+  "こ": "ko",
+  "く": "ku",
+  "きゃ": "kya",
+  "きょ": "kyo",
+  "きゅ": "kyu",
+  "ま": "ma",
+  "め": "me",
+  "み": "mi",
+  "も": "mo",
+  "む": "mu",
+  "みゃ": "mya",
+  "みょ": "myo",
+  "みゅ": "myu",
+  "ん": "n",
+  "んあ": "n'a",
+  "んえ": "n'e",
+  "んい": "n'i",
+  "んお": "n'o",
+  "んう": "n'u",
+  "な": "na",
+  "ね": "ne",
+  "に": "ni",
+  "の": "no",
+  "ぬ": "nu",
+  "にゃ": "nya",
+  "にょ": "nyo",
+  "にゅ": "nyu",
+  "ぉ": "o",
+  "お": "o",
+  "ぱ": "pa",
+  "ぺ": "pe",
+  "ぴ": "pi",
+  "ぽ": "po",
+  "っぱ": "ppa",
+  "っぺ": "ppe",
+  "っぴ": "ppi",
+  "っぽ": "ppo",
+  "っぷ": "ppu",
+  "っぴゃ": "ppya",
+  "っぴょ": "ppyo",
+  "っぴゅ": "ppyu",
+  "ぷ": "pu",
+  "ぴゃ": "pya",
+  "ぴょ": "pyo",
+  "ぴゅ": "pyu",
+  "ら": "ra",
+  "れ": "re",
+  "り": "ri",
+  "ろ": "ro",
+  "っら": "rra",
+  "っれ": "rre",
+  "っり": "rri",
+  "っろ": "rro",
+  "っる": "rru",
+  "っりゃ": "rrya",
+  "っりょ": "rryo",
+  "っりゅ": "rryu",
+  "る": "ru",
+  "りゃ": "rya",
+  "りょ": "ryo",
+  "りゅ": "ryu",
+  "さ": "sa",
+  "せ": "se",
+  "しゃ": "sha",
+  "し": "shi",
+  "しょ": "sho",
+  "しゅ": "shu",
+  "そ": "so",
+  "っさ": "ssa",
+  "っせ": "sse",
+  "っしゃ": "ssha",
+  "っし": "sshi",
+  "っしょ": "ssho",
+  "っしゅ": "sshu",
+  "っそ": "sso",
+  "っす": "ssu",
+  "す": "su",
+  "た": "ta",
+  "っちゃ": "tcha",
+  "っち": "tchi",
+  "っちょ": "tcho",
+  "っちゅ": "tchu",
+  "て": "te",
+  "と": "to",
+  "っ": "tsu",
+  "つ": "tsu",
+  "った": "tta",
+  "って": "tte",
+  "っと": "tto",
+  "っつ": "ttsu",
+  "ぅ": "u",
+  "う": "u",
+  "ゔぁ": "va",
+  "ゔぇ": "ve",
+  "ゔぃ": "vi",
+  "ゔぉ": "vo",
+  "ゔ": "vu",
+  "っゔぁ": "vva",
+  "っゔぇ": "vve",
+  "っゔぃ": "vvi",
+  "っゔぉ": "vvo",
+  "っゔ": "vvu",
+  "ゎ": "wa",
+  "わ": "wa",
+  "を": "wo",
+  "ゃ": "ya",
+  "や": "ya",
+  "ょ": "yo",
+  "よ": "yo",
+  "ゅ": "yu",
+  "ゆ": "yu",
+  "っや": "yya",
+  "っよ": "yyo",
+  "っゆ": "yyu",
+  "ざ": "za",
+  "ぜ": "ze",
+  "ぞ": "zo",
+  "ず": "zu",
+  "づ": "zu",
+  "っざ": "zza",
+  "っぞ": "zzo",
+  "っず": "zzu",
+  "っづ": "zzu"
+}
+};
+
+  },
+  "./index": function (module, exports, require) {
+// This file is the main entry point for the kakasi Node.js library
+"use strict";
+
+const { CLETTERS, convertKanjiCompound, tailReadings } = require('./kanji_converter');
+const { alignReading } = require('./alignment');
+const { kanaToRomaji, toKatakana } = require('./kana_converter');
+const { DICTIONARY_VERSION, kanjiDict } = require('./kanji_dict');
+const synDict = require('./syn_dict').synDict;
+
+/**
+ * Normalize Japanese text by replacing kanji synonyms
+ * @param {string} text - Input text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalize(text) {
+  return [...text].map(char => synDict[char] || char).join('');
+}
+
+/**
+ * Split text into segments aligned with their readings, and list the
+ * candidate readings of each word matched in the dictionary
+ *
+ * Each segment is one of:
+ * - `kanji`: a kanji (or kanji word that can't be split further) with its hiragana reading
+ * - `okurigana`: kana consumed by a tail match, its reading is the kana itself
+ * - `text`: any other character, its reading is the (normalized) character itself
+ *
+ * Each word is `{ text, start, end, candidates }`, `text` being the match used
+ * (okurigana included) at `text[start:end]`, and `candidates` every reading
+ * considered at that offset as `{ text, reading, score }`, the one used first.
+ * Candidates of shorter matches cover less text than the word.
+ * @param {string} text - Input text containing kanji
+ * @returns {{ segments: Object[], words: Object[] }} - Aligned segments and matched words
+ */
+function convertText(text) {
+  const normalizedText = normalize(text);
+  const segments = [];
+  const words = [];
+  let i = 0;
+
+  const pushText = idx => {
+    const last = segments[segments.length - 1];
+    if (last && last.kind === 'text') {
+      last.text += text[idx];
+      last.reading += normalizedText[idx];
+    } else {
+      segments.push({ text: text[idx], reading: normalizedText[idx], kind: 'text' });
+    }
+  };
+
+  while (i < normalizedText.length) {
+    const char = normalizedText[i];
+    const code = char.charCodeAt(0);
+
+    // Check if it's a kanji (CJK Unified Ideographs)
+    if (code >= 0x4E00 && code <= 0x9FFF) {
+      // Try to convert kanji compound
+      const { reading, count, okurigana, candidates } = convertKanjiCompound(normalizedText.substring(i), kanjiDict);
+
+      if (count > 0) {
+        const wordLength = count - okurigana.length;
+        const word = text.substring(i, i + wordLength);
+        const wordReading = reading.substring(0, reading.length - okurigana.length);
+
+        alignReading(word, normalizedText.substring(i, i + wordLength), wordReading, kanjiDict).forEach(part => {
+          segments.push({ text: part.text, reading: part.reading, kind: 'kanji' });
+        });
+        if (okurigana) {
+          segments.push({ text: text.substring(i + wordLength, i + count), reading: okurigana, kind: 'okurigana' });
+        }
+        words.push({
+          text: text.substring(i, i + count),
+          start: i,
+          end: i + count,
+          candidates: candidates.map(candidate => ({
+            text: text.substring(i, i + candidate.count),
+            reading: candidate.reading,
+            score: candidate.score
+          }))
+        });
+        i += count;
+      } else {
+        // If no kanji compound found, keep the character as is
+        pushText(i);
+        i += 1;
+      }
+    } else {
+      // Non-kanji character, keep as is
+      pushText(i);
+      i += 1;
+    }
+  }
+
+  return { segments, words };
+}
+
+/**
+ * Split text into segments aligned with their readings
+ *
+ * Concatenating every `text` gives back the input, and concatenating every
+ * `reading` gives the result of `kanjiToHiragana`. See convertText for the
+ * kinds of segments.
+ * @param {string} text - Input text containing kanji
+ * @returns {{ text: string, reading: string, kind: string }[]} - Aligned segments
+ */
+function kanjiToSegments(text) {
+  return convertText(text).segments;
+}
+
+/**
+ * List the candidate readings of each word of a text, see convertText
+ * @param {string} text - Input text containing kanji
+ * @param {string} [mode='hiragana'] - Output mode of the readings
+ * @returns {{ text: string, start: number, end: number, candidates: Object[] }[]} - Matched words
+ */
+function kanjiToCandidates(text, mode = 'hiragana') {
+  return convertWords(convertText(text).words, mode);
+}
+
+/**
+ * Convert kanji to hiragana
+ * @param {string} text - Input text containing kanji
+ * @returns {string} - Text with kanji converted to hiragana
+ */
+function kanjiToHiragana(text) {
+  return kanjiToSegments(text).map(segment => segment.reading).join('');
+}
+
+/**
+ * Read the kanji run at `text[start:end]` in the context of its sentence
+ *
+ * The kana right after the run is taken into account so that okurigana can
+ * be detected (生きる vs 生まれる). Returned segments cover the run plus the
+ * following character when it was consumed as okurigana.
+ * @param {string} text - The whole sentence or text node
+ * @param {number} start - Offset of the first kanji of the run
+ * @param {number} end - Offset just after the last kanji of the run
+ * @returns {{ reading: string, segments: Object[], words: Object[] }} - Reading of the run including okurigana,
+ *   and the candidate readings of its words with offsets within the run, see convertText
+ */
+function readSpan(text, start, end) {
+  const { segments, words } = convertText(text.substring(start, end + 1));
+  const last = segments[segments.length - 1];
+
+  // Drop the lookahead character unless it was consumed by a match
+  if (end < text.length && last && last.kind === 'text') {
+    last.text = last.text.slice(0, -1);
+    last.reading = last.reading.slice(0, -1);
+    if (!last.text) {
+      segments.pop();
+    }
+  }
+
+  return {
+    reading: segments.map(segment => segment.reading).join(''),
+    segments,
+    words
+  };
+}
+
+// Output modes supported by convertReading
+const MODES = ['hiragana', 'katakana', 'romaji'];
+
+/**
+ * Convert a hiragana reading to the requested output mode
+ * @param {string} reading - Hiragana reading
+ * @param {string} [mode='hiragana'] - One of MODES
+ * @returns {string} - Reading in the requested mode
+ */
+function convertReading(reading, mode = 'hiragana') {
+  switch (mode) {
+    case 'katakana':
+      return toKatakana(reading);
+    case 'romaji':
+      return kanaToRomaji(reading);
+    default:
+      return reading;
+  }
+}
+
+/**
+ * Convert the readings of segments to the requested output mode
+ * @param {Object[]} segments - Segments as returned by kanjiToSegments
+ * @param {string} [mode='hiragana'] - One of MODES
+ * @returns {Object[]} - New segments with converted readings
+ */
+function convertSegments(segments, mode = 'hiragana') {
+  return segments.map(segment => ({ ...segment, reading: convertReading(segment.reading, mode) }));
+}
+
+/**
+ * Convert the candidate readings of words to the requested output mode
+ * @param {Object[]} words - Words as returned by convertText
+ * @param {string} [mode='hiragana'] - One of MODES
+ * @returns {Object[]} - New words with converted candidate readings
+ */
+function convertWords(words, mode = 'hiragana') {
+  return words.map(word => ({
+    ...word,
+    candidates: word.candidates.map(candidate => ({ ...candidate, reading: convertReading(candidate.reading, mode) }))
+  }));
+}
+
+/**
+ * Read every kanji run of each context at the requested offsets
+ * @param {Object[]} contexts - Array of `{ text, spans: [{ start, end }] }`
+ * @param {string} [mode='hiragana'] - Output mode of the readings
+ * @returns {Object[]} Array of `{ spans: [{ start, end, reading, segments, words }] }` in same order as input
+ */
+function readContexts(contexts, mode = 'hiragana') {
+  return contexts.map(context => {
+    const text = context && typeof context.text === 'string' ? context.text : '';
+    const spans = context && Array.isArray(context.spans) ? context.spans : [];
+
+    return {
+      spans: spans.map(span => {
+        const start = Number(span && span.start);
+        const end = Number(span && span.end);
+
+        // Out of range offsets get an empty reading instead of failing the batch
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > text.length || start >= end) {
+          return { start: span && span.start, end: span && span.end, reading: '', segments: [], words: [] };
+        }
+
+        try {
+          const { reading, segments, words } = readSpan(text, start, end);
+          return {
+            start,
+            end,
+            reading: convertReading(reading, mode),
+            segments: convertSegments(segments, mode),
+            words: convertWords(words, mode)
+          };
+        } catch (error) {
+          console.error(`Error processing span ${start}-${end} of "${text}":`, error);
+          return { start, end, reading: '', segments: [], words: [] };
+        }
+      })
+    };
+  });
+}
+
+/**
+ * Get the dictionary readings of a kanji word, by okurigana tail
+ * @param {string} key - Normalized word
+ * @param {string} mode - Output mode of the readings
+ * @returns {{ tail: string, reading: string, frequency: number, okurigana: string[] }[]} - Readings, `okurigana`
+ *   being the kana the tail letter stands for (empty for the reading without okurigana)
+ */
+function getDictReadings(key, mode) {
+  const mapping = Object.prototype.hasOwnProperty.call(kanjiDict, key) ? kanjiDict[key] : {};
+  return Object.keys(mapping).flatMap(tail => tailReadings(mapping[tail]).map(({ reading, frequency }) => ({
+    tail,
+    reading: convertReading(reading, mode),
+    frequency,
+    okurigana: tail ? CLETTERS[tail] || [] : []
+  })));
+}
+
+/**
+ * Look up a word in the dictionaries
+ *
+ * Entries cover the whole word, when the dictionary has it, then each of its kanji.
+ * @param {string} word - Word to look up
+ * @param {string} [mode='hiragana'] - Output mode of the readings
+ * @returns {{ word: string, normalized: string, reading: string, romaji: string, segments: Object[], words: Object[], entries: Object[] }}
+ *   Words are the candidate readings, see convertText. Entries are `{ word, normalized, readings }`, see
+ *   getDictReadings for the readings
+ */
+function lookupWord(word, mode = 'hiragana') {
+  const normalized = normalize(word);
+  const { segments, words } = convertText(word);
+  const reading = segments.map(segment => segment.reading).join('');
+  const chars = [...word];
+  const normalizedChars = [...normalized];
+
+  const entries = [];
+  const seen = new Set();
+  const addEntry = (surface, key) => {
+    const readings = getDictReadings(key, mode);
+    if (!seen.has(key) && readings.length) {
+      seen.add(key);
+      entries.push({ word: surface, normalized: key, readings });
+    }
+  };
+  addEntry(word, normalized);
+  chars.forEach((char, idx) => addEntry(char, normalizedChars[idx] || char));
+
+  return {
+    word,
+    normalized,
+    reading: convertReading(reading, mode),
+    romaji: kanaToRomaji(reading),
+    segments: convertSegments(segments, mode),
+    words: convertWords(words, mode),
+    entries
+  };
+}
+
+module.exports = {
+  DICTIONARY_VERSION,
+  MODES,
+  convertReading,
+  convertSegments,
+  kanaToRomaji,
+  kanjiToCandidates,
+  kanjiToHiragana,
+  kanjiToSegments,
+  lookupWord,
+  readContexts,
+  readSpan,
+  normalize
+};
+
+  },
+  "./kana_converter": function (module, exports, require) {
+// Conversion of hiragana readings to katakana and Hepburn romaji
+"use strict";
+
+const { hepburnDict, HEPBURN_MAX_KLEN } = require('./hepburn_dict');
+
+// Offset between a hiragana and its katakana in Unicode
+const KATAKANA_OFFSET = 0x60;
+
+/**
+ * Convert hiragana to katakana, leaving other characters untouched
+ * @param {string} text - Input text
+ * @returns {string} - Text with hiragana replaced by katakana
+ */
+function toKatakana(text) {
+  return text.replace(/[ぁ-ゖゝゞ]/g, char => String.fromCharCode(char.charCodeAt(0) + KATAKANA_OFFSET));
+}
+
+/**
+ * Convert katakana to hiragana, leaving other characters untouched
+ * @param {string} text - Input text
+ * @returns {string} - Text with katakana replaced by hiragana
+ */
+function toHiragana(text) {
+  return text.replace(/[ァ-ヶヽヾ]/g, char => String.fromCharCode(char.charCodeAt(0) - KATAKANA_OFFSET));
+}
+
+/**
+ * Convert kana to Hepburn romaji using the longest match in the Hepburn dictionary
+ * @param {string} text - Input text containing hiragana or katakana
+ * @returns {string} - Romanized text, characters without romanization are kept as is
+ */
+function kanaToRomaji(text) {
+  const hiragana = toHiragana(text);
+  let result = '';
+  let i = 0;
+
+  while (i < hiragana.length) {
+    let matched = false;
+    for (let length = Math.min(HEPBURN_MAX_KLEN, hiragana.length - i); length > 0; length--) {
+      const romaji = hepburnDict[hiragana.substr(i, length)];
+      if (romaji !== undefined) {
+        result += romaji;
+        i += length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      // Long vowel mark repeats the previous vowel
+      if (hiragana[i] === 'ー' && /[aeiou]$/.test(result)) {
+        result += result[result.length - 1];
+      } else {
+        result += hiragana[i];
+      }
+      i += 1;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  kanaToRomaji,
+  toHiragana,
+  toKatakana
+};
+
+  },
+  "./kanji_converter": function (module, exports, require) {
+// Kanji compound conversion ported from kakasi
+"use strict";
+// Weights of the candidate score: every kanji matched counts for 1, so the
+// longest match always wins, then okurigana matching the next kana, then the
+// share of the frequency of the reading among the readings of the same word
+const OKURIGANA_WEIGHT = 0.5;
+const FREQUENCY_WEIGHT = 0.4;
+
+/**
+ * List the readings the dictionary holds for one okurigana tail of a word
+ * @param {string|Array} value - `kanjiDict[word][tail]`: a single reading, or `[reading, frequency]`
+ *   pairs when the word has several readings or a frequency other than 1
+ * @returns {{ reading: string, frequency: number }[]} - Readings in dictionary order
+ */
+function tailReadings(value) {
+  if (!value) {
+    return [];
+  }
+  if (typeof value === "string") {
+    return [{ reading: value, frequency: 1 }];
+  }
+  return value.map(([reading, frequency]) => ({ reading, frequency }));
+}
+
+/**
+ * Convert a compound kanji string to its reading using the generated kanji dictionary.
+ * Every reading of every matching prefix is a candidate, scored on the length of the
+ * match, on whether its okurigana tail matches the kana after it, and on its frequency
+ * in the dictionary. The best scoring candidate is used, the first in dictionary order
+ * on a tie.
+ * @param {string} text - The input text starting with kanji.
+ * @param {Object} kanjiDict - The dictionary mapping (generated in kanji_dict.js).
+ * @param {string} [baseText=""] - (Optional) base text context (unused in this implementation).
+ * @returns {{ reading: string, count: number, okurigana: string, candidates: Object[] }} `okurigana` is the
+ *   trailing kana consumed by a tail match; it is included at the end of both `reading` and the matched text.
+ *   `candidates` are `{ reading, count, okurigana, score }`, best first.
+ */
+function convertKanjiCompound(text, kanjiDict, baseText = "") {
+  const candidates = [];
+  // Iterate over all possible prefixes
+  for (let i = 0; i < text.length; i++) {
+    const prefix = text.slice(0, i + 1);
+    if (!Object.prototype.hasOwnProperty.call(kanjiDict, prefix)) {
+      break;
+    }
+
+    const mapping = kanjiDict[prefix];
+    const nextChar = i + 1 < text.length ? text[i + 1] : "";
+    const found = [];
+    for (const key in mapping) {
+      // Tail readings only apply when the next kana is one of the tail letter's
+      let okurigana = "";
+      if (key !== "") {
+        if (key.length !== 1 || !Object.prototype.hasOwnProperty.call(CLETTERS, key) || !CLETTERS[key].includes(nextChar)) {
+          continue;
+        }
+        okurigana = nextChar;
+      }
+
+      tailReadings(mapping[key]).forEach(({ reading, frequency }) => {
+        // Tails sharing a kana (e.g. 会っ from "u" and "t") give the same reading
+        const same = found.find(candidate => candidate.reading === reading + okurigana);
+        if (same) {
+          same.frequency += frequency;
+        } else {
+          found.push({ reading: reading + okurigana, count: i + 1 + okurigana.length, okurigana, frequency });
+        }
+      });
+    }
+
+    const total = found.reduce((sum, candidate) => sum + candidate.frequency, 0);
+    found.forEach(({ reading, count, okurigana, frequency }) => {
+      const score = i + 1 + (okurigana ? OKURIGANA_WEIGHT : 0) + FREQUENCY_WEIGHT * frequency / total;
+      candidates.push({ reading, count, okurigana, score: Math.round(score * 100) / 100 });
+    });
+  }
+
+  // Best first, the sort being stable keeps the dictionary order on a tie
+  candidates.sort((a, b) => b.score - a.score);
+  if (!candidates.length) {
+    return { reading: "", count: 0, okurigana: "", candidates };
+  }
+  const { reading, count, okurigana } = candidates[0];
+  return { reading, count, okurigana, candidates };
+}
+
+const CLETTERS = {
+  "a": [
+    "あ",
+    "ぁ",
+    "っ",
+    "わ",
+    "ゎ"
+  ],
+  "i": [
+    "い",
+    "ぃ",
+    "っ",
+    "ゐ"
+  ],
+  "u": [
+    "う",
+    "ぅ",
+    "っ"
+  ],
+  "e": [
+    "え",
+    "ぇ",
+    "っ",
+    "ゑ"
+  ],
+  "o": [
+    "お",
+    "ぉ",
+    "っ"
+  ],
+  "k": [
+    "か",
+    "ゕ",
+    "き",
+    "く",
+    "け",
+    "ゖ",
+    "こ",
+    "っ"
+  ],
+  "g": [
+    "が",
+    "ぎ",
+    "ぐ",
+    "げ",
+    "ご",
+    "っ"
+  ],
+  "s": [
+    "さ",
+    "し",
+    "す",
+    "せ",
+    "そ",
+    "っ"
+  ],
+  "z": [
+    "ざ",
+    "じ",
+    "ず",
+    "ぜ",
+    "ぞ",
+    "っ"
+  ],
+  "t": [
+    "た",
+    "ち",
+    "つ",
+    "て",
+    "と",
+    "っ"
+  ],
+  "d": [
+    "だ",
+    "ぢ",
+    "づ",
+    "で",
+    "ど",
+    "っ"
+  ],
+  "c": [
+    "ち",
+    "っ"
+  ],
+  "n": [
+    "な",
+    "に",
+    "ぬ",
+    "ね",
+    "の",
+    "ん"
+  ],
+  "h": [
+    "は",
+    "ひ",
+    "ふ",
+    "へ",
+    "ほ",
+    "っ"
+  ],
+  "b": [
+    "ば",
+    "び",
+    "ぶ",
+    "べ",
+    "ぼ",
+    "っ"
+  ],
+  "f": [
+    "ふ",
+    "っ"
+  ],
+  "p": [
+    "ぱ",
+    "ぴ",
+    "ぷ",
+    "ぺ",
+    "ぽ",
+    "っ"
+  ],
+  "m": [
+    "ま",
+    "み",
+    "む",
+    "め",
+    "も"
+  ],
+  "y": [
+    "や",
+    "ゃ",
+    "ゆ",
+    "ゅ",
+    "よ",
+    "ょ"
+  ],
+  "r": [
+    "ら",
+    "り",
+    "る",
+    "れ",
+    "ろ"
+  ],
+  "w": [
+    "わ",
+    "ゐ",
+    "ゑ",
+    "ゎ",
+    "を",
+    "っ"
+  ],
+  "v": [
+    "ゔ"
+  ]
+};
+
+module.exports = {
+  CLETTERS,
+  convertKanjiCompound,
+  tailReadings
+};
+
+  },
+  "./kanji_dict": function (module, exports, require) {
+// This file is automatically generated by scripts/codegen.js. DO NOT EDIT.
+"use strict";
+module.exports = {
+  "DICTIONARY_VERSION": "50ccd9e228a6",
+  "kanjiDict": {
+    "世": {
+      "": "せ"
+    },
+    "世界": {
+      "": "せかい"
+    },
+    "中": {
+      "": "ちゅう"
+    },
+    "中国": {
+      "": "ちゅうごく"
+    },
+    "中国大": {},
+    "中国大陸": {
+      "": "ちゅうごくたいりく"
+    },
+    "中国語": {
+      "": "ちゅうごくご"
+    },
+    "事": {
+      "": "こと"
+    },
+    "人": {
+      "": [
+        [
+          "ひと",
+          1
+        ],
+        [
+          "じん",
+          1
+        ]
+      ]
+    },
+    "人々": {
+      "": "ひとびと"
+    },
+    "人間": {
+      "": "にんげん"
+    },
+    "今": {
+      "": "いま"
+    },
+    "今年": {
+      "": "ことし"
+    },
+    "今日": {
+      "": [
+        [
+          "きょう",
+          1
+        ],
+        [
+          "こんにち",
+          1
+        ]
+      ]
+    },
+    "仕": {
+      "": "し"
+    },
+    "仕事": {
+      "": "しごと"
+    },
+    "以": {
+      "": "い"
+    },
+    "以前": {
+      "": "いぜん"
+    },
+    "会": {
+      "u": "あ",
+      "t": "あ",
+      "": "かい"
+    },
+    "会社": {
+      "": "かいしゃ"
+    },
+    "伝": {
+      "": "でん"
+    },
+    "伝来": {
+      "": "でんらい"
+    },
+    "作": {
+      "r": "つく"
+    },
+    "供": {
+      "": "とも"
+    },
+    "先": {
+      "": "せん"
+    },
+    "先生": {
+      "": "せんせい"
+    },
+    "入": {
+      "r": "はい"
+    },
+    "出": {
+      "r": "で"
+    },
+    "分": {
+      "r": "わか"
+    },
+    "前": {
+      "": "ぜん"
+    },
+    "勉": {
+      "": "べん"
+    },
+    "勉強": {
+      "": "べんきょう"
+    },
+    "動": {
+      "": "どう"
+    },
+    "化": {
+      "": "か"
+    },
+    "友": {
+      "": "ゆう"
+    },
+    "友達": {
+      "": "ともだち"
+    },
+    "古": {
+      "i": "ふる"
+    },
+    "史": {
+      "": "し"
+    },
+    "固": {
+      "": "こ"
+    },
+    "固有": {
+      "": "こゆう"
+    },
+    "国": {
+      "": "こく"
+    },
+    "基": {
+      "d": "もと"
+    },
+    "大": {
+      "k": "おお",
+      "": "たい"
+    },
+    "大人": {
+      "": "おとな"
+    },
+    "大陸": {
+      "": "たいりく"
+    },
+    "天": {
+      "": "てん"
+    },
+    "天気": {
+      "": "てんき"
+    },
+    "始": {
+      "m": "はじ"
+    },
+    "子": {
+      "": "こ"
+    },
+    "子供": {
+      "": "こども"
+    },
+    "字": {
+      "": "じ"
+    },
+    "学": {
+      "b": "まな",
+      "": "がく"
+    },
+    "学校": {
+      "": "がっこう"
+    },
+    "学生": {
+      "": "がくせい"
+    },
+    "安": {
+      "i": "やす"
+    },
+    "家": {
+      "": "いえ"
+    },
+    "小": {
+      "s": "ちい"
+    },
+    "帰": {
+      "r": "かえ"
+    },
+    "年": {
+      "": "とし"
+    },
+    "強": {
+      "": "きょう"
+    },
+    "当": {
+      "": "とう"
+    },
+    "当然": {
+      "": "とうぜん"
+    },
+    "思": {
+      "w": "おも"
+    },
+    "政": {
+      "": "せい"
+    },
+    "政治": {
+      "": "せいじ"
+    },
+    "文": {
+      "": [
+        [
+          "ぶん",
+          1
+        ],
+        [
+          "も",
+          1
+        ]
+      ]
+    },
+    "文化": {
+      "": "ぶんか"
+    },
+    "文字": {
+      "": "もじ"
+    },
+    "新": {
+      "s": "あたら",
+      "": "しん"
+    },
+    "新聞": {
+      "": "しんぶん"
+    },
+    "旅": {
+      "": "りょ"
+    },
+    "旅行": {
+      "": "りょこう"
+    },
+    "日": {
+      "": "ひ"
+    },
+    "日本": {
+      "": [
+        [
+          "にほん",
+          1
+        ],
+        [
+          "にっぽん",
+          1
+        ]
+      ]
+    },
+    "日本語": {
+      "": "にほんご"
+    },
+    "明": {
+      "": "あ"
+    },
+    "明日": {
+      "": "あした"
+    },
+    "映": {
+      "": "えい"
+    },
+    "映画": {
+      "": "えいが"
+    },
+    "昨": {
+      "": "さく"
+    },
+    "昨日": {
+      "": "きのう"
+    },
+    "時": {
+      "": "じ"
+    },
+    "時間": {
+      "": "じかん"
+    },
+    "書": {
+      "k": "か",
+      "": "しょ"
+    },
+    "書記": {},
+    "書記法": {
+      "": "しょきほう"
+    },
+    "有": {
+      "": "ゆう"
+    },
+    "本": {
+      "": "ほん"
+    },
+    "来": {
+      "r": "く",
+      "": "らい"
+    },
+    "校": {
+      "": "こう"
+    },
+    "楽": {
+      "": "がく"
+    },
+    "構": {
+      "": "こう"
+    },
+    "構文": {
+      "": "こうぶん"
+    },
+    "歴": {
+      "": "れき"
+    },
+    "歴史": {
+      "": "れきし"
+    },
+    "気": {
+      "": "き"
+    },
+    "治": {
+      "": "じ"
+    },
+    "法": {
+      "": "ほう"
+    },
+    "注": {
+      "": "ちゅう"
+    },
+    "済": {
+      "": "ざい"
+    },
+    "漢": {
+      "": "かん"
+    },
+    "漢字": {
+      "": "かんじ"
+    },
+    "漢文": {
+      "": "かんぶん"
+    },
+    "漢文訓": {},
+    "漢文訓読": {
+      "": "かんぶんくんどく"
+    },
+    "然": {
+      "": "ぜん"
+    },
+    "理": {
+      "": "り"
+    },
+    "理解": {
+      "": "りかい"
+    },
+    "生": {
+      "k": "い",
+      "m": "う",
+      "r": "うま",
+      "": "せい"
+    },
+    "画": {
+      "": "が"
+    },
+    "界": {
+      "": "かい"
+    },
+    "異": {
+      "n": "こと"
+    },
+    "知": {
+      "r": "し"
+    },
+    "社": {
+      "": "しゃ"
+    },
+    "社会": {
+      "": "しゃかい"
+    },
+    "経": {
+      "": "けい"
+    },
+    "経済": {
+      "": "けいざい"
+    },
+    "聞": {
+      "k": "き",
+      "": "ぶん"
+    },
+    "自": {
+      "": "じ"
+    },
+    "自動": {},
+    "自動車": {
+      "": "じどうしゃ"
+    },
+    "葉": {
+      "": "は"
+    },
+    "行": {
+      "k": "い",
+      "": "こう"
+    },
+    "見": {
+      "r": "み",
+      "n": "み",
+      "t": "み"
+    },
+    "解": {
+      "": "かい"
+    },
+    "言": {
+      "": "げん"
+    },
+    "言葉": {
+      "": "ことば"
+    },
+    "言語": {
+      "": "げんご"
+    },
+    "訓": {
+      "": "くん"
+    },
+    "訓読": {
+      "": "くんどく"
+    },
+    "記": {
+      "s": "しる",
+      "": "き"
+    },
+    "話": {
+      "s": "はな"
+    },
+    "語": {
+      "": "ご"
+    },
+    "読": {
+      "m": "よ",
+      "": "どく"
+    },
+    "車": {
+      "": "しゃ"
+    },
+    "送": {
+      "r": "おく"
+    },
+    "達": {
+      "": "たつ"
+    },
+    "長": {
+      "i": "なが"
+    },
+    "間": {
+      "": "かん"
+    },
+    "陸": {
+      "": "りく"
+    },
+    "電": {
+      "": "でん"
+    },
+    "電車": {
+      "": "でんしゃ"
+    },
+    "音": {
+      "": "おん"
+    },
+    "音楽": {
+      "": "おんがく"
+    },
+    "音韻": {
+      "": "おんいん"
+    },
+    "韻": {
+      "": "いん"
+    },
+    "食": {
+      "r": "たべ"
+    },
+    "飲": {
+      "m": "の"
+    },
+    "高": {
+      "i": "たか"
+    }
+  }
+};
+
+  },
+  "./syn_dict": function (module, exports, require) {
+// This file is automatically generated by scripts/codegen.js. DO NOT EDIT.
+"use strict";
+module.exports = {
+  "synDict": {
+    "芦": "蘆",
+    "壱": "一",
+    "苅": "刈",
+    "舘": "館",
+    "曽": "曾",
+    "菟": "兎",
+    "島": "嶋",
+    "盃": "杯",
+    "冨": "富",
+    "峯": "峰",
+    "亘": "亙",
+    "弌": "一",
+    "乘": "乗",
+    "亂": "乱",
+    "豫": "予",
+    "亊": "事",
+    "弍": "二",
+    "亞": "亜",
+    "亰": "京",
+    "从": "従",
+    "仭": "仞",
+    "佛": "仏",
+    "來": "来",
+    "儘": "侭",
+    "伜": "倅",
+    "假": "仮",
+    "會": "会",
+    "做": "作",
+    "傳": "伝",
+    "僞": "偽",
+    "價": "価",
+    "儉": "倹",
+    "兒": "児",
+    "兔": "兎",
+    "竸": "競",
+    "兩": "両",
+    "囘": "回",
+    "册": "冊",
+    "冢": "塚",
+    "冩": "写",
+    "决": "決",
+    "冱": "冴",
+    "冰": "氷",
+    "况": "況",
+    "凉": "涼",
+    "處": "処",
+    "凾": "函",
+    "刄": "刃",
+    "刔": "抉",
+    "刧": "劫",
+    "剩": "剰",
+    "劍": "剣",
+    "劔": "剣",
+    "劒": "剣",
+    "剱": "剣",
+    "劑": "剤",
+    "辨": "弁",
+    "勞": "労",
+    "勳": "勲",
+    "勵": "励",
+    "勸": "勧",
+    "區": "区",
+    "卆": "卒",
+    "丗": "世",
+    "凖": "準",
+    "夘": "卯",
+    "卻": "却",
+    "卷": "巻",
+    "厠": "廁",
+    "厦": "廈",
+    "厮": "廝",
+    "厰": "廠",
+    "參": "参",
+    "雙": "双",
+    "咒": "呪",
+    "單": "単",
+    "噐": "器",
+    "營": "営",
+    "嚏": "嚔",
+    "嚴": "厳",
+    "囑": "嘱",
+    "囓": "齧",
+    "圀": "国",
+    "圈": "圏",
+    "國": "国",
+    "圍": "囲",
+    "圓": "円",
+    "團": "団",
+    "圖": "図",
+    "埀": "垂",
+    "埓": "埒",
+    "塲": "場",
+    "壞": "壊",
+    "墮": "堕",
+    "壓": "圧",
+    "壘": "塁",
+    "壥": "廛",
+    "壤": "壌",
+    "壯": "壮",
+    "壺": "壷",
+    "壹": "一",
+    "壻": "婿",
+    "壽": "寿",
+    "夂": "夊",
+    "夛": "多",
+    "梦": "夢",
+    "竒": "奇",
+    "奧": "奥",
+    "奬": "奨",
+    "侫": "佞",
+    "姙": "妊",
+    "嫻": "嫺",
+    "孃": "嬢",
+    "學": "学",
+    "斈": "学",
+    "寃": "冤",
+    "寇": "冦",
+    "寢": "寝",
+    "寫": "写",
+    "寶": "宝",
+    "寳": "宝",
+    "尅": "剋",
+    "將": "将",
+    "專": "専",
+    "對": "対",
+    "尓": "爾",
+    "尢": "尤",
+    "屆": "届",
+    "屬": "属",
+    "峽": "峡",
+    "嶌": "嶋",
+    "嵜": "崎",
+    "崙": "崘",
+    "嵳": "嵯",
+    "嶽": "岳",
+    "巛": "川",
+    "巵": "卮",
+    "帋": "紙",
+    "帶": "帯",
+    "幤": "幣",
+    "廐": "厩",
+    "廏": "厩",
+    "廣": "広",
+    "廚": "厨",
+    "廢": "廃",
+    "廳": "庁",
+    "廰": "庁",
+    "廸": "迪",
+    "弃": "棄",
+    "弉": "奘",
+    "彜": "彝",
+    "彈": "弾",
+    "彌": "弥",
+    "弯": "彎",
+    "徃": "往",
+    "徑": "径",
+    "從": "従",
+    "徠": "来",
+    "悳": "徳",
+    "恠": "怪",
+    "恆": "恒",
+    "悧": "俐",
+    "惡": "悪",
+    "惠": "恵",
+    "忰": "悴",
+    "惱": "悩",
+    "愼": "慎",
+    "愽": "博",
+    "慘": "惨",
+    "慚": "慙",
+    "憇": "憩",
+    "應": "応",
+    "懷": "懐",
+    "懴": "懺",
+    "戀": "恋",
+    "戞": "戛",
+    "戰": "戦",
+    "戲": "戯",
+    "拔": "抜",
+    "拏": "拿",
+    "擔": "担",
+    "拜": "拝",
+    "拂": "払",
+    "挾": "挟",
+    "搜": "捜",
+    "插": "挿",
+    "搖": "揺",
+    "攝": "摂",
+    "攪": "撹",
+    "據": "拠",
+    "擇": "択",
+    "擧": "拳",
+    "舉": "拳",
+    "抬": "擡",
+    "擴": "拡",
+    "攜": "携",
+    "攵": "攴",
+    "攷": "考",
+    "收": "収",
+    "效": "効",
+    "敕": "勅",
+    "敍": "叙",
+    "敘": "叙",
+    "數": "数",
+    "變": "変",
+    "斷": "断",
+    "旙": "旛",
+    "昜": "陽",
+    "晄": "晃",
+    "晉": "晋",
+    "晝": "昼",
+    "晰": "晢",
+    "暎": "映",
+    "曉": "暁",
+    "暸": "瞭",
+    "昿": "曠",
+    "曵": "曳",
+    "朖": "朗",
+    "朞": "期",
+    "霸": "覇",
+    "杤": "栃",
+    "杰": "傑",
+    "枩": "松",
+    "檜": "桧",
+    "條": "条",
+    "檮": "梼",
+    "梹": "檳",
+    "棊": "棋",
+    "棧": "桟",
+    "棕": "椶",
+    "楙": "茂",
+    "榮": "栄",
+    "槨": "椁",
+    "樂": "楽",
+    "權": "権",
+    "樞": "枢",
+    "樣": "様",
+    "樓": "楼",
+    "橢": "楕",
+    "檢": "検",
+    "櫻": "桜",
+    "鬱": "欝",
+    "盜": "盗",
+    "飮": "飲",
+    "歐": "嘔",
+    "歡": "歓",
+    "歸": "帰",
+    "殘": "残",
+    "殱": "殲",
+    "殼": "殻",
+    "毆": "殴",
+    "毓": "育",
+    "氣": "気",
+    "沒": "没",
+    "泪": "涙",
+    "濤": "涛",
+    "渕": "淵",
+    "渊": "淵",
+    "淨": "浄",
+    "淺": "浅",
+    "滿": "満",
+    "溂": "剌",
+    "溪": "渓",
+    "灌": "潅",
+    "滯": "滞",
+    "澁": "渋",
+    "澀": "渋",
+    "潛": "潜",
+    "濳": "潜",
+    "澂": "澄",
+    "澑": "溜",
+    "澤": "沢",
+    "濟": "済",
+    "濕": "湿",
+    "濱": "浜",
+    "濾": "滬",
+    "灣": "湾",
+    "烱": "炯",
+    "烟": "煙",
+    "熈": "煕",
+    "熏": "燻",
+    "燒": "焼",
+    "爐": "炉",
+    "爭": "争",
+    "爲": "為",
+    "爼": "俎",
+    "犁": "犂",
+    "犹": "猶",
+    "犲": "豺",
+    "狹": "狭",
+    "獎": "奨",
+    "默": "黙",
+    "獨": "独",
+    "獸": "獣",
+    "獵": "猟",
+    "獻": "献",
+    "珎": "珍",
+    "璢": "瑠",
+    "瑯": "琅",
+    "珱": "瓔",
+    "瓣": "弁",
+    "甞": "嘗",
+    "甼": "町",
+    "畄": "留",
+    "畍": "界",
+    "畊": "耕",
+    "畆": "畝",
+    "畧": "略",
+    "畫": "画",
+    "當": "当",
+    "畴": "疇",
+    "疊": "畳",
+    "疉": "畳",
+    "疂": "畳",
+    "癡": "痴",
+    "發": "発",
+    "皃": "猊",
+    "皈": "帰",
+    "皹": "皸",
+    "盖": "蓋",
+    "盡": "尽",
+    "蘯": "盪",
+    "眞": "真",
+    "眦": "眥",
+    "礦": "鉱",
+    "礪": "砺",
+    "碎": "砕",
+    "碯": "瑙",
+    "祕": "秘",
+    "祿": "禄",
+    "齋": "斎",
+    "禪": "禅",
+    "禮": "礼",
+    "禀": "稟",
+    "稱": "称",
+    "稻": "稲",
+    "稾": "稿",
+    "穗": "穂",
+    "穩": "穏",
+    "龝": "穐",
+    "穰": "穣",
+    "窗": "窓",
+    "竈": "竃",
+    "窰": "窯",
+    "竊": "窃",
+    "竝": "並",
+    "筺": "筐",
+    "笋": "筍",
+    "箟": "箘",
+    "筝": "箏",
+    "簔": "蓑",
+    "籠": "篭",
+    "籘": "籐",
+    "籖": "籤",
+    "粹": "粋",
+    "糺": "糾",
+    "絲": "糸",
+    "經": "経",
+    "總": "総",
+    "緜": "綿",
+    "縣": "県",
+    "縱": "縦",
+    "繪": "絵",
+    "繩": "縄",
+    "繼": "継",
+    "緕": "纃",
+    "續": "続",
+    "纖": "繊",
+    "纎": "繊",
+    "纜": "繿",
+    "缺": "欠",
+    "罐": "缶",
+    "罸": "罰",
+    "羃": "冪",
+    "羣": "群",
+    "羮": "羹",
+    "譱": "善",
+    "翆": "翠",
+    "翦": "剪",
+    "耻": "恥",
+    "聟": "婿",
+    "聨": "聯",
+    "聲": "声",
+    "聰": "聡",
+    "聽": "聴",
+    "肅": "粛",
+    "冐": "冒",
+    "脉": "脈",
+    "腦": "脳",
+    "腟": "膣",
+    "膓": "腸",
+    "膸": "髄",
+    "膽": "胆",
+    "臈": "臘",
+    "臟": "臓",
+    "臺": "台",
+    "與": "与",
+    "舊": "旧",
+    "舍": "舎",
+    "舖": "舗",
+    "舩": "船",
+    "艢": "檣",
+    "舮": "艫",
+    "艷": "艶",
+    "莖": "茎",
+    "莊": "荘",
+    "莵": "兎",
+    "菷": "帚",
+    "萠": "萌",
+    "蕚": "萼",
+    "蒂": "蔕",
+    "萬": "万",
+    "葢": "蓋",
+    "蘂": "蕊",
+    "蕋": "蕊",
+    "藪": "薮",
+    "藏": "蔵",
+    "藝": "芸",
+    "藥": "薬",
+    "蘓": "蘇",
+    "乕": "虎",
+    "號": "号",
+    "蠣": "蛎",
+    "蝨": "虱",
+    "蠅": "蝿",
+    "螢": "蛍",
+    "蟆": "蟇",
+    "蟲": "虫",
+    "蠏": "蟹",
+    "蟷": "螳",
+    "蟒": "蠎",
+    "蠶": "蚕",
+    "蠧": "蠹",
+    "蠻": "蛮",
+    "衂": "衄",
+    "衞": "衛",
+    "袵": "衽",
+    "裝": "装",
+    "襃": "褒",
+    "褝": "襌",
+    "覩": "睹",
+    "覺": "覚",
+    "覽": "覧",
+    "觀": "観",
+    "觧": "解",
+    "觸": "触",
+    "誡": "戒",
+    "謌": "歌",
+    "諡": "謚",
+    "謠": "謡",
+    "證": "証",
+    "譛": "譖",
+    "譯": "訳",
+    "譽": "誉",
+    "讀": "読",
+    "讓": "譲",
+    "讚": "賛",
+    "豐": "豊",
+    "貉": "狢",
+    "貍": "狸",
+    "貎": "猊",
+    "豼": "貔",
+    "貘": "獏",
+    "戝": "財",
+    "貭": "質",
+    "貳": "弐",
+    "貮": "弐",
+    "賤": "賎",
+    "賣": "売",
+    "贊": "賛",
+    "賍": "贓",
+    "赱": "走",
+    "踈": "疎",
+    "踴": "踊",
+    "躰": "体",
+    "軆": "体",
+    "軈": "軅",
+    "軣": "轟",
+    "輕": "軽",
+    "輙": "輒",
+    "輌": "輛",
+    "轉": "転",
+    "辭": "辞",
+    "辯": "弁",
+    "迯": "逃",
+    "逹": "達",
+    "逎": "遒",
+    "遞": "逓",
+    "遲": "遅",
+    "邊": "辺",
+    "邉": "辺",
+    "邨": "村",
+    "鄰": "隣",
+    "醉": "酔",
+    "醫": "医",
+    "釀": "醸",
+    "釋": "釈",
+    "釡": "釜",
+    "釼": "剣",
+    "銕": "鉄",
+    "錢": "銭",
+    "鎭": "鎮",
+    "鐵": "鉄",
+    "鐡": "鉄",
+    "鑒": "鑑",
+    "鑄": "鋳",
+    "鑛": "鉱",
+    "鈩": "鑪",
+    "鑚": "鑽",
+    "閇": "閉",
+    "濶": "闊",
+    "關": "関",
+    "阯": "址",
+    "陷": "陥",
+    "險": "険",
+    "隱": "隠",
+    "隸": "隷",
+    "襍": "雑",
+    "雜": "雑",
+    "靈": "霊",
+    "靜": "静",
+    "靱": "靭",
+    "韭": "韮",
+    "韲": "齏",
+    "韵": "韻",
+    "顏": "顔",
+    "顯": "顕",
+    "飃": "飄",
+    "餘": "余",
+    "餝": "飾",
+    "餠": "餅",
+    "騷": "騒",
+    "驅": "駆",
+    "驛": "駅",
+    "驗": "験",
+    "髓": "髄",
+    "體": "体",
+    "髮": "髪",
+    "鬪": "闘",
+    "鰺": "鯵",
+    "鰛": "鰮",
+    "鳬": "鳧",
+    "鳫": "鴈",
+    "鵄": "鴟",
+    "鵞": "鵝",
+    "鷄": "鶏",
+    "鷏": "鷆",
+    "鹽": "塩",
+    "麥": "麦",
+    "麸": "麩",
+    "麪": "麺",
+    "點": "点",
+    "黨": "党",
+    "皷": "鼓",
+    "鼡": "鼠",
+    "齊": "斉",
+    "齒": "歯",
+    "齡": "齢",
+    "龜": "亀",
+    "槇": "槙",
+    "遙": "遥",
+    "瑤": "瑶",
+    "凜": "凛",
+    "熙": "煕",
+    "鷗": "鴎",
+    "㐂": "喜",
+    "欄": "欄",
+    "廊": "廊",
+    "朗": "朗",
+    "虜": "虜",
+    "殺": "殺",
+    "類": "類",
+    "隆": "隆",
+    "塚": "塚",
+    "晴": "晴",
+    "凞": "凞",
+    "猪": "猪",
+    "益": "益",
+    "礼": "礼",
+    "神": "神",
+    "祥": "祥",
+    "福": "福",
+    "靖": "靖",
+    "精": "精",
+    "羽": "羽",
+    "蘒": "蘒",
+    "諸": "諸",
+    "逸": "逸",
+    "都": "都",
+    "飯": "飯",
+    "飼": "飼",
+    "館": "館",
+    "鶴": "鶴",
+    "侮": "侮",
+    "僧": "僧",
+    "免": "免",
+    "勉": "勉",
+    "勤": "勤",
+    "卑": "卑",
+    "喝": "喝",
+    "嘆": "嘆",
+    "器": "器",
+    "塀": "塀",
+    "墨": "墨",
+    "層": "層",
+    "屮": "屮",
+    "悔": "悔",
+    "慨": "慨",
+    "憎": "憎",
+    "懲": "懲",
+    "敏": "敏",
+    "既": "既",
+    "暑": "暑",
+    "梅": "梅",
+    "海": "海",
+    "渚": "渚",
+    "漢": "漢",
+    "煮": "煮",
+    "爫": "爫",
+    "琢": "琢",
+    "碑": "碑",
+    "社": "社",
+    "祉": "祉",
+    "祈": "祈",
+    "祐": "祐",
+    "祖": "祖",
+    "祝": "祝",
+    "禍": "禍",
+    "禎": "禎",
+    "穀": "穀",
+    "突": "突",
+    "節": "節",
+    "練": "練",
+    "縉": "縉",
+    "繁": "繁",
+    "署": "署",
+    "者": "者",
+    "臭": "臭",
+    "艹": "艹",
+    "艹": "艹",
+    "著": "著",
+    "褐": "褐",
+    "視": "視",
+    "謁": "謁",
+    "謹": "謹",
+    "賓": "賓",
+    "贈": "贈",
+    "辶": "辶",
+    "逸": "逸",
+    "難": "難",
+    "響": "響",
+    "頻": "頻",
+    "恵": "恵",
+    "𤋮": "𤋮",
+    "啞": "唖",
+    "瘂": "唖",
+    "菴": "庵",
+    "葊": "庵",
+    "桉": "案",
+    "婣": "姻",
+    "婬": "淫",
+    "滛": "淫",
+    "隂": "陰",
+    "噓": "嘘",
+    "睿": "叡",
+    "頴": "穎",
+    "偀": "英",
+    "咏": "詠",
+    "椻": "堰",
+    "焰": "焔",
+    "緣": "縁",
+    "鈆": "鉛"
+  }
+};
+
+  }
+  };
+  var cache = {};
+
+  function load(id) {
+    if (!cache[id]) {
+      var module = { exports: {} };
+      cache[id] = module;
+      definitions[id](module, module.exports, load);
+    }
+    return cache[id].exports;
+  }
+
+  return load("./index");
+})();
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Bundles src/kakasi into a single script the userscript can load with @require
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { bundle } = require('../../scripts/bundler');
+
+const ROOT = path.resolve(__dirname, '..');
+const ENTRY = path.join(ROOT, 'src', 'kakasi', 'index.js');
+const GLOBAL_NAME = 'KanjiTerminatorKakasi';
+
+const USAGE = `Usage: node scripts/build-browser.js [--out <file>]
+
+Options:
+  --out <file>  Output file (default: ../kakasi.js, next to the userscript)
+  --help        Show this message`;
+
+/**
+ * Bundle the converter into a script exposing it as a global
+ * @returns {string} - Bundle source
+ */
+function build() {
+  return `// This file is automatically generated by kanji-to-hiragana-worker/scripts/build-browser.js. DO NOT EDIT.
+// Offline kakasi converter for Kanji Terminator, exposed as ${GLOBAL_NAME}.
+var ${GLOBAL_NAME} = ${bundle(ENTRY)};
+`;
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  let out = path.join(ROOT, '..', 'kakasi.js');
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      out = path.resolve(argv[++i]);
+    } else if (argv[i] === '--help') {
+      console.log(USAGE);
+      return;
+    } else {
+      throw new Error(`Unknown option "${argv[i]}"\n\n${USAGE}`);
+    }
+  }
+
+  fs.writeFileSync(out, build());
+  console.log(`Wrote ${path.relative(process.cwd(), out)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  build
+};
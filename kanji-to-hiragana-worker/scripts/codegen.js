@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// Generates the kakasi dictionaries in src/kakasi from kakasi's source dictionary files
+"use strict";
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const HEADER = '// This file is automatically generated by scripts/codegen.js. DO NOT EDIT.\n"use strict";\n';
+
+const USAGE = `Usage: node scripts/codegen.js [options]
+
+Options:
+  --source <dir>       Directory holding kakasidict, itaijidict and hepburndict, each either
+                       as <name>.utf8 or as kakasi's original <name> file (default: dict)
+  --kakasidict <file>  kakasi's kakasidict, when it isn't in the source directory
+  --extra <file>       Extra kakasidict-format entries, may be repeated (default: dict/extra_kakasidict.utf8)
+  --extra-only         Build kanji_dict.js from the extra entries alone when kakasidict is missing
+  --out <dir>          Output directory (default: src/kakasi)
+  --encoding <name>    Encoding of the files without the .utf8 extension (default: euc-jp, kakasi's)
+  --help               Show this message`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {{ source: string, kakasidict: string|null, extras: string[], extraOnly: boolean, out: string, encoding: string }} - Options
+ */
+function parseArgs(argv) {
+  const options = {
+    source: path.join(ROOT, 'dict'),
+    kakasidict: null,
+    extras: [],
+    extraOnly: false,
+    out: path.join(ROOT, 'src', 'kakasi'),
+    encoding: 'euc-jp'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    switch (arg) {
+      case '--source':
+        options.source = path.resolve(value);
+        i++;
+        break;
+      case '--kakasidict':
+        options.kakasidict = path.resolve(value);
+        i++;
+        break;
+      case '--extra':
+        options.extras.push(path.resolve(value));
+        i++;
+        break;
+      case '--extra-only':
+        options.extraOnly = true;
+        break;
+      case '--out':
+        options.out = path.resolve(value);
+        i++;
+        break;
+      case '--encoding':
+        options.encoding = value;
+        i++;
+        break;
+      case '--help':
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        throw new Error(`Unknown option "${arg}"\n\n${USAGE}`);
+    }
+  }
+
+  if (options.extras.length === 0) {
+    options.extras.push(path.join(ROOT, 'dict', 'extra_kakasidict.utf8'));
+  }
+
+  return options;
+}
+
+/**
+ * Read the entries of a kakasi dictionary file
+ * Lines starting with ";;" are comments, \uXXXX escapes are expanded.
+ * @param {string} file - Path of the dictionary file
+ * @param {string} encoding - Encoding of the file
+ * @returns {string[][]|null} - Whitespace separated fields of each entry, or null when the file doesn't exist
+ */
+function readDictFile(file, encoding) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const content = new TextDecoder(encoding).decode(fs.readFileSync(file));
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith(';;'))
+    .map(line => line.replace(/\\u([0-9a-fA-F]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))))
+    .map(line => line.split(/\s+/));
+}
+
+/**
+ * Find a dictionary file of the source directory, converted to UTF-8
+ * (`<name>.utf8`) or as shipped with kakasi (`<name>`)
+ * @param {string} dir - Source directory
+ * @param {string} name - Name of the dictionary, e.g. "kakasidict"
+ * @param {string} encoding - Encoding of kakasi's original files
+ * @returns {{ file: string, encoding: string }|null} - Path and encoding of the file, or null when there's none
+ */
+function findDictFile(dir, name, encoding) {
+  const utf8 = path.join(dir, `${name}.utf8`);
+  if (fs.existsSync(utf8)) {
+    return { file: utf8, encoding: 'utf-8' };
+  }
+  const original = path.join(dir, name);
+  return fs.existsSync(original) ? { file: original, encoding } : null;
+}
+
+/**
+ * Build the synonym dictionary from itaijidict entries (`<normalized> <variant>`)
+ * @param {string[][]} entries - Parsed itaijidict entries
+ * @returns {Object} - Mapping of variant to normalized kanji
+ */
+function buildSynDict(entries) {
+  const synDict = {};
+  entries.forEach(([normalized, variant]) => {
+    if (normalized && variant) {
+      synDict[variant] = normalized;
+    }
+  });
+  return synDict;
+}
+
+/**
+ * Build the Hepburn dictionary from hepburndict entries (`<romaji> <kana>`)
+ * @param {string[][]} entries - Parsed hepburndict entries
+ * @returns {{ hepburnDict: Object, maxKeyLength: number }} - Mapping of kana to romaji and its longest key
+ */
+function buildHepburnDict(entries) {
+  const hepburnDict = {};
+  let maxKeyLength = 0;
+  entries.forEach(([romaji, kana]) => {
+    if (romaji && kana) {
+      hepburnDict[kana] = romaji;
+      maxKeyLength = Math.max(maxKeyLength, kana.length);
+    }
+  });
+  return { hepburnDict, maxKeyLength };
+}
+
+/**
+ * Build the kanji dictionary from kakasidict entries (`<reading>[tail] <kanji> [frequency]`)
+ *
+ * The result maps each (normalized) kanji word to its readings keyed by
+ * okurigana tail letter, "" being the reading without okurigana. A tail holds
+ * its reading as a string, or `[reading, frequency]` pairs when it has several
+ * readings or a frequency other than 1. The frequency of a reading is the sum
+ * of its entries' frequencies, 1 by default. Readings are listed in the order
+ * of their first entry, so entries listed first win on a tie. Every prefix of
+ * a word is present as a key so that `convertKanjiCompound` can match greedily.
+ * @param {string[][]} entries - Parsed kakasidict entries
+ * @param {Object} synDict - Synonym dictionary used to normalize the kanji
+ * @returns {Object} - The kanji dictionary
+ */
+function buildKanjiDict(entries, synDict) {
+  const kanjiDict = {};
+
+  entries.forEach(([yomi, kanji, frequency]) => {
+    if (!yomi || !kanji) {
+      return;
+    }
+
+    // A trailing ascii letter marks the okurigana tail (e.g. "おくr 送" for 送る)
+    let tail = '';
+    if (/[a-z]$/.test(yomi)) {
+      tail = yomi.slice(-1);
+      yomi = yomi.slice(0, -1);
+    }
+    if (!yomi) {
+      return;
+    }
+
+    const key = [...kanji].map(char => synDict[char] || char).join('');
+    for (let i = 1; i < key.length; i++) {
+      kanjiDict[key.slice(0, i)] = kanjiDict[key.slice(0, i)] || {};
+    }
+    kanjiDict[key] = kanjiDict[key] || {};
+    kanjiDict[key][tail] = kanjiDict[key][tail] || [];
+    const readings = kanjiDict[key][tail];
+    const count = /^\d+$/.test(frequency || '') ? Number(frequency) : 1;
+    const known = readings.find(([reading]) => reading === yomi);
+    if (known) {
+      known[1] += count;
+    } else {
+      readings.push([yomi, count]);
+    }
+  });
+
+  // Sort keys so the output is stable regardless of the source order, and
+  // keep a plain string for the tails with a single reading of frequency 1
+  const sorted = {};
+  Object.keys(kanjiDict)
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+    .forEach(key => {
+      sorted[key] = {};
+      Object.entries(kanjiDict[key]).forEach(([tail, readings]) => {
+        sorted[key][tail] = readings.length === 1 && readings[0][1] === 1 ? readings[0][0] : readings;
+      });
+    });
+  return sorted;
+}
+
+/**
+ * Get the version of the generated dictionaries: a hash of their content,
+ * which changes whenever a reading or a kanji variant does
+ * @param {Object} kanjiDict - The kanji dictionary
+ * @param {Object} synDict - The synonym dictionary
+ * @returns {string} - First 12 hex digits of the SHA-256 of both dictionaries
+ */
+function getDictionaryVersion(kanjiDict, synDict) {
+  return crypto.createHash('sha256').update(JSON.stringify([kanjiDict, synDict])).digest('hex').slice(0, 12);
+}
+
+/**
+ * Write a generated module
+ * @param {string} file - Output path
+ * @param {string} body - Module body following the header
+ */
+function writeModule(file, body) {
+  fs.writeFileSync(file, `${HEADER}${body}\n`);
+  console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const readSource = name => {
+    const found = findDictFile(options.source, name, options.encoding);
+    return found ? readDictFile(found.file, found.encoding) : null;
+  };
+
+  // Synonyms are needed to normalize the kanji dictionary keys
+  let synDict;
+  const itaijiEntries = readSource('itaijidict');
+  if (itaijiEntries) {
+    synDict = buildSynDict(itaijiEntries);
+    writeModule(path.join(options.out, 'syn_dict.js'), `module.exports = ${JSON.stringify({ synDict }, null, 2)};`);
+  } else {
+    console.warn('itaijidict not found, keeping the existing syn_dict.js');
+    synDict = require(path.join(options.out, 'syn_dict.js')).synDict;
+  }
+
+  const hepburnEntries = readSource('hepburndict');
+  if (hepburnEntries) {
+    const { hepburnDict, maxKeyLength } = buildHepburnDict(hepburnEntries);
+    writeModule(
+      path.join(options.out, 'hepburn_dict.js'),
+      `module.exports = {\n  HEPBURN_MAX_KLEN: ${maxKeyLength},\n  hepburnDict: ${JSON.stringify(hepburnDict, null, 2)}\n};`
+    );
+  } else {
+    console.warn('hepburndict not found, keeping the existing hepburn_dict.js');
+  }
+
+  // Extra entries come first so they win over kakasi's own on a tie
+  const kanjiEntries = [];
+  options.extras.forEach(file => {
+    const entries = readDictFile(file, 'utf-8');
+    if (!entries) {
+      throw new Error(`Extra dictionary ${file} not found`);
+    }
+    kanjiEntries.push(...entries);
+  });
+  const kakasiEntries = options.kakasidict
+    ? readDictFile(options.kakasidict, options.kakasidict.endsWith('.utf8') ? 'utf-8' : options.encoding)
+    : readSource('kakasidict');
+  if (kakasiEntries) {
+    kanjiEntries.push(...kakasiEntries);
+  } else if (options.extraOnly) {
+    console.warn('kakasidict not found, kanji_dict.js only contains the extra entries');
+  } else {
+    throw new Error(
+      `kakasidict not found in ${options.source}. Get it from kakasi's source archive, see the README, ` +
+      'and pass it with --kakasidict, or build from the extra entries alone with --extra-only'
+    );
+  }
+  const kanjiDict = buildKanjiDict(kanjiEntries, synDict);
+  const DICTIONARY_VERSION = getDictionaryVersion(kanjiDict, synDict);
+  writeModule(path.join(options.out, 'kanji_dict.js'), `module.exports = ${JSON.stringify({ DICTIONARY_VERSION, kanjiDict }, null, 2)};`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  buildHepburnDict,
+  buildKanjiDict,
+  buildSynDict,
+  findDictFile,
+  getDictionaryVersion,
+  readDictFile
+};
@@ -1,4 +1,10 @@
-import { kanjiToHiragana } from './kakasi'
+import { DICTIONARY_VERSION, MODES, convertReading, convertSegments, kanjiToCandidates, kanjiToHiragana, kanjiToSegments, lookupWord, readContexts } from './kakasi'
+
+// Version of the structured response format, version 1 being the legacy `{ data }` format
+const RESPONSE_VERSION = 2;
+const RESPONSE_MEDIA_TYPE = `application/vnd.kanji-terminator.v${RESPONSE_VERSION}+json`;
+const READING_SOURCE = 'kakasi';
+
 /**
  * Handles incoming requests to the worker
  * @param {Request} request - The incoming request object
@@ -9,8 +15,9 @@ async function handleRequest(request) {
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Content-Type': 'application/json'
+    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+    'Content-Type': 'application/json',
+    'Vary': 'Accept'
   };
 
   // Handle preflight OPTIONS request
@@ -18,11 +25,19 @@ async function handleRequest(request) {
     return new Response(null, { headers: corsHeaders });
   }
 
+  const url = new URL(request.url);
+
+  // Dictionary entries of a single word
+  if (url.pathname === '/lookup') {
+    return handleLookup(request, url, corsHeaders);
+  }
+
   // Accept both GET and POST methods for flexibility
   if (request.method === 'GET') {
     // For GET requests, use the URL parameter
-    const url = new URL(request.url);
     const text = url.searchParams.get('text');
+    const mode = url.searchParams.get('mode') || 'hiragana';
+    const version = getResponseVersion(request, url.searchParams.get('version'));
 
     if (!text) {
       return new Response(JSON.stringify({ error: 'Text parameter is required' }), {
@@ -31,9 +46,30 @@ async function handleRequest(request) {
       });
     }
 
+    if (!MODES.includes(mode)) {
+      return new Response(JSON.stringify({ error: `Mode must be one of ${MODES.join(', ')}` }), {
+        status: 400,
+        headers: corsHeaders
+      });
+    }
+
+    if (!version) {
+      return new Response(JSON.stringify({ error: `Version must be 1 or ${RESPONSE_VERSION}` }), {
+        status: 400,
+        headers: corsHeaders
+      });
+    }
+
+    // Keep blank lines so that every result lines up with its input line
+    if (version === RESPONSE_VERSION) {
+      return new Response(JSON.stringify(formatResults(text.split('\n'), mode)), {
+        headers: corsHeaders
+      });
+    }
+
     // Process as a batch by splitting on newlines
     const phrases = text.split('\n').filter(phrase => phrase.trim());
-    const results = processBatch(phrases);
+    const results = processBatch(phrases, phrase => getReadings(phrase, mode));
 
     return new Response(JSON.stringify({ data: results.join('\n') }), {
       headers: corsHeaders
@@ -43,23 +79,59 @@ async function handleRequest(request) {
     try {
       // Parse request body
       const data = await request.json();
+      const mode = data.mode || 'hiragana';
+      const version = getResponseVersion(request, data.version);
+
+      if (!MODES.includes(mode)) {
+        return new Response(JSON.stringify({ error: `Mode must be one of ${MODES.join(', ')}` }), {
+          status: 400,
+          headers: corsHeaders
+        });
+      }
+
+      if (!version) {
+        return new Response(JSON.stringify({ error: `Version must be 1 or ${RESPONSE_VERSION}` }), {
+          status: 400,
+          headers: corsHeaders
+        });
+      }
+
+      // Kanji runs sent together with their surrounding text
+      if (data.contexts) {
+        if (!Array.isArray(data.contexts)) {
+          return new Response(JSON.stringify({ error: 'Contexts must be an array' }), {
+            status: 400,
+            headers: corsHeaders
+          });
+        }
+
+        const contexts = readContexts(data.contexts, mode);
+        const body = version === RESPONSE_VERSION ? formatContextResults(data.contexts, contexts) : { contexts };
+        return new Response(JSON.stringify(body), {
+          headers: corsHeaders
+        });
+      }
 
       // Handle both single text and array of texts
       if (!data.text && !data.texts) {
-        return new Response(JSON.stringify({ error: 'Text or texts array is required' }), {
+        return new Response(JSON.stringify({ error: 'Text, texts or contexts array is required' }), {
           status: 400,
           headers: corsHeaders
         });
       }
 
+      let inputs;
       let phrases;
       if (data.text) {
         // Single text case - split on newlines
-        phrases = data.text.split('\n').filter(phrase => phrase.trim());
+        inputs = data.text.split('\n');
+        phrases = inputs.filter(phrase => phrase.trim());
       } else if (Array.isArray(data.texts)) {
         // Array case - use as is
-        phrases = data.texts.filter(phrase => phrase && typeof phrase === 'string');
+        inputs = data.texts;
+        phrases = inputs.filter(phrase => phrase && typeof phrase === 'string');
       } else {
+        inputs = [];
         phrases = [];
       }
 
@@ -70,10 +142,23 @@ async function handleRequest(request) {
         });
       }
 
+      // Keep every input, even blank or invalid ones, so that results line up with them
+      if (version === RESPONSE_VERSION) {
+        return new Response(JSON.stringify(formatResults(inputs.map(input => (typeof input === 'string' ? input : '')), mode)), {
+          headers: corsHeaders
+        });
+      }
+
       // Process the batch of phrases
-      const results = processBatch(phrases);
+      const results = processBatch(phrases, phrase => getReadings(phrase, mode));
+      const body = { data: results.join('\n') };
+
+      // Optionally include the per-kanji alignment of each reading
+      if (data.segments) {
+        body.segments = processBatch(phrases, phrase => getSegments(phrase, mode));
+      }
 
-      return new Response(JSON.stringify({ data: results.join('\n') }), {
+      return new Response(JSON.stringify(body), {
         headers: corsHeaders
       });
     } catch (error) {
@@ -91,12 +176,117 @@ async function handleRequest(request) {
   });
 }
 
+/**
+ * Handles `GET /lookup?word=...`, returning the dictionary entries of a word
+ * @param {Request} request - The incoming request object
+ * @param {URL} url - Parsed request URL
+ * @param {Object} corsHeaders - Headers of every response
+ * @returns {Response} The lookup result
+ */
+function handleLookup(request, url, corsHeaders) {
+  if (request.method !== 'GET') {
+    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
+      status: 405,
+      headers: corsHeaders
+    });
+  }
+
+  const word = url.searchParams.get('word');
+  const mode = url.searchParams.get('mode') || 'hiragana';
+
+  if (!word || !word.trim()) {
+    return new Response(JSON.stringify({ error: 'Word parameter is required' }), {
+      status: 400,
+      headers: corsHeaders
+    });
+  }
+
+  if (!MODES.includes(mode)) {
+    return new Response(JSON.stringify({ error: `Mode must be one of ${MODES.join(', ')}` }), {
+      status: 400,
+      headers: corsHeaders
+    });
+  }
+
+  const result = { version: RESPONSE_VERSION, ...lookupWord(word.trim(), mode), source: READING_SOURCE, dictionary: DICTIONARY_VERSION };
+  return new Response(JSON.stringify(result), {
+    headers: corsHeaders
+  });
+}
+
+/**
+ * Get the response format requested by the client, from a request field or
+ * from the Accept header
+ * @param {Request} request - The incoming request object
+ * @param {*} requested - Value of the `version` request field, if any
+ * @returns {number|null} The response version, or null when it isn't supported
+ */
+function getResponseVersion(request, requested) {
+  if (requested !== undefined && requested !== null) {
+    const version = Number(requested);
+    return version === 1 || version === RESPONSE_VERSION ? version : null;
+  }
+
+  const accept = request.headers.get('Accept') || '';
+  return accept.includes(RESPONSE_MEDIA_TYPE) ? RESPONSE_VERSION : 1;
+}
+
+/**
+ * Build a structured response for a list of phrases
+ * @param {string[]} phrases - Phrases to convert, blank ones get an empty reading
+ * @param {string} mode - Output mode of the readings
+ * @returns {{ version: number, dictionary: string, results: Object[] }} One result per phrase, in the same order
+ */
+function formatResults(phrases, mode) {
+  const results = processBatch(phrases, phrase => ({
+    input: phrase,
+    reading: getReadings(phrase, mode),
+    segments: getSegments(phrase, mode),
+    words: getWords(phrase, mode),
+    source: READING_SOURCE
+  }));
+
+  return {
+    version: RESPONSE_VERSION,
+    dictionary: DICTIONARY_VERSION,
+    results: results.map((result, idx) => result || { input: phrases[idx], reading: '', segments: [], words: [], source: READING_SOURCE })
+  };
+}
+
+/**
+ * Build a structured response for kanji runs read in their context
+ * @param {Object[]} requested - Contexts of the request, `{ text, spans: [{ start, end }] }`
+ * @param {Object[]} contexts - Contexts as returned by readContexts
+ * @returns {{ version: number, dictionary: string, results: Object[] }} One result per span, in the order of the request
+ */
+function formatContextResults(requested, contexts) {
+  const results = [];
+  contexts.forEach((context, contextIdx) => {
+    const text = requested[contextIdx] && typeof requested[contextIdx].text === 'string' ? requested[contextIdx].text : '';
+    context.spans.forEach(span => {
+      results.push({
+        input: Number.isInteger(span.start) && Number.isInteger(span.end) ? text.substring(span.start, span.end) : '',
+        reading: span.reading,
+        segments: span.segments,
+        words: span.words,
+        source: READING_SOURCE,
+        context: contextIdx,
+        start: span.start,
+        end: span.end
+      });
+    });
+  });
+
+  return { version: RESPONSE_VERSION, dictionary: DICTIONARY_VERSION, results };
+}
+
 /**
  * Process a batch of phrases
  * @param {string[]} phrases - Array of Japanese phrases to convert
- * @returns {string[]} Array of hiragana readings in same order as input
+ * @param {Function} [convert=getReadings] - Conversion applied to each unique phrase
+ * @returns {Array} Array of conversion results in same order as input
  */
-function processBatch(phrases) {
+function processBatch(phrases, convert = getReadings) {
   // Deduplicate phrases to avoid unnecessary requests
   const uniquePhrases = [...new Set(phrases)];
 
@@ -109,7 +299,7 @@ function processBatch(phrases) {
     const chunk = uniquePhrases.slice(i, i + chunkSize);
     chunk.map((phrase, index) => {
       try {
-        const result = getReadings(phrase);
+        const result = convert(phrase);
         resultsMap.set(phrase, result);
       } catch (error) {
         console.error(`Error processing "${phrase}":`, error);
@@ -125,16 +315,45 @@ function processBatch(phrases) {
 /**
  * Fetches readings for given text from jisho.org
  * @param {string} text - Japanese text to convert
+ * @param {string} [mode='hiragana'] - Output mode of the reading
  * @returns {Object} Object containing hiragana reading
  */
-function getReadings(text) {
+function getReadings(text, mode = 'hiragana') {
   // Skip empty text
   if (!text || text.trim() === '') {
     return "";
   }
-	return kanjiToHiragana(text);
+	return convertReading(kanjiToHiragana(text), mode);
+}
+
+/**
+ * Splits given text into kanji/okurigana segments with their readings
+ * @param {string} text - Japanese text to convert
+ * @param {string} [mode='hiragana'] - Output mode of the readings
+ * @returns {Object[]} Segments as returned by kanjiToSegments
+ */
+function getSegments(text, mode = 'hiragana') {
+  if (!text || text.trim() === '') {
+    return [];
+  }
+  return convertSegments(kanjiToSegments(text), mode);
+}
+
+/**
+ * Lists the candidate readings of each word of given text, best first
+ * @param {string} text - Japanese text to convert
+ * @param {string} [mode='hiragana'] - Output mode of the readings
+ * @returns {Object[]} Words as returned by kanjiToCandidates
+ */
+function getWords(text, mode = 'hiragana') {
+  if (!text || text.trim() === '') {
+    return [];
+  }
+  return kanjiToCandidates(text, mode);
 }
 
+export { handleRequest, processBatch };
+
 export default {
   async fetch(request, env, ctx) {
     return handleRequest(request);
@@ -0,0 +1,116 @@
+// Splits the reading of a kanji compound into per-kanji readings
+"use strict";
+
+const { tailReadings } = require("./kanji_converter");
+
+// Voiced variants produced by rendaku (e.g. 人々 -> ひと + びと)
+const RENDAKU = {
+  "か": "が", "き": "ぎ", "く": "ぐ", "け": "げ", "こ": "ご",
+  "さ": "ざ", "し": "じ", "す": "ず", "せ": "ぜ", "そ": "ぞ",
+  "た": "だ", "ち": "ぢ", "つ": "づ", "て": "で", "と": "ど",
+  "は": "ば", "ひ": "び", "ふ": "ぶ", "へ": "べ", "ほ": "ぼ",
+};
+
+// Semi-voiced variants (e.g. 一本 -> いっ + ぽん)
+const HANDAKU = {
+  "は": "ぱ", "ひ": "ぴ", "ふ": "ぷ", "へ": "ぺ", "ほ": "ぽ",
+};
+
+// Final kana that may become a geminate (e.g. 学校 -> がっ + こう)
+const GEMINATE = ["つ", "く", "ち", "き"];
+
+/**
+ * Collect every reading the dictionary knows for a single kanji, including
+ * the sound changes it may undergo inside a compound.
+ * @param {string} char - A single kanji
+ * @param {Object} kanjiDict - The generated kanji dictionary
+ * @returns {string[]} - Candidate readings, longest first
+ */
+function charReadings(char, kanjiDict) {
+  const mapping = kanjiDict[char];
+  if (!mapping) {
+    return [];
+  }
+
+  const readings = new Set();
+  for (const key in mapping) {
+    for (const { reading: base } of tailReadings(mapping[key])) {
+      addReading(readings, base);
+    }
+  }
+
+  return [...readings].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Add a reading of a kanji and the variants it takes inside a compound
+ * @param {Set<string>} readings - Readings collected so far
+ * @param {string} base - Dictionary reading
+ */
+function addReading(readings, base) {
+  readings.add(base);
+
+  const head = base[0];
+  const rest = base.slice(1);
+  if (RENDAKU[head]) {
+    readings.add(RENDAKU[head] + rest);
+  }
+  if (HANDAKU[head]) {
+    readings.add(HANDAKU[head] + rest);
+  }
+  if (base.length > 1 && GEMINATE.includes(base[base.length - 1])) {
+    readings.add(base.slice(0, -1) + "っ");
+  }
+}
+
+/**
+ * Align the reading of a kanji word to its individual characters.
+ * Falls back to a single segment spanning the whole word when the reading
+ * can't be split unambiguously (e.g. jukujikun such as 今日 -> きょう).
+ * @param {string} word - Kanji word as it appears in the text
+ * @param {string} normalizedWord - The same word after synonym normalization (used for lookups)
+ * @param {string} reading - Hiragana reading of the whole word
+ * @param {Object} kanjiDict - The generated kanji dictionary
+ * @returns {{ text: string, reading: string }[]} - Per-kanji segments
+ */
+function alignReading(word, normalizedWord, reading, kanjiDict) {
+  const chars = [...normalizedWord];
+  const surface = [...word];
+  if (chars.length < 2 || chars.length !== surface.length) {
+    return [{ text: word, reading }];
+  }
+
+  const splits = [];
+  const search = (charIdx, readingIdx, acc) => {
+    if (splits.length > 1) {
+      return;
+    }
+    if (charIdx === chars.length) {
+      if (readingIdx === reading.length) {
+        splits.push(acc.slice());
+      }
+      return;
+    }
+    // The iteration mark repeats the previous kanji (e.g. 人々)
+    const char = chars[charIdx] === "々" && charIdx > 0 ? chars[charIdx - 1] : chars[charIdx];
+    for (const candidate of charReadings(char, kanjiDict)) {
+      if (reading.startsWith(candidate, readingIdx)) {
+        acc.push(candidate);
+        search(charIdx + 1, readingIdx + candidate.length, acc);
+        acc.pop();
+      }
+    }
+  };
+  search(0, 0, []);
+
+  // Zero or several possible splits: keep the reading over the whole word
+  if (splits.length !== 1) {
+    return [{ text: word, reading }];
+  }
+
+  return splits[0].map((part, idx) => ({ text: surface[idx], reading: part }));
+}
+
+module.exports = {
+  alignReading
+};
@@ -1,8 +1,10 @@
 // This file is the main entry point for the kakasi Node.js library
 "use strict";
 
-const { convertKanjiCompound } = require('./kanji_converter');
-const kanjiDict = require('./kanji_dict').kanjiDict;
+const { CLETTERS, convertKanjiCompound, tailReadings } = require('./kanji_converter');
+const { alignReading } = require('./alignment');
+const { kanaToRomaji, toKatakana } = require('./kana_converter');
+const { DICTIONARY_VERSION, kanjiDict } = require('./kanji_dict');
 const synDict = require('./syn_dict').synDict;
 
 /**
@@ -15,15 +17,37 @@ function normalize(text) {
 }
 
 /**
- * Convert kanji to hiragana
+ * Split text into segments aligned with their readings, and list the
+ * candidate readings of each word matched in the dictionary
+ *
+ * Each segment is one of:
+ * - `kanji`: a kanji (or kanji word that can't be split further) with its hiragana reading
+ * - `okurigana`: kana consumed by a tail match, its reading is the kana itself
+ * - `text`: any other character, its reading is the (normalized) character itself
+ *
+ * Each word is `{ text, start, end, candidates }`, `text` being the match used
+ * (okurigana included) at `text[start:end]`, and `candidates` every reading
+ * considered at that offset as `{ text, reading, score }`, the one used first.
+ * Candidates of shorter matches cover less text than the word.
  * @param {string} text - Input text containing kanji
- * @returns {string} - Text with kanji converted to hiragana
+ * @returns {{ segments: Object[], words: Object[] }} - Aligned segments and matched words
  */
-function kanjiToHiragana(text) {
+function convertText(text) {
   const normalizedText = normalize(text);
-  let result = '';
+  const segments = [];
+  const words = [];
   let i = 0;
 
+  const pushText = idx => {
+    const last = segments[segments.length - 1];
+    if (last && last.kind === 'text') {
+      last.text += text[idx];
+      last.reading += normalizedText[idx];
+    } else {
+      segments.push({ text: text[idx], reading: normalizedText[idx], kind: 'text' });
+    }
+  };
+
   while (i < normalizedText.length) {
     const char = normalizedText[i];
     const code = char.charCodeAt(0);
@@ -31,27 +55,259 @@ function kanjiToHiragana(text) {
     // Check if it's a kanji (CJK Unified Ideographs)
     if (code >= 0x4E00 && code <= 0x9FFF) {
       // Try to convert kanji compound
-      const { reading, count } = convertKanjiCompound(normalizedText.substring(i), kanjiDict);
+      const { reading, count, okurigana, candidates } = convertKanjiCompound(normalizedText.substring(i), kanjiDict);
 
       if (count > 0) {
-        result += reading;
+        const wordLength = count - okurigana.length;
+        const word = text.substring(i, i + wordLength);
+        const wordReading = reading.substring(0, reading.length - okurigana.length);
+
+        alignReading(word, normalizedText.substring(i, i + wordLength), wordReading, kanjiDict).forEach(part => {
+          segments.push({ text: part.text, reading: part.reading, kind: 'kanji' });
+        });
+        if (okurigana) {
+          segments.push({ text: text.substring(i + wordLength, i + count), reading: okurigana, kind: 'okurigana' });
+        }
+        words.push({
+          text: text.substring(i, i + count),
+          start: i,
+          end: i + count,
+          candidates: candidates.map(candidate => ({
+            text: text.substring(i, i + candidate.count),
+            reading: candidate.reading,
+            score: candidate.score
+          }))
+        });
         i += count;
       } else {
         // If no kanji compound found, keep the character as is
-        result += char;
+        pushText(i);
         i += 1;
       }
     } else {
       // Non-kanji character, keep as is
-      result += char;
+      pushText(i);
       i += 1;
     }
   }
 
-  return result;
+  return { segments, words };
+}
+
+/**
+ * Split text into segments aligned with their readings
+ *
+ * Concatenating every `text` gives back the input, and concatenating every
+ * `reading` gives the result of `kanjiToHiragana`. See convertText for the
+ * kinds of segments.
+ * @param {string} text - Input text containing kanji
+ * @returns {{ text: string, reading: string, kind: string }[]} - Aligned segments
+ */
+function kanjiToSegments(text) {
+  return convertText(text).segments;
+}
+
+/**
+ * List the candidate readings of each word of a text, see convertText
+ * @param {string} text - Input text containing kanji
+ * @param {string} [mode='hiragana'] - Output mode of the readings
+ * @returns {{ text: string, start: number, end: number, candidates: Object[] }[]} - Matched words
+ */
+function kanjiToCandidates(text, mode = 'hiragana') {
+  return convertWords(convertText(text).words, mode);
+}
+
+/**
+ * Convert kanji to hiragana
+ * @param {string} text - Input text containing kanji
+ * @returns {string} - Text with kanji converted to hiragana
+ */
+function kanjiToHiragana(text) {
+  return kanjiToSegments(text).map(segment => segment.reading).join('');
+}
+
+/**
+ * Read the kanji run at `text[start:end]` in the context of its sentence
+ *
+ * The kana right after the run is taken into account so that okurigana can
+ * be detected (生きる vs 生まれる). Returned segments cover the run plus the
+ * following character when it was consumed as okurigana.
+ * @param {string} text - The whole sentence or text node
+ * @param {number} start - Offset of the first kanji of the run
+ * @param {number} end - Offset just after the last kanji of the run
+ * @returns {{ reading: string, segments: Object[], words: Object[] }} - Reading of the run including okurigana,
+ *   and the candidate readings of its words with offsets within the run, see convertText
+ */
+function readSpan(text, start, end) {
+  const { segments, words } = convertText(text.substring(start, end + 1));
+  const last = segments[segments.length - 1];
+
+  // Drop the lookahead character unless it was consumed by a match
+  if (end < text.length && last && last.kind === 'text') {
+    last.text = last.text.slice(0, -1);
+    last.reading = last.reading.slice(0, -1);
+    if (!last.text) {
+      segments.pop();
+    }
+  }
+
+  return {
+    reading: segments.map(segment => segment.reading).join(''),
+    segments,
+    words
+  };
+}
+
+// Output modes supported by convertReading
+const MODES = ['hiragana', 'katakana', 'romaji'];
+
+/**
+ * Convert a hiragana reading to the requested output mode
+ * @param {string} reading - Hiragana reading
+ * @param {string} [mode='hiragana'] - One of MODES
+ * @returns {string} - Reading in the requested mode
+ */
+function convertReading(reading, mode = 'hiragana') {
+  switch (mode) {
+    case 'katakana':
+      return toKatakana(reading);
+    case 'romaji':
+      return kanaToRomaji(reading);
+    default:
+      return reading;
+  }
+}
+
+/**
+ * Convert the readings of segments to the requested output mode
+ * @param {Object[]} segments - Segments as returned by kanjiToSegments
+ * @param {string} [mode='hiragana'] - One of MODES
+ * @returns {Object[]} - New segments with converted readings
+ */
+function convertSegments(segments, mode = 'hiragana') {
+  return segments.map(segment => ({ ...segment, reading: convertReading(segment.reading, mode) }));
+}
+
+/**
+ * Convert the candidate readings of words to the requested output mode
+ * @param {Object[]} words - Words as returned by convertText
+ * @param {string} [mode='hiragana'] - One of MODES
+ * @returns {Object[]} - New words with converted candidate readings
+ */
+function convertWords(words, mode = 'hiragana') {
+  return words.map(word => ({
+    ...word,
+    candidates: word.candidates.map(candidate => ({ ...candidate, reading: convertReading(candidate.reading, mode) }))
+  }));
+}
+
+/**
+ * Read every kanji run of each context at the requested offsets
+ * @param {Object[]} contexts - Array of `{ text, spans: [{ start, end }] }`
+ * @param {string} [mode='hiragana'] - Output mode of the readings
+ * @returns {Object[]} Array of `{ spans: [{ start, end, reading, segments, words }] }` in same order as input
+ */
+function readContexts(contexts, mode = 'hiragana') {
+  return contexts.map(context => {
+    const text = context && typeof context.text === 'string' ? context.text : '';
+    const spans = context && Array.isArray(context.spans) ? context.spans : [];
+
+    return {
+      spans: spans.map(span => {
+        const start = Number(span && span.start);
+        const end = Number(span && span.end);
+
+        // Out of range offsets get an empty reading instead of failing the batch
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > text.length || start >= end) {
+          return { start: span && span.start, end: span && span.end, reading: '', segments: [], words: [] };
+        }
+
+        try {
+          const { reading, segments, words } = readSpan(text, start, end);
+          return {
+            start,
+            end,
+            reading: convertReading(reading, mode),
+            segments: convertSegments(segments, mode),
+            words: convertWords(words, mode)
+          };
+        } catch (error) {
+          console.error(`Error processing span ${start}-${end} of "${text}":`, error);
+          return { start, end, reading: '', segments: [], words: [] };
+        }
+      })
+    };
+  });
+}
+
+/**
+ * Get the dictionary readings of a kanji word, by okurigana tail
+ * @param {string} key - Normalized word
+ * @param {string} mode - Output mode of the readings
+ * @returns {{ tail: string, reading: string, frequency: number, okurigana: string[] }[]} - Readings, `okurigana`
+ *   being the kana the tail letter stands for (empty for the reading without okurigana)
+ */
+function getDictReadings(key, mode) {
+  const mapping = Object.prototype.hasOwnProperty.call(kanjiDict, key) ? kanjiDict[key] : {};
+  return Object.keys(mapping).flatMap(tail => tailReadings(mapping[tail]).map(({ reading, frequency }) => ({
+    tail,
+    reading: convertReading(reading, mode),
+    frequency,
+    okurigana: tail ? CLETTERS[tail] || [] : []
+  })));
+}
+
+/**
+ * Look up a word in the dictionaries
+ *
+ * Entries cover the whole word, when the dictionary has it, then each of its kanji.
+ * @param {string} word - Word to look up
+ * @param {string} [mode='hiragana'] - Output mode of the readings
+ * @returns {{ word: string, normalized: string, reading: string, romaji: string, segments: Object[], words: Object[], entries: Object[] }}
+ *   Words are the candidate readings, see convertText. Entries are `{ word, normalized, readings }`, see
+ *   getDictReadings for the readings
+ */
+function lookupWord(word, mode = 'hiragana') {
+  const normalized = normalize(word);
+  const { segments, words } = convertText(word);
+  const reading = segments.map(segment => segment.reading).join('');
+  const chars = [...word];
+  const normalizedChars = [...normalized];
+
+  const entries = [];
+  const seen = new Set();
+  const addEntry = (surface, key) => {
+    const readings = getDictReadings(key, mode);
+    if (!seen.has(key) && readings.length) {
+      seen.add(key);
+      entries.push({ word: surface, normalized: key, readings });
+    }
+  };
+  addEntry(word, normalized);
+  chars.forEach((char, idx) => addEntry(char, normalizedChars[idx] || char));
+
+  return {
+    word,
+    normalized,
+    reading: convertReading(reading, mode),
+    romaji: kanaToRomaji(reading),
+    segments: convertSegments(segments, mode),
+    words: convertWords(words, mode),
+    entries
+  };
 }
 
 module.exports = {
+  DICTIONARY_VERSION,
+  MODES,
+  convertReading,
+  convertSegments,
+  kanaToRomaji,
+  kanjiToCandidates,
   kanjiToHiragana,
+  kanjiToSegments,
+  lookupWord,
+  readContexts,
+  readSpan,
   normalize
 };
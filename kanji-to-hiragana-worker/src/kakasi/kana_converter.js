@@ -0,0 +1,67 @@
+// Conversion of hiragana readings to katakana and Hepburn romaji
+"use strict";
+
+const { hepburnDict, HEPBURN_MAX_KLEN } = require('./hepburn_dict');
+
+// Offset between a hiragana and its katakana in Unicode
+const KATAKANA_OFFSET = 0x60;
+
+/**
+ * Convert hiragana to katakana, leaving other characters untouched
+ * @param {string} text - Input text
+ * @returns {string} - Text with hiragana replaced by katakana
+ */
+function toKatakana(text) {
+  return text.replace(/[ぁ-ゖゝゞ]/g, char => String.fromCharCode(char.charCodeAt(0) + KATAKANA_OFFSET));
+}
+
+/**
+ * Convert katakana to hiragana, leaving other characters untouched
+ * @param {string} text - Input text
+ * @returns {string} - Text with katakana replaced by hiragana
+ */
+function toHiragana(text) {
+  return text.replace(/[ァ-ヶヽヾ]/g, char => String.fromCharCode(char.charCodeAt(0) - KATAKANA_OFFSET));
+}
+
+/**
+ * Convert kana to Hepburn romaji using the longest match in the Hepburn dictionary
+ * @param {string} text - Input text containing hiragana or katakana
+ * @returns {string} - Romanized text, characters without romanization are kept as is
+ */
+function kanaToRomaji(text) {
+  const hiragana = toHiragana(text);
+  let result = '';
+  let i = 0;
+
+  while (i < hiragana.length) {
+    let matched = false;
+    for (let length = Math.min(HEPBURN_MAX_KLEN, hiragana.length - i); length > 0; length--) {
+      const romaji = hepburnDict[hiragana.substr(i, length)];
+      if (romaji !== undefined) {
+        result += romaji;
+        i += length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      // Long vowel mark repeats the previous vowel
+      if (hiragana[i] === 'ー' && /[aeiou]$/.test(result)) {
+        result += result[result.length - 1];
+      } else {
+        result += hiragana[i];
+      }
+      i += 1;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  kanaToRomaji,
+  toHiragana,
+  toKatakana
+};
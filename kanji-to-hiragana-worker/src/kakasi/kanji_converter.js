@@ -1,46 +1,87 @@
-// This file is automatically generated using node-codegen. DO NOT EDIT.
+// Kanji compound conversion ported from kakasi
 "use strict";
+// Weights of the candidate score: every kanji matched counts for 1, so the
+// longest match always wins, then okurigana matching the next kana, then the
+// share of the frequency of the reading among the readings of the same word
+const OKURIGANA_WEIGHT = 0.5;
+const FREQUENCY_WEIGHT = 0.4;
+
+/**
+ * List the readings the dictionary holds for one okurigana tail of a word
+ * @param {string|Array} value - `kanjiDict[word][tail]`: a single reading, or `[reading, frequency]`
+ *   pairs when the word has several readings or a frequency other than 1
+ * @returns {{ reading: string, frequency: number }[]} - Readings in dictionary order
+ */
+function tailReadings(value) {
+  if (!value) {
+    return [];
+  }
+  if (typeof value === "string") {
+    return [{ reading: value, frequency: 1 }];
+  }
+  return value.map(([reading, frequency]) => ({ reading, frequency }));
+}
+
 /**
  * Convert a compound kanji string to its reading using the generated kanji dictionary.
- * This implements advanced (redundant compound) detection logic.
+ * Every reading of every matching prefix is a candidate, scored on the length of the
+ * match, on whether its okurigana tail matches the kana after it, and on its frequency
+ * in the dictionary. The best scoring candidate is used, the first in dictionary order
+ * on a tie.
  * @param {string} text - The input text starting with kanji.
  * @param {Object} kanjiDict - The dictionary mapping (generated in kanji_dict.js).
  * @param {string} [baseText=""] - (Optional) base text context (unused in this implementation).
- * @returns {{ reading: string, count: number }}
+ * @returns {{ reading: string, count: number, okurigana: string, candidates: Object[] }} `okurigana` is the
+ *   trailing kana consumed by a tail match; it is included at the end of both `reading` and the matched text.
+ *   `candidates` are `{ reading, count, okurigana, score }`, best first.
  */
 function convertKanjiCompound(text, kanjiDict, baseText = "") {
-  let finalReading = "";
-  let finalCount = 0;
-  // Iterate over all possible prefixes (greedy matching)
+  const candidates = [];
+  // Iterate over all possible prefixes
   for (let i = 0; i < text.length; i++) {
-    let prefix = text.slice(0, i + 1);
-    if (Object.prototype.hasOwnProperty.call(kanjiDict, prefix)) {
-      let mapping = kanjiDict[prefix];
-      // Default candidate reading from the empty key.
-      let candidate = mapping[""] || null;
-      let candidateCount = i + 1;
-      // If the next character exists, check for a tail mapping.
-      if (i + 1 < text.length) {
-        let nextChar = text[i + 1];
-        for (let key in mapping) {
-          if (key !== "" && key.length === 1 && Object.prototype.hasOwnProperty.call(CLETTERS, key)) {
-            if (CLETTERS[key].includes(nextChar)) {
-              candidate = mapping[key] + nextChar;
-              candidateCount = i + 2;
-              break;
-            }
-          }
+    const prefix = text.slice(0, i + 1);
+    if (!Object.prototype.hasOwnProperty.call(kanjiDict, prefix)) {
+      break;
+    }
+
+    const mapping = kanjiDict[prefix];
+    const nextChar = i + 1 < text.length ? text[i + 1] : "";
+    const found = [];
+    for (const key in mapping) {
+      // Tail readings only apply when the next kana is one of the tail letter's
+      let okurigana = "";
+      if (key !== "") {
+        if (key.length !== 1 || !Object.prototype.hasOwnProperty.call(CLETTERS, key) || !CLETTERS[key].includes(nextChar)) {
+          continue;
         }
+        okurigana = nextChar;
       }
-      if (candidate !== null) {
-        finalReading = candidate;
-        finalCount = candidateCount;
-      }
-    } else {
-      break;
+
+      tailReadings(mapping[key]).forEach(({ reading, frequency }) => {
+        // Tails sharing a kana (e.g. 会っ from "u" and "t") give the same reading
+        const same = found.find(candidate => candidate.reading === reading + okurigana);
+        if (same) {
+          same.frequency += frequency;
+        } else {
+          found.push({ reading: reading + okurigana, count: i + 1 + okurigana.length, okurigana, frequency });
+        }
+      });
     }
+
+    const total = found.reduce((sum, candidate) => sum + candidate.frequency, 0);
+    found.forEach(({ reading, count, okurigana, frequency }) => {
+      const score = i + 1 + (okurigana ? OKURIGANA_WEIGHT : 0) + FREQUENCY_WEIGHT * frequency / total;
+      candidates.push({ reading, count, okurigana, score: Math.round(score * 100) / 100 });
+    });
+  }
+
+  // Best first, the sort being stable keeps the dictionary order on a tie
+  candidates.sort((a, b) => b.score - a.score);
+  if (!candidates.length) {
+    return { reading: "", count: 0, okurigana: "", candidates };
   }
-  return { reading: finalReading, count: finalCount };
+  const { reading, count, okurigana } = candidates[0];
+  return { reading, count, okurigana, candidates };
 }
 
 const CLETTERS = {
@@ -199,5 +240,7 @@ const CLETTERS = {
 };
 
 module.exports = {
-  convertKanjiCompound
+  CLETTERS,
+  convertKanjiCompound,
+  tailReadings
 };
@@ -0,0 +1,498 @@
+// This file is automatically generated by scripts/codegen.js. DO NOT EDIT.
+"use strict";
+module.exports = {
+  "DICTIONARY_VERSION": "50ccd9e228a6",
+  "kanjiDict": {
+    "世": {
+      "": "せ"
+    },
+    "世界": {
+      "": "せかい"
+    },
+    "中": {
+      "": "ちゅう"
+    },
+    "中国": {
+      "": "ちゅうごく"
+    },
+    "中国大": {},
+    "中国大陸": {
+      "": "ちゅうごくたいりく"
+    },
+    "中国語": {
+      "": "ちゅうごくご"
+    },
+    "事": {
+      "": "こと"
+    },
+    "人": {
+      "": [
+        [
+          "ひと",
+          1
+        ],
+        [
+          "じん",
+          1
+        ]
+      ]
+    },
+    "人々": {
+      "": "ひとびと"
+    },
+    "人間": {
+      "": "にんげん"
+    },
+    "今": {
+      "": "いま"
+    },
+    "今年": {
+      "": "ことし"
+    },
+    "今日": {
+      "": [
+        [
+          "きょう",
+          1
+        ],
+        [
+          "こんにち",
+          1
+        ]
+      ]
+    },
+    "仕": {
+      "": "し"
+    },
+    "仕事": {
+      "": "しごと"
+    },
+    "以": {
+      "": "い"
+    },
+    "以前": {
+      "": "いぜん"
+    },
+    "会": {
+      "u": "あ",
+      "t": "あ",
+      "": "かい"
+    },
+    "会社": {
+      "": "かいしゃ"
+    },
+    "伝": {
+      "": "でん"
+    },
+    "伝来": {
+      "": "でんらい"
+    },
+    "作": {
+      "r": "つく"
+    },
+    "供": {
+      "": "とも"
+    },
+    "先": {
+      "": "せん"
+    },
+    "先生": {
+      "": "せんせい"
+    },
+    "入": {
+      "r": "はい"
+    },
+    "出": {
+      "r": "で"
+    },
+    "分": {
+      "r": "わか"
+    },
+    "前": {
+      "": "ぜん"
+    },
+    "勉": {
+      "": "べん"
+    },
+    "勉強": {
+      "": "べんきょう"
+    },
+    "動": {
+      "": "どう"
+    },
+    "化": {
+      "": "か"
+    },
+    "友": {
+      "": "ゆう"
+    },
+    "友達": {
+      "": "ともだち"
+    },
+    "古": {
+      "i": "ふる"
+    },
+    "史": {
+      "": "し"
+    },
+    "固": {
+      "": "こ"
+    },
+    "固有": {
+      "": "こゆう"
+    },
+    "国": {
+      "": "こく"
+    },
+    "基": {
+      "d": "もと"
+    },
+    "大": {
+      "k": "おお",
+      "": "たい"
+    },
+    "大人": {
+      "": "おとな"
+    },
+    "大陸": {
+      "": "たいりく"
+    },
+    "天": {
+      "": "てん"
+    },
+    "天気": {
+      "": "てんき"
+    },
+    "始": {
+      "m": "はじ"
+    },
+    "子": {
+      "": "こ"
+    },
+    "子供": {
+      "": "こども"
+    },
+    "字": {
+      "": "じ"
+    },
+    "学": {
+      "b": "まな",
+      "": "がく"
+    },
+    "学校": {
+      "": "がっこう"
+    },
+    "学生": {
+      "": "がくせい"
+    },
+    "安": {
+      "i": "やす"
+    },
+    "家": {
+      "": "いえ"
+    },
+    "小": {
+      "s": "ちい"
+    },
+    "帰": {
+      "r": "かえ"
+    },
+    "年": {
+      "": "とし"
+    },
+    "強": {
+      "": "きょう"
+    },
+    "当": {
+      "": "とう"
+    },
+    "当然": {
+      "": "とうぜん"
+    },
+    "思": {
+      "w": "おも"
+    },
+    "政": {
+      "": "せい"
+    },
+    "政治": {
+      "": "せいじ"
+    },
+    "文": {
+      "": [
+        [
+          "ぶん",
+          1
+        ],
+        [
+          "も",
+          1
+        ]
+      ]
+    },
+    "文化": {
+      "": "ぶんか"
+    },
+    "文字": {
+      "": "もじ"
+    },
+    "新": {
+      "s": "あたら",
+      "": "しん"
+    },
+    "新聞": {
+      "": "しんぶん"
+    },
+    "旅": {
+      "": "りょ"
+    },
+    "旅行": {
+      "": "りょこう"
+    },
+    "日": {
+      "": "ひ"
+    },
+    "日本": {
+      "": [
+        [
+          "にほん",
+          1
+        ],
+        [
+          "にっぽん",
+          1
+        ]
+      ]
+    },
+    "日本語": {
+      "": "にほんご"
+    },
+    "明": {
+      "": "あ"
+    },
+    "明日": {
+      "": "あした"
+    },
+    "映": {
+      "": "えい"
+    },
+    "映画": {
+      "": "えいが"
+    },
+    "昨": {
+      "": "さく"
+    },
+    "昨日": {
+      "": "きのう"
+    },
+    "時": {
+      "": "じ"
+    },
+    "時間": {
+      "": "じかん"
+    },
+    "書": {
+      "k": "か",
+      "": "しょ"
+    },
+    "書記": {},
+    "書記法": {
+      "": "しょきほう"
+    },
+    "有": {
+      "": "ゆう"
+    },
+    "本": {
+      "": "ほん"
+    },
+    "来": {
+      "r": "く",
+      "": "らい"
+    },
+    "校": {
+      "": "こう"
+    },
+    "楽": {
+      "": "がく"
+    },
+    "構": {
+      "": "こう"
+    },
+    "構文": {
+      "": "こうぶん"
+    },
+    "歴": {
+      "": "れき"
+    },
+    "歴史": {
+      "": "れきし"
+    },
+    "気": {
+      "": "き"
+    },
+    "治": {
+      "": "じ"
+    },
+    "法": {
+      "": "ほう"
+    },
+    "注": {
+      "": "ちゅう"
+    },
+    "済": {
+      "": "ざい"
+    },
+    "漢": {
+      "": "かん"
+    },
+    "漢字": {
+      "": "かんじ"
+    },
+    "漢文": {
+      "": "かんぶん"
+    },
+    "漢文訓": {},
+    "漢文訓読": {
+      "": "かんぶんくんどく"
+    },
+    "然": {
+      "": "ぜん"
+    },
+    "理": {
+      "": "り"
+    },
+    "理解": {
+      "": "りかい"
+    },
+    "生": {
+      "k": "い",
+      "m": "う",
+      "r": "うま",
+      "": "せい"
+    },
+    "画": {
+      "": "が"
+    },
+    "界": {
+      "": "かい"
+    },
+    "異": {
+      "n": "こと"
+    },
+    "知": {
+      "r": "し"
+    },
+    "社": {
+      "": "しゃ"
+    },
+    "社会": {
+      "": "しゃかい"
+    },
+    "経": {
+      "": "けい"
+    },
+    "経済": {
+      "": "けいざい"
+    },
+    "聞": {
+      "k": "き",
+      "": "ぶん"
+    },
+    "自": {
+      "": "じ"
+    },
+    "自動": {},
+    "自動車": {
+      "": "じどうしゃ"
+    },
+    "葉": {
+      "": "は"
+    },
+    "行": {
+      "k": "い",
+      "": "こう"
+    },
+    "見": {
+      "r": "み",
+      "n": "み",
+      "t": "み"
+    },
+    "解": {
+      "": "かい"
+    },
+    "言": {
+      "": "げん"
+    },
+    "言葉": {
+      "": "ことば"
+    },
+    "言語": {
+      "": "げんご"
+    },
+    "訓": {
+      "": "くん"
+    },
+    "訓読": {
+      "": "くんどく"
+    },
+    "記": {
+      "s": "しる",
+      "": "き"
+    },
+    "話": {
+      "s": "はな"
+    },
+    "語": {
+      "": "ご"
+    },
+    "読": {
+      "m": "よ",
+      "": "どく"
+    },
+    "車": {
+      "": "しゃ"
+    },
+    "送": {
+      "r": "おく"
+    },
+    "達": {
+      "": "たつ"
+    },
+    "長": {
+      "i": "なが"
+    },
+    "間": {
+      "": "かん"
+    },
+    "陸": {
+      "": "りく"
+    },
+    "電": {
+      "": "でん"
+    },
+    "電車": {
+      "": "でんしゃ"
+    },
+    "音": {
+      "": "おん"
+    },
+    "音楽": {
+      "": "おんがく"
+    },
+    "音韻": {
+      "": "おんいん"
+    },
+    "韻": {
+      "": "いん"
+    },
+    "食": {
+      "r": "たべ"
+    },
+    "飲": {
+      "m": "の"
+    },
+    "高": {
+      "i": "たか"
+    }
+  }
+};
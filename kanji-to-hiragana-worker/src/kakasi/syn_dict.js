@@ -1,4 +1,4 @@
-// This file is automatically generated using node-codegen. DO NOT EDIT.
+// This file is automatically generated by scripts/codegen.js. DO NOT EDIT.
 "use strict";
 module.exports = {
   "synDict": {
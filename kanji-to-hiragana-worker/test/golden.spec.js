@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { kanjiToHiragana, kanjiToSegments } from '../src/kakasi';
+import corpus from './golden/corpus.json';
+
+// Sentences with their expected readings. When a dictionary change alters one
+// of them on purpose, update the corpus in the same change.
+describe('golden corpus', () => {
+	it.each(corpus)('reads $text', ({ text, reading }) => {
+		expect(kanjiToHiragana(text)).toBe(reading);
+	});
+
+	it.each(corpus)('aligns segments of $text', ({ text, reading }) => {
+		const segments = kanjiToSegments(text);
+		expect(segments.map(segment => segment.text).join('')).toBe(text);
+		expect(segments.map(segment => segment.reading).join('')).toBe(reading);
+	});
+});
@@ -1,20 +1,258 @@
 import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
-import worker from '../src';
+import { describe, it, expect, vi } from 'vitest';
+import worker, { processBatch } from '../src';
+import { DICTIONARY_VERSION } from '../src/kakasi';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
+/**
+ * Send a JSON POST request to the worker
+ * @param {Object} body - Request body
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Response>}
+ */
+function post(body, headers = {}) {
+	return SELF.fetch('http://example.com', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', ...headers },
+		body: JSON.stringify(body),
+	});
+}
+
+describe('kanji to hiragana worker', () => {
+	it('converts text from a GET request (unit style)', async () => {
+		const request = new Request(`http://example.com/?text=${encodeURIComponent('日本語')}`);
 		// Create an empty context to pass to `worker.fetch()`.
 		const ctx = createExecutionContext();
 		const response = await worker.fetch(request, env, ctx);
 		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
 		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ data: 'にほんご' });
+	});
+
+	it('converts text from a GET request (integration style)', async () => {
+		const response = await SELF.fetch(`http://example.com/?text=${encodeURIComponent('漢字\n文字')}`);
+		expect(await response.json()).toEqual({ data: 'かんじ\nもじ' });
+	});
+
+	it('rejects a GET request without text', async () => {
+		const response = await SELF.fetch('http://example.com/');
+		expect(response.status).toBe(400);
+		expect(await response.json()).toEqual({ error: 'Text parameter is required' });
+	});
+
+	it('answers preflight requests with CORS headers', async () => {
+		const response = await SELF.fetch('http://example.com/', { method: 'OPTIONS' });
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+		expect(response.headers.get('Access-Control-Allow-Methods')).toBe('GET, POST, OPTIONS');
+		expect(await response.text()).toBe('');
+	});
+
+	it('rejects other methods', async () => {
+		const response = await SELF.fetch('http://example.com/', { method: 'PUT', body: '{}' });
+		expect(response.status).toBe(405);
+		expect(await response.json()).toEqual({ error: 'Method not allowed' });
+	});
+
+	it('converts an array of texts in order', async () => {
+		const response = await post({ texts: ['漢字', '日本', '漢字'] });
+		expect(await response.json()).toEqual({ data: 'かんじ\nにほん\nかんじ' });
+	});
+
+	it('includes segments when requested', async () => {
+		const response = await post({ texts: ['送る'], segments: true });
+		expect(await response.json()).toEqual({
+			data: 'おくる',
+			segments: [
+				[
+					{ text: '送', reading: 'おく', kind: 'kanji' },
+					{ text: 'る', reading: 'る', kind: 'okurigana' },
+				],
+			],
+		});
+	});
+
+	it('rejects a POST request without text', async () => {
+		const response = await post({});
+		expect(response.status).toBe(400);
+		expect(await response.json()).toEqual({ error: 'Text, texts or contexts array is required' });
+	});
+
+	it('rejects a POST request with only blank texts', async () => {
+		const response = await post({ texts: ['', 1] });
+		expect(response.status).toBe(400);
+		expect(await response.json()).toEqual({ error: 'No valid text phrases provided' });
+	});
+
+	it('fails on a malformed body', async () => {
+		const response = await SELF.fetch('http://example.com/', { method: 'POST', body: '{' });
+		expect(response.status).toBe(500);
+		expect(await response.json()).toHaveProperty('error');
+	});
+
+	it('rejects an unknown mode', async () => {
+		const response = await post({ texts: ['漢字'], mode: 'cyrillic' });
+		expect(response.status).toBe(400);
+		expect(await response.json()).toEqual({ error: 'Mode must be one of hiragana, katakana, romaji' });
+	});
+
+	it('converts to katakana and romaji', async () => {
+		expect(await (await post({ texts: ['日本語'], mode: 'katakana' })).json()).toEqual({ data: 'ニホンゴ' });
+		expect(await (await post({ texts: ['日本語'], mode: 'romaji' })).json()).toEqual({ data: 'nihongo' });
+	});
+
+	it('reads kanji runs within their context', async () => {
+		const response = await post({ contexts: [{ text: '生きる。生まれる', spans: [{ start: 0, end: 1 }, { start: 4, end: 5 }, { start: 9, end: 12 }] }] });
+		const { contexts } = await response.json();
+		expect(contexts[0].spans.map(span => span.reading)).toEqual(['いき', 'うま', '']);
+	});
+
+	describe('structured response', () => {
+		it('is returned when requested with the version field', async () => {
+			const response = await post({ texts: ['送る', '', '漢字'], version: 2 });
+			expect(await response.json()).toEqual({
+				version: 2,
+				dictionary: DICTIONARY_VERSION,
+				results: [
+					{
+						input: '送る',
+						reading: 'おくる',
+						segments: [
+							{ text: '送', reading: 'おく', kind: 'kanji' },
+							{ text: 'る', reading: 'る', kind: 'okurigana' },
+						],
+						words: [{ text: '送る', start: 0, end: 2, candidates: [{ text: '送る', reading: 'おくる', score: 1.9 }] }],
+						source: 'kakasi',
+					},
+					{ input: '', reading: '', segments: [], words: [], source: 'kakasi' },
+					{
+						input: '漢字',
+						reading: 'かんじ',
+						segments: [
+							{ text: '漢', reading: 'かん', kind: 'kanji' },
+							{ text: '字', reading: 'じ', kind: 'kanji' },
+						],
+						words: [{
+							text: '漢字',
+							start: 0,
+							end: 2,
+							candidates: [{ text: '漢字', reading: 'かんじ', score: 2.4 }, { text: '漢', reading: 'かん', score: 1.4 }],
+						}],
+						source: 'kakasi',
+					},
+				],
+			});
+		});
+
+		it('is returned when requested with the Accept header and keeps blank lines', async () => {
+			const response = await SELF.fetch(`http://example.com/?text=${encodeURIComponent('日本\n\n漢字')}`, {
+				headers: { Accept: 'application/vnd.kanji-terminator.v2+json' },
+			});
+			const json = await response.json();
+			expect(json.version).toBe(2);
+			expect(json.results.map(result => [result.input, result.reading])).toEqual([
+				['日本', 'にほん'],
+				['', ''],
+				['漢字', 'かんじ'],
+			]);
+		});
+
+		it('lists context results in span order', async () => {
+			const response = await post({
+				contexts: [
+					{ text: '漢字を送る', spans: [{ start: 0, end: 2 }, { start: 3, end: 4 }] },
+					{ text: '日本', spans: [{ start: 0, end: 2 }] },
+				],
+				version: 2,
+			});
+			const json = await response.json();
+			expect(json.dictionary).toBe(DICTIONARY_VERSION);
+			expect(json.results.map(({ input, reading, context, start, end }) => ({ input, reading, context, start, end }))).toEqual([
+				{ input: '漢字', reading: 'かんじ', context: 0, start: 0, end: 2 },
+				{ input: '送', reading: 'おくる', context: 0, start: 3, end: 4 },
+				{ input: '日本', reading: 'にほん', context: 1, start: 0, end: 2 },
+			]);
+		});
+
+		it('lists the candidate readings of ambiguous words', async () => {
+			const response = await post({ contexts: [{ text: '今日は晴れ', spans: [{ start: 0, end: 2 }] }], mode: 'katakana', version: 2 });
+			const [result] = (await response.json()).results;
+			expect(result.reading).toBe('キョウ');
+			expect(result.words).toEqual([{
+				text: '今日',
+				start: 0,
+				end: 2,
+				candidates: [
+					{ text: '今日', reading: 'キョウ', score: 2.2 },
+					{ text: '今日', reading: 'コンニチ', score: 2.2 },
+					{ text: '今', reading: 'イマ', score: 1.4 },
+				],
+			}]);
+		});
+
+		it('rejects empty or invalid texts like version 1', async () => {
+			for (const texts of [[], ['', 1], '漢字']) {
+				const response = await post({ texts, version: 2 });
+				expect(response.status).toBe(400);
+				expect(await response.json()).toEqual({ error: 'No valid text phrases provided' });
+			}
+		});
+
+		it('rejects an unsupported version', async () => {
+			const response = await post({ texts: ['漢字'], version: 3 });
+			expect(response.status).toBe(400);
+			expect(await response.json()).toEqual({ error: 'Version must be 1 or 2' });
+		});
+	});
+});
+
+describe('lookup endpoint', () => {
+	it('returns the dictionary entries of a word', async () => {
+		const response = await SELF.fetch(`http://example.com/lookup?word=${encodeURIComponent('會社')}`);
+		expect(response.status).toBe(200);
+		const json = await response.json();
+		expect(json).toMatchObject({ version: 2, word: '會社', normalized: '会社', source: 'kakasi' });
+		expect(json.entries.map(entry => entry.normalized)).toContain('会');
+	});
+
+	it('rejects a lookup without a word', async () => {
+		const response = await SELF.fetch('http://example.com/lookup');
+		expect(response.status).toBe(400);
+		expect(await response.json()).toEqual({ error: 'Word parameter is required' });
+	});
+
+	it('rejects other methods', async () => {
+		const response = await SELF.fetch('http://example.com/lookup', { method: 'POST', body: '{}' });
+		expect(response.status).toBe(405);
+	});
+});
+
+describe('processBatch', () => {
+	it('keeps the order of the input and converts duplicates once', () => {
+		const calls = [];
+		const results = processBatch(['b', 'a', 'b', 'c'], phrase => {
+			calls.push(phrase);
+			return phrase.toUpperCase();
+		});
+		expect(results).toEqual(['B', 'A', 'B', 'C']);
+		expect(calls).toEqual(['b', 'a', 'c']);
+	});
+
+	it('keeps the order across chunks', () => {
+		const phrases = Array.from({ length: 45 }, (_, idx) => `phrase ${idx}`);
+		expect(processBatch(phrases, phrase => phrase.length)).toEqual(phrases.map(phrase => phrase.length));
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('returns an empty string for failed conversions', () => {
+		const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const results = processBatch(['ok', 'fail'], phrase => {
+			if (phrase === 'fail') {
+				throw new Error('failed');
+			}
+			return phrase;
+		});
+		expect(results).toEqual(['ok', '']);
+		expect(consoleError).toHaveBeenCalledOnce();
+		consoleError.mockRestore();
 	});
 });
@@ -0,0 +1,240 @@
+import { describe, it, expect } from 'vitest';
+import { convertReading, kanaToRomaji, kanjiToCandidates, kanjiToHiragana, kanjiToSegments, lookupWord, normalize, readSpan } from '../src/kakasi';
+import { convertKanjiCompound } from '../src/kakasi/kanji_converter';
+import { alignReading } from '../src/kakasi/alignment';
+import { synDict } from '../src/kakasi/syn_dict';
+
+// Small dictionary in the shape generated into kanji_dict.js
+const kanjiDict = {
+	中: { '': 'なか' },
+	中国: { '': 'ちゅうごく' },
+	中国大: {},
+	中国大陸: { '': 'ちゅうごくたいりく' },
+	生: { '': 'せい', k: 'い', m: 'う' },
+	送: { r: 'おく' },
+	学: { '': 'がく' },
+	校: { '': 'こう' },
+	今: { '': 'いま' },
+	日: { '': 'ひ' },
+	日本: { '': [['にほん', 3], ['にっぽん', 1]] },
+};
+
+/**
+ * Convert a compound, leaving out the candidates
+ * @param {string} text - Text starting with kanji
+ * @returns {{ reading: string, count: number, okurigana: string }} - Reading used
+ */
+function convert(text) {
+	const { reading, count, okurigana } = convertKanjiCompound(text, kanjiDict);
+	return { reading, count, okurigana };
+}
+
+describe('normalize', () => {
+	it('replaces kanji variants using synDict', () => {
+		const [variant, normalized] = Object.entries(synDict)[0];
+		expect(normalize(`${variant}と${variant}`)).toBe(`${normalized}と${normalized}`);
+	});
+
+	it('keeps characters without variants', () => {
+		expect(normalize('日本語です')).toBe('日本語です');
+	});
+
+	it('maps old forms to their modern form', () => {
+		expect(normalize('會')).toBe('会');
+		expect(normalize('佛')).toBe('仏');
+	});
+});
+
+describe('convertKanjiCompound', () => {
+	it('matches the longest prefix in the dictionary', () => {
+		expect(convert('中国大陸から')).toEqual({ reading: 'ちゅうごくたいりく', count: 4, okurigana: '' });
+		expect(convert('中国語')).toEqual({ reading: 'ちゅうごく', count: 2, okurigana: '' });
+	});
+
+	it('falls back to a shorter match when a longer prefix has no reading', () => {
+		expect(convert('中国大学')).toEqual({ reading: 'ちゅうごく', count: 2, okurigana: '' });
+	});
+
+	it('reads okurigana from the tail letter of the next kana', () => {
+		expect(convert('生きる')).toEqual({ reading: 'いき', count: 2, okurigana: 'き' });
+		expect(convert('生まれる')).toEqual({ reading: 'うま', count: 2, okurigana: 'ま' });
+		expect(convert('送る')).toEqual({ reading: 'おくる', count: 2, okurigana: 'る' });
+	});
+
+	it('uses the reading without okurigana when no tail matches', () => {
+		expect(convert('生の')).toEqual({ reading: 'せい', count: 1, okurigana: '' });
+	});
+
+	it('returns nothing for words only known with okurigana', () => {
+		expect(convert('送')).toEqual({ reading: '', count: 0, okurigana: '' });
+	});
+
+	it('returns nothing for unknown kanji', () => {
+		expect(convert('魑魅')).toEqual({ reading: '', count: 0, okurigana: '' });
+		expect(convertKanjiCompound('魑魅', kanjiDict).candidates).toEqual([]);
+	});
+
+	it('scores every candidate on its length, okurigana and frequency', () => {
+		expect(convertKanjiCompound('日本', kanjiDict).candidates).toEqual([
+			{ reading: 'にほん', count: 2, okurigana: '', score: 2.3 },
+			{ reading: 'にっぽん', count: 2, okurigana: '', score: 2.1 },
+			{ reading: 'ひ', count: 1, okurigana: '', score: 1.4 },
+		]);
+		expect(convertKanjiCompound('生きる', kanjiDict).candidates).toEqual([
+			{ reading: 'いき', count: 2, okurigana: 'き', score: 1.7 },
+			{ reading: 'せい', count: 1, okurigana: '', score: 1.2 },
+		]);
+	});
+
+	it('uses the most frequent reading, the first one on a tie', () => {
+		expect(convert('日本')).toEqual({ reading: 'にほん', count: 2, okurigana: '' });
+		const dict = { 日: {}, 日本: { '': [['にほん', 1], ['にっぽん', 2]] } };
+		expect(convertKanjiCompound('日本', dict).reading).toBe('にっぽん');
+		dict.日本[''][1][1] = 1;
+		expect(convertKanjiCompound('日本', dict).reading).toBe('にほん');
+	});
+});
+
+describe('alignReading', () => {
+	it('splits a compound reading per kanji', () => {
+		expect(alignReading('学校', '学校', 'がくこう', kanjiDict)).toEqual([
+			{ text: '学', reading: 'がく' },
+			{ text: '校', reading: 'こう' },
+		]);
+	});
+
+	it('handles gemination and rendaku', () => {
+		expect(alignReading('学校', '学校', 'がっこう', kanjiDict)).toEqual([
+			{ text: '学', reading: 'がっ' },
+			{ text: '校', reading: 'こう' },
+		]);
+		expect(alignReading('日々', '日々', 'ひび', kanjiDict)).toEqual([
+			{ text: '日', reading: 'ひ' },
+			{ text: '々', reading: 'び' },
+		]);
+	});
+
+	it('keeps readings that cannot be split over the whole word', () => {
+		expect(alignReading('今日', '今日', 'きょう', kanjiDict)).toEqual([{ text: '今日', reading: 'きょう' }]);
+	});
+});
+
+describe('kanjiToSegments', () => {
+	it('covers the whole input', () => {
+		const text = '日本に漢字が伝来する以前、魑魅';
+		const segments = kanjiToSegments(text);
+		expect(segments.map(segment => segment.text).join('')).toBe(text);
+		expect(segments.map(segment => segment.reading).join('')).toBe(kanjiToHiragana(text));
+	});
+
+	it('separates okurigana from the kanji reading', () => {
+		expect(kanjiToSegments('送る')).toEqual([
+			{ text: '送', reading: 'おく', kind: 'kanji' },
+			{ text: 'る', reading: 'る', kind: 'okurigana' },
+		]);
+	});
+
+	it('keeps the original characters of normalized kanji', () => {
+		expect(kanjiToSegments('會').map(segment => segment.text)).toEqual(['會']);
+	});
+});
+
+describe('readSpan', () => {
+	it('uses the kana after the run to read okurigana', () => {
+		expect(readSpan('生きる', 0, 1).reading).toBe('いき');
+		expect(readSpan('生まれる', 0, 1).reading).toBe('うま');
+	});
+
+	it('does not include the character after the run', () => {
+		expect(readSpan('漢字が', 0, 2)).toEqual({
+			reading: 'かんじ',
+			segments: [
+				{ text: '漢', reading: 'かん', kind: 'kanji' },
+				{ text: '字', reading: 'じ', kind: 'kanji' },
+			],
+			words: [{
+				text: '漢字',
+				start: 0,
+				end: 2,
+				candidates: [{ text: '漢字', reading: 'かんじ', score: 2.4 }, { text: '漢', reading: 'かん', score: 1.4 }],
+			}],
+		});
+	});
+});
+
+describe('kanjiToCandidates', () => {
+	it('lists the candidate readings of each word, the one used first', () => {
+		expect(kanjiToCandidates('今日は日本')).toEqual([
+			{
+				text: '今日',
+				start: 0,
+				end: 2,
+				candidates: [
+					{ text: '今日', reading: 'きょう', score: 2.2 },
+					{ text: '今日', reading: 'こんにち', score: 2.2 },
+					{ text: '今', reading: 'いま', score: 1.4 },
+				],
+			},
+			{
+				text: '日本',
+				start: 3,
+				end: 5,
+				candidates: [
+					{ text: '日本', reading: 'にほん', score: 2.2 },
+					{ text: '日本', reading: 'にっぽん', score: 2.2 },
+					{ text: '日', reading: 'ひ', score: 1.4 },
+				],
+			},
+		]);
+	});
+
+	it('converts the candidates to the requested mode', () => {
+		expect(kanjiToCandidates('今日', 'romaji')[0].candidates.map(candidate => candidate.reading)).toEqual(['kyou', 'konnichi', 'ima']);
+	});
+});
+
+describe('lookupWord', () => {
+	it('lists the entries of the word and of each kanji', () => {
+		const result = lookupWord('日本');
+		expect(result).toMatchObject({ word: '日本', normalized: '日本', reading: 'にほん', romaji: 'nihon' });
+		expect(result.entries.map(entry => entry.word)).toEqual(['日本', '日', '本']);
+		expect(result.entries[0].readings).toEqual([
+			{ tail: '', reading: 'にほん', frequency: 1, okurigana: [] },
+			{ tail: '', reading: 'にっぽん', frequency: 1, okurigana: [] },
+		]);
+		expect(result.words[0].candidates.map(candidate => candidate.reading)).toEqual(['にほん', 'にっぽん', 'ひ']);
+	});
+
+	it('normalizes variants and lists the okurigana of each tail', () => {
+		const result = lookupWord('會う');
+		expect(result.normalized).toBe('会う');
+		expect(result.reading).toBe('あう');
+		expect(result.entries).toHaveLength(1);
+		expect(result.entries[0]).toMatchObject({ word: '會', normalized: '会' });
+		expect(result.entries[0].readings).toContainEqual({ tail: 'u', reading: 'あ', frequency: 1, okurigana: ['う', 'ぅ', 'っ'] });
+		expect(result.entries[0].readings).toContainEqual({ tail: '', reading: 'かい', frequency: 1, okurigana: [] });
+	});
+
+	it('converts the readings to the requested mode', () => {
+		const result = lookupWord('漢字', 'katakana');
+		expect(result.reading).toBe('カンジ');
+		expect(result.romaji).toBe('kanji');
+		expect(result.entries[0].readings[0].reading).toBe('カンジ');
+	});
+});
+
+describe('convertReading', () => {
+	it('converts to katakana', () => {
+		expect(convertReading('がっこう', 'katakana')).toBe('ガッコウ');
+	});
+
+	it('converts to romaji', () => {
+		expect(convertReading('がっこう', 'romaji')).toBe('gakkou');
+		expect(kanaToRomaji('きょう')).toBe('kyou');
+		expect(kanaToRomaji('カード')).toBe('kaado');
+	});
+
+	it('keeps hiragana by default', () => {
+		expect(convertReading('がっこう')).toBe('がっこう');
+	});
+});
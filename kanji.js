@@ -10,417 +10,5141 @@
 // @grant       GM_addStyle
 // @grant       GM_setValue
 // @grant       GM_getValue
+// @grant       GM_deleteValue
+// @grant       GM_addValueChangeListener
 // @grant       GM_registerMenuCommand
+// @grant       unsafeWindow
+// @require     https://raw.githubusercontent.com/tizee-tampermonkey-scripts/tampermonkey-kanji-terminator/main/kakasi.js
 // @version     1.1
 // ==/UserScript==
-(function() {
-    // Configuration constants
-    const CONFIG = {
-        RESOLVER_KEY: "KANJI_API",
-        CACHE_KEY: "kanji-terminator-caches",
-        MAX_CACHE_SIZE: 500,
-        DEBOUNCE_DELAY: 500,
-        CHUNK_SIZE: 200,
-        EXCLUDED_TAGS: {
-            ruby: true,
-            script: true,
-            select: true,
-            textarea: true,
-            input: true,
+// This file is automatically generated from src/ by scripts/build.js. DO NOT EDIT.
+(function () {
+  var definitions = {
+  "./api": function (module, exports, require) {
+// Conversion of the queued kanji
+
+const { CONFIG } = require("./config");
+const { CacheService } = require("./cache");
+const { DOMHandler } = require("./dom");
+const { Backends } = require("./backends");
+const { LearningHistory } = require("./history");
+const { getElapsedTime, startTimer } = require("./utils");
+
+/**
+ * Handles API communication for kanji conversion
+ */
+const APIService = {
+    inFlight: new Map(), // Cache keys of the kanji runs being converted, to the promise of their conversion
+    unresolved: new Set(), // Cache keys a backend answered without a reading for, not requested again
+    failed: new Map(), // Cache keys no backend answered for, to the time they failed at
+
+    /**
+     * Process all queued kanji
+     * @returns {Promise<void>}
+     */
+    async processQueue() {
+        const queue = DOMHandler.queue;
+        const requests = [];
+        let chunk = [];
+        let kanjiCount = 0;
+        startTimer();
+
+        // Process each kanji in the queue
+        for (let kanji in queue) {
+            kanjiCount++;
+
+            // Use cached reading if available
+            if (CacheService.has(kanji)) {
+                DOMHandler.updateRubyFromCache(kanji);
+                continue;
+            }
+
+            // Skip kanji already being converted or that can't be
+            if (this.inFlight.has(kanji) || this.unresolved.has(kanji)) {
+                continue;
+            }
+            // Give the backends that failed on a kanji some time before requesting it again
+            if (this.failed.has(kanji)) {
+                if (Date.now() - this.failed.get(kanji) < CONFIG.FAILED_RETRY_DELAY) {
+                    continue;
+                }
+                this.failed.delete(kanji);
+            }
+
+            // Show the user's correction while a backend resolves the run
+            DOMHandler.updateRubyFromCache(kanji);
+
+            // Add to current chunk
+            chunk.push(kanji);
+
+            // Process chunk when it reaches max size
+            if (chunk.length >= CONFIG.CHUNK_SIZE) {
+                requests.push(this.convertToHiragana(chunk));
+                chunk = [];
+            }
+        }
+
+        // Process remaining kanji
+        if (chunk.length) {
+            requests.push(this.convertToHiragana(chunk));
+        }
+
+        // Log statistics
+        if (kanjiCount) {
+            console.debug(
+                getElapsedTime(),
+                "ms Kanji Terminator:",
+                kanjiCount,
+                "Kanji converted in",
+                requests.length,
+                "requests, frame",
+                window.location.href
+            );
+        }
+
+        // Save updated cache once the readings arrived, even those of the
+        // requests that failed half way
+        const outcomes = await Promise.allSettled(requests);
+        outcomes.forEach(outcome => {
+            if (outcome.status === "rejected") {
+                console.error("Kanji Terminator: failed to convert kanji", outcome.reason);
+            }
+        });
+        CacheService.save();
+        LearningHistory.save();
+    },
+
+    /**
+     * Convert kanji to hiragana using the configured backends
+     * @param {string[]} kanjis - Cache keys of the queued kanji runs to convert
+     * @returns {Promise<void>}
+     */
+    async convertToHiragana(kanjis) {
+        if (!kanjis || !kanjis.length) {
+            console.debug("Kanji Terminator: No kanji to convert");
+            return;
+        }
+
+        // Filter out already cached kanji
+        kanjis = kanjis.filter(kanji => !CacheService.has(kanji) && DOMHandler.queue[kanji]);
+
+        if (!kanjis.length) return;
+
+        const items = kanjis.map(key => ({
+            key,
+            kanji: CONFIG.KANJI_REGEX.exec(key)[0],
+            ...DOMHandler.queue[key].context,
+        }));
+
+        const conversion = Backends.resolve(items, CacheService.mode, (item, result, source) => {
+            // Process and cache each kanji reading
+            CacheService.set(item.key, result.reading, result.segments, source, result.meanings, result.dictionary);
+            DOMHandler.updateRubyFromCache(item.key);
+        });
+        kanjis.forEach(key => this.inFlight.set(key, conversion));
+
+        let outcome;
+        try {
+            outcome = await conversion;
+        } finally {
+            kanjis.forEach(key => this.inFlight.delete(key));
+        }
+
+        // Words the backends failed on stay queued, and are requested again on a later scan
+        const { unresolved, failed } = outcome;
+        unresolved.forEach(item => this.unresolved.add(item.key));
+        failed.forEach(item => this.failed.set(item.key, Date.now()));
+        if (unresolved.length) {
+            console.debug("Kanji Terminator: No reading found for", unresolved.map(item => item.kanji));
+        }
+        if (failed.length) {
+            console.debug("Kanji Terminator: No backend answered for", failed.map(item => item.kanji));
+        }
+    }
+};
+
+module.exports = { APIService };
+
+  },
+  "./app": function (module, exports, require) {
+// App controller
+
+const { CONFIG } = require("./config");
+const { CacheService } = require("./cache");
+const { Display } = require("./display");
+const { DOMHandler } = require("./dom");
+const { APIService } = require("./api");
+const { StatusBadge } = require("./badge");
+const { LearningHistory } = require("./history");
+const { KnownKanji } = require("./known");
+const { getTextSample, hasJapaneseElements, isJapanesePage } = require("./language");
+const { Learning } = require("./learning");
+const { watchNavigation } = require("./navigation");
+const { registerMenuCommands } = require("./menu");
+const { ReadingOverrides } = require("./overrides");
+const { Popup } = require("./popup");
+const { LazyScanner } = require("./scanner");
+const { Settings } = require("./settings");
+const { SiteRules } = require("./sites");
+const { Styles } = require("./styles");
+const { debounce } = require("./utils");
+
+// The delay is read on each call, as it can be changed from the settings panel
+const throttledProcessQueue = debounce(() => APIService.processQueue(), () => CONFIG.DEBOUNCE_DELAY);
+
+/**
+ * Convert what the lazy scanner queued: right away once the text on screen
+ * is annotated, after the debounce delay otherwise
+ * @param {boolean} visibleDone - Whether the scanner just annotated the text on screen
+ */
+function handleScanned(visibleDone) {
+    if (visibleDone) {
+        APIService.processQueue();
+    } else {
+        throttledProcessQueue();
+    }
+}
+
+/**
+ * Handle DOM mutations: annotate added nodes and text changed in place,
+ * leaving alone the nodes inserted by the script
+ * @param {MutationRecord[]} mutationList - List of mutations
+ */
+function mutationHandler(mutationList) {
+    mutationList.forEach(mutation => {
+        if (mutation.type === "characterData") {
+            DOMHandler.updateText(mutation.target);
+            return;
+        }
+
+        mutation.addedNodes.forEach(node => {
+            if (!DOMHandler.inserted.has(node)) {
+                DOMHandler.scanTextNodes(node);
+            }
+        });
+        mutation.removedNodes.forEach(node => {
+            DOMHandler.forget(node, mutation.target);
+        });
+    });
+
+    // Pages changed by a navigation the wrapped History API missed
+    if (navigation) {
+        navigation.check();
+    }
+    throttledProcessQueue();
+}
+
+// What the observer watches, in the page and in its shadow roots and frames
+const OBSERVER_OPTIONS = {
+    childList: true,
+    subtree: true,
+    characterData: true,
+};
+
+// Observer of the page, null while the script doesn't run on it
+let observer = null;
+// Whether the stored data was loaded and the event listeners added
+let loaded = false;
+// Whether the user disabled the script on this page
+let disabled = false;
+// Frame documents with event listeners
+const listenedDocuments = new WeakSet();
+// Watcher of the page's URL, see watchNavigation
+let navigation = null;
+// Observer and timer checking the language of a page still loading, see watchLanguage
+let languageWatch = null;
+
+/**
+ * Initialize the application
+ * @returns {MutationObserver|null} - Observer of the page, null when the page isn't handled
+ */
+function initialize() {
+    // Apply the settings over the defaults of CONFIG
+    Settings.load();
+
+    if (navigation) {
+        navigation.stop();
+    }
+    navigation = watchNavigation(handleNavigation);
+    return run();
+}
+
+/**
+ * Start annotating the page if it is handled
+ * @returns {MutationObserver|null} - Observer of the page, null when the page isn't handled
+ */
+function run() {
+    // Only run on Japanese pages, or on pages with Japanese parts, unless the site says otherwise
+    const rule = SiteRules.match(window.location.href);
+    if (rule === "deny") {
+        return null;
+    }
+    if (!checkLanguage(rule)) {
+        // Pages of single-page applications may have no text yet
+        if (rule === null && !hasLanguageSample()) {
+            watchLanguage();
+        }
+        return null;
+    }
+
+    if (!loaded) {
+        loaded = true;
+
+        // Load cached kanji readings, and apply the ones other tabs resolve
+        CacheService.load();
+        CacheService.listen(kanjis => kanjis.forEach(kanji => DOMHandler.updateRubyFromCache(kanji)));
+        ReadingOverrides.load();
+        KnownKanji.load();
+        LearningHistory.load();
+
+        // Initialize DOM handler
+        DOMHandler.initialize();
+        Learning.initialize();
+        Display.initialize();
+        Popup.initialize();
+        StatusBadge.initialize();
+    }
+
+    // Set up mutation observer
+    observer = new MutationObserver(mutationHandler);
+    observer.observe(document.body, OBSERVER_OPTIONS);
+    DOMHandler.onRoot = attachRoot;
+
+    // Process existing content, starting with the text on screen
+    LazyScanner.scan(document.body, handleScanned);
+
+    return observer;
+}
+
+/**
+ * Check whether the page, or some of its parts, are in Japanese
+ * @param {string|null} rule - Site rule of the page, see SiteRules.match
+ * @returns {boolean} - True if the page is handled
+ */
+function checkLanguage(rule) {
+    DOMHandler.rootIsJapanese = rule === "allow" || isJapanesePage(document);
+    return DOMHandler.rootIsJapanese || hasJapaneseElements(document);
+}
+
+/**
+ * Check whether the page has enough text to tell its language
+ * @returns {boolean} - True if the text sample is large enough
+ */
+function hasLanguageSample() {
+    return getTextSample(document.body, CONFIG.LANGUAGE_MIN_SAMPLE_SIZE).length >= CONFIG.LANGUAGE_MIN_SAMPLE_SIZE;
+}
+
+/**
+ * Check the language of a page again as it changes, until it turns out to be
+ * Japanese, it has enough text to tell, a navigation happens or
+ * CONFIG.LANGUAGE_RECHECK_TIME passes
+ */
+function watchLanguage() {
+    if (languageWatch) {
+        return;
+    }
+    const watcher = new MutationObserver(() => {
+        if (checkLanguage(SiteRules.match(window.location.href)) || hasLanguageSample()) {
+            stopLanguageWatch();
+            run();
+        }
+    });
+    watcher.observe(document.body, OBSERVER_OPTIONS);
+    languageWatch = { watcher, timer: setTimeout(stopLanguageWatch, CONFIG.LANGUAGE_RECHECK_TIME) };
+}
+
+/**
+ * Stop checking the language of the page, see watchLanguage
+ */
+function stopLanguageWatch() {
+    if (!languageWatch) {
+        return;
+    }
+    languageWatch.watcher.disconnect();
+    clearTimeout(languageWatch.timer);
+    languageWatch = null;
+}
+
+/**
+ * Handle a shadow root or a frame document found by DOMHandler: give it the
+ * styles of the rubies, the event listeners for frames, and observe it.
+ * Events of shadow roots reach the listeners of their document.
+ * @param {ShadowRoot|Document} root - Shadow root or frame document
+ */
+function attachRoot(root) {
+    Styles.attach(root);
+    if (root.nodeType === Node.DOCUMENT_NODE && !listenedDocuments.has(root)) {
+        listenedDocuments.add(root);
+        DOMHandler.listen(root);
+        Learning.listen(root);
+        Display.listen(root);
+        Popup.listen(root);
+    }
+    if (observer) {
+        observer.observe(root.nodeType === Node.DOCUMENT_NODE ? root.body : root, OBSERVER_OPTIONS);
+    }
+    throttledProcessQueue();
+}
+
+/**
+ * Stop annotating the page and remove the readings already inserted
+ */
+function stop() {
+    stopLanguageWatch();
+    if (!observer) {
+        return;
+    }
+    observer.disconnect();
+    observer = null;
+    LazyScanner.stop();
+    Popup.close();
+    DOMHandler.restore();
+}
+
+/**
+ * Follow the navigation of single-page applications: the new URL may have
+ * other site rules, and words are counted once per page again
+ * @param {string} href - New URL of the page
+ */
+function handleNavigation(href) {
+    if (disabled) {
+        return;
+    }
+
+    LearningHistory.startPage();
+    stopLanguageWatch();
+    if (SiteRules.match(href) === "deny") {
+        stop();
+        return;
+    }
+
+    Popup.close();
+    if (!observer) {
+        run();
+    }
+    throttledProcessQueue();
+}
+
+/**
+ * Apply settings saved from the settings panel without reloading: text of
+ * tags no longer excluded is converted
+ */
+function applySettings() {
+    if (!observer) {
+        return;
+    }
+    LazyScanner.scan(document.body, handleScanned);
+    throttledProcessQueue();
+}
+
+/**
+ * Stop annotating the page and remove the readings already inserted, until it is reloaded
+ */
+function disable() {
+    disabled = true;
+    stop();
+}
+
+/**
+ * Register the menu commands and start the application
+ */
+function start() {
+    registerMenuCommands({ onSettingsSaved: applySettings, onDisable: disable });
+    initialize();
+}
+
+module.exports = {
+    applySettings,
+    disable,
+    handleNavigation,
+    initialize,
+    mutationHandler,
+    start,
+    throttledProcessQueue
+};
+
+  },
+  "./backends": function (module, exports, require) {
+// Reading backends
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { RequestScheduler } = require("./scheduler");
+
+/**
+ * Build the error of a failed request
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether sending the request again may succeed
+ * @param {number} [status] - HTTP status
+ * @returns {Error} - Error with `retryable` and `status` properties
+ */
+function requestError(message, retryable, status) {
+    return Object.assign(new Error(message), { retryable, status });
+}
+
+/**
+ * Send a request with GM_xmlhttpRequest through the request scheduler and
+ * parse the JSON response. Network errors, timeouts, HTTP 429 and 5xx
+ * responses are retried.
+ * @param {Object} options - GM_xmlhttpRequest options, without callbacks
+ * @param {number} [options.retries] - Number of retries, CONFIG.REQUEST_RETRIES by default
+ * @returns {Promise<Object>} - Parsed response body
+ */
+function requestJSON({ retries, ...options }) {
+    return RequestScheduler.run(() => new Promise((resolve, reject) => {
+        gm.xmlhttpRequest({
+            timeout: CONFIG.REQUEST_TIMEOUT,
+            ...options,
+            onload: response => {
+                if (response.status && (response.status < 200 || response.status >= 300)) {
+                    const retryable = response.status === 429 || response.status >= 500;
+                    reject(requestError(`HTTP ${response.status}`, retryable, response.status));
+                    return;
+                }
+                if (!response.responseText) {
+                    reject(requestError("Empty response", false, response.status));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(response.responseText));
+                } catch (error) {
+                    reject(requestError(`Invalid JSON: ${error.message}`, false, response.status));
+                }
+            },
+            onerror: error => reject(requestError((error && error.message) || "Network error", true)),
+            ontimeout: () => reject(requestError("Request timed out", true)),
+        });
+    }), { retries });
+}
+
+/**
+ * Group items by the text they were found in, in the `contexts` format of the worker
+ * @param {Object[]} items - Items passed to a backend's resolve()
+ * @returns {{contexts: Object[], positions: number[][]}} - Contexts, and the [context, span] index of each item
+ */
+function buildContexts(items) {
+    const contexts = [];
+    const contextIndex = new Map();
+    const positions = items.map(({ text, start, end }) => {
+        if (!contextIndex.has(text)) {
+            contextIndex.set(text, contexts.length);
+            contexts.push({ text, spans: [] });
+        }
+        const idx = contextIndex.get(text);
+        contexts[idx].spans.push({ start, end });
+        return [idx, contexts[idx].spans.length - 1];
+    });
+    return { contexts, positions };
+}
+
+/**
+ * Build the segments of a reading that has no per-kanji alignment
+ * @param {Object} item - Item the reading belongs to
+ * @param {string} reading - Reading of the run, possibly followed by its okurigana
+ * @returns {Object[]} - Segments of the run and its okurigana
+ */
+function getWholeRunSegments(item, reading) {
+    const okurigana = item.key.substring(item.kanji.length);
+    if (okurigana && reading.endsWith(okurigana) && reading.length > okurigana.length) {
+        return [
+            { text: item.kanji, reading: reading.slice(0, -okurigana.length), kind: "kanji" },
+            { text: okurigana, reading: okurigana, kind: "okurigana" },
+        ];
+    }
+    return [{ text: item.kanji, reading, kind: "kanji" }];
+}
+
+/**
+ * Convert a hiragana reading to the given mode
+ * @param {string} reading - Hiragana reading
+ * @param {string} mode - One of CONFIG.MODES
+ * @returns {string|null} - Converted reading, or null if the mode can't be produced here
+ */
+function convertReading(reading, mode) {
+    if (mode === "hiragana") {
+        return reading;
+    }
+    if (typeof KanjiTerminatorKakasi !== "undefined") {
+        return KanjiTerminatorKakasi.convertReading(reading, mode);
+    }
+    return null;
+}
+
+/**
+ * Get a value from an object by a dot separated path
+ * @param {Object} obj - Object to read
+ * @param {string} path - Path such as "data.items", empty for the object itself
+ * @returns {*} - Value at the path
+ */
+function getPath(obj, path) {
+    return (path || "").split(".").filter(Boolean).reduce((value, key) => (value == null ? value : value[key]), obj);
+}
+
+/**
+ * Registry of the backends readings can be resolved with
+ *
+ * Each backend implements:
+ * - `label`: name shown to the user
+ * - `isAvailable()`: whether the backend is configured
+ * - `resolve(items, mode)`: resolves to one `{reading, segments, meanings?, dictionary?}` (or null)
+ *   per item, items being `{key, kanji, text, start, end}` with `text` the text the run was found in,
+ *   and `dictionary` the version of the dictionary the reading comes from
+ * - `lookup(word, mode)` (optional): resolves to the dictionary entries of a word, in the
+ *   format of the worker's `/lookup` endpoint, or null
+ */
+const Backends = {
+    order: gm.getValue(CONFIG.BACKENDS_KEY, CONFIG.DEFAULT_BACKENDS),
+
+    registry: {
+        // The Cloudflare worker in kanji-to-hiragana-worker
+        worker: {
+            label: "Kanji resolver worker",
+            apiUrl: gm.getValue(CONFIG.RESOLVER_KEY),
+
+            /**
+             * Set the API URL
+             * @param {string} url - New API URL
+             */
+            setApiUrl(url) {
+                this.apiUrl = url;
+                gm.setValue(CONFIG.RESOLVER_KEY, url);
+            },
+
+            isAvailable() {
+                return Boolean(this.apiUrl);
+            },
+
+            /**
+             * Read contexts with the worker
+             * @param {string} url - API URL
+             * @param {Object[]} contexts - Contexts, see buildContexts
+             * @param {string} mode - One of CONFIG.MODES
+             * @param {Object} [options] - Extra options of requestJSON
+             * @returns {Promise<Object[]>} - Results, one per span, with the version of the worker's dictionary
+             */
+            async request(url, contexts, mode, options = {}) {
+                const json = await requestJSON({
+                    method: "POST",
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Accept": `application/vnd.kanji-terminator.v${CONFIG.RESPONSE_VERSION}+json`
+                    },
+                    url,
+                    data: JSON.stringify({ contexts, mode, version: CONFIG.RESPONSE_VERSION }),
+                    ...options,
+                });
+
+                if (json.version !== CONFIG.RESPONSE_VERSION || !Array.isArray(json.results)) {
+                    throw new Error(`Unsupported response version ${json.version}`);
+                }
+                return json.results.map(result => result && { ...result, dictionary: json.dictionary });
+            },
+
+            /**
+             * Check that a URL answers like the worker by reading a sample word
+             * @param {string} url - API URL to check
+             * @returns {Promise<void>} - Rejects with the reason the URL can't be used
+             */
+            async test(url) {
+                const results = await this.request(url, [{ text: "漢字", spans: [{ start: 0, end: 2 }] }], "hiragana", {
+                    timeout: CONFIG.TEST_REQUEST_TIMEOUT,
+                    retries: 0,
+                });
+                if (!results[0] || !results[0].reading || results[0].reading === "漢字") {
+                    throw new Error("The resolver returned no reading");
+                }
+            },
+
+            async resolve(items, mode) {
+                const { contexts, positions } = buildContexts(items);
+                const results = await this.request(this.apiUrl, contexts, mode);
+
+                // Results follow the order of the spans, context after context
+                const offsets = [];
+                contexts.reduce((offset, context, idx) => {
+                    offsets[idx] = offset;
+                    return offset + context.spans.length;
+                }, 0);
+                return positions.map(([contextIdx, spanIdx]) => results[offsets[contextIdx] + spanIdx]);
+            },
+
+            async lookup(word, mode) {
+                const url = new URL(this.apiUrl);
+                url.pathname = url.pathname.replace(/\/?$/, "/lookup");
+                url.search = new URLSearchParams({ word, mode }).toString();
+
+                const json = await requestJSON({ method: "GET", url: url.href });
+                if (json.version !== CONFIG.RESPONSE_VERSION) {
+                    throw new Error(`Unsupported response version ${json.version}`);
+                }
+                return json;
+            }
+        },
+
+        // The kakasi build loaded by @require (kakasi.js)
+        local: {
+            label: "In-browser kakasi",
+
+            isAvailable() {
+                return typeof KanjiTerminatorKakasi !== "undefined";
+            },
+
+            async resolve(items, mode) {
+                const { contexts, positions } = buildContexts(items);
+                const result = KanjiTerminatorKakasi.readContexts(contexts, mode);
+                return positions.map(([contextIdx, spanIdx]) => ({
+                    ...result[contextIdx].spans[spanIdx],
+                    dictionary: KanjiTerminatorKakasi.DICTIONARY_VERSION,
+                }));
+            },
+
+            async lookup(word, mode) {
+                return KanjiTerminatorKakasi.lookupWord(word, mode);
+            }
+        },
+
+        // Readings entered by the user, as { word: hiragana reading }
+        dictionary: {
+            label: "Static dictionary",
+
+            isAvailable() {
+                return Object.keys(gm.getValue(CONFIG.DICTIONARY_KEY, {})).length > 0;
+            },
+
+            async resolve(items, mode) {
+                const dictionary = gm.getValue(CONFIG.DICTIONARY_KEY, {});
+                return items.map(item => {
+                    // Prefer the entry including okurigana (生き) over the bare run (生)
+                    const word = item.key in dictionary ? item.key : item.kanji;
+                    const reading = dictionary[word] && convertReading(dictionary[word], mode);
+                    if (!reading) {
+                        return null;
+                    }
+                    return { reading, segments: getWholeRunSegments({ ...item, key: word }, reading) };
+                });
+            }
+        },
+
+        // Any JSON endpoint, see promptForJsonBackend for the configuration
+        json: {
+            label: "Custom JSON endpoint",
+
+            isAvailable() {
+                return Boolean(gm.getValue(CONFIG.JSON_BACKEND_KEY, {}).url);
+            },
+
+            async resolve(items, mode) {
+                const config = gm.getValue(CONFIG.JSON_BACKEND_KEY, {});
+                const words = items.map(item => item.kanji);
+                const fill = (template, encode) => template
+                    .replace(/\{\{words\}\}/g, encode(words))
+                    .replace(/\{\{mode\}\}/g, mode);
+
+                const json = await requestJSON({
+                    method: config.method || "POST",
+                    headers: config.headers || { "Content-Type": "application/json" },
+                    url: fill(config.url, value => encodeURIComponent(value.join("\n"))),
+                    data: config.body ? fill(config.body, value => JSON.stringify(value)) : undefined,
+                });
+
+                // Results are either an array parallel to the words or a newline separated string
+                let results = getPath(json, config.results);
+                if (typeof results === "string") {
+                    results = results.split("\n");
+                }
+                if (!Array.isArray(results)) {
+                    throw new Error(`No results at "${config.results || ""}"`);
+                }
+
+                return items.map((item, idx) => {
+                    const reading = getPath(results[idx], config.reading);
+                    if (typeof reading !== "string" || !reading) {
+                        return null;
+                    }
+                    const meanings = config.meanings ? getPath(results[idx], config.meanings) : undefined;
+                    return {
+                        reading,
+                        segments: getWholeRunSegments(item, reading),
+                        meanings: Array.isArray(meanings) ? meanings.map(String) : undefined,
+                    };
+                });
+            }
+        },
+    },
+
+    /**
+     * Set the backends to try, in order
+     * @param {string[]} order - Backend names
+     */
+    setOrder(order) {
+        this.order = order;
+        gm.setValue(CONFIG.BACKENDS_KEY, order);
+    },
+
+    /**
+     * Look up the dictionary entries of a word with the first backend that has them
+     * @param {string} word - Kanji run
+     * @param {string} mode - One of CONFIG.MODES
+     * @returns {Promise<Object|null>} - Lookup result, null if no backend could look the word up
+     */
+    async lookup(word, mode) {
+        for (const name of this.order) {
+            const backend = this.registry[name];
+            if (!backend || !backend.lookup || !backend.isAvailable()) {
+                continue;
+            }
+
+            try {
+                const result = await backend.lookup(word, mode);
+                if (result) {
+                    return { ...result, backend: name };
+                }
+            } catch (error) {
+                console.debug(`Kanji Terminator: ${backend.label} lookup failed`, error);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Resolve readings by trying each backend in order. Items a backend fails
+     * on or returns no reading for are passed on to the next one.
+     * @param {Object[]} items - Items to resolve, see the registry
+     * @param {string} mode - One of CONFIG.MODES
+     * @param {Function} onResolved - Called with (item, result, backend name) for each resolved item
+     * @returns {Promise<{unresolved: Object[], failed: Object[]}>} - Items a backend answered without
+     *   a reading for, and items no backend answered for, only failing or unavailable ones
+     */
+    async resolve(items, mode, onResolved) {
+        let pending = items;
+        const answered = new Set();
+
+        for (const name of this.order) {
+            const backend = this.registry[name];
+            if (!pending.length) {
+                break;
+            }
+            if (!backend || !backend.isAvailable()) {
+                continue;
+            }
+
+            let results;
+            try {
+                results = await backend.resolve(pending, mode);
+            } catch (error) {
+                console.debug(`Kanji Terminator: ${backend.label} failed`, error);
+                continue;
+            }
+
+            pending = pending.filter((item, idx) => {
+                const result = results[idx];
+                // Kanji left in the reading (一ほん) mean the backend couldn't convert all of the run
+                if (!result || !result.reading || CONFIG.KANJI_REGEX.test(result.reading)) {
+                    answered.add(item);
+                    return true;
+                }
+                try {
+                    onResolved(item, result, name);
+                } catch (error) {
+                    console.error("Kanji Terminator: failed to apply a reading", error);
+                }
+                return false;
+            });
+        }
+
+        return {
+            unresolved: pending.filter(item => answered.has(item)),
+            failed: pending.filter(item => !answered.has(item)),
+        };
+    }
+};
+
+module.exports = {
+    Backends,
+    buildContexts,
+    getPath,
+    getWholeRunSegments,
+    requestJSON
+};
+
+  },
+  "./backup": function (module, exports, require) {
+// Export and import of the cached readings and the reading dictionary
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { Backends } = require("./backends");
+const { CacheService } = require("./cache");
+const { LearningHistory } = require("./history");
+const { ReadingOverrides } = require("./overrides");
+
+// Name of the JSON export format, checked on import
+const FORMAT = "kanji-terminator-readings";
+
+// Columns of the CSV export, in order
+const COLUMNS = ["word", "reading", "mode", "source", "url", "site"];
+
+// Source of the readings the user corrected on the page, see ReadingOverrides
+const USER_SOURCE = "user";
+
+/**
+ * Quote a CSV field when it holds a separator, a quote or a line break
+ * @param {string} value - Field value
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+    const text = value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of fields, quoted fields included
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Rows of fields
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(Boolean));
+}
+
+/**
+ * Get the mode a reading is written in
+ * @param {string} reading - Reading
+ * @returns {string} - One of CONFIG.MODES
+ */
+function getReadingMode(reading) {
+    if (/[a-z]/i.test(reading)) {
+        return "romaji";
+    }
+    return /[\u30A1-\u30FA]/.test(reading) && !/[\u3041-\u3096]/.test(reading) ? "katakana" : "hiragana";
+}
+
+/**
+ * Get an imported row as it is stored: the reading dictionary only holds
+ * hiragana, converted by the dictionary backend to the other modes (see
+ * Backends.registry.dictionary), so its katakana readings are converted back
+ * @param {Object} row - Imported row
+ * @returns {Object|null} - Row to store, null for the romaji readings of the dictionary, which can't be converted back
+ */
+function toStoredRow(row) {
+    if (row.source !== "dictionary" || row.mode === "hiragana") {
+        return row;
+    }
+    if (row.mode === "romaji") {
+        return null;
+    }
+    const reading = row.reading.replace(/[\u30A1-\u30F6]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+    return { ...row, reading, mode: "hiragana" };
+}
+
+/**
+ * Whether readings can be imported from a source
+ * @param {string} source - Backend name, as in the rows
+ * @returns {boolean} - Whether the source is a known backend
+ */
+function isKnownSource(source) {
+    return source === USER_SOURCE || Object.keys(Backends.registry).includes(source);
+}
+
+/**
+ * Read the cache as stored, which the page may not have loaded, keeping the
+ * readings not saved yet
+ */
+function loadCache() {
+    CacheService.save();
+    CacheService.load();
+}
+
+/**
+ * Readings as rows of `{word, reading, mode, source, url, site}`, exported as
+ * JSON, CSV or a TSV file Anki can import. Rows from the "dictionary" source
+ * are the user's own readings and go to the reading dictionary on import,
+ * rows from the "user" source are the readings corrected on the page, for
+ * `site` or every site when it is empty, and the others go to the cache.
+ */
+const Backup = {
+    /**
+     * Collect the corrected readings, the readings of the reading dictionary
+     * and those of the cache
+     * @returns {Object[]} - Rows, the corrections' first, then the dictionary's
+     */
+    collect() {
+        loadCache();
+        ReadingOverrides.load();
+        // The history is only loaded on the pages the script runs on
+        const history = { ...gm.getValue(CONFIG.HISTORY_KEY, {}), ...LearningHistory.entries };
+
+        const rows = [];
+        ["", ...Object.keys(ReadingOverrides.overrides.sites)].forEach(site => {
+            Object.entries(ReadingOverrides.getScope(site || null)).forEach(([name, reading]) => {
+                const mode = name.substring(0, name.indexOf(":"));
+                rows.push({ word: name.substring(mode.length + 1), reading, mode, source: USER_SOURCE, site });
+            });
+        });
+        Object.entries(gm.getValue(CONFIG.DICTIONARY_KEY, {})).forEach(([word, reading]) => {
+            rows.push({ word, reading, mode: getReadingMode(reading), source: "dictionary", site: "" });
+        });
+        CacheService.entries.forEach((entry, key) => {
+            const { mode, source, kanji } = CacheService.parseKey(key);
+            rows.push({ word: kanji, reading: entry.reading, mode, source, site: "" });
+        });
+
+        // Page each word was first seen on, from the learning history
+        return rows.map(({ site, ...row }) => {
+            const run = CONFIG.KANJI_REGEX.exec(row.word);
+            const entry = run && history[run[0]];
+            return { ...row, url: (entry && entry.url) || "", site };
+        });
+    },
+
+    /**
+     * Export readings as JSON
+     * @param {Object[]} rows - Rows, see collect()
+     * @returns {string} - JSON text
+     */
+    toJSON(rows) {
+        return JSON.stringify({ format: FORMAT, exported: new Date().toISOString(), readings: rows }, null, 2);
+    },
+
+    /**
+     * Export readings as CSV, with a header row
+     * @param {Object[]} rows - Rows, see collect()
+     * @returns {string} - CSV text
+     */
+    toCSV(rows) {
+        return [COLUMNS, ...rows.map(row => COLUMNS.map(column => row[column]))]
+            .map(fields => fields.map(toCsvField).join(","))
+            .join("\r\n") + "\r\n";
+    },
+
+    /**
+     * Export readings as tab separated word, reading and URL, with the header
+     * lines Anki reads the import settings from. Only the readings of the
+     * current mode are exported, one per word, the dictionary's first.
+     * @param {Object[]} rows - Rows, see collect()
+     * @returns {string} - TSV text
+     */
+    toAnki(rows) {
+        const words = new Map();
+        rows.forEach(row => {
+            if (!words.has(row.word) && (row.source === "dictionary" || row.mode === CacheService.mode)) {
+                words.set(row.word, row);
+            }
+        });
+
+        const clean = value => String(value || "").replace(/[\t\r\n]+/g, " ");
+        // Corrections may hold one reading per kanji separated by spaces
+        const lines = [...words.values()].map(row => [row.word, row.reading.replace(/\s+/g, ""), row.url].map(clean).join("\t"));
+        return ["#separator:tab", "#html:false", "#columns:Word\tReading\tURL", ...lines].join("\n") + "\n";
+    },
+
+    /**
+     * Read rows from an export in any of the formats. A JSON object of
+     * readings by word, as in the reading dictionary, is read as well.
+     * @param {string} text - Exported text
+     * @returns {Object[]} - Valid rows, with "dictionary" as their source when the export has none.
+     *   Rows of unknown sources are left out.
+     */
+    parse(text) {
+        const trimmed = text.replace(/^\uFEFF/, "").trim();
+        let rows;
+
+        if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+            const json = JSON.parse(trimmed);
+            if (json && json.format === FORMAT) {
+                rows = json.readings;
+            } else if (Array.isArray(json)) {
+                rows = json;
+            } else if (json && typeof json === "object") {
+                rows = Object.entries(json).map(([word, reading]) => ({ word, reading }));
+            }
+        } else if (/^#separator:tab/m.test(trimmed) || (trimmed.includes("\t") && !trimmed.split(/\r?\n/)[0].includes(","))) {
+            rows = trimmed
+                .split(/\r?\n/)
+                .filter(line => line && !line.startsWith("#"))
+                .map(line => {
+                    const [word, reading, url] = line.split("\t");
+                    return { word, reading, url };
+                });
+        } else {
+            const lines = parseCsv(trimmed);
+            const header = lines[0] && lines[0].includes("word") && lines[0].includes("reading") ? lines.shift() : COLUMNS;
+            rows = lines.map(fields => Object.fromEntries(header.map((column, idx) => [column.trim(), fields[idx]])));
+        }
+
+        if (!Array.isArray(rows)) {
+            throw new Error("No readings found");
+        }
+        return rows
+            .filter(row => row && typeof row.word === "string" && CONFIG.KANJI_REGEX.test(row.word) && typeof row.reading === "string" && row.reading.trim())
+            .map(row => ({
+                word: row.word.trim(),
+                reading: row.reading.trim(),
+                mode: Object.keys(CONFIG.MODES).includes(row.mode) ? row.mode : getReadingMode(row.reading.trim()),
+                source: row.source || "dictionary",
+                url: typeof row.url === "string" ? row.url : "",
+                site: row.source === USER_SOURCE && typeof row.site === "string" ? row.site.trim() : "",
+            }))
+            .filter(row => isKnownSource(row.source));
+    },
+
+    /**
+     * Get the reading a row would replace
+     * @param {Object} row - Imported row
+     * @param {Object} dictionary - Reading dictionary
+     * @returns {string|undefined} - Current reading of the word, undefined if there's none
+     */
+    getCurrent(row, dictionary) {
+        if (row.source === "dictionary") {
+            return dictionary[row.word];
+        }
+        if (row.source === USER_SOURCE) {
+            return ReadingOverrides.getScope(row.site || null)[`${row.mode}:${row.word}`];
+        }
+        const entry = CacheService.entries.get(CacheService.key(row.word, row.source, row.mode));
+        return entry && entry.reading;
+    },
+
+    /**
+     * Find the imported rows whose reading differs from the current one
+     * @param {Object[]} rows - Imported rows
+     * @returns {Object[]} - Conflicting rows
+     */
+    findConflicts(rows) {
+        loadCache();
+        ReadingOverrides.load();
+        const dictionary = gm.getValue(CONFIG.DICTIONARY_KEY, {});
+        return rows.map(toStoredRow).filter(row => {
+            if (!row) {
+                return false;
+            }
+            const current = this.getCurrent(row, dictionary);
+            return current !== undefined && current !== row.reading;
+        });
+    },
+
+    /**
+     * Add imported readings to the corrections, the reading dictionary and the cache.
+     * Romaji readings for the reading dictionary are counted as kept.
+     * @param {Object[]} rows - Imported rows
+     * @param {boolean} replace - Whether readings that differ from the current ones replace them
+     * @returns {{added: number, replaced: number, kept: number}} - Counts of rows
+     */
+    import(rows, replace) {
+        loadCache();
+        ReadingOverrides.load();
+        const dictionary = { ...gm.getValue(CONFIG.DICTIONARY_KEY, {}) };
+        const counts = { added: 0, replaced: 0, kept: 0 };
+
+        rows.map(toStoredRow).forEach(row => {
+            if (!row) {
+                counts.kept++;
+                return;
+            }
+            const current = this.getCurrent(row, dictionary);
+            if (current === row.reading) {
+                return;
+            }
+            if (current !== undefined && !replace) {
+                counts.kept++;
+                return;
+            }
+            counts[current === undefined ? "added" : "replaced"]++;
+
+            if (row.source === "dictionary") {
+                dictionary[row.word] = row.reading;
+            } else if (row.source === USER_SOURCE) {
+                ReadingOverrides.put(row.word, row.mode, row.reading, row.site || null);
+            } else {
+                // Stamped as resolved now, whatever the export says, so that
+                // imported readings are neither expired nor the next evicted
+                const now = Date.now();
+                CacheService.put(CacheService.key(row.word, row.source, row.mode), {
+                    reading: row.reading,
+                    segments: null,
+                    source: row.source,
+                    created: now,
+                    used: now,
+                });
+            }
+        });
+
+        gm.setValue(CONFIG.DICTIONARY_KEY, dictionary);
+        ReadingOverrides.save();
+        CacheService.save();
+        return counts;
+    }
+};
+
+module.exports = { Backup };
+
+  },
+  "./badge": function (module, exports, require) {
+// Status badge reporting failed requests
+
+const { RequestScheduler } = require("./scheduler");
+
+const BADGE_STYLE = `
+    .badge {
+        position: fixed;
+        right: 1em;
+        bottom: 1em;
+        z-index: 2147483647;
+        max-width: 24em;
+        padding: 0.3em 0.7em;
+        border: 1px solid #d9a;
+        border-radius: 4px;
+        background: #fff4f4;
+        color: #900;
+        font: 12px/1.4 sans-serif;
+        box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2);
+        cursor: pointer;
+    }
+    .badge.retrying { border-color: #db8; background: #fffbea; color: #750; }
+`;
+
+/**
+ * Small badge in a corner of the page, shown while requests are retried or
+ * after they failed, until a request succeeds. A click hides it.
+ */
+const StatusBadge = {
+    doc: document,
+    host: null,
+    root: null,
+    dismissed: false, // Whether the user hid the badge, until the next failure
+    failures: 0,
+
+    /**
+     * Follow the state of the requests
+     */
+    initialize() {
+        RequestScheduler.subscribe(status => this.update(status));
+    },
+
+    /**
+     * Show the badge for the state of the requests, or hide it
+     * @param {Object} status - See RequestScheduler.getStatus
+     */
+    update(status) {
+        if (status.failures > this.failures) {
+            this.dismissed = false;
+        }
+        this.failures = status.failures;
+
+        let text = "";
+        if (status.retrying) {
+            text = `Kanji Terminator: retrying ${status.retrying} request${status.retrying > 1 ? "s" : ""}`;
+        } else if (status.failures) {
+            text = `Kanji Terminator: ${status.failures} request${status.failures > 1 ? "s" : ""} failed`;
+        }
+        if (!text || this.dismissed) {
+            this.hide();
+            return;
+        }
+        this.show(text, status.lastError, Boolean(status.retrying));
+    },
+
+    /**
+     * Show the badge
+     * @param {string} text - Badge text
+     * @param {Error|null} error - Last error, shown in the tooltip
+     * @param {boolean} retrying - Whether requests are being retried
+     */
+    show(text, error, retrying) {
+        if (!this.host || !this.host.isConnected) {
+            // A custom element excluded from the scan, so that the badge isn't annotated
+            this.host = this.doc.createElement("kanji-terminator-badge");
+            this.root = this.host.attachShadow({ mode: "open" });
+            const style = this.doc.createElement("style");
+            style.textContent = BADGE_STYLE;
+            const badge = this.doc.createElement("div");
+            badge.setAttribute("role", "status");
+            badge.addEventListener("click", () => {
+                this.dismissed = true;
+                this.hide();
+            });
+            this.root.append(style, badge);
+            this.doc.body.appendChild(this.host);
+        }
+
+        const badge = this.root.querySelector("div");
+        badge.className = retrying ? "badge retrying" : "badge";
+        badge.textContent = text;
+        badge.title = error ? `${error.message || error}. Click to hide.` : "Click to hide.";
+    },
+
+    /**
+     * Remove the badge from the page
+     */
+    hide() {
+        if (this.host) {
+            this.host.remove();
+        }
+    }
+};
+
+module.exports = { StatusBadge };
+
+  },
+  "./cache": function (module, exports, require) {
+// Cache management
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { Backends } = require("./backends");
+const { ReadingOverrides } = require("./overrides");
+
+// Version of the stored cache format, the cache of older versions being a single JSON string
+const CACHE_FORMAT = 2;
+
+/**
+ * Get the chunk an entry is stored in
+ * @param {string} key - Storage key of the entry
+ * @returns {number} - Index of the chunk
+ */
+function getChunk(key) {
+    let hash = 0;
+    for (const char of key) {
+        hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    }
+    return hash % CONFIG.CACHE_CHUNKS;
+}
+
+/**
+ * Cache service for managing kanji readings
+ *
+ * Entries are kept by mode and backend, from the least to the most recently
+ * used, and stamped with the time they were resolved and last used and with
+ * the version of the backend's dictionary. Entries older than CONFIG.CACHE_TTL
+ * or from an older dictionary are dropped, and so are the least recently used
+ * ones beyond CONFIG.MAX_CACHE_SIZE.
+ *
+ * Tabs share the stored chunks: a save merges the entries other tabs stored
+ * in the chunks it rewrites, and the entries other tabs save are merged as
+ * they come, see listen().
+ */
+const CacheService = {
+    entries: new Map(), // Storage key to entry, the least recently used first
+    versions: {}, // Latest dictionary version of each backend
+    dirty: new Set(), // Chunks changed since the last save
+    removed: new Set(), // Keys dropped since the last save, not merged back from the stored chunks
+    indexDirty: false, // Whether the dictionary versions changed since the last save
+    legacyMoved: false, // Whether the cache of older versions was read, removed once the chunks are saved
+    mode: gm.getValue(CONFIG.MODE_KEY, "hiragana"),
+
+    /**
+     * Get the storage key of a kanji, readings of each mode and backend are stored separately
+     * @param {string} kanji - Kanji to lookup
+     * @param {string} source - Name of the backend
+     * @param {string} [mode] - One of CONFIG.MODES, the current mode by default
+     * @returns {string} - Storage key
+     */
+    key(kanji, source, mode = this.mode) {
+        return `${mode}:${source}:${kanji}`;
+    },
+
+    /**
+     * Split a storage key into its parts
+     * @param {string} key - Storage key, see key()
+     * @returns {{mode: string, source: string, kanji: string}} - Parts of the key
+     */
+    parseKey(key) {
+        const [mode, source] = key.split(":", 2);
+        return { mode, source, kanji: key.substring(mode.length + source.length + 2) };
+    },
+
+    /**
+     * Load cached kanji readings from storage, moving the cache of older
+     * versions to the chunks
+     * @returns {Map<string, Object>} - Cached entries
+     */
+    load() {
+        const index = gm.getValue(CONFIG.CACHE_INDEX_KEY, null);
+        const loaded = [];
+        if (index && index.format === CACHE_FORMAT) {
+            this.versions = { ...index.versions };
+            for (let chunk = 0; chunk < CONFIG.CACHE_CHUNKS; chunk++) {
+                Object.entries(gm.getValue(CONFIG.CACHE_CHUNK_KEY + chunk, {})).forEach(([key, entry]) => {
+                    if (this.isFresh(entry)) {
+                        loaded.push([key, entry]);
+                    } else {
+                        this.dirty.add(chunk);
+                    }
+                });
+            }
+        } else {
+            loaded.push(...this.readLegacy());
+            loaded.forEach(([key]) => this.dirty.add(getChunk(key)));
+            this.indexDirty = true;
+        }
+
+        loaded.sort(([, a], [, b]) => a.used - b.used);
+        this.entries = new Map(loaded);
+        return this.entries;
+    },
+
+    /**
+     * Read the cache of older versions: a JSON string of readings by kanji,
+     * prefixed with the mode except for hiragana
+     * @returns {Array<[string, Object]>} - Storage keys and entries
+     */
+    readLegacy() {
+        const cacheStr = gm.getValue(CONFIG.CACHE_KEY, "");
+        if (!cacheStr) {
+            return [];
+        }
+        this.legacyMoved = true;
+
+        const now = Date.now();
+        return Object.entries(JSON.parse(cacheStr)).map(([legacyKey, value]) => {
+            const match = /^(\w+):(.*)$/.exec(legacyKey);
+            const [mode, kanji] = match && match[1] in CONFIG.MODES ? [match[1], match[2]] : ["hiragana", legacyKey];
+            // Entries of the first versions only hold the reading string, and
+            // the worker was the only backend then
+            const entry = typeof value === "string" ? { reading: value, segments: null } : value;
+            const source = entry.source || "worker";
+            return [this.key(kanji, source, mode), { ...entry, source, created: now, used: now }];
+        });
+    },
+
+    /**
+     * Save cached kanji readings to storage, rewriting the chunks that changed
+     */
+    save() {
+        // Drop the least recently used entries if the cache grows too large
+        const excess = this.entries.size - CONFIG.MAX_CACHE_SIZE;
+        if (excess > 0) {
+            [...this.entries.keys()].slice(0, excess).forEach(key => this.delete(key));
+            console.debug(`Kanji Terminator: ${excess} least recently used cache entries dropped`);
+        }
+
+        if (this.dirty.size) {
+            // Keep what other tabs stored in the chunks since they were read
+            const chunks = {};
+            this.dirty.forEach(chunk => {
+                chunks[chunk] = {};
+                this.mergeChunk(gm.getValue(CONFIG.CACHE_CHUNK_KEY + chunk, {}));
+            });
+            this.entries.forEach((entry, key) => {
+                const chunk = getChunk(key);
+                if (chunks[chunk]) {
+                    chunks[chunk][key] = entry;
+                }
+            });
+            this.dirty.clear();
+            this.removed.clear();
+            Object.entries(chunks).forEach(([chunk, entries]) => gm.setValue(CONFIG.CACHE_CHUNK_KEY + chunk, entries));
+        }
+
+        if (this.indexDirty) {
+            const index = gm.getValue(CONFIG.CACHE_INDEX_KEY, null);
+            const stored = index && index.format === CACHE_FORMAT ? index.versions : {};
+            this.indexDirty = false;
+            gm.setValue(CONFIG.CACHE_INDEX_KEY, { format: CACHE_FORMAT, versions: { ...stored, ...this.versions } });
+        }
+
+        // The cache of older versions is only removed once its entries are in the chunks
+        if (this.legacyMoved) {
+            this.legacyMoved = false;
+            gm.deleteValue(CONFIG.CACHE_KEY);
+        }
+    },
+
+    /**
+     * Merge the entries of a stored chunk, keeping the reading resolved last
+     * for keys present on both sides
+     * @param {Object} stored - Entries by storage key
+     * @returns {string[]} - Keys whose entry was added or replaced
+     */
+    mergeChunk(stored) {
+        const merged = [];
+        Object.entries(stored || {}).forEach(([key, entry]) => {
+            if (this.removed.has(key) || !this.isFresh(entry)) {
+                return;
+            }
+            const current = this.entries.get(key);
+            if (!current) {
+                this.entries.set(key, entry);
+                merged.push(key);
+            } else if (entry.created > current.created) {
+                this.entries.set(key, { ...entry, used: Math.max(entry.used, current.used) });
+                merged.push(key);
+            } else if (entry.used > current.used) {
+                current.used = entry.used;
+            }
+        });
+        return merged;
+    },
+
+    /**
+     * Merge the entries and dictionary versions other tabs save
+     * @param {Function} onUpdate - Called with the kanji of the current mode whose reading came from another tab
+     */
+    listen(onUpdate) {
+        for (let chunk = 0; chunk < CONFIG.CACHE_CHUNKS; chunk++) {
+            gm.addValueChangeListener(CONFIG.CACHE_CHUNK_KEY + chunk, (name, oldValue, newValue, remote) => {
+                if (!remote) {
+                    return;
+                }
+                const kanjis = this.mergeChunk(newValue)
+                    .map(key => this.parseKey(key))
+                    .filter(({ mode }) => mode === this.mode)
+                    .map(({ kanji }) => kanji);
+                if (kanjis.length) {
+                    onUpdate(kanjis);
+                }
+            });
+        }
+
+        gm.addValueChangeListener(CONFIG.CACHE_INDEX_KEY, (name, oldValue, newValue, remote) => {
+            if (remote && newValue && newValue.format === CACHE_FORMAT) {
+                Object.assign(this.versions, newValue.versions);
+            }
+        });
+    },
+
+    /**
+     * Check whether an entry can still be used
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} - False when it expired or comes from an older dictionary
+     */
+    isFresh(entry) {
+        const version = this.versions[entry.source];
+        return Date.now() - entry.created < CONFIG.CACHE_TTL && !(version && entry.dictionary && entry.dictionary !== version);
+    },
+
+    /**
+     * Remove an entry
+     * @param {string} key - Storage key
+     */
+    delete(key) {
+        this.entries.delete(key);
+        this.removed.add(key);
+        this.dirty.add(getChunk(key));
+    },
+
+    /**
+     * Get reading for a specific kanji: the user's correction if there's one,
+     * from the first backend in order that has one otherwise
+     * @param {string} kanji - Kanji to lookup
+     * @returns {{reading: string, segments: Object[]|null, source: string, meanings?: string[]}|undefined} - Reading if available
+     */
+    get(kanji) {
+        const resolved = this.getResolved(kanji);
+        return ReadingOverrides.get(kanji, this.mode, resolved) || resolved;
+    },
+
+    /**
+     * Get the reading of a kanji from the first backend in order that has one,
+     * leaving out the user's corrections
+     * @param {string} kanji - Kanji to lookup
+     * @returns {{reading: string, segments: Object[]|null, source: string, meanings?: string[]}|undefined} - Reading if available
+     */
+    getResolved(kanji) {
+        for (const source of Backends.order) {
+            const key = this.key(kanji, source);
+            const entry = this.entries.get(key);
+            if (!entry) {
+                continue;
+            }
+            if (!this.isFresh(entry)) {
+                this.delete(key);
+                continue;
+            }
+
+            // Move the entry to the most recently used end, only storing the
+            // time it was used once in a while
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            const now = Date.now();
+            if (now - entry.used >= CONFIG.CACHE_TOUCH_INTERVAL) {
+                entry.used = now;
+                this.dirty.add(getChunk(key));
+            }
+
+            const { reading, segments, meanings } = entry;
+            return meanings ? { reading, segments, source, meanings } : { reading, segments, source };
+        }
+        return undefined;
+    },
+
+    /**
+     * Store reading for a kanji
+     * @param {string} kanji - Kanji to store
+     * @param {string} reading - Reading for the kanji
+     * @param {Object[]} [segments] - Per-kanji alignment of the reading
+     * @param {string} [source] - Name of the backend the reading came from
+     * @param {string[]} [meanings] - Meanings of the word, when the backend provides them
+     * @param {string} [dictionary] - Version of the backend's dictionary the reading comes from
+     */
+    set(kanji, reading, segments, source, meanings, dictionary) {
+        if (dictionary && this.versions[source] !== dictionary) {
+            this.setVersion(source, dictionary);
+        }
+
+        const now = Date.now();
+        const entry = { reading, segments: Array.isArray(segments) ? segments : null, source, created: now, used: now };
+        if (Array.isArray(meanings) && meanings.length) {
+            entry.meanings = meanings;
+        }
+        if (dictionary) {
+            entry.dictionary = dictionary;
+        }
+
+        this.put(this.key(kanji, source), entry);
+    },
+
+    /**
+     * Store an entry as the most recently used one
+     * @param {string} key - Storage key
+     * @param {Object} entry - Cache entry
+     */
+    put(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.removed.delete(key);
+        this.dirty.add(getChunk(key));
+    },
+
+    /**
+     * Record the dictionary version of a backend, dropping the entries
+     * read from its other versions
+     * @param {string} source - Name of the backend
+     * @param {string} dictionary - Version of its dictionary
+     */
+    setVersion(source, dictionary) {
+        this.versions[source] = dictionary;
+        this.indexDirty = true;
+
+        const stale = [...this.entries].filter(([, entry]) => entry.source === source && entry.dictionary && entry.dictionary !== dictionary);
+        stale.forEach(([key]) => this.delete(key));
+        if (stale.length) {
+            console.debug(`Kanji Terminator: ${stale.length} cache entries of an older ${source} dictionary dropped`);
+        }
+    },
+
+    /**
+     * Check if a backend's reading of a kanji exists in the cache. The user's
+     * corrections don't count, so that the resolved reading is there once
+     * they are removed.
+     * @param {string} kanji - Kanji to check
+     * @returns {boolean} - True if cached
+     */
+    has(kanji) {
+        return Boolean(this.getResolved(kanji));
+    }
+};
+
+module.exports = { CacheService };
+
+  },
+  "./config": function (module, exports, require) {
+// Configuration constants
+
+const CONFIG = {
+    RESOLVER_KEY: "KANJI_API",
+    // Cache entries are spread over CACHE_CHUNKS values, CACHE_CHUNK_KEY followed by
+    // the chunk's index, so that a save only rewrites the chunks that changed.
+    // CACHE_KEY holds the cache of older versions, moved to the chunks once.
+    CACHE_KEY: "kanji-terminator-caches",
+    CACHE_INDEX_KEY: "kanji-terminator-cache-index",
+    CACHE_CHUNK_KEY: "kanji-terminator-cache-",
+    CACHE_CHUNKS: 16,
+    MODE_KEY: "kanji-terminator-mode",
+    BACKENDS_KEY: "kanji-terminator-backends",
+    DICTIONARY_KEY: "kanji-terminator-dictionary",
+    OVERRIDES_KEY: "kanji-terminator-overrides",
+    JSON_BACKEND_KEY: "kanji-terminator-json-backend",
+    SITE_RULES_KEY: "kanji-terminator-site-rules",
+    KNOWN_LEVEL_KEY: "kanji-terminator-known-level",
+    KNOWN_KANJI_KEY: "kanji-terminator-known-kanji",
+    HISTORY_KEY: "kanji-terminator-history",
+    SETTINGS_KEY: "kanji-terminator-settings",
+    DISPLAY_KEY: "kanji-terminator-display",
+    // Version of the worker's response format
+    RESPONSE_VERSION: 2,
+    // Backends tried in order until one returns a reading
+    DEFAULT_BACKENDS: ["dictionary", "worker", "local"],
+    // Reading modes supported by the resolver, with their menu labels
+    MODES: {
+        hiragana: "hiragana",
+        katakana: "katakana",
+        romaji: "romaji",
+    },
+    // Pages without a Japanese lang attribute are handled when, in a sample of
+    // their text, kana and kanji make up this share of the letters...
+    JAPANESE_TEXT_RATIO: 0.3,
+    // ...and kana this share of the kana and kanji, which rules out Chinese
+    JAPANESE_KANA_RATIO: 0.1,
+    LANGUAGE_SAMPLE_SIZE: 2000,
+    // Pages with less text than this, still loading, are checked again as they
+    // change, for at most LANGUAGE_RECHECK_TIME milliseconds
+    LANGUAGE_MIN_SAMPLE_SIZE: 200,
+    LANGUAGE_RECHECK_TIME: 10000,
+    // Statuses the user can give a word, with their labels
+    WORD_STATUSES: {
+        known: "known, reading hidden",
+        hover: "reading shown on hover",
+        unknown: "unknown, reading always shown",
+    },
+    // Readings fade out over this many pages a word is seen on, each lookup
+    // setting them back by LOOKUP_PENALTY pages
+    FADE_SEEN_COUNT: 10,
+    LOOKUP_PENALTY: 3,
+    MIN_READING_OPACITY: 0.3,
+    MAX_HISTORY_SIZE: 5000,
+    LONG_PRESS_DELAY: 500,
+    // Ways to show the readings, with their menu labels
+    DISPLAY_MODES: {
+        always: "always visible",
+        hover: "visible on hover",
+        toggle: "toggled with Alt+R",
+        quiz: "blurred until clicked",
+    },
+    DEFAULT_DISPLAY_MODE: "always",
+    // KeyboardEvent.code of the key showing or hiding the readings with Alt in toggle mode
+    TOGGLE_KEY_CODE: "KeyR",
+    // Long pages are annotated in slices of at most this many ms, run when the
+    // browser is idle or after SCAN_IDLE_TIMEOUT ms
+    SCAN_SLICE_TIME: 8,
+    SCAN_IDLE_TIMEOUT: 200,
+    // Requests to the backends: at most MAX_CONCURRENT_REQUESTS at a time, each
+    // given REQUEST_TIMEOUT ms and retried REQUEST_RETRIES times after
+    // RETRY_BASE_DELAY ms, doubled on each retry up to RETRY_MAX_DELAY ms
+    MAX_CONCURRENT_REQUESTS: 2,
+    REQUEST_TIMEOUT: 15000,
+    REQUEST_RETRIES: 2,
+    RETRY_BASE_DELAY: 1000,
+    RETRY_MAX_DELAY: 30000,
+    // Words no backend answered for are requested again on the scans that
+    // follow at least FAILED_RETRY_DELAY ms later
+    FAILED_RETRY_DELAY: 60000,
+    // Cached readings expire CACHE_TTL ms after they were resolved. The time an
+    // entry was last used is only stored again once it's CACHE_TOUCH_INTERVAL ms old.
+    CACHE_TTL: 30 * 24 * 60 * 60 * 1000,
+    CACHE_TOUCH_INTERVAL: 24 * 60 * 60 * 1000,
+    // Time allowed to the test request checking a resolver URL
+    TEST_REQUEST_TIMEOUT: 10000,
+    // MAX_CACHE_SIZE, DEBOUNCE_DELAY, CHUNK_SIZE and EXCLUDED_TAGS are defaults,
+    // overridden by the settings panel
+    MAX_CACHE_SIZE: 5000,
+    DEBOUNCE_DELAY: 500,
+    CHUNK_SIZE: 200,
+    EXCLUDED_TAGS: {
+        ruby: true,
+        rb: true,
+        rt: true,
+        script: true,
+        select: true,
+        textarea: true,
+        input: true,
+        "kanji-terminator-popup": true,
+        "kanji-terminator-settings": true,
+        "kanji-terminator-badge": true,
+    },
+    // Elements inserted by the script, excluded whatever the settings
+    INTERNAL_TAGS: ["ruby", "rb", "rt", "kanji-terminator-popup", "kanji-terminator-settings", "kanji-terminator-badge"],
+    // Unicode range for CJK Chinese characters
+    KANJI_REGEX: /[\u3400-\u4DB5\u4E00-\u9FCB\uF900-\uFA6A]+/,
+    // A single hiragana character, possibly okurigana
+    HIRAGANA_REGEX: /^[\u3041-\u3096]$/
+};
+
+module.exports = { CONFIG };
+
+  },
+  "./display": function (module, exports, require) {
+// Display modes of the readings
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { LearningHistory } = require("./history");
+const { Learning } = require("./learning");
+const { Styles } = require("./styles");
+
+/**
+ * Shows the readings according to the display mode. The mode is an attribute
+ * of the root element setting custom properties that the styles of the
+ * rubies depend on, so that switching modes never touches the rubies, and
+ * rubies in shadow roots inherit them:
+ * - `always`: readings are always visible
+ * - `hover`: readings are visible while the pointer is over their word
+ * - `toggle`: Alt+R shows or hides every reading
+ * - `quiz`: readings are blurred until their word is clicked
+ */
+const Display = {
+    doc: document,
+    mode: CONFIG.DEFAULT_DISPLAY_MODE,
+
+    /**
+     * Add the styles and the event listeners, and apply the stored mode
+     */
+    initialize() {
+        // :where() keeps these rules below those of Learning, which hide the readings of known words
+        Styles.add(`
+            html[data-kanji-terminator-display="hover"] { --kanji-terminator-idle-visibility: hidden; }
+            html[data-kanji-terminator-display="toggle"][data-kanji-terminator-hidden] { --kanji-terminator-visibility: hidden; }
+            html[data-kanji-terminator-display="quiz"] { --kanji-terminator-quiz-filter: blur(0.25em); --kanji-terminator-quiz-cursor: pointer; }
+            :where(ruby.kanji-terminator-ruby) > rt.kanji-terminator-rt { visibility: var(--kanji-terminator-visibility, visible); }
+            :where(ruby.kanji-terminator-ruby:not(:hover)) > rt.kanji-terminator-rt {
+                visibility: var(--kanji-terminator-visibility, var(--kanji-terminator-idle-visibility, visible));
+            }
+            :where(ruby.kanji-terminator-ruby:not([data-revealed])) > rt.kanji-terminator-rt {
+                filter: var(--kanji-terminator-quiz-filter, none);
+                cursor: var(--kanji-terminator-quiz-cursor, auto);
+            }
+        `);
+        this.listen(this.doc);
+
+        const mode = gm.getValue(CONFIG.DISPLAY_KEY, CONFIG.DEFAULT_DISPLAY_MODE);
+        this.apply(mode in CONFIG.DISPLAY_MODES ? mode : CONFIG.DEFAULT_DISPLAY_MODE);
+    },
+
+    /**
+     * Add the event listeners to a document, and show its readings in the current mode
+     * @param {Document} doc - The page's document or a frame's
+     */
+    listen(doc) {
+        // Capture, after Learning's handler and before the popup's
+        doc.addEventListener("click", event => this.handleClick(event), true);
+        doc.addEventListener("keydown", event => this.handleKeyDown(event));
+        if (doc !== this.doc) {
+            doc.documentElement.dataset.kanjiTerminatorDisplay = this.mode;
+            if ("kanjiTerminatorHidden" in this.doc.documentElement.dataset) {
+                doc.documentElement.dataset.kanjiTerminatorHidden = "";
+            }
+        }
+    },
+
+    /**
+     * Get the root elements the display mode is set on: the page's and its frames'
+     * @returns {Element[]} - Root elements
+     */
+    getRootElements() {
+        return [this.doc, ...Styles.getRoots().filter(root => root.nodeType === Node.DOCUMENT_NODE)]
+            .map(doc => doc.documentElement);
+    },
+
+    /**
+     * Switch to a display mode and store it
+     * @param {string} mode - One of CONFIG.DISPLAY_MODES
+     */
+    setMode(mode) {
+        if (!(mode in CONFIG.DISPLAY_MODES)) {
+            throw new Error(`Unknown display mode: ${mode}`);
+        }
+        gm.setValue(CONFIG.DISPLAY_KEY, mode);
+        this.apply(mode);
+    },
+
+    /**
+     * Show the readings in a display mode
+     * @param {string} mode - One of CONFIG.DISPLAY_MODES
+     */
+    apply(mode) {
+        this.mode = mode;
+        this.getRootElements().forEach(root => {
+            root.dataset.kanjiTerminatorDisplay = mode;
+            // Readings are visible when switching to the toggle mode
+            delete root.dataset.kanjiTerminatorHidden;
+        });
+    },
+
+    /**
+     * Show or hide every reading in toggle mode
+     * @param {boolean} [hidden] - Whether to hide the readings, toggled by default
+     */
+    toggle(hidden) {
+        if (hidden === undefined) {
+            hidden = !("kanjiTerminatorHidden" in this.doc.documentElement.dataset);
+        }
+        this.getRootElements().forEach(root => {
+            if (hidden) {
+                root.dataset.kanjiTerminatorHidden = "";
+            } else {
+                delete root.dataset.kanjiTerminatorHidden;
+            }
+        });
+    },
+
+    /**
+     * Toggle the readings on Alt+R, unless the user is typing
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyDown(event) {
+        if (this.mode !== "toggle" || !event.altKey || event.ctrlKey || event.metaKey || event.code !== CONFIG.TOGGLE_KEY_CODE) {
+            return;
+        }
+        const target = event.target;
+        if (target && (target.isContentEditable || /^(input|textarea|select)$/i.test(target.tagName || ""))) {
+            return;
+        }
+
+        event.preventDefault();
+        this.toggle();
+    },
+
+    /**
+     * Reveal a blurred reading on click in quiz mode. Links and buttons keep
+     * their clicks, Shift+click reveals the readings in them.
+     * @param {MouseEvent} event - Click event
+     */
+    handleClick(event) {
+        if (this.mode !== "quiz" || event.defaultPrevented) {
+            return;
+        }
+
+        const ruby = Learning.getRuby(event);
+        if (!ruby || "revealed" in ruby.dataset || (ruby.closest("a[href], button") && !event.shiftKey)) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        ruby.dataset.revealed = "";
+        LearningHistory.recordLookup(ruby.dataset.word);
+    }
+};
+
+module.exports = { Display };
+
+  },
+  "./dom": function (module, exports, require) {
+// DOM manipulation
+
+const { CONFIG } = require("./config");
+const { CacheService } = require("./cache");
+const { LearningHistory } = require("./history");
+const { KnownKanji } = require("./known");
+const { isJapaneseLang } = require("./language");
+const { Learning } = require("./learning");
+const { ReadingOverrides } = require("./overrides");
+const { Styles } = require("./styles");
+const { getCacheKey, getRunSegments } = require("./utils");
+
+/**
+ * Handles DOM manipulation for kanji furigana
+ */
+const DOMHandler = {
+    doc: document,
+    queue: {}, // Kanji queue to be converted
+    rubies: new Set(), // Ruby elements inserted in the page, removed by restore
+    contexts: new WeakMap(), // Rubies to the text, start and end of their run, to queue them again
+    inserted: new WeakSet(), // Rubies and text nodes inserted by addRuby
+    splitNodes: new WeakMap(), // Text nodes annotated by addRuby, to their value once annotated and the nodes split from them
+    rootIsJapanese: true, // Language of text outside elements with a lang attribute
+    roots: new WeakSet(), // Shadow roots and frame documents found while scanning
+    frames: new WeakSet(), // Frames whose loads are followed
+    onRoot: null, // Called with each shadow root or frame document found
+
+    /**
+     * Initialize styles and setup
+     */
+    initialize() {
+        Styles.add("rt.kanji-terminator-rt::before { content: attr(data-rt); }");
+        this.listen(this.doc);
+    },
+
+    /**
+     * Add the event listeners to a document
+     * @param {Document} doc - The page's document or a frame's
+     */
+    listen(doc) {
+        doc.addEventListener("copy", event => this.handleCopy(event));
+    },
+
+    /**
+     * Correct the reading of the word of a ruby, see Popup
+     * @param {Element} ruby - Ruby element
+     * @param {string} input - Reading entered by the user, empty to go back to the resolved one
+     * @param {boolean} siteOnly - Whether the correction only applies to the current site
+     * @throws {Error} - When the reading holds kanji
+     */
+    correctReading(ruby, input, siteOnly) {
+        const key = ruby.dataset.key || ruby.dataset.word;
+        const hostname = window.location.hostname;
+        const reading = input.trim().replace(/\s+/g, " ");
+        if (CONFIG.KANJI_REGEX.test(reading)) {
+            throw new Error(`Invalid reading: ${reading}`);
+        }
+
+        const corrected = ReadingOverrides.getWord(key, CacheService.getResolved(key));
+        if (!reading) {
+            ReadingOverrides.remove(corrected, CacheService.mode, hostname);
+        } else {
+            ReadingOverrides.set(corrected, CacheService.mode, reading, siteOnly && hostname ? hostname : null);
+        }
+        this.refreshWord(corrected);
+    },
+
+    /**
+     * Show the current reading on every ruby of a corrected word: the user's
+     * correction or the resolved reading. Rubies left without a reading are
+     * queued again, the mutations of their rendering triggering the conversion.
+     * @param {string} word - Word of the correction, see ReadingOverrides.getWord
+     */
+    refreshWord(word) {
+        this.rubies.forEach(ruby => {
+            const key = ruby.dataset.key;
+            if (key !== word && ruby.dataset.word !== word) {
+                return;
+            }
+            const entry = CacheService.get(key);
+            if (entry && entry.reading) {
+                this.renderRuby(ruby, getRunSegments(key, entry));
+            } else {
+                this.renderPending(ruby);
+                this.queueRuby(ruby);
+            }
+        });
+    },
+
+    /**
+     * Copy the selection without the readings inserted by the script
+     * @param {ClipboardEvent} event - Copy event
+     */
+    handleCopy(event) {
+        const doc = event.currentTarget && event.currentTarget.getSelection ? event.currentTarget : this.doc;
+        const selection = doc.getSelection();
+        if (!selection || selection.isCollapsed || !event.clipboardData) {
+            return;
+        }
+
+        const fragment = doc.createElement("div");
+        for (let i = 0; i < selection.rangeCount; i++) {
+            fragment.appendChild(selection.getRangeAt(i).cloneContents());
+        }
+        const rubies = fragment.querySelectorAll("ruby.kanji-terminator-ruby");
+        if (!rubies.length) {
+            return;
+        }
+        rubies.forEach(ruby => {
+            ruby.querySelectorAll("rt").forEach(rt => rt.remove());
+            ruby.replaceWith(doc.createTextNode(ruby.textContent));
+        });
+
+        event.preventDefault();
+        // Readings are generated content of the rt elements, so the text of the
+        // selection doesn't hold them, unlike its markup
+        event.clipboardData.setData("text/plain", selection.toString());
+        event.clipboardData.setData("text/html", fragment.innerHTML);
+    },
+
+    /**
+     * Remove every ruby inserted by the script, putting the text nodes back as
+     * they were before addRuby split them
+     */
+    restore() {
+        this.rubies.forEach(ruby => {
+            const parent = ruby.parentNode;
+            if (!parent) {
+                return;
+            }
+
+            let text = ruby.ownerDocument.createTextNode(ruby.dataset.word);
+            parent.replaceChild(text, ruby);
+
+            // Merge the text back with the text around it
+            const previous = text.previousSibling;
+            if (previous && previous.nodeType === Node.TEXT_NODE) {
+                previous.appendData(text.nodeValue);
+                parent.removeChild(text);
+                text = previous;
+            }
+            const next = text.nextSibling;
+            if (next && next.nodeType === Node.TEXT_NODE) {
+                text.appendData(next.nodeValue);
+                parent.removeChild(next);
+            }
+        });
+
+        this.rubies.clear();
+        this.splitNodes = new WeakMap();
+        this.roots = new WeakSet();
+        this.frames = new WeakSet();
+        this.queue = {};
+    },
+
+    /**
+     * Annotate a text node whose text was changed by the page. When addRuby
+     * split it, the nodes inserted after it hold the old text and are removed.
+     * @param {Text} node - Text node
+     */
+    updateText(node) {
+        const split = this.splitNodes.get(node);
+        if (split) {
+            // Changes made by addRuby itself
+            if (split.value === node.nodeValue) {
+                return;
+            }
+            this.removeSplit(node, node.parentNode);
+        }
+        this.scanTextNodes(node);
+    },
+
+    /**
+     * Remove the nodes addRuby split from a text node, the rubies and the
+     * text after them, which the page doesn't know about
+     * @param {Text} node - Text node split by addRuby
+     * @param {Node|null} parent - Parent the nodes were inserted in, the one of the text node
+     */
+    removeSplit(node, parent) {
+        const split = this.splitNodes.get(node);
+        this.splitNodes.delete(node);
+        split.nodes.forEach(inserted => {
+            if (inserted.parentNode === parent) {
+                inserted.remove();
+                this.forget(inserted, parent);
+            }
+        });
+    },
+
+    /**
+     * Stop tracking the rubies of a node removed from the page. A removed
+     * text node split by addRuby takes the nodes split from it along.
+     * @param {Node} node - Removed node
+     * @param {Node} parent - Node it was removed from
+     */
+    forget(node, parent) {
+        if (node.isConnected) {
+            return;
+        }
+        if (node.nodeType === Node.TEXT_NODE && this.splitNodes.has(node)) {
+            this.removeSplit(node, parent);
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return;
+        }
+
+        const rubies = node.matches("ruby.kanji-terminator-ruby")
+            ? [node]
+            : node.querySelectorAll("ruby.kanji-terminator-ruby");
+        rubies.forEach(ruby => {
+            this.rubies.delete(ruby);
+            const queued = this.queue[ruby.dataset.key];
+            if (queued) {
+                queued.nodes = queued.nodes.filter(other => other !== ruby);
+                if (!queued.nodes.length) {
+                    delete this.queue[ruby.dataset.key];
+                }
+            }
+        });
+    },
+
+    /**
+     * Get the parent element of a node, the host of its shadow root for the
+     * nodes at the top of a shadow tree
+     * @param {Node} node - Node
+     * @returns {Element|null} - Parent element
+     */
+    getParentElement(node) {
+        if (node.parentElement) {
+            return node.parentElement;
+        }
+        const parent = node.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? node : node.parentNode;
+        return (parent && parent.host) || null;
+    },
+
+    /**
+     * Check if the text of an element is Japanese, from the closest lang
+     * attribute below the root element
+     * @param {Element|null} element - Element to check
+     * @returns {boolean} - True if the element's text is Japanese
+     */
+    isJapanese(element) {
+        for (let current = element; current && current !== this.doc.documentElement; current = this.getParentElement(current)) {
+            const lang = current.getAttribute("lang");
+            if (lang) {
+                return isJapaneseLang(lang);
+            }
+        }
+        return this.rootIsJapanese;
+    },
+
+    /**
+     * Check if a node is inside an excluded tag, one of the rubies included,
+     * or inside editable content
+     * @param {Node} node - Node to check
+     * @returns {boolean} - True if the node must be left as is
+     */
+    isExcluded(node) {
+        const parent = this.getParentElement(node);
+        for (let element = parent; element; element = this.getParentElement(element)) {
+            if (element.tagName.toLowerCase() in CONFIG.EXCLUDED_TAGS) {
+                return true;
+            }
+        }
+        return Boolean(parent && parent.isContentEditable);
+    },
+
+    /**
+     * Get what an element shows besides its child nodes: its open shadow
+     * root, or the document of a same-origin frame the userscript manager
+     * doesn't run the script in (about:blank, srcdoc)
+     * @param {Element} element - Element
+     * @returns {ShadowRoot|Document|null} - Shadow root or frame document
+     */
+    getInnerRoot(element) {
+        if (element.shadowRoot) {
+            return element.shadowRoot;
+        }
+        if (element.tagName.toLowerCase() !== "iframe") {
+            return null;
+        }
+        try {
+            const doc = element.contentDocument;
+            return doc && doc.body && !/^https?:$/.test(doc.location.protocol) ? doc : null;
+        } catch (error) {
+            return null; // Cross-origin frame
+        }
+    },
+
+    /**
+     * Find the inner root of an element, reporting it to onRoot the first time
+     * @param {Element} element - Element
+     * @returns {Node|null} - Node to scan: the shadow root, or the body of the frame
+     */
+    enterRoot(element) {
+        if (element.tagName.toLowerCase() === "iframe" && !this.frames.has(element)) {
+            this.frames.add(element);
+            // Frames get a new document once they load
+            element.addEventListener("load", () => {
+                if (this.frames.has(element)) {
+                    this.scanTextNodes(element);
+                }
+            });
+        }
+
+        const root = this.getInnerRoot(element);
+        if (!root) {
+            return null;
+        }
+        if (!this.roots.has(root)) {
+            this.roots.add(root);
+            if (this.onRoot) {
+                this.onRoot(root);
+            }
+        }
+        return root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+    },
+
+    /**
+     * Scan DOM for text nodes and add ruby elements
+     * @param {Node} node - Starting node to scan
+     */
+    scanTextNodes(node) {
+        // Nodes removed from the page are left alone
+        if (!node.isConnected || this.isExcluded(node)) {
+            return;
+        }
+
+        let currentLevel = [[node, this.isJapanese(this.getParentElement(node))]];
+
+        while (currentLevel.length > 0) {
+            let [curNode, japanese] = currentLevel.pop();
+
+            // Skip nodes removed while scanning
+            if (!curNode.parentNode && curNode.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+                continue;
+            }
+
+            let textNode = curNode;
+
+            switch (curNode.nodeType) {
+                case Node.ELEMENT_NODE: {
+                    // Skip excluded tags and editable content
+                    if (
+                        curNode.tagName.toLowerCase() in CONFIG.EXCLUDED_TAGS ||
+                        curNode.isContentEditable
+                    ) {
+                        continue;
+                    }
+
+                    // A lang attribute sets the language of the subtree
+                    const lang = curNode.getAttribute("lang");
+                    if (lang) {
+                        japanese = isJapaneseLang(lang);
+                    }
+
+                    // Add child nodes to process queue
+                    curNode.childNodes.forEach(child => {
+                        currentLevel.push([child, japanese]);
+                    });
+
+                    // Open shadow roots and frames without their own copy of the script
+                    const inner = this.enterRoot(curNode);
+                    if (inner) {
+                        currentLevel.push([inner, japanese]);
+                    }
+                    break;
+                }
+
+                case Node.DOCUMENT_FRAGMENT_NODE: {
+                    curNode.childNodes.forEach(child => {
+                        currentLevel.push([child, japanese]);
+                    });
+                    break;
+                }
+
+                case Node.TEXT_NODE: {
+                    if (!japanese) {
+                        break;
+                    }
+
+                    // Keep the whole text node as context for the converter
+                    const context = { text: curNode.nodeValue, offset: 0, nodes: [] };
+
+                    // Process text nodes and add ruby elements
+                    while ((textNode = this.addRuby(textNode, context)));
+
+                    // Remember the values of the text nodes once annotated, and
+                    // the nodes split from the text node, which are stale once
+                    // the page changes its text
+                    if (context.nodes.length) {
+                        const split = this.splitNodes.get(curNode);
+                        this.splitNodes.set(curNode, {
+                            value: curNode.nodeValue,
+                            nodes: split ? split.nodes.concat(context.nodes) : context.nodes,
+                        });
+                        context.nodes.forEach(inserted => {
+                            if (inserted.nodeType === Node.TEXT_NODE) {
+                                this.splitNodes.set(inserted, { value: inserted.nodeValue, nodes: [] });
+                            }
+                        });
+                    }
+                    break;
+                }
+            }
+        }
+    },
+
+    /**
+     * Create ruby element for kanji
+     * @param {Node} node - Text node to process
+     * @param {{text: string, offset: number, nodes: Node[]}} context - Original text of the node, offset of `node`
+     *     within it and nodes inserted in its place
+     * @returns {Node|false} - Next text node or false if done
+     */
+    addRuby(node, context) {
+        // Not a text node
+        if (!node.nodeValue) {
+            return false;
+        }
+
+        // Find kanji in text, skipping runs the reader knows
+        const regex = new RegExp(CONFIG.KANJI_REGEX.source, "g");
+        let match;
+        while ((match = regex.exec(node.nodeValue)) && KnownKanji.isKnown(match[0]));
+        if (!match) {
+            return false;
+        }
+
+        // Locate the run within the original text
+        const start = context.offset + match.index;
+        const end = start + match[0].length;
+        context.offset = end;
+
+        // Create ruby element structure
+        let ruby = node.ownerDocument.createElement("ruby");
+        ruby.classList.add("kanji-terminator-ruby");
+        ruby.dataset.word = match[0];
+        this.renderPending(ruby);
+
+        // Add to queue for conversion
+        ruby.dataset.key = getCacheKey(context.text, start, end);
+        this.rubies.add(ruby);
+        this.contexts.set(ruby, { text: context.text, start, end });
+        this.queueRuby(ruby);
+
+        // Handle remaining text
+        let rest = node.splitText(match.index);
+        node.parentNode.insertBefore(ruby, rest);
+        rest.nodeValue = rest.nodeValue.substring(match[0].length);
+        this.inserted.add(ruby);
+        this.inserted.add(rest);
+        context.nodes.push(ruby, rest);
+
+        // Return remaining text for recursive processing
+        return rest;
+    },
+
+    /**
+     * Add a ruby to the queue of its kanji run
+     * @param {Element} ruby - Ruby element created by addRuby
+     */
+    queueRuby(ruby) {
+        const key = ruby.dataset.key;
+        if (!this.queue[key]) {
+            this.queue[key] = {
+                nodes: [],
+                context: this.contexts.get(ruby)
+            };
+        }
+        if (!this.queue[key].nodes.includes(ruby)) {
+            this.queue[key].nodes.push(ruby);
+        }
+    },
+
+    /**
+     * Update ruby elements with readings from cache. Runs only showing the
+     * user's correction stay queued until a backend resolves them.
+     * @param {string} key - Cache key of the kanji run to update
+     */
+    updateRubyFromCache(key) {
+        const entry = CacheService.get(key);
+        if (!entry || !entry.reading) {
+            return;
+        }
+
+        const kanji = CONFIG.KANJI_REGEX.exec(key)[0];
+        ((this.queue[key] || {}).nodes || []).forEach(ruby => {
+            this.renderRuby(ruby, getRunSegments(key, entry));
+            LearningHistory.recordSeen(kanji, entry.reading);
+            Learning.apply(ruby);
+        });
+
+        if (CacheService.has(key)) {
+            delete this.queue[key];
+        }
+    },
+
+    /**
+     * Show a ruby without reading, as created while its reading is requested
+     * @param {Element} ruby - Ruby element
+     */
+    renderPending(ruby) {
+        const doc = ruby.ownerDocument;
+        ruby.textContent = "";
+        ruby.appendChild(doc.createTextNode(ruby.dataset.word));
+
+        const rt = doc.createElement("rt");
+        rt.classList.add("kanji-terminator-rt");
+        ruby.appendChild(rt);
+    },
+
+    /**
+     * Fill a ruby element with one rb/rt pair per segment, so that each
+     * reading sits over its own kanji and okurigana gets no reading
+     * @param {Element} ruby - Ruby element created by addRuby
+     * @param {Object[]} segments - Segments of the kanji run
+     */
+    renderRuby(ruby, segments) {
+        ruby.textContent = "";
+
+        segments.forEach(segment => {
+            let rb = ruby.ownerDocument.createElement("rb");
+            rb.textContent = segment.text;
+            ruby.appendChild(rb);
+
+            let rt = ruby.ownerDocument.createElement("rt");
+            rt.classList.add("kanji-terminator-rt");
+            if (segment.kind === "kanji" && segment.reading !== segment.text) {
+                rt.dataset.rt = segment.reading;
+            }
+            ruby.appendChild(rt);
+        });
+    }
+};
+
+module.exports = { DOMHandler };
+
+  },
+  "./gm": function (module, exports, require) {
+// Thin adapter over the GM_* APIs of the userscript manager. Every other
+// module goes through it, so that tests can run the script with fake GM_* globals.
+
+const gm = {
+    /**
+     * Read a stored value
+     * @param {string} key - Storage key
+     * @param {*} [defaultValue] - Value returned when nothing is stored
+     * @returns {*} - Stored value
+     */
+    getValue(key, defaultValue) {
+        return GM_getValue(key, defaultValue);
+    },
+
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     */
+    setValue(key, value) {
+        GM_setValue(key, value);
+    },
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    deleteValue(key) {
+        GM_deleteValue(key);
+    },
+
+    /**
+     * Call a function when a stored value changes, in this tab or another one
+     * @param {string} key - Storage key
+     * @param {Function} callback - Called with (key, old value, new value, whether another tab changed it)
+     * @returns {*} - Listener id, null when the userscript manager can't notify changes
+     */
+    addValueChangeListener(key, callback) {
+        if (typeof GM_addValueChangeListener !== "function") {
+            return null;
+        }
+        return GM_addValueChangeListener(key, callback);
+    },
+
+    /**
+     * Add a stylesheet to the page
+     * @param {string} css - CSS rules
+     */
+    addStyle(css) {
+        GM_addStyle(css);
+    },
+
+    /**
+     * Send a cross-origin request
+     * @param {Object} details - GM_xmlhttpRequest details
+     */
+    xmlhttpRequest(details) {
+        GM_xmlhttpRequest(details);
+    },
+
+    /**
+     * Add an entry to the userscript manager's menu
+     * @param {string} name - Menu entry label
+     * @param {Function} callback - Called when the entry is clicked
+     */
+    registerMenuCommand(name, callback) {
+        GM_registerMenuCommand(name, callback);
+    },
+
+    /**
+     * Get the page's own window rather than the sandbox's view of it, so that
+     * what is changed on it is seen by the page's scripts
+     * @returns {Window} - Window of the page, the sandbox's when the userscript manager doesn't expose it
+     */
+    getPageWindow() {
+        return typeof unsafeWindow !== "undefined" ? unsafeWindow : window;
+    },
+
+    /**
+     * Make a function of the userscript callable by the page's scripts, which
+     * Firefox doesn't allow unless the function is exported to the page
+     * @param {Function} func - Function to export
+     * @param {Object} target - Page object the function is added to
+     * @returns {Function} - Function to set on the page object
+     */
+    exportFunction(func, target) {
+        return typeof exportFunction === "function" ? exportFunction(func, target) : func;
+    }
+};
+
+module.exports = { gm };
+
+  },
+  "./history": function (module, exports, require) {
+// Learning history of the words read with the script
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { getPageUrl } = require("./navigation");
+
+/**
+ * Per-word learning history, stored as { word: entry } with entries holding:
+ * - `reading`: last reading shown
+ * - `status`: "known", "hover" or "unknown" when set by the user
+ * - `seen`: number of pages the word was shown on
+ * - `lookups`: number of times the user revealed a hidden or faded reading
+ * - `firstSeen`, `lastSeen`: timestamps in milliseconds
+ * - `url`: page the word was first seen on
+ *
+ * Readings fade out as a word is seen, a lookup setting them back as in
+ * spaced repetition, until they only show on hover.
+ *
+ * Tabs share the stored history: a save merges the entries other tabs stored
+ * since it was read, see merge().
+ */
+const LearningHistory = {
+    entries: {},
+    seenOnPage: new Set(),
+    lookedUpOnPage: new Set(),
+    dirty: false, // Whether the entries changed since the last save
+    statusChanged: new Set(), // Words whose status was set since the last save, the others taking the stored one
+
+    /**
+     * Load the history from storage
+     * @returns {Object} - History entries
+     */
+    load() {
+        this.entries = this.getStored();
+        this.dirty = false;
+        this.statusChanged.clear();
+        return this.entries;
+    },
+
+    /**
+     * Get the history stored by every tab
+     * @returns {Object} - History entries
+     */
+    getStored() {
+        const entries = gm.getValue(CONFIG.HISTORY_KEY, {});
+        return entries && typeof entries === "object" ? entries : {};
+    },
+
+    /**
+     * Merge the entries stored by other tabs into the entries of this one.
+     * Counters and the time last seen take the highest value, the status the
+     * stored one unless it was set in this tab since the last save.
+     * @param {Object} stored - Stored history entries
+     */
+    merge(stored) {
+        Object.entries(stored).forEach(([word, other]) => {
+            const entry = this.entries[word];
+            if (!entry) {
+                this.entries[word] = other;
+                return;
+            }
+            entry.seen = Math.max(entry.seen, other.seen || 0);
+            entry.lookups = Math.max(entry.lookups, other.lookups || 0);
+            entry.lastSeen = Math.max(entry.lastSeen, other.lastSeen || 0);
+            entry.firstSeen = Math.min(entry.firstSeen, other.firstSeen || entry.firstSeen);
+            entry.url = other.url || entry.url;
+            if (!this.statusChanged.has(word)) {
+                if (other.status) {
+                    entry.status = other.status;
+                } else {
+                    delete entry.status;
+                }
+            }
+        });
+    },
+
+    /**
+     * Save the history to storage when it changed, merged with what other
+     * tabs stored, dropping the least recently seen words without a status
+     * once it grows too large
+     */
+    save() {
+        if (!this.dirty) {
+            return;
+        }
+        this.merge(this.getStored());
+
+        const words = Object.keys(this.entries);
+        if (words.length > CONFIG.MAX_HISTORY_SIZE) {
+            words
+                .filter(word => !this.entries[word].status)
+                .sort((a, b) => this.entries[a].lastSeen - this.entries[b].lastSeen)
+                .slice(0, words.length - CONFIG.MAX_HISTORY_SIZE)
+                .forEach(word => delete this.entries[word]);
+        }
+
+        gm.setValue(CONFIG.HISTORY_KEY, this.entries);
+        this.dirty = false;
+        this.statusChanged.clear();
+    },
+
+    /**
+     * Count words as seen and looked up again, when a single-page application shows a new page
+     */
+    startPage() {
+        this.seenOnPage.clear();
+        this.lookedUpOnPage.clear();
+    },
+
+    /**
+     * Get the entry of a word, creating it if needed
+     * @param {string} word - Kanji run
+     * @returns {Object} - History entry
+     */
+    entry(word) {
+        if (!this.entries[word]) {
+            const now = Date.now();
+            this.entries[word] = { reading: "", seen: 0, lookups: 0, firstSeen: now, lastSeen: now, url: getPageUrl(window.location.href) };
+        }
+        return this.entries[word];
+    },
+
+    /**
+     * Record that a word was shown with its reading, once per page
+     * @param {string} word - Kanji run
+     * @param {string} reading - Reading shown
+     */
+    recordSeen(word, reading) {
+        const entry = this.entry(word);
+        if (entry.reading !== reading) {
+            entry.reading = reading;
+            this.dirty = true;
+        }
+        if (!this.seenOnPage.has(word)) {
+            this.seenOnPage.add(word);
+            entry.seen++;
+            entry.lastSeen = Date.now();
+            this.dirty = true;
+        }
+    },
+
+    /**
+     * Record that the user revealed the reading of a word, once per page
+     * @param {string} word - Kanji run
+     */
+    recordLookup(word) {
+        if (this.lookedUpOnPage.has(word)) {
+            return;
+        }
+        this.lookedUpOnPage.add(word);
+        this.entry(word).lookups++;
+        this.dirty = true;
+        this.save();
+    },
+
+    /**
+     * Set the status of a word
+     * @param {string} word - Kanji run
+     * @param {string|null} status - One of CONFIG.WORD_STATUSES, null to let the reading fade
+     */
+    setStatus(word, status) {
+        const entry = this.entry(word);
+        if (status) {
+            entry.status = status;
+        } else {
+            delete entry.status;
+        }
+        this.statusChanged.add(word);
+        this.dirty = true;
+        this.save();
+    },
+
+    /**
+     * Get the status of a word
+     * @param {string} word - Kanji run
+     * @returns {string|null} - One of CONFIG.WORD_STATUSES, null if the user didn't set any
+     */
+    getStatus(word) {
+        return (this.entries[word] && this.entries[word].status) || null;
+    },
+
+    /**
+     * Get how well a word is learned from its history
+     * @param {string} word - Kanji run
+     * @returns {number} - From 0 (new word) to 1 (reading only shown on hover)
+     */
+    getStrength(word) {
+        const entry = this.entries[word];
+        if (!entry) {
+            return 0;
+        }
+        const progress = entry.seen - entry.lookups * CONFIG.LOOKUP_PENALTY;
+        return Math.min(1, Math.max(0, progress / CONFIG.FADE_SEEN_COUNT));
+    },
+
+    /**
+     * Serialize the history for export
+     * @returns {string} - JSON document
+     */
+    export() {
+        return JSON.stringify({ exported: new Date().toISOString(), words: this.entries }, null, 2);
+    }
+};
+
+module.exports = { LearningHistory };
+
+  },
+  "./index": function (module, exports, require) {
+// Entry point of the userscript, see scripts/build.js
+
+const { start } = require("./app");
+
+// Start the application
+start();
+
+  },
+  "./kanji_grades": function (module, exports, require) {
+// Kyōiku kanji, the Jōyō kanji taught in each grade of elementary school (2020 curriculum)
+
+const KANJI_GRADES = {
+    1: "一右雨円王音下火花貝学気九休玉金空月犬見五口校左三山子四糸字耳七車手十出女小上森人水正生青夕石赤千川先早草足村大男竹中虫町天田土二日入年白八百文木本名目立力林六",
+    2: "引羽雲園遠何科夏家歌画回会海絵外角楽活間丸岩顔汽記帰弓牛魚京強教近兄形計元言原戸古午後語工公広交光考行高黄合谷国黒今才細作算止市矢姉思紙寺自時室社弱首秋週春書少場色食心新親図数西声星晴切雪船線前組走多太体台地池知茶昼長鳥朝直通弟店点電刀冬当東答頭同道読内南肉馬売買麦半番父風分聞米歩母方北毎妹万明鳴毛門夜野友用曜来里理話",
+    3: "悪安暗医委意育員院飲運泳駅央横屋温化荷界開階寒感漢館岸起期客究急級宮球去橋業曲局銀区苦具君係軽血決研県庫湖向幸港号根祭皿仕死使始指歯詩次事持式実写者主守取酒受州拾終習集住重宿所暑助昭消商章勝乗植申身神真深進世整昔全相送想息速族他打対待代第題炭短談着注柱丁帳調追定庭笛鉄転都度投豆島湯登等動童農波配倍箱畑発反坂板皮悲美鼻筆氷表秒病品負部服福物平返勉放味命面問役薬由油有遊予羊洋葉陽様落流旅両緑礼列練路和",
+    4: "愛案以衣位茨印英栄媛塩岡億加果貨課芽賀改械害街各覚潟完官管関観願岐希季旗器機議求泣給挙漁共協鏡競極熊訓軍郡群径景芸欠結建健験固功好香候康佐差菜最埼材崎昨札刷察参産散残氏司試児治滋辞鹿失借種周祝順初松笑唱焼照城縄臣信井成省清静席積折節説浅戦選然争倉巣束側続卒孫帯隊達単置仲沖兆低底的典伝徒努灯働特徳栃奈梨熱念敗梅博阪飯飛必票標不夫付府阜富副兵別辺変便包法望牧末満未民無約勇要養浴利陸良料量輪類令冷例連老労録",
+    5: "圧囲移因永営衛易益液演応往桜可仮価河過快解格確額刊幹慣眼紀基寄規喜技義逆久旧救居許境均禁句型経潔件険検限現減故個護効厚耕航鉱構興講告混査再災妻採際在財罪殺雑酸賛士支史志枝師資飼示似識質舎謝授修述術準序招証象賞条状常情織職制性政勢精製税責績接設絶祖素総造像増則測属率損貸態団断築貯張停提程適統堂銅導得毒独任燃能破犯判版比肥非費備評貧布婦武復複仏粉編弁保墓報豊防貿暴脈務夢迷綿輸余容略留領歴",
+    6: "胃異遺域宇映延沿恩我灰拡革閣割株干巻看簡危机揮貴疑吸供胸郷勤筋系敬警劇激穴券絹権憲源厳己呼誤后孝皇紅降鋼刻穀骨困砂座済裁策冊蚕至私姿視詞誌磁射捨尺若樹収宗就衆従縦縮熟純処署諸除承将傷障蒸針仁垂推寸盛聖誠舌宣専泉洗染銭善奏窓創装層操蔵臓存尊退宅担探誕段暖値宙忠著庁頂腸潮賃痛敵展討党糖届難乳認納脳派拝背肺俳班晩否批秘俵腹奮並陛閉片補暮宝訪亡忘棒枚幕密盟模訳郵優預幼欲翌乱卵覧裏律臨朗論",
+};
+
+module.exports = { KANJI_GRADES };
+
+  },
+  "./known": function (module, exports, require) {
+// Kanji the reader already knows
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { KANJI_GRADES } = require("./kanji_grades");
+
+/**
+ * Known-kanji model: the kanji of every school grade up to the chosen level,
+ * plus the kanji the user marked as known, minus those marked as unknown.
+ * Runs made only of known kanji get no reading.
+ */
+const KnownKanji = {
+    level: gm.getValue(CONFIG.KNOWN_LEVEL_KEY, 0),
+    known: new Set(),
+
+    /**
+     * Build the set of known kanji from the level and the user's edits
+     */
+    load() {
+        const edits = this.getEdits();
+        this.known = new Set();
+
+        for (let grade = 1; grade <= this.level; grade++) {
+            [...(KANJI_GRADES[grade] || "")].forEach(char => this.known.add(char));
+        }
+        [...edits.known].forEach(char => this.known.add(char));
+        [...edits.unknown].forEach(char => this.known.delete(char));
+    },
+
+    /**
+     * Get the kanji the user marked as known or unknown
+     * @returns {{known: string, unknown: string}} - Kanji of each list
+     */
+    getEdits() {
+        const edits = gm.getValue(CONFIG.KNOWN_KANJI_KEY, {});
+        return {
+            known: typeof edits.known === "string" ? edits.known : "",
+            unknown: typeof edits.unknown === "string" ? edits.unknown : "",
+        };
+    },
+
+    /**
+     * Store the kanji the user marked as known or unknown
+     * @param {{known: string, unknown: string}} edits - Kanji of each list
+     */
+    setEdits(edits) {
+        gm.setValue(CONFIG.KNOWN_KANJI_KEY, { known: edits.known, unknown: edits.unknown });
+        this.load();
+    },
+
+    /**
+     * Set the school grade up to which kanji are known
+     * @param {number} level - Grade from 1 to 6, 0 when no kanji is known
+     */
+    setLevel(level) {
+        this.level = level;
+        gm.setValue(CONFIG.KNOWN_LEVEL_KEY, level);
+        this.load();
+    },
+
+    /**
+     * Check if every kanji of a run is known
+     * @param {string} kanji - Kanji run
+     * @returns {boolean} - True if the run needs no reading
+     */
+    isKnown(kanji) {
+        return [...kanji].every(char => this.known.has(char));
+    }
+};
+
+module.exports = { KnownKanji };
+
+  },
+  "./language": function (module, exports, require) {
+// Detection of Japanese text
+
+const { CONFIG } = require("./config");
+
+/**
+ * Check if a language tag is Japanese, e.g. "ja" or "ja-JP"
+ * @param {string|null} lang - Value of a lang attribute
+ * @returns {boolean} - True for Japanese
+ */
+function isJapaneseLang(lang) {
+    return /^ja(-|$)/i.test((lang || "").trim());
+}
+
+/**
+ * Collect a sample of the text of an element, leaving out excluded tags
+ * @param {Element} root - Element to read
+ * @param {number} size - Maximum number of characters
+ * @returns {string} - Text sample
+ */
+function getTextSample(root, size) {
+    const doc = root.ownerDocument;
+    const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                return node.tagName.toLowerCase() in CONFIG.EXCLUDED_TAGS || node.tagName.toLowerCase() === "style"
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_SKIP;
+            }
+            return NodeFilter.FILTER_ACCEPT;
+        }
+    });
+
+    let sample = "";
+    while (sample.length < size && walker.nextNode()) {
+        sample += walker.currentNode.nodeValue.replace(/\s+/g, "");
+    }
+    return sample.substring(0, size);
+}
+
+/**
+ * Guess whether a text is Japanese from its share of kana and kanji. Kana
+ * are required too, so that Chinese text isn't taken for Japanese.
+ * @param {string} text - Text to check
+ * @returns {boolean} - True if the text looks Japanese
+ */
+function looksJapanese(text) {
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    const kana = (text.match(/[ぁ-ゖァ-ヺー]/g) || []).length;
+    const kanji = (text.match(new RegExp(CONFIG.KANJI_REGEX.source, "g")) || []).join("").length;
+
+    if (!letters || !kana) {
+        return false;
+    }
+    return (kana + kanji) / letters >= CONFIG.JAPANESE_TEXT_RATIO && kana / (kana + kanji) >= CONFIG.JAPANESE_KANA_RATIO;
+}
+
+/**
+ * Check if a page is in Japanese, from its lang attribute or else from its text
+ * @param {Document} doc - Page to check
+ * @returns {boolean} - True if the page is in Japanese
+ */
+function isJapanesePage(doc) {
+    if (isJapaneseLang(doc.documentElement.lang)) {
+        return true;
+    }
+    return looksJapanese(getTextSample(doc.body, CONFIG.LANGUAGE_SAMPLE_SIZE));
+}
+
+/**
+ * Check if some elements of a page are marked as Japanese with a lang attribute
+ * @param {Document} doc - Page to check
+ * @returns {boolean} - True if an element has a Japanese lang attribute
+ */
+function hasJapaneseElements(doc) {
+    return [...doc.body.querySelectorAll("[lang]")].some(element => isJapaneseLang(element.getAttribute("lang")));
+}
+
+module.exports = {
+    getTextSample,
+    hasJapaneseElements,
+    isJapaneseLang,
+    isJapanesePage,
+    looksJapanese
+};
+
+  },
+  "./learning": function (module, exports, require) {
+// Marking words as known and fading readings with the learning history
+
+const { CONFIG } = require("./config");
+const { LearningHistory } = require("./history");
+const { Styles } = require("./styles");
+
+// Order the statuses go through on Alt+click or long press, null letting the reading fade
+const STATUS_CYCLE = [null, "known", "hover", "unknown"];
+
+/**
+ * Handles the learning interactions on the rubies
+ */
+const Learning = {
+    doc: document,
+    longPressTimer: null,
+    suppressClick: false,
+
+    /**
+     * Add the styles and the event listeners
+     */
+    initialize() {
+        Styles.add(`
+            ruby.kanji-terminator-ruby > rt.kanji-terminator-rt { opacity: var(--kanji-terminator-opacity, 1); }
+            ruby.kanji-terminator-ruby:hover > rt.kanji-terminator-rt { opacity: 1; }
+            ruby.kanji-terminator-ruby[data-display="known"] > rt.kanji-terminator-rt,
+            ruby.kanji-terminator-ruby[data-display="hover"]:not(:hover) > rt.kanji-terminator-rt { visibility: hidden; }
+        `);
+        this.listen(this.doc);
+    },
+
+    /**
+     * Add the event listeners to a document
+     * @param {Document} doc - The page's document or a frame's
+     */
+    listen(doc) {
+        // Capture so that a click on a ruby inside a link doesn't follow it
+        doc.addEventListener("click", event => this.handleClick(event), true);
+        doc.addEventListener("pointerdown", event => this.handlePointerDown(event), true);
+        ["pointerup", "pointercancel"].forEach(type => {
+            doc.addEventListener(type, () => clearTimeout(this.longPressTimer), true);
+        });
+        doc.addEventListener("mouseover", event => this.handleMouseOver(event));
+    },
+
+    /**
+     * Get the ruby inserted by the script an event happened in, shadow trees included
+     * @param {Event} event - DOM event
+     * @returns {Element|null} - The ruby, null if the event is elsewhere
+     */
+    getRuby(event) {
+        const target = event.composedPath ? event.composedPath()[0] || event.target : event.target;
+        return target && target.closest ? target.closest("ruby.kanji-terminator-ruby[data-word]") : null;
+    },
+
+    /**
+     * Show the reading of a ruby according to the status and history of its word
+     * @param {Element} ruby - Ruby element
+     */
+    apply(ruby) {
+        const word = ruby.dataset.word;
+        const status = LearningHistory.getStatus(word);
+        const strength = status ? 0 : LearningHistory.getStrength(word);
+        const display = status || (strength >= 1 ? "hover" : "");
+
+        if (display) {
+            ruby.dataset.display = display;
+        } else {
+            delete ruby.dataset.display;
+        }
+
+        if (strength > 0 && strength < 1) {
+            ruby.style.setProperty("--kanji-terminator-opacity", String(1 - strength * (1 - CONFIG.MIN_READING_OPACITY)));
+        } else {
+            ruby.style.removeProperty("--kanji-terminator-opacity");
+        }
+    },
+
+    /**
+     * Move the word of a ruby to its next status
+     * @param {Element} ruby - Ruby element
+     */
+    cycleStatus(ruby) {
+        const word = ruby.dataset.word;
+        const current = STATUS_CYCLE.indexOf(LearningHistory.getStatus(word));
+        this.setStatus(word, STATUS_CYCLE[(current + 1) % STATUS_CYCLE.length]);
+    },
+
+    /**
+     * Set the status of a word, updating every ruby of the word
+     * @param {string} word - Kanji run
+     * @param {string|null} status - One of CONFIG.WORD_STATUSES, null to let the reading fade
+     */
+    setStatus(word, status) {
+        LearningHistory.setStatus(word, status);
+
+        [this.doc, ...Styles.getRoots()].forEach(root => {
+            root.querySelectorAll("ruby.kanji-terminator-ruby[data-word]").forEach(other => {
+                if (other.dataset.word === word) {
+                    this.apply(other);
+                    if (status) {
+                        other.title = `Kanji Terminator: ${CONFIG.WORD_STATUSES[status]}`;
+                    } else {
+                        other.removeAttribute("title");
+                    }
+                }
+            });
+        });
+    },
+
+    /**
+     * Change the status of a word on Alt+click, and swallow the click ending a long press
+     * @param {MouseEvent} event - Click event
+     */
+    handleClick(event) {
+        const ruby = this.getRuby(event);
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            if (ruby) {
+                event.preventDefault();
+                event.stopPropagation();
+            }
+            return;
+        }
+
+        if (ruby && event.altKey) {
+            event.preventDefault();
+            event.stopPropagation();
+            this.cycleStatus(ruby);
+        }
+    },
+
+    /**
+     * Start a long press on a ruby, which changes the status of its word
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerDown(event) {
+        const ruby = this.getRuby(event);
+        clearTimeout(this.longPressTimer);
+        this.suppressClick = false;
+        if (!ruby || event.button !== 0) {
+            return;
+        }
+
+        this.longPressTimer = setTimeout(() => {
+            this.suppressClick = true;
+            this.cycleStatus(ruby);
+        }, CONFIG.LONG_PRESS_DELAY);
+    },
+
+    /**
+     * Record a lookup when the user reveals a reading shown on hover only
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseOver(event) {
+        const ruby = this.getRuby(event);
+        if (ruby && ruby.dataset.display === "hover") {
+            LearningHistory.recordLookup(ruby.dataset.word);
+        }
+    }
+};
+
+module.exports = { Learning };
+
+  },
+  "./menu": function (module, exports, require) {
+// Menu commands of the userscript manager
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { Backends } = require("./backends");
+const { Backup } = require("./backup");
+const { Display } = require("./display");
+const { LearningHistory } = require("./history");
+const { KnownKanji } = require("./known");
+const { SettingsPanel } = require("./panel");
+const { SiteRules } = require("./sites");
+const { downloadFile, pickFile } = require("./utils");
+
+/**
+ * Prompt user to choose the reading backends and their order
+ */
+function promptForBackendOrder() {
+    const names = Object.keys(Backends.registry);
+    const input = prompt(
+        "Enter the reading backends to try, in order, separated by commas.\n" +
+        names.map(name => `${name}: ${Backends.registry[name].label}`).join("\n"),
+        Backends.order.join(", ")
+    );
+    if (input === null) {
+        return;
+    }
+
+    const order = input.split(",").map(name => name.trim()).filter(Boolean);
+    const unknown = order.filter(name => !names.includes(name));
+    if (unknown.length || !order.length) {
+        alert(`Unknown reading backend: ${unknown.join(", ") || "(none)"}`);
+        return;
+    }
+
+    Backends.setOrder(order);
+    alert("Reading backends saved successfully!");
+}
+
+/**
+ * Prompt user to edit the static reading dictionary
+ */
+function promptForDictionary() {
+    const input = prompt(
+        'Enter your readings as JSON, e.g. {"今日": "きょう", "生き": "いき"}:',
+        JSON.stringify(gm.getValue(CONFIG.DICTIONARY_KEY, {}))
+    );
+    if (input === null) {
+        return;
+    }
+
+    try {
+        const dictionary = JSON.parse(input || "{}");
+        if (!dictionary || typeof dictionary !== "object" || Array.isArray(dictionary)) {
+            throw new Error("The dictionary must be a JSON object");
+        }
+        gm.setValue(CONFIG.DICTIONARY_KEY, dictionary);
+        alert("Reading dictionary saved successfully!");
+    } catch (error) {
+        alert(`Invalid reading dictionary: ${error.message}`);
+    }
+}
+
+/**
+ * Prompt user to configure the custom JSON endpoint backend
+ *
+ * The configuration is a JSON object:
+ * - `url`: endpoint URL, `{{words}}` is replaced by the newline separated words
+ * - `method`: HTTP method, POST by default
+ * - `headers`: request headers
+ * - `body`: request body, `{{words}}` is replaced by the JSON array of words and `{{mode}}` by the reading mode
+ * - `results`: dot separated path of the results in the response, either an array or a newline separated string
+ * - `reading`: path of the reading within each result, empty if the result is the reading
+ * - `meanings`: path of the meanings (an array of strings) within each result, optional
+ */
+function promptForJsonBackend() {
+    const input = prompt(
+        "Enter the JSON endpoint configuration, see the script for details:",
+        JSON.stringify(gm.getValue(CONFIG.JSON_BACKEND_KEY, {
+            url: "",
+            method: "POST",
+            body: '{"words": {{words}}, "mode": "{{mode}}"}',
+            results: "results",
+            reading: "reading",
+        }))
+    );
+    if (input === null) {
+        return;
+    }
+
+    try {
+        const config = JSON.parse(input || "{}");
+        if (config.url !== undefined && typeof config.url !== "string") {
+            throw new Error("url must be a string");
+        }
+        gm.setValue(CONFIG.JSON_BACKEND_KEY, config);
+        alert("JSON endpoint saved successfully!");
+    } catch (error) {
+        alert(`Invalid JSON endpoint configuration: ${error.message}`);
+    }
+}
+
+/**
+ * Always or never run on the current site, whatever the language of its pages
+ * @param {"allow"|"deny"} rule - List to add the site to
+ */
+function setSiteRule(rule) {
+    const hostname = window.location.hostname;
+    SiteRules.setSiteRule(hostname, rule);
+    alert(rule === "allow"
+        ? `Kanji Terminator will run on ${hostname}. Reload the page to apply.`
+        : `Kanji Terminator won't run on ${hostname} anymore. Reload the page to apply.`);
+}
+
+/**
+ * Prompt user to edit the allow and deny lists of sites
+ */
+function promptForSiteRules() {
+    const input = prompt(
+        "Enter the sites to always (allow) or never (deny) run on as JSON. " +
+        'Sites are domains such as "example.com", or URLs where * matches anything such as "example.com/news/*":',
+        JSON.stringify(SiteRules.get())
+    );
+    if (input === null) {
+        return;
+    }
+
+    try {
+        const rules = JSON.parse(input || "{}");
+        ["allow", "deny"].forEach(list => {
+            rules[list] = rules[list] || [];
+            if (!Array.isArray(rules[list]) || rules[list].some(pattern => typeof pattern !== "string")) {
+                throw new Error(`${list} must be a list of sites`);
+            }
+        });
+        SiteRules.set(rules);
+        alert("Site rules saved successfully! Reload the page to apply.");
+    } catch (error) {
+        alert(`Invalid site rules: ${error.message}`);
+    }
+}
+
+/**
+ * Prompt user to choose the school grade up to which kanji get no reading
+ */
+function promptForKnownLevel() {
+    const input = prompt(
+        "Hide readings of kanji taught up to which school grade? (1-6, 0 to show every reading)",
+        String(KnownKanji.level)
+    );
+    if (input === null) {
+        return;
+    }
+
+    const level = Number(input.trim() || 0);
+    if (!Number.isInteger(level) || level < 0 || level > 6) {
+        alert(`Invalid school grade: ${input}`);
+        return;
+    }
+
+    KnownKanji.setLevel(level);
+    alert(level
+        ? `Readings of kanji up to grade ${level} will be hidden. Reload the page to apply.`
+        : "Every reading will be shown. Reload the page to apply.");
+}
+
+/**
+ * Prompt user to edit the kanji marked as known or unknown, whatever the level
+ */
+function promptForKnownKanji() {
+    const input = prompt(
+        'Enter the kanji you know and those you want readings for whatever the level as JSON, e.g. {"known": "猫犬", "unknown": "曜"}:',
+        JSON.stringify(KnownKanji.getEdits())
+    );
+    if (input === null) {
+        return;
+    }
+
+    try {
+        const edits = JSON.parse(input || "{}");
+        ["known", "unknown"].forEach(list => {
+            edits[list] = edits[list] || "";
+            if (typeof edits[list] !== "string") {
+                throw new Error(`${list} must be a string of kanji`);
+            }
+        });
+        KnownKanji.setEdits(edits);
+        alert("Known kanji saved successfully! Reload the page to apply.");
+    } catch (error) {
+        alert(`Invalid known kanji: ${error.message}`);
+    }
+}
+
+/**
+ * Download the learning history as JSON
+ */
+function exportHistory() {
+    LearningHistory.load();
+    downloadFile("kanji-terminator-history.json", LearningHistory.export(), "application/json");
+}
+
+// Export formats of the readings: file name, MIME type and serializer
+const EXPORT_FORMATS = {
+    json: ["kanji-terminator-readings.json", "application/json", rows => Backup.toJSON(rows)],
+    csv: ["kanji-terminator-readings.csv", "text/csv", rows => Backup.toCSV(rows)],
+    anki: ["kanji-terminator-anki.txt", "text/tab-separated-values", rows => Backup.toAnki(rows)],
+};
+
+/**
+ * Download the reading dictionary and the cached readings
+ * @param {string} format - One of EXPORT_FORMATS
+ */
+function exportReadings(format) {
+    const [name, type, serialize] = EXPORT_FORMATS[format];
+    downloadFile(name, serialize(Backup.collect()), type);
+}
+
+/**
+ * Let the user pick an export, from this script or someone else's, and add
+ * its readings, asking which to keep when they differ from the current ones
+ * @returns {Promise<void>}
+ */
+async function importReadings() {
+    const text = await pickFile(".json,.csv,.tsv,.txt,application/json,text/csv,text/tab-separated-values,text/plain");
+    if (text === null) {
+        return;
+    }
+
+    let rows;
+    try {
+        rows = Backup.parse(text);
+    } catch (error) {
+        alert(`Invalid readings file: ${error.message}`);
+        return;
+    }
+    if (!rows.length) {
+        alert("No readings found in this file.");
+        return;
+    }
+
+    const conflicts = Backup.findConflicts(rows);
+    const replace = conflicts.length > 0 && confirm(
+        `${conflicts.length} imported reading${conflicts.length > 1 ? "s differ" : " differs"} from yours, e.g. ` +
+        `${conflicts[0].word}: ${conflicts[0].reading}.\nOK to use the imported readings, Cancel to keep yours.`
+    );
+    const { added, replaced, kept } = Backup.import(rows, replace);
+    alert(`Readings imported: ${added} added, ${replaced} replaced, ${kept} kept. Reload the page to apply.`);
+}
+
+/**
+ * Set the reading mode used for new readings
+ * @param {string} mode - One of CONFIG.MODES
+ */
+function setReadingMode(mode) {
+    gm.setValue(CONFIG.MODE_KEY, mode);
+    alert(`Readings will be shown in ${CONFIG.MODES[mode]}. Reload the page to apply.`);
+}
+
+/**
+ * Switch the display mode of the readings, applied right away
+ * @param {string} mode - One of CONFIG.DISPLAY_MODES
+ */
+function setDisplayMode(mode) {
+    Display.setMode(mode);
+}
+
+/**
+ * Register the menu commands
+ * @param {Object} [options]
+ * @param {Function} [options.onSettingsSaved] - Called once settings saved from the settings panel are applied
+ * @param {Function} [options.onDisable] - Removes the readings from the current page
+ */
+function registerMenuCommands({ onSettingsSaved, onDisable } = {}) {
+    gm.registerMenuCommand("Settings", () => SettingsPanel.open(onSettingsSaved));
+    if (onDisable) {
+        gm.registerMenuCommand("Disable on this page", onDisable);
+    }
+    gm.registerMenuCommand("Set reading backends order", promptForBackendOrder);
+    gm.registerMenuCommand("Edit reading dictionary", promptForDictionary);
+    gm.registerMenuCommand("Configure JSON reading endpoint", promptForJsonBackend);
+    gm.registerMenuCommand("Set known kanji level", promptForKnownLevel);
+    gm.registerMenuCommand("Edit known kanji", promptForKnownKanji);
+    gm.registerMenuCommand("Export learning history", exportHistory);
+    gm.registerMenuCommand("Export readings as JSON", () => exportReadings("json"));
+    gm.registerMenuCommand("Export readings as CSV", () => exportReadings("csv"));
+    gm.registerMenuCommand("Export readings for Anki", () => exportReadings("anki"));
+    gm.registerMenuCommand("Import readings", importReadings);
+    gm.registerMenuCommand("Always run on this site", () => setSiteRule("allow"));
+    gm.registerMenuCommand("Never run on this site", () => setSiteRule("deny"));
+    gm.registerMenuCommand("Edit site rules", promptForSiteRules);
+    Object.keys(CONFIG.MODES).forEach(mode => {
+        gm.registerMenuCommand(`Show readings in ${CONFIG.MODES[mode]}`, () => setReadingMode(mode));
+    });
+    Object.keys(CONFIG.DISPLAY_MODES).forEach(mode => {
+        gm.registerMenuCommand(`Readings ${CONFIG.DISPLAY_MODES[mode]}`, () => setDisplayMode(mode));
+    });
+}
+
+module.exports = {
+    exportHistory,
+    exportReadings,
+    importReadings,
+    promptForBackendOrder,
+    promptForDictionary,
+    promptForJsonBackend,
+    promptForKnownKanji,
+    promptForKnownLevel,
+    promptForSiteRules,
+    registerMenuCommands,
+    setDisplayMode,
+    setReadingMode,
+    setSiteRule
+};
+
+  },
+  "./navigation": function (module, exports, require) {
+// Navigation of single-page applications
+
+const { gm } = require("./gm");
+
+const NAVIGATE_EVENT = "kanji-terminator-navigate";
+
+/**
+ * Get the URL of a page, without the fragment, which doesn't change the page
+ * @param {string} href - URL
+ * @returns {string} - URL without its fragment
+ */
+function getPageUrl(href) {
+    return href.split("#")[0];
+}
+
+/**
+ * Call a function when the page's URL changes without loading a new page,
+ * through the History API or the back and forward buttons
+ * @param {Function} callback - Called with the new URL
+ * @returns {{ check: Function, stop: Function }} - Checks whether the URL changed, for the
+ *   navigations the History API doesn't report, and stops watching
+ */
+function watchNavigation(callback) {
+    // history.pushState and replaceState don't fire any event: wrap them once,
+    // so that they fire one on window. The page's own history is wrapped, the
+    // sandbox's is a separate view of it on Firefox and Manifest V3 extensions.
+    const pageHistory = gm.getPageWindow().history;
+    if (!pageHistory.pushState.kanjiTerminator) {
+        ["pushState", "replaceState"].forEach(name => {
+            const original = pageHistory[name];
+            const wrapped = gm.exportFunction(function (...args) {
+                const result = original.apply(this, args);
+                window.dispatchEvent(new Event(NAVIGATE_EVENT));
+                return result;
+            }, pageHistory);
+            wrapped.kanjiTerminator = true;
+            pageHistory[name] = wrapped;
+        });
+    }
+
+    let url = getPageUrl(window.location.href);
+    const check = () => {
+        const next = getPageUrl(window.location.href);
+        if (next !== url) {
+            url = next;
+            callback(window.location.href);
+        }
+    };
+
+    window.addEventListener(NAVIGATE_EVENT, check);
+    window.addEventListener("popstate", check);
+    return {
+        check,
+        stop() {
+            window.removeEventListener(NAVIGATE_EVENT, check);
+            window.removeEventListener("popstate", check);
         },
-        // Unicode range for CJK Chinese characters
-        KANJI_REGEX: /[\u3400-\u4DB5\u4E00-\u9FCB\uF900-\uFA6A]+/
     };
+}
+
+module.exports = { getPageUrl, watchNavigation };
+
+  },
+  "./overrides": function (module, exports, require) {
+// Readings the user corrected on the page
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+
+/**
+ * Readings corrected by the user, used instead of the cached and resolved
+ * ones. Corrections are kept by reading mode and by run, with its okurigana
+ * when the resolved reading has some so that 生き and 生ま are told apart,
+ * for every site or for a single hostname, the site's taking priority.
+ *
+ * A correction may hold one reading per kanji separated by spaces (に ほん),
+ * shown over their own kanji when there are as many as kanji in the run.
+ */
+const ReadingOverrides = {
+    overrides: { global: {}, sites: {} },
+
+    /**
+     * Load the corrections from storage
+     */
+    load() {
+        const stored = gm.getValue(CONFIG.OVERRIDES_KEY, {});
+        this.overrides = {
+            global: { ...stored.global },
+            sites: { ...stored.sites },
+        };
+    },
+
+    /**
+     * Store the corrections
+     */
+    save() {
+        gm.setValue(CONFIG.OVERRIDES_KEY, this.overrides);
+    },
+
+    /**
+     * Get the corrections of a scope
+     * @param {string|null} hostname - Site of the corrections, null for those of every site
+     * @returns {Object} - Readings by mode and word
+     */
+    getScope(hostname) {
+        return hostname ? this.overrides.sites[hostname] || {} : this.overrides.global;
+    },
+
+    /**
+     * Get the word the correction of a kanji run is stored under: the cache
+     * key, with the kana after the run, unless the resolved reading shows
+     * that kana isn't okurigana (日本と), in which case the run alone
+     * @param {string} key - Cache key of the kanji run
+     * @param {Object|undefined} resolved - Reading a backend resolved for the key, see CacheService.getResolved
+     * @returns {string} - Word of the correction
+     */
+    getWord(key, resolved) {
+        if (!resolved || !resolved.segments || resolved.segments.some(segment => segment.kind === "okurigana")) {
+            return key;
+        }
+        return CONFIG.KANJI_REGEX.exec(key)[0];
+    },
+
+    /**
+     * Get the corrected reading of a kanji run
+     * @param {string} key - Cache key of the kanji run
+     * @param {string} mode - One of CONFIG.MODES
+     * @param {Object|undefined} resolved - Reading a backend resolved for the key
+     * @param {string} [hostname] - Site the word is read on
+     * @returns {{reading: string, segments: Object[], source: string}|undefined} - Corrected reading, undefined if there's none
+     */
+    get(key, mode, resolved, hostname = window.location.hostname) {
+        const word = this.getWord(key, resolved);
+        for (const scope of [this.getScope(hostname), this.getScope(null)]) {
+            const reading = scope[`${mode}:${word}`];
+            if (reading) {
+                return this.toEntry(word, reading);
+            }
+        }
+        return undefined;
+    },
+
+    /**
+     * Build the cached reading of a correction
+     * @param {string} word - Word of the correction, see getWord
+     * @param {string} value - Correction, possibly one reading per kanji separated by spaces
+     * @returns {{reading: string, segments: Object[], source: string}} - Reading and segments of the run
+     */
+    toEntry(word, value) {
+        const kanji = CONFIG.KANJI_REGEX.exec(word)[0];
+        const readings = value.split(/\s+/).filter(Boolean);
+        const segments = readings.length > 1 && readings.length === kanji.length
+            ? readings.map((reading, idx) => ({ text: kanji[idx], reading, kind: "kanji" }))
+            : [{ text: kanji, reading: readings.join(""), kind: "kanji" }];
+        return { reading: readings.join(""), segments, source: "user" };
+    },
+
+    /**
+     * Write the segments of a run the way a correction is entered
+     * @param {Object[]} segments - Segments covering the run
+     * @returns {string} - One reading per kanji separated by spaces when each kanji has its own, the reading of the run otherwise
+     */
+    format(segments) {
+        const perKanji = segments.length > 1 && segments.every(segment => segment.text.length === 1);
+        return segments.map(segment => segment.reading).join(perKanji ? " " : "");
+    },
+
+    /**
+     * Correct the reading of a kanji run, without storing it
+     * @param {string} word - Word of the correction, see getWord
+     * @param {string} mode - One of CONFIG.MODES
+     * @param {string} reading - Corrected reading
+     * @param {string|null} hostname - Site the correction applies to, null for every site
+     */
+    put(word, mode, reading, hostname) {
+        const scope = { ...this.getScope(hostname), [`${mode}:${word}`]: reading };
+        if (hostname) {
+            this.overrides.sites[hostname] = scope;
+        } else {
+            this.overrides.global = scope;
+        }
+    },
+
+    /**
+     * Correct the reading of a kanji run
+     * @param {string} word - Word of the correction, see getWord
+     * @param {string} mode - One of CONFIG.MODES
+     * @param {string} reading - Corrected reading
+     * @param {string|null} hostname - Site the correction applies to, null for every site
+     */
+    set(word, mode, reading, hostname) {
+        this.load();
+        this.put(word, mode, reading, hostname);
+        this.save();
+    },
+
+    /**
+     * Remove the corrections of a kanji run, for the site and for every site
+     * @param {string} word - Word of the correction, see getWord
+     * @param {string} mode - One of CONFIG.MODES
+     * @param {string} hostname - Site the word is read on
+     */
+    remove(word, mode, hostname) {
+        this.load();
+        const name = `${mode}:${word}`;
+        delete this.overrides.global[name];
+        if (this.overrides.sites[hostname]) {
+            const scope = { ...this.overrides.sites[hostname] };
+            delete scope[name];
+            if (Object.keys(scope).length) {
+                this.overrides.sites[hostname] = scope;
+            } else {
+                delete this.overrides.sites[hostname];
+            }
+        }
+        this.save();
+    }
+};
+
+module.exports = { ReadingOverrides };
+
+  },
+  "./panel": function (module, exports, require) {
+// Settings panel opened from the menu
+
+const { Backends } = require("./backends");
+const { Settings } = require("./settings");
+
+const PANEL_STYLE = `
+    .overlay {
+        position: fixed;
+        inset: 0;
+        z-index: 2147483647;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.3);
+    }
+    form {
+        width: 28em;
+        max-width: calc(100vw - 2em);
+        padding: 1em 1.2em;
+        border-radius: 6px;
+        background: #fff;
+        color: #222;
+        font: 14px/1.5 sans-serif;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+    }
+    h2 { margin: 0 0 0.6em; font-size: 1.2em; }
+    label { display: block; margin-bottom: 0.6em; }
+    label span { display: block; color: #555; font-size: 0.9em; }
+    input { box-sizing: border-box; width: 100%; font: inherit; padding: 0.2em 0.4em; }
+    .url { display: flex; gap: 0.4em; }
+    .message { min-height: 1.5em; margin: 0.4em 0; }
+    .message.error { color: #b00; }
+    .actions { display: flex; justify-content: flex-end; gap: 0.4em; }
+    button { font: inherit; padding: 0.2em 0.8em; cursor: pointer; }
+`;
+
+// Fields of the form: setting name, label and input type
+const FIELDS = [
+    ["debounceDelay", "Delay before converting new text (ms)", "number"],
+    ["chunkSize", "Kanji per request", "number"],
+    ["maxCacheSize", "Cached readings", "number"],
+    ["excludedTags", "Tags left untouched, separated by commas", "text"],
+];
+
+/**
+ * Settings panel in a shadow root, so that the page's styles don't apply to it
+ */
+const SettingsPanel = {
+    doc: document,
+    host: null,
+    root: null,
+    onSave: null, // Called once new settings are applied
+
+    /**
+     * Open the panel
+     * @param {Function} [onSave] - Called once new settings are applied
+     */
+    open(onSave) {
+        this.onSave = onSave || null;
+        if (this.host && this.host.isConnected) {
+            this.root.querySelector("input").focus();
+            return;
+        }
+
+        // A custom element excluded from the scan, so that the panel isn't annotated
+        this.host = this.doc.createElement("kanji-terminator-settings");
+        this.root = this.host.attachShadow({ mode: "open" });
+        this.render();
+        this.doc.body.appendChild(this.host);
+        this.root.querySelector("input").focus();
+    },
+
+    /**
+     * Close the panel without saving
+     */
+    close() {
+        if (this.host) {
+            this.host.remove();
+        }
+    },
+
+    /**
+     * Build the form from the current settings
+     */
+    render() {
+        const settings = Settings.get();
+        const element = (tag, props = {}) => Object.assign(this.doc.createElement(tag), props);
+
+        const form = element("form");
+        form.setAttribute("role", "dialog");
+        form.setAttribute("aria-label", "Kanji Terminator settings");
+        form.appendChild(element("h2", { textContent: "Kanji Terminator settings" }));
+
+        const urlLabel = element("label");
+        urlLabel.appendChild(element("span", { textContent: "Resolver API URL, leave empty to convert in the browser" }));
+        const url = element("div", { className: "url" });
+        url.appendChild(element("input", { name: "apiUrl", type: "url", value: Backends.registry.worker.apiUrl || "" }));
+        url.appendChild(element("button", { type: "button", name: "test", textContent: "Test" }));
+        urlLabel.appendChild(url);
+        form.appendChild(urlLabel);
+
+        FIELDS.forEach(([name, text, type]) => {
+            const label = element("label");
+            label.appendChild(element("span", { textContent: text }));
+            const value = Array.isArray(settings[name]) ? settings[name].join(", ") : String(settings[name]);
+            const input = element("input", { name, type, value });
+            if (Settings.LIMITS[name]) {
+                input.min = Settings.LIMITS[name].min;
+                input.max = Settings.LIMITS[name].max;
+            }
+            label.appendChild(input);
+            form.appendChild(label);
+        });
+
+        const message = element("div", { className: "message" });
+        message.setAttribute("role", "status");
+        form.appendChild(message);
+
+        const actions = element("div", { className: "actions" });
+        actions.appendChild(element("button", { type: "button", name: "reset", textContent: "Defaults" }));
+        actions.appendChild(element("button", { type: "button", name: "cancel", textContent: "Cancel" }));
+        actions.appendChild(element("button", { type: "submit", name: "save", textContent: "Save" }));
+        form.appendChild(actions);
+
+        form.addEventListener("submit", event => {
+            event.preventDefault();
+            this.save();
+        });
+        form.elements.test.addEventListener("click", () => this.testUrl());
+        form.elements.cancel.addEventListener("click", () => this.close());
+        form.elements.reset.addEventListener("click", () => this.fill(Settings.DEFAULTS));
+        form.addEventListener("keydown", event => {
+            if (event.key === "Escape") {
+                event.preventDefault();
+                this.close();
+            }
+        });
+
+        const overlay = element("div", { className: "overlay" });
+        overlay.appendChild(form);
+        // A click on the backdrop closes the panel
+        overlay.addEventListener("click", event => {
+            if (event.target === overlay) {
+                this.close();
+            }
+        });
+
+        this.root.textContent = "";
+        this.root.appendChild(element("style", { textContent: PANEL_STYLE }));
+        this.root.appendChild(overlay);
+    },
+
+    /**
+     * Put settings in the form
+     * @param {Object} settings - Settings to show
+     */
+    fill(settings) {
+        const form = this.root.querySelector("form");
+        FIELDS.forEach(([name]) => {
+            form.elements[name].value = Array.isArray(settings[name]) ? settings[name].join(", ") : String(settings[name]);
+        });
+    },
+
+    /**
+     * Show a message under the form
+     * @param {string} text - Message
+     * @param {boolean} [isError] - Whether the message reports an error
+     */
+    showMessage(text, isError = false) {
+        const message = this.root.querySelector(".message");
+        message.textContent = text;
+        message.classList.toggle("error", isError);
+    },
+
+    /**
+     * Check the URL of the form with a test request
+     * @returns {Promise<boolean>} - True if the URL can be used
+     */
+    async testUrl() {
+        const url = this.root.querySelector("form").elements.apiUrl.value.trim();
+        if (!url) {
+            this.showMessage("No resolver URL, kanji will be converted in the browser.");
+            return true;
+        }
+
+        this.showMessage("Testing the resolver…");
+        try {
+            new URL(url);
+            await Backends.registry.worker.test(url);
+            this.showMessage("The resolver works.");
+            return true;
+        } catch (error) {
+            this.showMessage(`The resolver can't be used: ${error.message || error}`, true);
+            return false;
+        }
+    },
+
+    /**
+     * Validate and apply the settings of the form, testing the resolver URL when it changed
+     * @returns {Promise<boolean>} - True if the settings were saved
+     */
+    async save() {
+        const form = this.root.querySelector("form");
+        const values = {};
+        FIELDS.forEach(([name]) => {
+            values[name] = form.elements[name].value;
+        });
+
+        let settings;
+        try {
+            settings = Settings.validate(values);
+        } catch (error) {
+            this.showMessage(error.message, true);
+            return false;
+        }
+
+        const url = form.elements.apiUrl.value.trim();
+        if (url !== (Backends.registry.worker.apiUrl || "") && !(await this.testUrl())) {
+            return false;
+        }
+
+        Backends.registry.worker.setApiUrl(url);
+        Settings.set(settings);
+        this.close();
+        if (this.onSave) {
+            this.onSave(settings);
+        }
+        return true;
+    }
+};
+
+module.exports = { SettingsPanel };
+
+  },
+  "./popup": function (module, exports, require) {
+// Popup dictionary of the converted words
+
+const { CONFIG } = require("./config");
+const { Backends } = require("./backends");
+const { CacheService } = require("./cache");
+const { DOMHandler } = require("./dom");
+const { LearningHistory } = require("./history");
+const { Learning } = require("./learning");
+const { ReadingOverrides } = require("./overrides");
+const { getRunSegments } = require("./utils");
+
+const POPUP_STYLE = `
+    .panel {
+        position: absolute;
+        z-index: 2147483647;
+        min-width: 12em;
+        max-width: 24em;
+        padding: 0.6em 0.8em;
+        border: 1px solid #999;
+        border-radius: 4px;
+        background: #fff;
+        color: #222;
+        font: 14px/1.5 sans-serif;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.25);
+    }
+    .panel:focus { outline: none; }
+    .word { font-size: 1.6em; }
+    .normalized, .romaji, .dictionary { color: #666; }
+    .reading { font-size: 1.2em; }
+    table { border-collapse: collapse; margin: 0.4em 0; }
+    th, td { padding: 0 0.6em 0 0; text-align: left; vertical-align: top; }
+    th { font-size: 1.2em; font-weight: normal; }
+    ul { margin: 0.4em 0; padding-left: 1.2em; }
+    .actions { display: flex; flex-wrap: wrap; gap: 0.3em; margin-top: 0.4em; }
+    button { font: inherit; font-size: 0.85em; padding: 0.1em 0.5em; cursor: pointer; }
+    button[aria-pressed="true"] { font-weight: bold; }
+    button:focus-visible { outline: 2px solid #36c; }
+    form { display: flex; flex-wrap: wrap; align-items: center; gap: 0.3em; margin-top: 0.4em; }
+    input[name="reading"] { flex: 1; min-width: 8em; font: inherit; }
+    label { font-size: 0.85em; }
+    .error { flex-basis: 100%; color: #b00; }
+`;
+
+// Status buttons of the popup, null letting the reading fade
+const STATUS_BUTTONS = [
+    ["known", "Known"],
+    ["hover", "On hover"],
+    ["unknown", "Unknown"],
+    [null, "Auto"],
+];
+
+/**
+ * Popup showing the reading, romaji, per-kanji breakdown and dictionary
+ * entries of a ruby, opened by clicking it (Shift+click in links and buttons).
+ * Its form corrects the reading, and right-clicking the reading of a ruby
+ * opens the popup on it.
+ */
+const Popup = {
+    doc: document,
+    host: null, // Element holding the popup's shadow root
+    root: null,
+    ruby: null, // Ruby the popup is open for
+    returnFocus: null,
+    lookups: new Map(), // Lookup promises by mode and word
+    draft: null, // Correction being entered, kept when the popup is refreshed
+
+    /**
+     * Add the event listeners. Must run after Learning.initialize and
+     * Display.initialize, whose clicks it skips by their prevented default.
+     */
+    initialize() {
+        this.listen(this.doc);
+    },
+
+    /**
+     * Listen to the clicks and keys of a document, the page's or a frame's
+     * @param {Document} doc - Document to listen to
+     */
+    listen(doc) {
+        doc.addEventListener("click", event => this.handleClick(event), true);
+        doc.addEventListener("keydown", event => this.handleKeyDown(event), true);
+        doc.addEventListener("contextmenu", event => this.handleContextMenu(event));
+    },
+
+    /**
+     * Open the popup on a click on a ruby, close it on a click elsewhere
+     * @param {MouseEvent} event - Click event
+     */
+    handleClick(event) {
+        if (event.defaultPrevented || (this.host && event.composedPath().includes(this.host))) {
+            return;
+        }
+
+        const ruby = Learning.getRuby(event);
+        // Links and buttons keep their clicks, Shift+click opens the popup in them
+        if (!ruby || (ruby.closest("a[href], button") && !event.shiftKey)) {
+            this.close();
+            return;
+        }
 
-    // --- Utility Functions ---
+        event.preventDefault();
+        event.stopPropagation();
+        this.open(ruby);
+    },
 
     /**
-     * Creates a debounced version of the provided function
-     * @param {Function} func - Function to debounce
-     * @param {number} delay - Delay in milliseconds
-     * @returns {Function} - Debounced function
+     * Open the popup on its correction form on right-click on the reading of
+     * a ruby, the kanji keeping the browser's menu
+     * @param {MouseEvent} event - Context menu event
      */
-    function debounce(func, delay) {
-        let timeoutId;
-        return function (...args) {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => {
-                func.apply(this, args);
-            }, delay);
-        };
-    }
+    handleContextMenu(event) {
+        const target = event.composedPath()[0] || event.target;
+        const ruby = Learning.getRuby(event);
+        if (!ruby || !target.closest("rt.kanji-terminator-rt")) {
+            return;
+        }
+        event.preventDefault();
+        this.open(ruby);
+        const input = this.root.querySelector("input[name=reading]");
+        input.focus();
+        input.select();
+    },
 
     /**
-     * Measures elapsed time from a given start time
-     * @returns {number} - Elapsed time in milliseconds
+     * Keyboard navigation: Escape closes, arrows move to the previous or next
+     * word, outside of the reading field, and Tab cycles through the fields
+     * and buttons
+     * @param {KeyboardEvent} event - Keyboard event
      */
-    function getElapsedTime() {
-        return Date.now() - startTime;
-    }
+    handleKeyDown(event) {
+        if (!this.ruby) {
+            return;
+        }
+
+        if (event.key === "Escape") {
+            event.preventDefault();
+            this.close();
+            return;
+        }
+
+        // Other keys are only handled while the popup has the focus, arrows
+        // moving the cursor of the reading field
+        const path = event.composedPath();
+        if (!path.includes(this.host) || (path[0].matches && path[0].matches("input[name=reading]") && event.key !== "Tab")) {
+            return;
+        }
+
+        switch (event.key) {
+            case "ArrowRight":
+            case "ArrowDown":
+                event.preventDefault();
+                this.move(1);
+                break;
+            case "ArrowLeft":
+            case "ArrowUp":
+                event.preventDefault();
+                this.move(-1);
+                break;
+            case "Tab": {
+                event.preventDefault();
+                const focusable = [...this.root.querySelectorAll("input, button")];
+                const current = focusable.indexOf(this.root.activeElement);
+                const next = current < 0
+                    ? (event.shiftKey ? focusable.length - 1 : 0)
+                    : (current + (event.shiftKey ? -1 : 1) + focusable.length) % focusable.length;
+                focusable[next].focus();
+                break;
+            }
+        }
+    },
 
-    // --- Cache Management ---
+    /**
+     * Open the popup for the previous or next word of the page, or of the
+     * frame or shadow root the current word is in
+     * @param {number} offset - -1 for the previous word, 1 for the next one
+     */
+    move(offset) {
+        const rubies = [...this.ruby.getRootNode().querySelectorAll("ruby.kanji-terminator-ruby[data-word]")];
+        const next = rubies[rubies.indexOf(this.ruby) + offset];
+        if (!next) {
+            return;
+        }
+        if (next.scrollIntoView) {
+            next.scrollIntoView({ block: "nearest" });
+        }
+        this.open(next);
+    },
 
     /**
-     * Cache service for managing kanji readings
+     * Open the popup below a ruby, in the document of the ruby
+     * @param {Element} ruby - Ruby element
      */
-    const CacheService = {
-        cache: {},
+    open(ruby) {
+        const word = ruby.dataset.word;
+        const doc = ruby.ownerDocument;
+        if (!this.ruby) {
+            this.returnFocus = doc.activeElement;
+        }
+        this.ruby = ruby;
+        this.draft = null;
+        LearningHistory.recordLookup(word);
 
-        /**
-         * Load cached kanji readings from storage
-         * @returns {Object} - Cached kanji readings
-         */
-        load() {
-            let cacheStr = GM_getValue(CONFIG.CACHE_KEY, "");
-            if (cacheStr) {
-                this.cache = JSON.parse(cacheStr);
+        if (!this.host || !this.host.isConnected || this.host.ownerDocument !== doc) {
+            if (this.host) {
+                this.host.remove();
             }
-            return this.cache;
-        },
-
-        /**
-         * Save cached kanji readings to storage
-         */
-        save() {
-            // Truncate cache if it grows too large
-            if (Object.keys(this.cache).length >= CONFIG.MAX_CACHE_SIZE) {
-                // Keep the most recent 75% of the entries
-                const entries = Object.entries(this.cache);
-                const keepCount = Math.floor(CONFIG.MAX_CACHE_SIZE * 0.75);
-                const newEntries = entries.slice(-keepCount);
-                
-                // Rebuild the cache with only the most recent entries
-                this.cache = Object.fromEntries(newEntries);
-                console.debug(`Kanji Terminator: Cache truncated to ${keepCount} entries`);
-            }
-            
-            let cacheStr = JSON.stringify(this.cache);
-            GM_setValue(CONFIG.CACHE_KEY, cacheStr);
-        },
+            // A custom element excluded from the scan, so that the popup isn't annotated
+            this.host = doc.createElement("kanji-terminator-popup");
+            this.root = this.host.attachShadow({ mode: "open" });
+            doc.body.appendChild(this.host);
+        }
 
-        /**
-         * Get reading for a specific kanji
-         * @param {string} kanji - Kanji to lookup
-         * @returns {string|undefined} - Reading if available
-         */
-        get(kanji) {
-            return this.cache[kanji];
-        },
+        this.render(ruby, null);
+        this.lookup(word).then(lookup => {
+            if (this.ruby === ruby) {
+                this.render(ruby, lookup);
+            }
+        });
 
-        /**
-         * Store reading for a kanji
-         * @param {string} kanji - Kanji to store
-         * @param {string} reading - Reading for the kanji
-         */
-        set(kanji, reading) {
-            this.cache[kanji] = reading;
-        },
+        const panel = this.root.querySelector(".panel");
+        const rect = ruby.getBoundingClientRect();
+        panel.style.top = `${rect.bottom + doc.defaultView.scrollY + 4}px`;
+        panel.style.left = `${rect.left + doc.defaultView.scrollX}px`;
+        panel.focus();
+    },
 
-        /**
-         * Check if a kanji exists in the cache
-         * @param {string} kanji - Kanji to check
-         * @returns {boolean} - True if cached
-         */
-        has(kanji) {
-            return kanji in this.cache;
+    /**
+     * Close the popup and give the focus back
+     */
+    close() {
+        if (!this.ruby) {
+            return;
         }
-    };
+        this.ruby = null;
+        this.host.remove();
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    },
 
-    // --- DOM Manipulation ---
+    /**
+     * Look up a word with the backends, once per word and mode. Failed
+     * lookups are forgotten, so that the next popup of the word tries again.
+     * @param {string} word - Kanji run
+     * @returns {Promise<Object|null>} - Lookup result, see Backends.lookup
+     */
+    lookup(word) {
+        const key = `${CacheService.mode}:${word}`;
+        if (!this.lookups.has(key)) {
+            const lookup = Backends.lookup(word, CacheService.mode);
+            this.lookups.set(key, lookup);
+            lookup.then(result => {
+                if (!result && this.lookups.get(key) === lookup) {
+                    this.lookups.delete(key);
+                }
+            });
+        }
+        return this.lookups.get(key);
+    },
 
     /**
-     * Handles DOM manipulation for kanji furigana
+     * Get the romaji of a reading
+     * @param {Object|undefined} entry - Cached reading
+     * @param {Object|null} lookup - Lookup result
+     * @returns {string} - Romaji, empty when it can't be produced
      */
-    const DOMHandler = {
-        doc: document,
-        queue: {}, // Kanji queue to be converted
+    getRomaji(entry, lookup) {
+        if (lookup && lookup.romaji) {
+            return lookup.romaji;
+        }
+        if (!entry) {
+            return "";
+        }
+        if (CacheService.mode === "romaji") {
+            return entry.reading;
+        }
+        return typeof KanjiTerminatorKakasi !== "undefined" ? KanjiTerminatorKakasi.kanaToRomaji(entry.reading) : "";
+    },
 
-        /**
-         * Initialize styles and setup
-         */
-        initialize() {
-            GM_addStyle("rt.kanji-terminator-rt::before { content: attr(data-rt); }");
-        },
+    /**
+     * Fill the popup with what is known about the word of a ruby
+     * @param {Element} ruby - Ruby element
+     * @param {Object|null} lookup - Lookup result, null while it is pending or when no backend has one
+     */
+    render(ruby, lookup) {
+        const word = ruby.dataset.word;
+        const entry = CacheService.get(ruby.dataset.key || word);
+        const reading = (entry && entry.reading) || (lookup && lookup.reading) || "";
+        const status = LearningHistory.getStatus(word);
+        const active = this.root.activeElement;
+        const focused = active && (active.dataset.status || active.name);
 
-        /**
-         * Scan DOM for text nodes and add ruby elements
-         * @param {Node} node - Starting node to scan
-         */
-        scanTextNodes(node) {
-            let currentLevel = [node];
+        const element = (tag, className, text) => {
+            const node = this.host.ownerDocument.createElement(tag);
+            if (className) {
+                node.className = className;
+            }
+            if (text !== undefined) {
+                node.textContent = text;
+            }
+            return node;
+        };
 
-            while (currentLevel.length > 0) {
-                let curNode = currentLevel.pop();
+        const previous = this.root.querySelector(".panel");
+        const panel = element("div", "panel");
+        panel.setAttribute("role", "dialog");
+        panel.setAttribute("aria-label", `Kanji Terminator: ${word}`);
+        panel.tabIndex = -1;
+        if (previous) {
+            panel.style.cssText = previous.style.cssText;
+        }
 
-                // Check if node is still in the DOM
-                if (!curNode.parentNode || !this.doc.body.contains(node)) {
-                    return;
-                }
+        // Word, with its normalized form when it differs (e.g. 會 → 会)
+        const heading = element("div", "word", word);
+        if (lookup && lookup.normalized && lookup.normalized !== word) {
+            heading.appendChild(element("span", "normalized", ` → ${lookup.normalized}`));
+        }
+        panel.appendChild(heading);
 
-                let textNode = curNode;
+        const readingLine = element("div", "reading", reading || "…");
+        const romaji = this.getRomaji(entry, lookup);
+        if (romaji && romaji !== reading) {
+            readingLine.appendChild(element("span", "romaji", ` ${romaji}`));
+        }
+        panel.appendChild(readingLine);
 
-                switch (curNode.nodeType) {
-                    case Node.ELEMENT_NODE:
-                        // Skip excluded tags and editable content
-                        if (
-                            curNode.tagName.toLowerCase() in CONFIG.EXCLUDED_TAGS ||
-                            curNode.isContentEditable
-                        ) {
-                            continue;
-                        }
+        // Per-kanji breakdown, with the dictionary readings of each kanji
+        const entries = (lookup && lookup.entries) || [];
+        const formatReadings = readings => readings
+            .map(item => (item.tail ? `${item.reading}(${item.okurigana.join("|")})` : item.reading))
+            .join("、");
+        const segments = entry ? getRunSegments(ruby.dataset.key || word, entry) : ((lookup && lookup.segments) || []);
+        const kanjiSegments = segments.filter(segment => segment.kind === "kanji");
+        if (kanjiSegments.length) {
+            const table = element("table");
+            kanjiSegments.forEach(segment => {
+                const row = element("tr");
+                row.appendChild(element("th", "", segment.text));
+                row.appendChild(element("td", "", segment.reading));
+                const dictEntry = entries.find(item => item.word === segment.text);
+                row.appendChild(element("td", "dictionary", dictEntry ? formatReadings(dictEntry.readings) : ""));
+                table.appendChild(row);
+            });
+            panel.appendChild(table);
+        }
 
-                        // Add child nodes to process queue
-                        curNode.childNodes.forEach(child => {
-                            currentLevel.push(child);
-                        });
-                        break;
+        const wordEntry = entries.find(item => item.word === word && [...word].length > 1);
+        if (wordEntry) {
+            panel.appendChild(element("div", "dictionary", `Dictionary: ${formatReadings(wordEntry.readings)}`));
+        }
 
-                    case Node.TEXT_NODE:
-                        // Process text nodes and add ruby elements
-                        while ((textNode = this.addRuby(textNode)));
-                        break;
-                }
-            }
-        },
+        const meanings = (entry && entry.meanings) || (lookup && lookup.meanings) || [];
+        if (meanings.length) {
+            const list = element("ul", "meanings");
+            meanings.forEach(meaning => list.appendChild(element("li", "", meaning)));
+            panel.appendChild(list);
+        }
 
-        /**
-         * Create ruby element for kanji
-         * @param {Node} node - Text node to process
-         * @returns {Node|false} - Next text node or false if done
-         */
-        addRuby(node) {
-            // Not a text node
-            if (!node.nodeValue) {
-                return false;
-            }
+        const actions = element("div", "actions");
+        STATUS_BUTTONS.forEach(([value, label]) => {
+            const button = element("button", "", label);
+            button.type = "button";
+            button.dataset.status = String(value);
+            button.title = value ? CONFIG.WORD_STATUSES[value] : "Reading fades as you see the word";
+            button.setAttribute("aria-pressed", String(status === value));
+            button.addEventListener("click", () => {
+                Learning.setStatus(word, value);
+                this.render(ruby, lookup);
+            });
+            actions.appendChild(button);
+        });
+        const closeButton = element("button", "", "Close");
+        closeButton.type = "button";
+        closeButton.dataset.status = "close";
+        closeButton.addEventListener("click", () => this.close());
+        actions.appendChild(closeButton);
+        panel.appendChild(actions);
+        panel.appendChild(this.renderCorrection(ruby, entry, lookup, element));
 
-            // Find kanji in text
-            let match = CONFIG.KANJI_REGEX.exec(node.nodeValue);
-            if (!match) {
-                return false;
-            }
+        this.root.textContent = "";
+        this.root.appendChild(element("style", "", POPUP_STYLE));
+        this.root.appendChild(panel);
 
-            // Create ruby element structure
-            let ruby = this.doc.createElement("ruby");
-            ruby.appendChild(this.doc.createTextNode(match[0]));
+        // Keep the focus on the same button when the popup is refreshed
+        const refocus = focused && this.root.querySelector(`[data-status="${focused}"], [name="${focused}"]`);
+        if (refocus) {
+            refocus.focus();
+        } else if (previous) {
+            panel.focus();
+        }
+    },
 
-            let rt = this.doc.createElement("rt");
-            rt.classList.add("kanji-terminator-rt");
-            ruby.appendChild(rt);
+    /**
+     * Build the form correcting the reading of the word of a ruby: one reading
+     * per kanji separated by spaces shows them over their own kanji, and an
+     * empty one goes back to the resolved reading
+     * @param {Element} ruby - Ruby element
+     * @param {Object|undefined} entry - Cached reading
+     * @param {Object|null} lookup - Lookup result, see render
+     * @param {Function} element - Creates an element of the popup, from its tag, class name and text
+     * @returns {HTMLFormElement} - Correction form
+     */
+    renderCorrection(ruby, entry, lookup, element) {
+        const key = ruby.dataset.key || ruby.dataset.word;
+        const hostname = window.location.hostname;
+        const draft = this.draft && this.draft.ruby === ruby ? this.draft : null;
 
-            // Add to queue for conversion
-            if (this.queue[match[0]]) {
-                this.queue[match[0]].push(rt);
-            } else {
-                this.queue[match[0]] = [rt];
-            }
+        const form = element("form", "correction");
+        const input = element("input");
+        input.name = "reading";
+        input.setAttribute("aria-label", `Reading of ${ruby.dataset.word}, one per kanji separated by spaces`);
+        input.value = draft ? draft.reading : (entry && entry.reading ? ReadingOverrides.format(getRunSegments(key, entry)) : "");
+        form.appendChild(input);
 
-            // Handle remaining text
-            let rest = node.splitText(match.index);
-            node.parentNode.insertBefore(ruby, rest);
-            rest.nodeValue = rest.nodeValue.substring(match[0].length);
+        const siteOnly = element("input");
+        siteOnly.type = "checkbox";
+        siteOnly.name = "siteOnly";
+        siteOnly.checked = Boolean(draft && draft.siteOnly);
+        if (hostname) {
+            const label = element("label");
+            label.appendChild(siteOnly);
+            label.appendChild(element("span", "", ` ${hostname} only`));
+            form.appendChild(label);
+        }
 
-            // Return remaining text for recursive processing
-            return rest;
-        },
+        const save = element("button", "", "Correct");
+        save.type = "submit";
+        save.dataset.status = "correct";
+        form.appendChild(save);
+        const message = element("div", "error", draft ? draft.error : "");
+        form.appendChild(message);
 
-        /**
-         * Update ruby elements with readings from cache
-         * @param {string} kanji - Kanji to update
-         */
-        updateRubyFromCache(kanji) {
-            const reading = CacheService.get(kanji);
-            if (!reading) {
+        const keepDraft = () => {
+            this.draft = { ruby, reading: input.value, siteOnly: siteOnly.checked, error: message.textContent };
+        };
+        form.addEventListener("input", keepDraft);
+        form.addEventListener("change", keepDraft);
+        form.addEventListener("submit", event => {
+            event.preventDefault();
+            try {
+                DOMHandler.correctReading(ruby, input.value, siteOnly.checked);
+            } catch (error) {
+                message.textContent = error.message;
+                keepDraft();
                 return;
             }
+            this.draft = null;
+            this.render(ruby, lookup);
+        });
+        return form;
+    }
+};
 
-            (this.queue[kanji] || []).forEach(node => {
-                node.dataset.rt = reading;
-            });
+module.exports = { Popup };
 
-            delete this.queue[kanji];
-        }
-    };
+  },
+  "./scanner": function (module, exports, require) {
+// Lazy annotation of long pages
 
-    // --- API Service ---
+const { CONFIG } = require("./config");
+const { DOMHandler } = require("./dom");
+const { getElapsedTime, startTimer } = require("./utils");
+
+/**
+ * Annotates the text of a page in slices of CONFIG.SCAN_SLICE_TIME ms, run
+ * when the browser is idle: the text on screen first, then the rest from the
+ * closest to the farthest, and text scrolled into view ahead of the rest.
+ */
+const LazyScanner = {
+    blocks: new Map(), // Elements to annotate, to their text nodes holding kanji
+    visible: [], // Elements on screen, annotated first
+    rest: [], // Other elements, from the closest to the screen to the farthest
+    observer: null, // IntersectionObserver moving elements scrolled into view to `visible`
+    handle: null, // Scheduled slice
+    startTime: 0,
+    count: 0, // Text nodes annotated since the scan started
+    onScanned: null, // Called after each slice, with true once the elements on screen are annotated
 
     /**
-     * Handles API communication for kanji conversion
+     * Annotate the text of an element, starting with a first slice right away
+     * @param {Node} root - Element or shadow root to annotate
+     * @param {Function} [onScanned] - Called after each slice, with true once the elements on screen are annotated
      */
-    const APIService = {
-        apiUrl: GM_getValue(CONFIG.RESOLVER_KEY),
+    scan(root, onScanned) {
+        if (onScanned) {
+            this.onScanned = onScanned;
+        }
+        if (!this.blocks.size) {
+            this.startTime = startTimer();
+            this.count = 0;
+        }
 
-        /**
-         * Set the API URL
-         * @param {string} url - New API URL
-         */
-        setApiUrl(url) {
-            this.apiUrl = url;
-            GM_setValue(CONFIG.RESOLVER_KEY, url);
-        },
+        const added = this.collect(root);
+        if (!added.length) {
+            return;
+        }
 
-        /**
-         * Process all queued kanji
-         * @returns {Promise<void>}
-         */
-        async processQueue() {
-            const queue = DOMHandler.queue;
-            let chunk = [];
-            let requestCount = 0;
-            let kanjiCount = 0;
-            startTime = Date.now();
-
-            // Process each kanji in the queue
-            for (let kanji in queue) {
-                kanjiCount++;
-
-                // Use cached reading if available
-                if (CacheService.has(kanji)) {
-                    DOMHandler.updateRubyFromCache(kanji);
-                    continue;
-                }
+        // Read every position before annotating, which changes the layout
+        const height = window.innerHeight;
+        const distances = new Map(added.map(element => {
+            const rect = element.getBoundingClientRect();
+            return [element, rect.bottom < 0 ? -rect.bottom : Math.max(0, rect.top - height)];
+        }));
+        added.forEach(element => {
+            (distances.get(element) === 0 ? this.visible : this.rest).push(element);
+        });
+        this.rest.sort((a, b) => (distances.get(a) || 0) - (distances.get(b) || 0));
+
+        if (typeof IntersectionObserver !== "undefined") {
+            if (!this.observer) {
+                this.observer = new IntersectionObserver(entries => this.handleIntersection(entries));
+            }
+            added.forEach(element => this.observer.observe(element));
+        }
 
-                // Add to current chunk
-                chunk.push(kanji);
+        this.runSlice();
+    },
+
+    /**
+     * Find the text nodes holding kanji below a node, open shadow roots and
+     * frames included, grouped by parent element
+     * @param {Node} root - Element or shadow root to read
+     * @returns {Element[]} - Elements added to `blocks`
+     */
+    collect(root) {
+        if (!root.isConnected || DOMHandler.isExcluded(root)) {
+            return [];
+        }
 
-                // Process chunk when it reaches max size
-                if (chunk.length >= CONFIG.CHUNK_SIZE) {
-                    requestCount++;
-                    this.convertToHiragana(chunk);
-                    chunk = [];
+        const innerRoots = [];
+        const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    if (node.tagName.toLowerCase() in CONFIG.EXCLUDED_TAGS || node.isContentEditable) {
+                        return NodeFilter.FILTER_REJECT;
+                    }
+                    const inner = DOMHandler.enterRoot(node);
+                    if (inner) {
+                        innerRoots.push(inner);
+                    }
+                    return NodeFilter.FILTER_SKIP;
                 }
+                return CONFIG.KANJI_REGEX.test(node.nodeValue) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
             }
+        });
 
-            // Process remaining kanji
-            if (chunk.length) {
-                requestCount++;
-                this.convertToHiragana(chunk);
+        const added = [];
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const element = DOMHandler.getParentElement(node);
+            if (!this.blocks.has(element)) {
+                this.blocks.set(element, []);
+                added.push(element);
             }
+            this.blocks.get(element).push(node);
+        }
+        innerRoots.forEach(inner => added.push(...this.collect(inner)));
+        return added;
+    },
+
+    /**
+     * Annotate the elements scrolled into view before the others
+     * @param {IntersectionObserverEntry[]} entries - Elements whose visibility changed
+     */
+    handleIntersection(entries) {
+        const entered = entries
+            .filter(entry => entry.isIntersecting && this.blocks.has(entry.target))
+            .map(entry => entry.target);
+        if (!entered.length) {
+            return;
+        }
+        this.visible.push(...entered);
+        this.schedule();
+    },
+
+    /**
+     * Run the next slice when the browser is idle
+     */
+    schedule() {
+        if (this.handle !== null) {
+            return;
+        }
+        if (typeof requestIdleCallback === "function") {
+            this.handle = requestIdleCallback(deadline => {
+                this.handle = null;
+                this.runSlice(deadline);
+            }, { timeout: CONFIG.SCAN_IDLE_TIMEOUT });
+        } else {
+            this.handle = setTimeout(() => {
+                this.handle = null;
+                this.runSlice();
+            }, 0);
+        }
+    },
+
+    /**
+     * Annotate elements until the slice's time is up
+     * @param {IdleDeadline} [deadline] - Time left in the idle period
+     */
+    runSlice(deadline) {
+        const sliceStart = Date.now();
+        const hadVisible = this.visible.length > 0;
 
-            // Log statistics
-            if (kanjiCount) {
-                console.debug(
-                    getElapsedTime(),
-                    "ms Kanji Terminator:",
-                    kanjiCount,
-                    "Kanji converted in",
-                    requestCount,
-                    "requests, frame",
-                    window.location.href
-                );
+        while (this.blocks.size) {
+            if (Date.now() - sliceStart >= CONFIG.SCAN_SLICE_TIME || (deadline && !deadline.didTimeout && deadline.timeRemaining() <= 0)) {
+                break;
             }
 
-            // Save updated cache
-            CacheService.save();
-        },
+            const element = this.visible.length ? this.visible.shift() : this.rest.shift();
+            const nodes = this.blocks.get(element);
+            if (!nodes) {
+                continue; // Already annotated
+            }
+            this.blocks.delete(element);
+            if (this.observer) {
+                this.observer.unobserve(element);
+            }
+            nodes.forEach(node => DOMHandler.scanTextNodes(node));
+            this.count += nodes.length;
+        }
 
-        /**
-         * Convert kanji to hiragana using API
-         * @param {string[]} kanjis - Array of kanji to convert
-         */
-        convertToHiragana(kanjis) {
-            if (!kanjis || !kanjis.length) {
-                console.debug("Kanji Terminator: No kanji to convert");
-                return;
+        if (this.blocks.size) {
+            this.schedule();
+        } else {
+            this.finish();
+        }
+
+        if (this.onScanned) {
+            this.onScanned(hadVisible && !this.visible.some(element => this.blocks.has(element)));
+        }
+    },
+
+    /**
+     * Log the time the scan took once every element is annotated
+     */
+    finish() {
+        this.visible = [];
+        this.rest = [];
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.count) {
+            console.debug(
+                getElapsedTime(this.startTime),
+                "ms Kanji Terminator:",
+                this.count,
+                "text nodes annotated, frame",
+                window.location.href
+            );
+        }
+    },
+
+    /**
+     * Stop annotating, dropping the elements not annotated yet
+     */
+    stop() {
+        if (this.handle !== null) {
+            if (typeof cancelIdleCallback === "function") {
+                cancelIdleCallback(this.handle);
+            } else {
+                clearTimeout(this.handle);
             }
+            this.handle = null;
+        }
+        this.blocks.clear();
+        this.count = 0;
+        this.finish();
+    }
+};
+
+module.exports = { LazyScanner };
+
+  },
+  "./scheduler": function (module, exports, require) {
+// Scheduling of the requests to the backends
+
+const { CONFIG } = require("./config");
 
-            // Filter out already cached kanji
-            kanjis = kanjis.filter(kanji => !CacheService.has(kanji));
-
-            if (!kanjis.length) return;
-
-            // Make API request
-            GM_xmlhttpRequest({
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json"
-                },
-                url: this.apiUrl,
-                data: JSON.stringify({ texts: kanjis }),
-                onload: response => {
-                    try {
-                        if (response.responseText) {
-                            const json = JSON.parse(response.responseText);
-
-                            // Process and cache each kanji reading
-                            json.data.split("\n").forEach((reading, idx) => {
-                                const kanji = kanjis[idx];
-                                CacheService.set(kanji, reading);
-                                DOMHandler.updateRubyFromCache(kanji);
-                            });
-                        } else {
-                            console.debug("Kanji Terminator: Empty response for kanjis", kanjis);
+/**
+ * Runs requests at most CONFIG.MAX_CONCURRENT_REQUESTS at a time, retrying
+ * the ones that fail with a retryable error after an exponential backoff
+ */
+const RequestScheduler = {
+    active: 0, // Requests being sent
+    waiting: [], // Attempts waiting for a free slot
+    retrying: 0, // Requests waiting for their next attempt
+    failures: 0, // Requests that failed for good since the last success
+    lastError: null,
+    listeners: [],
+
+    /**
+     * Run a request
+     * @param {Function} send - Sends the request, returns a promise
+     * @param {Object} [options]
+     * @param {number} [options.retries] - Number of retries after the first attempt
+     * @returns {Promise<*>} - Result of the first successful attempt
+     */
+    run(send, { retries = CONFIG.REQUEST_RETRIES } = {}) {
+        return new Promise((resolve, reject) => {
+            const attempt = tries => {
+                this.enqueue(() => new Promise(resolve => resolve(send())).then(
+                    result => {
+                        this.failures = 0;
+                        this.lastError = null;
+                        this.notify();
+                        resolve(result);
+                    },
+                    error => {
+                        if (tries < retries && error && error.retryable) {
+                            this.retrying++;
+                            this.lastError = error;
+                            this.notify();
+                            setTimeout(() => {
+                                this.retrying--;
+                                attempt(tries + 1);
+                            }, this.getRetryDelay(tries));
+                            return;
                         }
-                    } catch(error) {
-                        console.debug("Kanji Terminator: Error processing response", error);
+                        this.failures++;
+                        this.lastError = error;
+                        this.notify();
+                        reject(error);
                     }
-                },
-                onerror: error => {
-                    console.debug("Kanji Terminator: Request failed", error);
-                }
-            });
+                ));
+            };
+            attempt(0);
+        });
+    },
+
+    /**
+     * Get the delay before the next attempt of a request
+     * @param {number} tries - Number of attempts that failed, minus one
+     * @returns {number} - Delay in milliseconds
+     */
+    getRetryDelay(tries) {
+        return Math.min(CONFIG.RETRY_MAX_DELAY, CONFIG.RETRY_BASE_DELAY * 2 ** tries);
+    },
+
+    /**
+     * Queue an attempt until a slot is free
+     * @param {Function} task - Runs the attempt, returns a promise
+     */
+    enqueue(task) {
+        this.waiting.push(task);
+        this.next();
+    },
+
+    /**
+     * Start the waiting attempts the free slots allow
+     */
+    next() {
+        while (this.active < CONFIG.MAX_CONCURRENT_REQUESTS && this.waiting.length) {
+            const task = this.waiting.shift();
+            this.active++;
+            this.notify();
+            // Free the slot whether the attempt succeeded or not
+            const done = () => {
+                this.active--;
+                this.notify();
+                this.next();
+            };
+            task().then(done, done);
         }
-    };
+    },
 
-    // --- App Controller ---
+    /**
+     * Get the state of the requests
+     * @returns {{active: number, waiting: number, retrying: number, failures: number, lastError: Error|null}} - State
+     */
+    getStatus() {
+        return {
+            active: this.active,
+            waiting: this.waiting.length,
+            retrying: this.retrying,
+            failures: this.failures,
+            lastError: this.lastError,
+        };
+    },
 
-    let startTime;
-    const throttledProcessQueue = debounce(() => APIService.processQueue(), CONFIG.DEBOUNCE_DELAY);
+    /**
+     * Call a function whenever the state of the requests changes
+     * @param {Function} listener - Called with getStatus()
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    },
 
     /**
-     * Handle DOM mutations
-     * @param {MutationRecord[]} mutationList - List of mutations
+     * Tell the listeners about the state of the requests
      */
-    function mutationHandler(mutationList) {
-        mutationList.forEach(mutation => {
-            mutation.addedNodes.forEach(node => {
-                DOMHandler.scanTextNodes(node);
-            });
+    notify() {
+        const status = this.getStatus();
+        this.listeners.forEach(listener => listener(status));
+    }
+};
+
+module.exports = { RequestScheduler };
+
+  },
+  "./settings": function (module, exports, require) {
+// Settings changed from the settings panel
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+
+// Values of CONFIG the settings override, as shipped with the script
+const DEFAULTS = {
+    debounceDelay: CONFIG.DEBOUNCE_DELAY,
+    chunkSize: CONFIG.CHUNK_SIZE,
+    maxCacheSize: CONFIG.MAX_CACHE_SIZE,
+    excludedTags: Object.keys(CONFIG.EXCLUDED_TAGS).filter(tag => !CONFIG.INTERNAL_TAGS.includes(tag)),
+};
+
+// Allowed range of the numeric settings
+const LIMITS = {
+    debounceDelay: { min: 0, max: 10000, label: "Debounce delay" },
+    chunkSize: { min: 1, max: 1000, label: "Chunk size" },
+    maxCacheSize: { min: 10, max: 100000, label: "Cache size" },
+};
+
+/**
+ * Settings stored with GM_setValue and applied to CONFIG, so that every
+ * module reading CONFIG picks them up without reloading the page
+ */
+const Settings = {
+    DEFAULTS,
+    LIMITS,
+
+    /**
+     * Get the stored settings, completed with the defaults
+     * @returns {{debounceDelay: number, chunkSize: number, maxCacheSize: number, excludedTags: string[]}} - Settings
+     */
+    get() {
+        const stored = gm.getValue(CONFIG.SETTINGS_KEY, {});
+        return { ...DEFAULTS, ...(stored && typeof stored === "object" ? stored : {}) };
+    },
+
+    /**
+     * Check settings before storing them
+     * @param {Object} settings - Settings to check
+     * @returns {Object} - Normalized settings
+     * @throws {Error} - When a setting is invalid
+     */
+    validate(settings) {
+        const result = { ...DEFAULTS, ...settings };
+
+        Object.keys(LIMITS).forEach(name => {
+            const { min, max, label } = LIMITS[name];
+            const value = Number(result[name]);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`${label} must be a whole number between ${min} and ${max}`);
+            }
+            result[name] = value;
         });
 
-        throttledProcessQueue();
+        const tags = typeof result.excludedTags === "string" ? result.excludedTags.split(",") : result.excludedTags;
+        if (!Array.isArray(tags)) {
+            throw new Error("Excluded tags must be a list of tag names");
+        }
+        result.excludedTags = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+        const invalid = result.excludedTags.find(tag => !/^[a-z][a-z0-9-]*$/.test(tag));
+        if (invalid) {
+            throw new Error(`Invalid tag name "${invalid}"`);
+        }
+
+        return result;
+    },
+
+    /**
+     * Validate, store and apply settings
+     * @param {Object} settings - New settings
+     * @returns {Object} - Stored settings
+     * @throws {Error} - When a setting is invalid, nothing is stored then
+     */
+    set(settings) {
+        const result = this.validate(settings);
+        gm.setValue(CONFIG.SETTINGS_KEY, result);
+        this.apply(result);
+        return result;
+    },
+
+    /**
+     * Apply the stored settings to CONFIG
+     */
+    load() {
+        let settings;
+        try {
+            settings = this.validate(this.get());
+        } catch (error) {
+            console.debug("Kanji Terminator: Invalid settings, using the defaults", error);
+            settings = DEFAULTS;
+        }
+        this.apply(settings);
+    },
+
+    /**
+     * Apply settings to CONFIG
+     * @param {Object} settings - Validated settings
+     */
+    apply(settings) {
+        CONFIG.DEBOUNCE_DELAY = settings.debounceDelay;
+        CONFIG.CHUNK_SIZE = settings.chunkSize;
+        CONFIG.MAX_CACHE_SIZE = settings.maxCacheSize;
+        CONFIG.EXCLUDED_TAGS = {};
+        [...CONFIG.INTERNAL_TAGS, ...settings.excludedTags].forEach(tag => {
+            CONFIG.EXCLUDED_TAGS[tag] = true;
+        });
+    }
+};
+
+module.exports = { Settings };
+
+  },
+  "./sites": function (module, exports, require) {
+// Per-site rules
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+
+/**
+ * Check if a URL matches a site pattern
+ *
+ * A pattern is either a domain, matching the domain and its subdomains
+ * (e.g. "example.com"), or a URL where `*` matches anything
+ * (e.g. "https://example.com/news/*"). URL patterns without a scheme
+ * match any scheme (e.g. "example.com/news/*").
+ * @param {string} pattern - Site pattern
+ * @param {URL} url - URL to check
+ * @returns {boolean} - True if the URL matches
+ */
+function matchesPattern(pattern, url) {
+    pattern = pattern.trim();
+    if (!pattern) {
+        return false;
+    }
+
+    if (!/[/*]/.test(pattern)) {
+        const domain = pattern.toLowerCase();
+        return url.hostname === domain || url.hostname.endsWith(`.${domain}`);
     }
 
+    const target = pattern.includes("://") ? url.href : url.href.replace(/^[a-z][\w+.-]*:\/\//i, "");
+    const regex = new RegExp(`^${pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`, "i");
+    return regex.test(target);
+}
+
+/**
+ * Allow and deny lists deciding where the script runs, whatever the language of the page
+ */
+const SiteRules = {
+    /**
+     * Get the stored rules
+     * @returns {{allow: string[], deny: string[]}} - Site patterns of each list
+     */
+    get() {
+        const rules = gm.getValue(CONFIG.SITE_RULES_KEY, {});
+        return {
+            allow: Array.isArray(rules.allow) ? rules.allow : [],
+            deny: Array.isArray(rules.deny) ? rules.deny : [],
+        };
+    },
+
+    /**
+     * Store the rules
+     * @param {{allow: string[], deny: string[]}} rules - Site patterns of each list
+     */
+    set(rules) {
+        gm.setValue(CONFIG.SITE_RULES_KEY, { allow: rules.allow, deny: rules.deny });
+    },
+
+    /**
+     * Find the rule applying to a URL. The longest matching pattern wins,
+     * deny winning over allow on a tie.
+     * @param {string} href - URL of the page
+     * @returns {"allow"|"deny"|null} - The rule, null when no pattern matches
+     */
+    match(href) {
+        const url = new URL(href);
+        const rules = this.get();
+        const longest = patterns => Math.max(-1, ...patterns.filter(pattern => matchesPattern(pattern, url)).map(pattern => pattern.length));
+
+        const allow = longest(rules.allow);
+        const deny = longest(rules.deny);
+        if (allow < 0 && deny < 0) {
+            return null;
+        }
+        return deny >= allow ? "deny" : "allow";
+    },
+
     /**
-     * Prompt user to set API URL
+     * Add a domain to a list, removing it from the other one
+     * @param {string} hostname - Domain of the site
+     * @param {"allow"|"deny"|null} rule - List to add it to, null to remove it from both
      */
-    function promptForApiUrl() {
-        const resolver = prompt("Enter your kanji video resolver API URL:");
-        if (resolver) {
-            APIService.setApiUrl(resolver);
-            alert("Resolver API URL saved successfully!");
+    setSiteRule(hostname, rule) {
+        const rules = this.get();
+        rules.allow = rules.allow.filter(pattern => pattern !== hostname);
+        rules.deny = rules.deny.filter(pattern => pattern !== hostname);
+        if (rule) {
+            rules[rule].push(hostname);
         }
+        this.set(rules);
     }
+};
+
+module.exports = {
+    SiteRules,
+    matchesPattern
+};
+
+  },
+  "./styles": function (module, exports, require) {
+// Styles of the rubies, shared with shadow roots and frames
+
+const { gm } = require("./gm");
+
+/**
+ * Page styles of the script. The styles added with GM_addStyle only apply to
+ * the page's document, so shadow roots and frames holding rubies get their
+ * own copy.
+ */
+const Styles = {
+    css: [], // Styles added so far
+    elements: [], // Style elements holding the copies, in the roots still in the page
+    roots: new WeakSet(),
+
+    /**
+     * Add styles to the page and to the roots holding rubies
+     * @param {string} css - Style sheet
+     */
+    add(css) {
+        this.css.push(css);
+        gm.addStyle(css);
+        this.prune();
+        this.elements.forEach(style => {
+            style.textContent += css;
+        });
+    },
 
     /**
-     * Initialize the application
+     * Copy the styles into a shadow root or a frame's document, once
+     * @param {ShadowRoot|Document} root - Shadow root or document
      */
-    function initialize() {
-        // Only run on Japanese pages
-        if (document.documentElement.lang !== "ja") {
+    attach(root) {
+        this.prune();
+        if (this.roots.has(root)) {
             return;
         }
+        this.roots.add(root);
 
-        // Load cached kanji readings
-        CacheService.load();
+        const doc = root.nodeType === Node.DOCUMENT_NODE ? root : root.ownerDocument;
+        const style = doc.createElement("style");
+        style.className = "kanji-terminator-style";
+        style.textContent = this.css.join("");
+        (root.nodeType === Node.DOCUMENT_NODE ? root.head || root.documentElement : root).appendChild(style);
+        this.elements.push(style);
+    },
 
-        // Initialize DOM handler
-        DOMHandler.initialize();
+    /**
+     * Forget the copies of the roots removed from the page, so that the
+     * shadow roots of destroyed web components and the documents of removed
+     * frames can be freed
+     */
+    prune() {
+        this.elements = this.elements.filter(style => style.isConnected);
+    },
 
-        // Set up mutation observer
-        const observer = new MutationObserver(mutationHandler);
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-        });
+    /**
+     * Get the shadow roots and frame documents the styles were copied to
+     * @returns {Array<ShadowRoot|Document>} - Roots still holding their copy
+     */
+    getRoots() {
+        this.prune();
+        return this.elements.map(style => (style.parentNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? style.parentNode : style.ownerDocument));
+    }
+};
+
+module.exports = { Styles };
+
+  },
+  "./utils": function (module, exports, require) {
+// Utility functions
+
+const { CONFIG } = require("./config");
+
+/**
+ * Creates a debounced version of the provided function
+ * @param {Function} func - Function to debounce
+ * @param {number|Function} delay - Delay in milliseconds, or a function returning it when it can change
+ * @returns {Function} - Debounced function
+ */
+function debounce(func, delay) {
+    let timeoutId;
+    return function (...args) {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+            func.apply(this, args);
+        }, typeof delay === "function" ? delay() : delay);
+    };
+}
+
+/**
+ * Build the cache key of a kanji run. The reading of a run only depends on
+ * the run itself and on the kana right after it (okurigana), so that kana is
+ * part of the key: 生き and 生ま are cached separately.
+ * @param {string} text - Text containing the run
+ * @param {number} start - Offset of the run
+ * @param {number} end - Offset just after the run
+ * @returns {string} - Cache key
+ */
+function getCacheKey(text, start, end) {
+    const next = text.charAt(end);
+    return text.substring(start, end) + (CONFIG.HIRAGANA_REGEX.test(next) ? next : "");
+}
 
-        // Process existing content
-        DOMHandler.scanTextNodes(document.body);
+/**
+ * Get the segments of a cached reading that fall within the kanji run,
+ * dropping okurigana which stays in the page text after the ruby
+ * @param {string} key - Cache key of the kanji run, see getCacheKey
+ * @param {{reading: string, segments: Object[]}} entry - Cached reading
+ * @returns {Object[]} - Segments covering exactly the kanji run
+ */
+function getRunSegments(key, entry) {
+    const kanji = CONFIG.KANJI_REGEX.exec(key)[0];
+    const segments = [];
+    let text = "";
+
+    for (const segment of entry.segments || []) {
+        if (text.length >= kanji.length) {
+            break;
+        }
+        segments.push(segment);
+        text += segment.text;
     }
 
-    // Register menu command
-    GM_registerMenuCommand("Set kanji Resolver API URL", promptForApiUrl);
+    // Alignment doesn't match the run: show the reading over the whole run,
+    // without the okurigana of the key
+    if (text !== kanji) {
+        const okurigana = key.substring(kanji.length);
+        const reading = okurigana && entry.reading.endsWith(okurigana) && entry.reading.length > okurigana.length
+            ? entry.reading.slice(0, -okurigana.length)
+            : entry.reading;
+        return [{ text: kanji, reading, kind: "kanji" }];
+    }
+    return segments;
+}
 
-    // Start the application
-    initialize();
-}());
\ No newline at end of file
+/**
+ * Let the user download a file
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Let the user pick a file and read it as text
+ * @param {string} accept - File types offered, as in the accept attribute
+ * @returns {Promise<string|null>} - File content, null if no file was picked
+ */
+function pickFile(accept) {
+    return new Promise(resolve => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = accept;
+        input.addEventListener("change", () => {
+            const file = input.files && input.files[0];
+            if (!file) {
+                resolve(null);
+                return;
+            }
+            const reader = new FileReader();
+            reader.addEventListener("load", () => resolve(reader.result));
+            reader.addEventListener("error", () => resolve(null));
+            reader.readAsText(file);
+        });
+        input.click();
+    });
+}
+
+let startTime = Date.now();
+
+/**
+ * Start measuring time for getElapsedTime
+ * @returns {number} - Start time, for measurements overlapping with others
+ */
+function startTimer() {
+    startTime = Date.now();
+    return startTime;
+}
+
+/**
+ * Measures elapsed time from a given start time
+ * @param {number} [start] - Start time returned by startTimer, the last one by default
+ * @returns {number} - Elapsed time in milliseconds
+ */
+function getElapsedTime(start = startTime) {
+    return Date.now() - start;
+}
+
+module.exports = {
+    debounce,
+    downloadFile,
+    getCacheKey,
+    getElapsedTime,
+    getRunSegments,
+    pickFile,
+    startTimer
+};
+
+  }
+  };
+  var cache = {};
+
+  function load(id) {
+    if (!cache[id]) {
+      var module = { exports: {} };
+      cache[id] = module;
+      definitions[id](module, module.exports, load);
+    }
+    return cache[id].exports;
+  }
+
+  return load("./index");
+})();
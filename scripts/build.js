@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Bundles the modules in src/ into the kanji.js userscript
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { bundle } = require('./bundler');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+const ENTRY = path.join(SRC, 'index.js');
+const OUTPUT = path.join(ROOT, 'kanji.js');
+
+const USAGE = `Usage: node scripts/build.js [--check]
+
+Options:
+  --check  Fail if kanji.js is not up to date with src/ instead of writing it
+  --help   Show this message`;
+
+/**
+ * Build the userscript: the metadata block followed by the bundled modules
+ * @returns {string} - Userscript source
+ */
+function build() {
+  const header = fs.readFileSync(path.join(SRC, 'header.txt'), 'utf8');
+  return `${header}// This file is automatically generated from src/ by scripts/build.js. DO NOT EDIT.
+${bundle(ENTRY)};
+`;
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  if (argv.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+
+  const output = build();
+  if (argv.includes('--check')) {
+    if (!fs.existsSync(OUTPUT) || fs.readFileSync(OUTPUT, 'utf8') !== output) {
+      console.error('kanji.js is out of date, run `npm run build`');
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  build
+};
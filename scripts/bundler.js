@@ -0,0 +1,68 @@
+// Bundles CommonJS modules into a single script, for the userscript (scripts/build.js)
+// and the offline converter (kanji-to-hiragana-worker/scripts/build-browser.js)
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Collect the entry module and every module it requires with a relative path
+ * @param {string} entry - Absolute path of the entry module
+ * @returns {Map<string, string>} - Module id (path relative to the entry directory, e.g. "./dom") to source, sorted by id
+ */
+function collectModules(entry) {
+  const baseDir = path.dirname(entry);
+  const modules = new Map();
+  const pending = [entry];
+
+  while (pending.length > 0) {
+    const file = pending.pop();
+    const id = `./${path.relative(baseDir, file).replace(/\.js$/, '')}`;
+    if (modules.has(id)) {
+      continue;
+    }
+
+    const source = fs.readFileSync(file, 'utf8');
+    modules.set(id, source);
+
+    for (const match of source.matchAll(/require\(['"](\.\/[\w/-]+)['"]\)/g)) {
+      pending.push(path.join(baseDir, `${match[1]}.js`));
+    }
+  }
+
+  return new Map([...modules].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+/**
+ * Wrap the entry module and the modules it requires in a minimal CommonJS loader
+ * @param {string} entry - Absolute path of the entry module
+ * @returns {string} - Expression evaluating to the exports of the entry module
+ */
+function bundle(entry) {
+  const definitions = [...collectModules(entry)]
+    .map(([id, source]) => `  ${JSON.stringify(id)}: function (module, exports, require) {\n${source}\n  }`)
+    .join(',\n');
+
+  return `(function () {
+  var definitions = {
+${definitions}
+  };
+  var cache = {};
+
+  function load(id) {
+    if (!cache[id]) {
+      var module = { exports: {} };
+      cache[id] = module;
+      definitions[id](module, module.exports, load);
+    }
+    return cache[id].exports;
+  }
+
+  return load(${JSON.stringify(`./${path.basename(entry, '.js')}`)});
+})()`;
+}
+
+module.exports = {
+  bundle,
+  collectModules
+};
@@ -0,0 +1,143 @@
+// Conversion of the queued kanji
+
+const { CONFIG } = require("./config");
+const { CacheService } = require("./cache");
+const { DOMHandler } = require("./dom");
+const { Backends } = require("./backends");
+const { LearningHistory } = require("./history");
+const { getElapsedTime, startTimer } = require("./utils");
+
+/**
+ * Handles API communication for kanji conversion
+ */
+const APIService = {
+    inFlight: new Map(), // Cache keys of the kanji runs being converted, to the promise of their conversion
+    unresolved: new Set(), // Cache keys a backend answered without a reading for, not requested again
+    failed: new Map(), // Cache keys no backend answered for, to the time they failed at
+
+    /**
+     * Process all queued kanji
+     * @returns {Promise<void>}
+     */
+    async processQueue() {
+        const queue = DOMHandler.queue;
+        const requests = [];
+        let chunk = [];
+        let kanjiCount = 0;
+        startTimer();
+
+        // Process each kanji in the queue
+        for (let kanji in queue) {
+            kanjiCount++;
+
+            // Use cached reading if available
+            if (CacheService.has(kanji)) {
+                DOMHandler.updateRubyFromCache(kanji);
+                continue;
+            }
+
+            // Skip kanji already being converted or that can't be
+            if (this.inFlight.has(kanji) || this.unresolved.has(kanji)) {
+                continue;
+            }
+            // Give the backends that failed on a kanji some time before requesting it again
+            if (this.failed.has(kanji)) {
+                if (Date.now() - this.failed.get(kanji) < CONFIG.FAILED_RETRY_DELAY) {
+                    continue;
+                }
+                this.failed.delete(kanji);
+            }
+
+            // Show the user's correction while a backend resolves the run
+            DOMHandler.updateRubyFromCache(kanji);
+
+            // Add to current chunk
+            chunk.push(kanji);
+
+            // Process chunk when it reaches max size
+            if (chunk.length >= CONFIG.CHUNK_SIZE) {
+                requests.push(this.convertToHiragana(chunk));
+                chunk = [];
+            }
+        }
+
+        // Process remaining kanji
+        if (chunk.length) {
+            requests.push(this.convertToHiragana(chunk));
+        }
+
+        // Log statistics
+        if (kanjiCount) {
+            console.debug(
+                getElapsedTime(),
+                "ms Kanji Terminator:",
+                kanjiCount,
+                "Kanji converted in",
+                requests.length,
+                "requests, frame",
+                window.location.href
+            );
+        }
+
+        // Save updated cache once the readings arrived, even those of the
+        // requests that failed half way
+        const outcomes = await Promise.allSettled(requests);
+        outcomes.forEach(outcome => {
+            if (outcome.status === "rejected") {
+                console.error("Kanji Terminator: failed to convert kanji", outcome.reason);
+            }
+        });
+        CacheService.save();
+        LearningHistory.save();
+    },
+
+    /**
+     * Convert kanji to hiragana using the configured backends
+     * @param {string[]} kanjis - Cache keys of the queued kanji runs to convert
+     * @returns {Promise<void>}
+     */
+    async convertToHiragana(kanjis) {
+        if (!kanjis || !kanjis.length) {
+            console.debug("Kanji Terminator: No kanji to convert");
+            return;
+        }
+
+        // Filter out already cached kanji
+        kanjis = kanjis.filter(kanji => !CacheService.has(kanji) && DOMHandler.queue[kanji]);
+
+        if (!kanjis.length) return;
+
+        const items = kanjis.map(key => ({
+            key,
+            kanji: CONFIG.KANJI_REGEX.exec(key)[0],
+            ...DOMHandler.queue[key].context,
+        }));
+
+        const conversion = Backends.resolve(items, CacheService.mode, (item, result, source) => {
+            // Process and cache each kanji reading
+            CacheService.set(item.key, result.reading, result.segments, source, result.meanings, result.dictionary);
+            DOMHandler.updateRubyFromCache(item.key);
+        });
+        kanjis.forEach(key => this.inFlight.set(key, conversion));
+
+        let outcome;
+        try {
+            outcome = await conversion;
+        } finally {
+            kanjis.forEach(key => this.inFlight.delete(key));
+        }
+
+        // Words the backends failed on stay queued, and are requested again on a later scan
+        const { unresolved, failed } = outcome;
+        unresolved.forEach(item => this.unresolved.add(item.key));
+        failed.forEach(item => this.failed.set(item.key, Date.now()));
+        if (unresolved.length) {
+            console.debug("Kanji Terminator: No reading found for", unresolved.map(item => item.kanji));
+        }
+        if (failed.length) {
+            console.debug("Kanji Terminator: No backend answered for", failed.map(item => item.kanji));
+        }
+    }
+};
+
+module.exports = { APIService };
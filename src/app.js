@@ -0,0 +1,295 @@
+// App controller
+
+const { CONFIG } = require("./config");
+const { CacheService } = require("./cache");
+const { Display } = require("./display");
+const { DOMHandler } = require("./dom");
+const { APIService } = require("./api");
+const { StatusBadge } = require("./badge");
+const { LearningHistory } = require("./history");
+const { KnownKanji } = require("./known");
+const { getTextSample, hasJapaneseElements, isJapanesePage } = require("./language");
+const { Learning } = require("./learning");
+const { watchNavigation } = require("./navigation");
+const { registerMenuCommands } = require("./menu");
+const { ReadingOverrides } = require("./overrides");
+const { Popup } = require("./popup");
+const { LazyScanner } = require("./scanner");
+const { Settings } = require("./settings");
+const { SiteRules } = require("./sites");
+const { Styles } = require("./styles");
+const { debounce } = require("./utils");
+
+// The delay is read on each call, as it can be changed from the settings panel
+const throttledProcessQueue = debounce(() => APIService.processQueue(), () => CONFIG.DEBOUNCE_DELAY);
+
+/**
+ * Convert what the lazy scanner queued: right away once the text on screen
+ * is annotated, after the debounce delay otherwise
+ * @param {boolean} visibleDone - Whether the scanner just annotated the text on screen
+ */
+function handleScanned(visibleDone) {
+    if (visibleDone) {
+        APIService.processQueue();
+    } else {
+        throttledProcessQueue();
+    }
+}
+
+/**
+ * Handle DOM mutations: annotate added nodes and text changed in place,
+ * leaving alone the nodes inserted by the script
+ * @param {MutationRecord[]} mutationList - List of mutations
+ */
+function mutationHandler(mutationList) {
+    mutationList.forEach(mutation => {
+        if (mutation.type === "characterData") {
+            DOMHandler.updateText(mutation.target);
+            return;
+        }
+
+        mutation.addedNodes.forEach(node => {
+            if (!DOMHandler.inserted.has(node)) {
+                DOMHandler.scanTextNodes(node);
+            }
+        });
+        mutation.removedNodes.forEach(node => {
+            DOMHandler.forget(node, mutation.target);
+        });
+    });
+
+    // Pages changed by a navigation the wrapped History API missed
+    if (navigation) {
+        navigation.check();
+    }
+    throttledProcessQueue();
+}
+
+// What the observer watches, in the page and in its shadow roots and frames
+const OBSERVER_OPTIONS = {
+    childList: true,
+    subtree: true,
+    characterData: true,
+};
+
+// Observer of the page, null while the script doesn't run on it
+let observer = null;
+// Whether the stored data was loaded and the event listeners added
+let loaded = false;
+// Whether the user disabled the script on this page
+let disabled = false;
+// Frame documents with event listeners
+const listenedDocuments = new WeakSet();
+// Watcher of the page's URL, see watchNavigation
+let navigation = null;
+// Observer and timer checking the language of a page still loading, see watchLanguage
+let languageWatch = null;
+
+/**
+ * Initialize the application
+ * @returns {MutationObserver|null} - Observer of the page, null when the page isn't handled
+ */
+function initialize() {
+    // Apply the settings over the defaults of CONFIG
+    Settings.load();
+
+    if (navigation) {
+        navigation.stop();
+    }
+    navigation = watchNavigation(handleNavigation);
+    return run();
+}
+
+/**
+ * Start annotating the page if it is handled
+ * @returns {MutationObserver|null} - Observer of the page, null when the page isn't handled
+ */
+function run() {
+    // Only run on Japanese pages, or on pages with Japanese parts, unless the site says otherwise
+    const rule = SiteRules.match(window.location.href);
+    if (rule === "deny") {
+        return null;
+    }
+    if (!checkLanguage(rule)) {
+        // Pages of single-page applications may have no text yet
+        if (rule === null && !hasLanguageSample()) {
+            watchLanguage();
+        }
+        return null;
+    }
+
+    if (!loaded) {
+        loaded = true;
+
+        // Load cached kanji readings, and apply the ones other tabs resolve
+        CacheService.load();
+        CacheService.listen(kanjis => kanjis.forEach(kanji => DOMHandler.updateRubyFromCache(kanji)));
+        ReadingOverrides.load();
+        KnownKanji.load();
+        LearningHistory.load();
+
+        // Initialize DOM handler
+        DOMHandler.initialize();
+        Learning.initialize();
+        Display.initialize();
+        Popup.initialize();
+        StatusBadge.initialize();
+    }
+
+    // Set up mutation observer
+    observer = new MutationObserver(mutationHandler);
+    observer.observe(document.body, OBSERVER_OPTIONS);
+    DOMHandler.onRoot = attachRoot;
+
+    // Process existing content, starting with the text on screen
+    LazyScanner.scan(document.body, handleScanned);
+
+    return observer;
+}
+
+/**
+ * Check whether the page, or some of its parts, are in Japanese
+ * @param {string|null} rule - Site rule of the page, see SiteRules.match
+ * @returns {boolean} - True if the page is handled
+ */
+function checkLanguage(rule) {
+    DOMHandler.rootIsJapanese = rule === "allow" || isJapanesePage(document);
+    return DOMHandler.rootIsJapanese || hasJapaneseElements(document);
+}
+
+/**
+ * Check whether the page has enough text to tell its language
+ * @returns {boolean} - True if the text sample is large enough
+ */
+function hasLanguageSample() {
+    return getTextSample(document.body, CONFIG.LANGUAGE_MIN_SAMPLE_SIZE).length >= CONFIG.LANGUAGE_MIN_SAMPLE_SIZE;
+}
+
+/**
+ * Check the language of a page again as it changes, until it turns out to be
+ * Japanese, it has enough text to tell, a navigation happens or
+ * CONFIG.LANGUAGE_RECHECK_TIME passes
+ */
+function watchLanguage() {
+    if (languageWatch) {
+        return;
+    }
+    const watcher = new MutationObserver(() => {
+        if (checkLanguage(SiteRules.match(window.location.href)) || hasLanguageSample()) {
+            stopLanguageWatch();
+            run();
+        }
+    });
+    watcher.observe(document.body, OBSERVER_OPTIONS);
+    languageWatch = { watcher, timer: setTimeout(stopLanguageWatch, CONFIG.LANGUAGE_RECHECK_TIME) };
+}
+
+/**
+ * Stop checking the language of the page, see watchLanguage
+ */
+function stopLanguageWatch() {
+    if (!languageWatch) {
+        return;
+    }
+    languageWatch.watcher.disconnect();
+    clearTimeout(languageWatch.timer);
+    languageWatch = null;
+}
+
+/**
+ * Handle a shadow root or a frame document found by DOMHandler: give it the
+ * styles of the rubies, the event listeners for frames, and observe it.
+ * Events of shadow roots reach the listeners of their document.
+ * @param {ShadowRoot|Document} root - Shadow root or frame document
+ */
+function attachRoot(root) {
+    Styles.attach(root);
+    if (root.nodeType === Node.DOCUMENT_NODE && !listenedDocuments.has(root)) {
+        listenedDocuments.add(root);
+        DOMHandler.listen(root);
+        Learning.listen(root);
+        Display.listen(root);
+        Popup.listen(root);
+    }
+    if (observer) {
+        observer.observe(root.nodeType === Node.DOCUMENT_NODE ? root.body : root, OBSERVER_OPTIONS);
+    }
+    throttledProcessQueue();
+}
+
+/**
+ * Stop annotating the page and remove the readings already inserted
+ */
+function stop() {
+    stopLanguageWatch();
+    if (!observer) {
+        return;
+    }
+    observer.disconnect();
+    observer = null;
+    LazyScanner.stop();
+    Popup.close();
+    DOMHandler.restore();
+}
+
+/**
+ * Follow the navigation of single-page applications: the new URL may have
+ * other site rules, and words are counted once per page again
+ * @param {string} href - New URL of the page
+ */
+function handleNavigation(href) {
+    if (disabled) {
+        return;
+    }
+
+    LearningHistory.startPage();
+    stopLanguageWatch();
+    if (SiteRules.match(href) === "deny") {
+        stop();
+        return;
+    }
+
+    Popup.close();
+    if (!observer) {
+        run();
+    }
+    throttledProcessQueue();
+}
+
+/**
+ * Apply settings saved from the settings panel without reloading: text of
+ * tags no longer excluded is converted
+ */
+function applySettings() {
+    if (!observer) {
+        return;
+    }
+    LazyScanner.scan(document.body, handleScanned);
+    throttledProcessQueue();
+}
+
+/**
+ * Stop annotating the page and remove the readings already inserted, until it is reloaded
+ */
+function disable() {
+    disabled = true;
+    stop();
+}
+
+/**
+ * Register the menu commands and start the application
+ */
+function start() {
+    registerMenuCommands({ onSettingsSaved: applySettings, onDisable: disable });
+    initialize();
+}
+
+module.exports = {
+    applySettings,
+    disable,
+    handleNavigation,
+    initialize,
+    mutationHandler,
+    start,
+    throttledProcessQueue
+};
@@ -0,0 +1,401 @@
+// Reading backends
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { RequestScheduler } = require("./scheduler");
+
+/**
+ * Build the error of a failed request
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether sending the request again may succeed
+ * @param {number} [status] - HTTP status
+ * @returns {Error} - Error with `retryable` and `status` properties
+ */
+function requestError(message, retryable, status) {
+    return Object.assign(new Error(message), { retryable, status });
+}
+
+/**
+ * Send a request with GM_xmlhttpRequest through the request scheduler and
+ * parse the JSON response. Network errors, timeouts, HTTP 429 and 5xx
+ * responses are retried.
+ * @param {Object} options - GM_xmlhttpRequest options, without callbacks
+ * @param {number} [options.retries] - Number of retries, CONFIG.REQUEST_RETRIES by default
+ * @returns {Promise<Object>} - Parsed response body
+ */
+function requestJSON({ retries, ...options }) {
+    return RequestScheduler.run(() => new Promise((resolve, reject) => {
+        gm.xmlhttpRequest({
+            timeout: CONFIG.REQUEST_TIMEOUT,
+            ...options,
+            onload: response => {
+                if (response.status && (response.status < 200 || response.status >= 300)) {
+                    const retryable = response.status === 429 || response.status >= 500;
+                    reject(requestError(`HTTP ${response.status}`, retryable, response.status));
+                    return;
+                }
+                if (!response.responseText) {
+                    reject(requestError("Empty response", false, response.status));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(response.responseText));
+                } catch (error) {
+                    reject(requestError(`Invalid JSON: ${error.message}`, false, response.status));
+                }
+            },
+            onerror: error => reject(requestError((error && error.message) || "Network error", true)),
+            ontimeout: () => reject(requestError("Request timed out", true)),
+        });
+    }), { retries });
+}
+
+/**
+ * Group items by the text they were found in, in the `contexts` format of the worker
+ * @param {Object[]} items - Items passed to a backend's resolve()
+ * @returns {{contexts: Object[], positions: number[][]}} - Contexts, and the [context, span] index of each item
+ */
+function buildContexts(items) {
+    const contexts = [];
+    const contextIndex = new Map();
+    const positions = items.map(({ text, start, end }) => {
+        if (!contextIndex.has(text)) {
+            contextIndex.set(text, contexts.length);
+            contexts.push({ text, spans: [] });
+        }
+        const idx = contextIndex.get(text);
+        contexts[idx].spans.push({ start, end });
+        return [idx, contexts[idx].spans.length - 1];
+    });
+    return { contexts, positions };
+}
+
+/**
+ * Build the segments of a reading that has no per-kanji alignment
+ * @param {Object} item - Item the reading belongs to
+ * @param {string} reading - Reading of the run, possibly followed by its okurigana
+ * @returns {Object[]} - Segments of the run and its okurigana
+ */
+function getWholeRunSegments(item, reading) {
+    const okurigana = item.key.substring(item.kanji.length);
+    if (okurigana && reading.endsWith(okurigana) && reading.length > okurigana.length) {
+        return [
+            { text: item.kanji, reading: reading.slice(0, -okurigana.length), kind: "kanji" },
+            { text: okurigana, reading: okurigana, kind: "okurigana" },
+        ];
+    }
+    return [{ text: item.kanji, reading, kind: "kanji" }];
+}
+
+/**
+ * Convert a hiragana reading to the given mode
+ * @param {string} reading - Hiragana reading
+ * @param {string} mode - One of CONFIG.MODES
+ * @returns {string|null} - Converted reading, or null if the mode can't be produced here
+ */
+function convertReading(reading, mode) {
+    if (mode === "hiragana") {
+        return reading;
+    }
+    if (typeof KanjiTerminatorKakasi !== "undefined") {
+        return KanjiTerminatorKakasi.convertReading(reading, mode);
+    }
+    return null;
+}
+
+/**
+ * Get a value from an object by a dot separated path
+ * @param {Object} obj - Object to read
+ * @param {string} path - Path such as "data.items", empty for the object itself
+ * @returns {*} - Value at the path
+ */
+function getPath(obj, path) {
+    return (path || "").split(".").filter(Boolean).reduce((value, key) => (value == null ? value : value[key]), obj);
+}
+
+/**
+ * Registry of the backends readings can be resolved with
+ *
+ * Each backend implements:
+ * - `label`: name shown to the user
+ * - `isAvailable()`: whether the backend is configured
+ * - `resolve(items, mode)`: resolves to one `{reading, segments, meanings?, dictionary?}` (or null)
+ *   per item, items being `{key, kanji, text, start, end}` with `text` the text the run was found in,
+ *   and `dictionary` the version of the dictionary the reading comes from
+ * - `lookup(word, mode)` (optional): resolves to the dictionary entries of a word, in the
+ *   format of the worker's `/lookup` endpoint, or null
+ */
+const Backends = {
+    order: gm.getValue(CONFIG.BACKENDS_KEY, CONFIG.DEFAULT_BACKENDS),
+
+    registry: {
+        // The Cloudflare worker in kanji-to-hiragana-worker
+        worker: {
+            label: "Kanji resolver worker",
+            apiUrl: gm.getValue(CONFIG.RESOLVER_KEY),
+
+            /**
+             * Set the API URL
+             * @param {string} url - New API URL
+             */
+            setApiUrl(url) {
+                this.apiUrl = url;
+                gm.setValue(CONFIG.RESOLVER_KEY, url);
+            },
+
+            isAvailable() {
+                return Boolean(this.apiUrl);
+            },
+
+            /**
+             * Read contexts with the worker
+             * @param {string} url - API URL
+             * @param {Object[]} contexts - Contexts, see buildContexts
+             * @param {string} mode - One of CONFIG.MODES
+             * @param {Object} [options] - Extra options of requestJSON
+             * @returns {Promise<Object[]>} - Results, one per span, with the version of the worker's dictionary
+             */
+            async request(url, contexts, mode, options = {}) {
+                const json = await requestJSON({
+                    method: "POST",
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Accept": `application/vnd.kanji-terminator.v${CONFIG.RESPONSE_VERSION}+json`
+                    },
+                    url,
+                    data: JSON.stringify({ contexts, mode, version: CONFIG.RESPONSE_VERSION }),
+                    ...options,
+                });
+
+                if (json.version !== CONFIG.RESPONSE_VERSION || !Array.isArray(json.results)) {
+                    throw new Error(`Unsupported response version ${json.version}`);
+                }
+                return json.results.map(result => result && { ...result, dictionary: json.dictionary });
+            },
+
+            /**
+             * Check that a URL answers like the worker by reading a sample word
+             * @param {string} url - API URL to check
+             * @returns {Promise<void>} - Rejects with the reason the URL can't be used
+             */
+            async test(url) {
+                const results = await this.request(url, [{ text: "漢字", spans: [{ start: 0, end: 2 }] }], "hiragana", {
+                    timeout: CONFIG.TEST_REQUEST_TIMEOUT,
+                    retries: 0,
+                });
+                if (!results[0] || !results[0].reading || results[0].reading === "漢字") {
+                    throw new Error("The resolver returned no reading");
+                }
+            },
+
+            async resolve(items, mode) {
+                const { contexts, positions } = buildContexts(items);
+                const results = await this.request(this.apiUrl, contexts, mode);
+
+                // Results follow the order of the spans, context after context
+                const offsets = [];
+                contexts.reduce((offset, context, idx) => {
+                    offsets[idx] = offset;
+                    return offset + context.spans.length;
+                }, 0);
+                return positions.map(([contextIdx, spanIdx]) => results[offsets[contextIdx] + spanIdx]);
+            },
+
+            async lookup(word, mode) {
+                const url = new URL(this.apiUrl);
+                url.pathname = url.pathname.replace(/\/?$/, "/lookup");
+                url.search = new URLSearchParams({ word, mode }).toString();
+
+                const json = await requestJSON({ method: "GET", url: url.href });
+                if (json.version !== CONFIG.RESPONSE_VERSION) {
+                    throw new Error(`Unsupported response version ${json.version}`);
+                }
+                return json;
+            }
+        },
+
+        // The kakasi build loaded by @require (kakasi.js)
+        local: {
+            label: "In-browser kakasi",
+
+            isAvailable() {
+                return typeof KanjiTerminatorKakasi !== "undefined";
+            },
+
+            async resolve(items, mode) {
+                const { contexts, positions } = buildContexts(items);
+                const result = KanjiTerminatorKakasi.readContexts(contexts, mode);
+                return positions.map(([contextIdx, spanIdx]) => ({
+                    ...result[contextIdx].spans[spanIdx],
+                    dictionary: KanjiTerminatorKakasi.DICTIONARY_VERSION,
+                }));
+            },
+
+            async lookup(word, mode) {
+                return KanjiTerminatorKakasi.lookupWord(word, mode);
+            }
+        },
+
+        // Readings entered by the user, as { word: hiragana reading }
+        dictionary: {
+            label: "Static dictionary",
+
+            isAvailable() {
+                return Object.keys(gm.getValue(CONFIG.DICTIONARY_KEY, {})).length > 0;
+            },
+
+            async resolve(items, mode) {
+                const dictionary = gm.getValue(CONFIG.DICTIONARY_KEY, {});
+                return items.map(item => {
+                    // Prefer the entry including okurigana (生き) over the bare run (生)
+                    const word = item.key in dictionary ? item.key : item.kanji;
+                    const reading = dictionary[word] && convertReading(dictionary[word], mode);
+                    if (!reading) {
+                        return null;
+                    }
+                    return { reading, segments: getWholeRunSegments({ ...item, key: word }, reading) };
+                });
+            }
+        },
+
+        // Any JSON endpoint, see promptForJsonBackend for the configuration
+        json: {
+            label: "Custom JSON endpoint",
+
+            isAvailable() {
+                return Boolean(gm.getValue(CONFIG.JSON_BACKEND_KEY, {}).url);
+            },
+
+            async resolve(items, mode) {
+                const config = gm.getValue(CONFIG.JSON_BACKEND_KEY, {});
+                const words = items.map(item => item.kanji);
+                const fill = (template, encode) => template
+                    .replace(/\{\{words\}\}/g, encode(words))
+                    .replace(/\{\{mode\}\}/g, mode);
+
+                const json = await requestJSON({
+                    method: config.method || "POST",
+                    headers: config.headers || { "Content-Type": "application/json" },
+                    url: fill(config.url, value => encodeURIComponent(value.join("\n"))),
+                    data: config.body ? fill(config.body, value => JSON.stringify(value)) : undefined,
+                });
+
+                // Results are either an array parallel to the words or a newline separated string
+                let results = getPath(json, config.results);
+                if (typeof results === "string") {
+                    results = results.split("\n");
+                }
+                if (!Array.isArray(results)) {
+                    throw new Error(`No results at "${config.results || ""}"`);
+                }
+
+                return items.map((item, idx) => {
+                    const reading = getPath(results[idx], config.reading);
+                    if (typeof reading !== "string" || !reading) {
+                        return null;
+                    }
+                    const meanings = config.meanings ? getPath(results[idx], config.meanings) : undefined;
+                    return {
+                        reading,
+                        segments: getWholeRunSegments(item, reading),
+                        meanings: Array.isArray(meanings) ? meanings.map(String) : undefined,
+                    };
+                });
+            }
+        },
+    },
+
+    /**
+     * Set the backends to try, in order
+     * @param {string[]} order - Backend names
+     */
+    setOrder(order) {
+        this.order = order;
+        gm.setValue(CONFIG.BACKENDS_KEY, order);
+    },
+
+    /**
+     * Look up the dictionary entries of a word with the first backend that has them
+     * @param {string} word - Kanji run
+     * @param {string} mode - One of CONFIG.MODES
+     * @returns {Promise<Object|null>} - Lookup result, null if no backend could look the word up
+     */
+    async lookup(word, mode) {
+        for (const name of this.order) {
+            const backend = this.registry[name];
+            if (!backend || !backend.lookup || !backend.isAvailable()) {
+                continue;
+            }
+
+            try {
+                const result = await backend.lookup(word, mode);
+                if (result) {
+                    return { ...result, backend: name };
+                }
+            } catch (error) {
+                console.debug(`Kanji Terminator: ${backend.label} lookup failed`, error);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Resolve readings by trying each backend in order. Items a backend fails
+     * on or returns no reading for are passed on to the next one.
+     * @param {Object[]} items - Items to resolve, see the registry
+     * @param {string} mode - One of CONFIG.MODES
+     * @param {Function} onResolved - Called with (item, result, backend name) for each resolved item
+     * @returns {Promise<{unresolved: Object[], failed: Object[]}>} - Items a backend answered without
+     *   a reading for, and items no backend answered for, only failing or unavailable ones
+     */
+    async resolve(items, mode, onResolved) {
+        let pending = items;
+        const answered = new Set();
+
+        for (const name of this.order) {
+            const backend = this.registry[name];
+            if (!pending.length) {
+                break;
+            }
+            if (!backend || !backend.isAvailable()) {
+                continue;
+            }
+
+            let results;
+            try {
+                results = await backend.resolve(pending, mode);
+            } catch (error) {
+                console.debug(`Kanji Terminator: ${backend.label} failed`, error);
+                continue;
+            }
+
+            pending = pending.filter((item, idx) => {
+                const result = results[idx];
+                // Kanji left in the reading (一ほん) mean the backend couldn't convert all of the run
+                if (!result || !result.reading || CONFIG.KANJI_REGEX.test(result.reading)) {
+                    answered.add(item);
+                    return true;
+                }
+                try {
+                    onResolved(item, result, name);
+                } catch (error) {
+                    console.error("Kanji Terminator: failed to apply a reading", error);
+                }
+                return false;
+            });
+        }
+
+        return {
+            unresolved: pending.filter(item => answered.has(item)),
+            failed: pending.filter(item => !answered.has(item)),
+        };
+    }
+};
+
+module.exports = {
+    Backends,
+    buildContexts,
+    getPath,
+    getWholeRunSegments,
+    requestJSON
+};
@@ -0,0 +1,344 @@
+// Export and import of the cached readings and the reading dictionary
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { Backends } = require("./backends");
+const { CacheService } = require("./cache");
+const { LearningHistory } = require("./history");
+const { ReadingOverrides } = require("./overrides");
+
+// Name of the JSON export format, checked on import
+const FORMAT = "kanji-terminator-readings";
+
+// Columns of the CSV export, in order
+const COLUMNS = ["word", "reading", "mode", "source", "url", "site"];
+
+// Source of the readings the user corrected on the page, see ReadingOverrides
+const USER_SOURCE = "user";
+
+/**
+ * Quote a CSV field when it holds a separator, a quote or a line break
+ * @param {string} value - Field value
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+    const text = value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of fields, quoted fields included
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Rows of fields
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(Boolean));
+}
+
+/**
+ * Get the mode a reading is written in
+ * @param {string} reading - Reading
+ * @returns {string} - One of CONFIG.MODES
+ */
+function getReadingMode(reading) {
+    if (/[a-z]/i.test(reading)) {
+        return "romaji";
+    }
+    return /[\u30A1-\u30FA]/.test(reading) && !/[\u3041-\u3096]/.test(reading) ? "katakana" : "hiragana";
+}
+
+/**
+ * Get an imported row as it is stored: the reading dictionary only holds
+ * hiragana, converted by the dictionary backend to the other modes (see
+ * Backends.registry.dictionary), so its katakana readings are converted back
+ * @param {Object} row - Imported row
+ * @returns {Object|null} - Row to store, null for the romaji readings of the dictionary, which can't be converted back
+ */
+function toStoredRow(row) {
+    if (row.source !== "dictionary" || row.mode === "hiragana") {
+        return row;
+    }
+    if (row.mode === "romaji") {
+        return null;
+    }
+    const reading = row.reading.replace(/[\u30A1-\u30F6]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+    return { ...row, reading, mode: "hiragana" };
+}
+
+/**
+ * Whether readings can be imported from a source
+ * @param {string} source - Backend name, as in the rows
+ * @returns {boolean} - Whether the source is a known backend
+ */
+function isKnownSource(source) {
+    return source === USER_SOURCE || Object.keys(Backends.registry).includes(source);
+}
+
+/**
+ * Read the cache as stored, which the page may not have loaded, keeping the
+ * readings not saved yet
+ */
+function loadCache() {
+    CacheService.save();
+    CacheService.load();
+}
+
+/**
+ * Readings as rows of `{word, reading, mode, source, url, site}`, exported as
+ * JSON, CSV or a TSV file Anki can import. Rows from the "dictionary" source
+ * are the user's own readings and go to the reading dictionary on import,
+ * rows from the "user" source are the readings corrected on the page, for
+ * `site` or every site when it is empty, and the others go to the cache.
+ */
+const Backup = {
+    /**
+     * Collect the corrected readings, the readings of the reading dictionary
+     * and those of the cache
+     * @returns {Object[]} - Rows, the corrections' first, then the dictionary's
+     */
+    collect() {
+        loadCache();
+        ReadingOverrides.load();
+        // The history is only loaded on the pages the script runs on
+        const history = { ...gm.getValue(CONFIG.HISTORY_KEY, {}), ...LearningHistory.entries };
+
+        const rows = [];
+        ["", ...Object.keys(ReadingOverrides.overrides.sites)].forEach(site => {
+            Object.entries(ReadingOverrides.getScope(site || null)).forEach(([name, reading]) => {
+                const mode = name.substring(0, name.indexOf(":"));
+                rows.push({ word: name.substring(mode.length + 1), reading, mode, source: USER_SOURCE, site });
+            });
+        });
+        Object.entries(gm.getValue(CONFIG.DICTIONARY_KEY, {})).forEach(([word, reading]) => {
+            rows.push({ word, reading, mode: getReadingMode(reading), source: "dictionary", site: "" });
+        });
+        CacheService.entries.forEach((entry, key) => {
+            const { mode, source, kanji } = CacheService.parseKey(key);
+            rows.push({ word: kanji, reading: entry.reading, mode, source, site: "" });
+        });
+
+        // Page each word was first seen on, from the learning history
+        return rows.map(({ site, ...row }) => {
+            const run = CONFIG.KANJI_REGEX.exec(row.word);
+            const entry = run && history[run[0]];
+            return { ...row, url: (entry && entry.url) || "", site };
+        });
+    },
+
+    /**
+     * Export readings as JSON
+     * @param {Object[]} rows - Rows, see collect()
+     * @returns {string} - JSON text
+     */
+    toJSON(rows) {
+        return JSON.stringify({ format: FORMAT, exported: new Date().toISOString(), readings: rows }, null, 2);
+    },
+
+    /**
+     * Export readings as CSV, with a header row
+     * @param {Object[]} rows - Rows, see collect()
+     * @returns {string} - CSV text
+     */
+    toCSV(rows) {
+        return [COLUMNS, ...rows.map(row => COLUMNS.map(column => row[column]))]
+            .map(fields => fields.map(toCsvField).join(","))
+            .join("\r\n") + "\r\n";
+    },
+
+    /**
+     * Export readings as tab separated word, reading and URL, with the header
+     * lines Anki reads the import settings from. Only the readings of the
+     * current mode are exported, one per word, the dictionary's first.
+     * @param {Object[]} rows - Rows, see collect()
+     * @returns {string} - TSV text
+     */
+    toAnki(rows) {
+        const words = new Map();
+        rows.forEach(row => {
+            if (!words.has(row.word) && (row.source === "dictionary" || row.mode === CacheService.mode)) {
+                words.set(row.word, row);
+            }
+        });
+
+        const clean = value => String(value || "").replace(/[\t\r\n]+/g, " ");
+        // Corrections may hold one reading per kanji separated by spaces
+        const lines = [...words.values()].map(row => [row.word, row.reading.replace(/\s+/g, ""), row.url].map(clean).join("\t"));
+        return ["#separator:tab", "#html:false", "#columns:Word\tReading\tURL", ...lines].join("\n") + "\n";
+    },
+
+    /**
+     * Read rows from an export in any of the formats. A JSON object of
+     * readings by word, as in the reading dictionary, is read as well.
+     * @param {string} text - Exported text
+     * @returns {Object[]} - Valid rows, with "dictionary" as their source when the export has none.
+     *   Rows of unknown sources are left out.
+     */
+    parse(text) {
+        const trimmed = text.replace(/^\uFEFF/, "").trim();
+        let rows;
+
+        if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+            const json = JSON.parse(trimmed);
+            if (json && json.format === FORMAT) {
+                rows = json.readings;
+            } else if (Array.isArray(json)) {
+                rows = json;
+            } else if (json && typeof json === "object") {
+                rows = Object.entries(json).map(([word, reading]) => ({ word, reading }));
+            }
+        } else if (/^#separator:tab/m.test(trimmed) || (trimmed.includes("\t") && !trimmed.split(/\r?\n/)[0].includes(","))) {
+            rows = trimmed
+                .split(/\r?\n/)
+                .filter(line => line && !line.startsWith("#"))
+                .map(line => {
+                    const [word, reading, url] = line.split("\t");
+                    return { word, reading, url };
+                });
+        } else {
+            const lines = parseCsv(trimmed);
+            const header = lines[0] && lines[0].includes("word") && lines[0].includes("reading") ? lines.shift() : COLUMNS;
+            rows = lines.map(fields => Object.fromEntries(header.map((column, idx) => [column.trim(), fields[idx]])));
+        }
+
+        if (!Array.isArray(rows)) {
+            throw new Error("No readings found");
+        }
+        return rows
+            .filter(row => row && typeof row.word === "string" && CONFIG.KANJI_REGEX.test(row.word) && typeof row.reading === "string" && row.reading.trim())
+            .map(row => ({
+                word: row.word.trim(),
+                reading: row.reading.trim(),
+                mode: Object.keys(CONFIG.MODES).includes(row.mode) ? row.mode : getReadingMode(row.reading.trim()),
+                source: row.source || "dictionary",
+                url: typeof row.url === "string" ? row.url : "",
+                site: row.source === USER_SOURCE && typeof row.site === "string" ? row.site.trim() : "",
+            }))
+            .filter(row => isKnownSource(row.source));
+    },
+
+    /**
+     * Get the reading a row would replace
+     * @param {Object} row - Imported row
+     * @param {Object} dictionary - Reading dictionary
+     * @returns {string|undefined} - Current reading of the word, undefined if there's none
+     */
+    getCurrent(row, dictionary) {
+        if (row.source === "dictionary") {
+            return dictionary[row.word];
+        }
+        if (row.source === USER_SOURCE) {
+            return ReadingOverrides.getScope(row.site || null)[`${row.mode}:${row.word}`];
+        }
+        const entry = CacheService.entries.get(CacheService.key(row.word, row.source, row.mode));
+        return entry && entry.reading;
+    },
+
+    /**
+     * Find the imported rows whose reading differs from the current one
+     * @param {Object[]} rows - Imported rows
+     * @returns {Object[]} - Conflicting rows
+     */
+    findConflicts(rows) {
+        loadCache();
+        ReadingOverrides.load();
+        const dictionary = gm.getValue(CONFIG.DICTIONARY_KEY, {});
+        return rows.map(toStoredRow).filter(row => {
+            if (!row) {
+                return false;
+            }
+            const current = this.getCurrent(row, dictionary);
+            return current !== undefined && current !== row.reading;
+        });
+    },
+
+    /**
+     * Add imported readings to the corrections, the reading dictionary and the cache.
+     * Romaji readings for the reading dictionary are counted as kept.
+     * @param {Object[]} rows - Imported rows
+     * @param {boolean} replace - Whether readings that differ from the current ones replace them
+     * @returns {{added: number, replaced: number, kept: number}} - Counts of rows
+     */
+    import(rows, replace) {
+        loadCache();
+        ReadingOverrides.load();
+        const dictionary = { ...gm.getValue(CONFIG.DICTIONARY_KEY, {}) };
+        const counts = { added: 0, replaced: 0, kept: 0 };
+
+        rows.map(toStoredRow).forEach(row => {
+            if (!row) {
+                counts.kept++;
+                return;
+            }
+            const current = this.getCurrent(row, dictionary);
+            if (current === row.reading) {
+                return;
+            }
+            if (current !== undefined && !replace) {
+                counts.kept++;
+                return;
+            }
+            counts[current === undefined ? "added" : "replaced"]++;
+
+            if (row.source === "dictionary") {
+                dictionary[row.word] = row.reading;
+            } else if (row.source === USER_SOURCE) {
+                ReadingOverrides.put(row.word, row.mode, row.reading, row.site || null);
+            } else {
+                // Stamped as resolved now, whatever the export says, so that
+                // imported readings are neither expired nor the next evicted
+                const now = Date.now();
+                CacheService.put(CacheService.key(row.word, row.source, row.mode), {
+                    reading: row.reading,
+                    segments: null,
+                    source: row.source,
+                    created: now,
+                    used: now,
+                });
+            }
+        });
+
+        gm.setValue(CONFIG.DICTIONARY_KEY, dictionary);
+        ReadingOverrides.save();
+        CacheService.save();
+        return counts;
+    }
+};
+
+module.exports = { Backup };
@@ -0,0 +1,104 @@
+// Status badge reporting failed requests
+
+const { RequestScheduler } = require("./scheduler");
+
+const BADGE_STYLE = `
+    .badge {
+        position: fixed;
+        right: 1em;
+        bottom: 1em;
+        z-index: 2147483647;
+        max-width: 24em;
+        padding: 0.3em 0.7em;
+        border: 1px solid #d9a;
+        border-radius: 4px;
+        background: #fff4f4;
+        color: #900;
+        font: 12px/1.4 sans-serif;
+        box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2);
+        cursor: pointer;
+    }
+    .badge.retrying { border-color: #db8; background: #fffbea; color: #750; }
+`;
+
+/**
+ * Small badge in a corner of the page, shown while requests are retried or
+ * after they failed, until a request succeeds. A click hides it.
+ */
+const StatusBadge = {
+    doc: document,
+    host: null,
+    root: null,
+    dismissed: false, // Whether the user hid the badge, until the next failure
+    failures: 0,
+
+    /**
+     * Follow the state of the requests
+     */
+    initialize() {
+        RequestScheduler.subscribe(status => this.update(status));
+    },
+
+    /**
+     * Show the badge for the state of the requests, or hide it
+     * @param {Object} status - See RequestScheduler.getStatus
+     */
+    update(status) {
+        if (status.failures > this.failures) {
+            this.dismissed = false;
+        }
+        this.failures = status.failures;
+
+        let text = "";
+        if (status.retrying) {
+            text = `Kanji Terminator: retrying ${status.retrying} request${status.retrying > 1 ? "s" : ""}`;
+        } else if (status.failures) {
+            text = `Kanji Terminator: ${status.failures} request${status.failures > 1 ? "s" : ""} failed`;
+        }
+        if (!text || this.dismissed) {
+            this.hide();
+            return;
+        }
+        this.show(text, status.lastError, Boolean(status.retrying));
+    },
+
+    /**
+     * Show the badge
+     * @param {string} text - Badge text
+     * @param {Error|null} error - Last error, shown in the tooltip
+     * @param {boolean} retrying - Whether requests are being retried
+     */
+    show(text, error, retrying) {
+        if (!this.host || !this.host.isConnected) {
+            // A custom element excluded from the scan, so that the badge isn't annotated
+            this.host = this.doc.createElement("kanji-terminator-badge");
+            this.root = this.host.attachShadow({ mode: "open" });
+            const style = this.doc.createElement("style");
+            style.textContent = BADGE_STYLE;
+            const badge = this.doc.createElement("div");
+            badge.setAttribute("role", "status");
+            badge.addEventListener("click", () => {
+                this.dismissed = true;
+                this.hide();
+            });
+            this.root.append(style, badge);
+            this.doc.body.appendChild(this.host);
+        }
+
+        const badge = this.root.querySelector("div");
+        badge.className = retrying ? "badge retrying" : "badge";
+        badge.textContent = text;
+        badge.title = error ? `${error.message || error}. Click to hide.` : "Click to hide.";
+    },
+
+    /**
+     * Remove the badge from the page
+     */
+    hide() {
+        if (this.host) {
+            this.host.remove();
+        }
+    }
+};
+
+module.exports = { StatusBadge };
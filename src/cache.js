@@ -0,0 +1,349 @@
+// Cache management
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { Backends } = require("./backends");
+const { ReadingOverrides } = require("./overrides");
+
+// Version of the stored cache format, the cache of older versions being a single JSON string
+const CACHE_FORMAT = 2;
+
+/**
+ * Get the chunk an entry is stored in
+ * @param {string} key - Storage key of the entry
+ * @returns {number} - Index of the chunk
+ */
+function getChunk(key) {
+    let hash = 0;
+    for (const char of key) {
+        hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    }
+    return hash % CONFIG.CACHE_CHUNKS;
+}
+
+/**
+ * Cache service for managing kanji readings
+ *
+ * Entries are kept by mode and backend, from the least to the most recently
+ * used, and stamped with the time they were resolved and last used and with
+ * the version of the backend's dictionary. Entries older than CONFIG.CACHE_TTL
+ * or from an older dictionary are dropped, and so are the least recently used
+ * ones beyond CONFIG.MAX_CACHE_SIZE.
+ *
+ * Tabs share the stored chunks: a save merges the entries other tabs stored
+ * in the chunks it rewrites, and the entries other tabs save are merged as
+ * they come, see listen().
+ */
+const CacheService = {
+    entries: new Map(), // Storage key to entry, the least recently used first
+    versions: {}, // Latest dictionary version of each backend
+    dirty: new Set(), // Chunks changed since the last save
+    removed: new Set(), // Keys dropped since the last save, not merged back from the stored chunks
+    indexDirty: false, // Whether the dictionary versions changed since the last save
+    legacyMoved: false, // Whether the cache of older versions was read, removed once the chunks are saved
+    mode: gm.getValue(CONFIG.MODE_KEY, "hiragana"),
+
+    /**
+     * Get the storage key of a kanji, readings of each mode and backend are stored separately
+     * @param {string} kanji - Kanji to lookup
+     * @param {string} source - Name of the backend
+     * @param {string} [mode] - One of CONFIG.MODES, the current mode by default
+     * @returns {string} - Storage key
+     */
+    key(kanji, source, mode = this.mode) {
+        return `${mode}:${source}:${kanji}`;
+    },
+
+    /**
+     * Split a storage key into its parts
+     * @param {string} key - Storage key, see key()
+     * @returns {{mode: string, source: string, kanji: string}} - Parts of the key
+     */
+    parseKey(key) {
+        const [mode, source] = key.split(":", 2);
+        return { mode, source, kanji: key.substring(mode.length + source.length + 2) };
+    },
+
+    /**
+     * Load cached kanji readings from storage, moving the cache of older
+     * versions to the chunks
+     * @returns {Map<string, Object>} - Cached entries
+     */
+    load() {
+        const index = gm.getValue(CONFIG.CACHE_INDEX_KEY, null);
+        const loaded = [];
+        if (index && index.format === CACHE_FORMAT) {
+            this.versions = { ...index.versions };
+            for (let chunk = 0; chunk < CONFIG.CACHE_CHUNKS; chunk++) {
+                Object.entries(gm.getValue(CONFIG.CACHE_CHUNK_KEY + chunk, {})).forEach(([key, entry]) => {
+                    if (this.isFresh(entry)) {
+                        loaded.push([key, entry]);
+                    } else {
+                        this.dirty.add(chunk);
+                    }
+                });
+            }
+        } else {
+            loaded.push(...this.readLegacy());
+            loaded.forEach(([key]) => this.dirty.add(getChunk(key)));
+            this.indexDirty = true;
+        }
+
+        loaded.sort(([, a], [, b]) => a.used - b.used);
+        this.entries = new Map(loaded);
+        return this.entries;
+    },
+
+    /**
+     * Read the cache of older versions: a JSON string of readings by kanji,
+     * prefixed with the mode except for hiragana
+     * @returns {Array<[string, Object]>} - Storage keys and entries
+     */
+    readLegacy() {
+        const cacheStr = gm.getValue(CONFIG.CACHE_KEY, "");
+        if (!cacheStr) {
+            return [];
+        }
+        this.legacyMoved = true;
+
+        const now = Date.now();
+        return Object.entries(JSON.parse(cacheStr)).map(([legacyKey, value]) => {
+            const match = /^(\w+):(.*)$/.exec(legacyKey);
+            const [mode, kanji] = match && match[1] in CONFIG.MODES ? [match[1], match[2]] : ["hiragana", legacyKey];
+            // Entries of the first versions only hold the reading string, and
+            // the worker was the only backend then
+            const entry = typeof value === "string" ? { reading: value, segments: null } : value;
+            const source = entry.source || "worker";
+            return [this.key(kanji, source, mode), { ...entry, source, created: now, used: now }];
+        });
+    },
+
+    /**
+     * Save cached kanji readings to storage, rewriting the chunks that changed
+     */
+    save() {
+        // Drop the least recently used entries if the cache grows too large
+        const excess = this.entries.size - CONFIG.MAX_CACHE_SIZE;
+        if (excess > 0) {
+            [...this.entries.keys()].slice(0, excess).forEach(key => this.delete(key));
+            console.debug(`Kanji Terminator: ${excess} least recently used cache entries dropped`);
+        }
+
+        if (this.dirty.size) {
+            // Keep what other tabs stored in the chunks since they were read
+            const chunks = {};
+            this.dirty.forEach(chunk => {
+                chunks[chunk] = {};
+                this.mergeChunk(gm.getValue(CONFIG.CACHE_CHUNK_KEY + chunk, {}));
+            });
+            this.entries.forEach((entry, key) => {
+                const chunk = getChunk(key);
+                if (chunks[chunk]) {
+                    chunks[chunk][key] = entry;
+                }
+            });
+            this.dirty.clear();
+            this.removed.clear();
+            Object.entries(chunks).forEach(([chunk, entries]) => gm.setValue(CONFIG.CACHE_CHUNK_KEY + chunk, entries));
+        }
+
+        if (this.indexDirty) {
+            const index = gm.getValue(CONFIG.CACHE_INDEX_KEY, null);
+            const stored = index && index.format === CACHE_FORMAT ? index.versions : {};
+            this.indexDirty = false;
+            gm.setValue(CONFIG.CACHE_INDEX_KEY, { format: CACHE_FORMAT, versions: { ...stored, ...this.versions } });
+        }
+
+        // The cache of older versions is only removed once its entries are in the chunks
+        if (this.legacyMoved) {
+            this.legacyMoved = false;
+            gm.deleteValue(CONFIG.CACHE_KEY);
+        }
+    },
+
+    /**
+     * Merge the entries of a stored chunk, keeping the reading resolved last
+     * for keys present on both sides
+     * @param {Object} stored - Entries by storage key
+     * @returns {string[]} - Keys whose entry was added or replaced
+     */
+    mergeChunk(stored) {
+        const merged = [];
+        Object.entries(stored || {}).forEach(([key, entry]) => {
+            if (this.removed.has(key) || !this.isFresh(entry)) {
+                return;
+            }
+            const current = this.entries.get(key);
+            if (!current) {
+                this.entries.set(key, entry);
+                merged.push(key);
+            } else if (entry.created > current.created) {
+                this.entries.set(key, { ...entry, used: Math.max(entry.used, current.used) });
+                merged.push(key);
+            } else if (entry.used > current.used) {
+                current.used = entry.used;
+            }
+        });
+        return merged;
+    },
+
+    /**
+     * Merge the entries and dictionary versions other tabs save
+     * @param {Function} onUpdate - Called with the kanji of the current mode whose reading came from another tab
+     */
+    listen(onUpdate) {
+        for (let chunk = 0; chunk < CONFIG.CACHE_CHUNKS; chunk++) {
+            gm.addValueChangeListener(CONFIG.CACHE_CHUNK_KEY + chunk, (name, oldValue, newValue, remote) => {
+                if (!remote) {
+                    return;
+                }
+                const kanjis = this.mergeChunk(newValue)
+                    .map(key => this.parseKey(key))
+                    .filter(({ mode }) => mode === this.mode)
+                    .map(({ kanji }) => kanji);
+                if (kanjis.length) {
+                    onUpdate(kanjis);
+                }
+            });
+        }
+
+        gm.addValueChangeListener(CONFIG.CACHE_INDEX_KEY, (name, oldValue, newValue, remote) => {
+            if (remote && newValue && newValue.format === CACHE_FORMAT) {
+                Object.assign(this.versions, newValue.versions);
+            }
+        });
+    },
+
+    /**
+     * Check whether an entry can still be used
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} - False when it expired or comes from an older dictionary
+     */
+    isFresh(entry) {
+        const version = this.versions[entry.source];
+        return Date.now() - entry.created < CONFIG.CACHE_TTL && !(version && entry.dictionary && entry.dictionary !== version);
+    },
+
+    /**
+     * Remove an entry
+     * @param {string} key - Storage key
+     */
+    delete(key) {
+        this.entries.delete(key);
+        this.removed.add(key);
+        this.dirty.add(getChunk(key));
+    },
+
+    /**
+     * Get reading for a specific kanji: the user's correction if there's one,
+     * from the first backend in order that has one otherwise
+     * @param {string} kanji - Kanji to lookup
+     * @returns {{reading: string, segments: Object[]|null, source: string, meanings?: string[]}|undefined} - Reading if available
+     */
+    get(kanji) {
+        const resolved = this.getResolved(kanji);
+        return ReadingOverrides.get(kanji, this.mode, resolved) || resolved;
+    },
+
+    /**
+     * Get the reading of a kanji from the first backend in order that has one,
+     * leaving out the user's corrections
+     * @param {string} kanji - Kanji to lookup
+     * @returns {{reading: string, segments: Object[]|null, source: string, meanings?: string[]}|undefined} - Reading if available
+     */
+    getResolved(kanji) {
+        for (const source of Backends.order) {
+            const key = this.key(kanji, source);
+            const entry = this.entries.get(key);
+            if (!entry) {
+                continue;
+            }
+            if (!this.isFresh(entry)) {
+                this.delete(key);
+                continue;
+            }
+
+            // Move the entry to the most recently used end, only storing the
+            // time it was used once in a while
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            const now = Date.now();
+            if (now - entry.used >= CONFIG.CACHE_TOUCH_INTERVAL) {
+                entry.used = now;
+                this.dirty.add(getChunk(key));
+            }
+
+            const { reading, segments, meanings } = entry;
+            return meanings ? { reading, segments, source, meanings } : { reading, segments, source };
+        }
+        return undefined;
+    },
+
+    /**
+     * Store reading for a kanji
+     * @param {string} kanji - Kanji to store
+     * @param {string} reading - Reading for the kanji
+     * @param {Object[]} [segments] - Per-kanji alignment of the reading
+     * @param {string} [source] - Name of the backend the reading came from
+     * @param {string[]} [meanings] - Meanings of the word, when the backend provides them
+     * @param {string} [dictionary] - Version of the backend's dictionary the reading comes from
+     */
+    set(kanji, reading, segments, source, meanings, dictionary) {
+        if (dictionary && this.versions[source] !== dictionary) {
+            this.setVersion(source, dictionary);
+        }
+
+        const now = Date.now();
+        const entry = { reading, segments: Array.isArray(segments) ? segments : null, source, created: now, used: now };
+        if (Array.isArray(meanings) && meanings.length) {
+            entry.meanings = meanings;
+        }
+        if (dictionary) {
+            entry.dictionary = dictionary;
+        }
+
+        this.put(this.key(kanji, source), entry);
+    },
+
+    /**
+     * Store an entry as the most recently used one
+     * @param {string} key - Storage key
+     * @param {Object} entry - Cache entry
+     */
+    put(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.removed.delete(key);
+        this.dirty.add(getChunk(key));
+    },
+
+    /**
+     * Record the dictionary version of a backend, dropping the entries
+     * read from its other versions
+     * @param {string} source - Name of the backend
+     * @param {string} dictionary - Version of its dictionary
+     */
+    setVersion(source, dictionary) {
+        this.versions[source] = dictionary;
+        this.indexDirty = true;
+
+        const stale = [...this.entries].filter(([, entry]) => entry.source === source && entry.dictionary && entry.dictionary !== dictionary);
+        stale.forEach(([key]) => this.delete(key));
+        if (stale.length) {
+            console.debug(`Kanji Terminator: ${stale.length} cache entries of an older ${source} dictionary dropped`);
+        }
+    },
+
+    /**
+     * Check if a backend's reading of a kanji exists in the cache. The user's
+     * corrections don't count, so that the resolved reading is there once
+     * they are removed.
+     * @param {string} kanji - Kanji to check
+     * @returns {boolean} - True if cached
+     */
+    has(kanji) {
+        return Boolean(this.getResolved(kanji));
+    }
+};
+
+module.exports = { CacheService };
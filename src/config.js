@@ -0,0 +1,112 @@
+// Configuration constants
+
+const CONFIG = {
+    RESOLVER_KEY: "KANJI_API",
+    // Cache entries are spread over CACHE_CHUNKS values, CACHE_CHUNK_KEY followed by
+    // the chunk's index, so that a save only rewrites the chunks that changed.
+    // CACHE_KEY holds the cache of older versions, moved to the chunks once.
+    CACHE_KEY: "kanji-terminator-caches",
+    CACHE_INDEX_KEY: "kanji-terminator-cache-index",
+    CACHE_CHUNK_KEY: "kanji-terminator-cache-",
+    CACHE_CHUNKS: 16,
+    MODE_KEY: "kanji-terminator-mode",
+    BACKENDS_KEY: "kanji-terminator-backends",
+    DICTIONARY_KEY: "kanji-terminator-dictionary",
+    OVERRIDES_KEY: "kanji-terminator-overrides",
+    JSON_BACKEND_KEY: "kanji-terminator-json-backend",
+    SITE_RULES_KEY: "kanji-terminator-site-rules",
+    KNOWN_LEVEL_KEY: "kanji-terminator-known-level",
+    KNOWN_KANJI_KEY: "kanji-terminator-known-kanji",
+    HISTORY_KEY: "kanji-terminator-history",
+    SETTINGS_KEY: "kanji-terminator-settings",
+    DISPLAY_KEY: "kanji-terminator-display",
+    // Version of the worker's response format
+    RESPONSE_VERSION: 2,
+    // Backends tried in order until one returns a reading
+    DEFAULT_BACKENDS: ["dictionary", "worker", "local"],
+    // Reading modes supported by the resolver, with their menu labels
+    MODES: {
+        hiragana: "hiragana",
+        katakana: "katakana",
+        romaji: "romaji",
+    },
+    // Pages without a Japanese lang attribute are handled when, in a sample of
+    // their text, kana and kanji make up this share of the letters...
+    JAPANESE_TEXT_RATIO: 0.3,
+    // ...and kana this share of the kana and kanji, which rules out Chinese
+    JAPANESE_KANA_RATIO: 0.1,
+    LANGUAGE_SAMPLE_SIZE: 2000,
+    // Pages with less text than this, still loading, are checked again as they
+    // change, for at most LANGUAGE_RECHECK_TIME milliseconds
+    LANGUAGE_MIN_SAMPLE_SIZE: 200,
+    LANGUAGE_RECHECK_TIME: 10000,
+    // Statuses the user can give a word, with their labels
+    WORD_STATUSES: {
+        known: "known, reading hidden",
+        hover: "reading shown on hover",
+        unknown: "unknown, reading always shown",
+    },
+    // Readings fade out over this many pages a word is seen on, each lookup
+    // setting them back by LOOKUP_PENALTY pages
+    FADE_SEEN_COUNT: 10,
+    LOOKUP_PENALTY: 3,
+    MIN_READING_OPACITY: 0.3,
+    MAX_HISTORY_SIZE: 5000,
+    LONG_PRESS_DELAY: 500,
+    // Ways to show the readings, with their menu labels
+    DISPLAY_MODES: {
+        always: "always visible",
+        hover: "visible on hover",
+        toggle: "toggled with Alt+R",
+        quiz: "blurred until clicked",
+    },
+    DEFAULT_DISPLAY_MODE: "always",
+    // KeyboardEvent.code of the key showing or hiding the readings with Alt in toggle mode
+    TOGGLE_KEY_CODE: "KeyR",
+    // Long pages are annotated in slices of at most this many ms, run when the
+    // browser is idle or after SCAN_IDLE_TIMEOUT ms
+    SCAN_SLICE_TIME: 8,
+    SCAN_IDLE_TIMEOUT: 200,
+    // Requests to the backends: at most MAX_CONCURRENT_REQUESTS at a time, each
+    // given REQUEST_TIMEOUT ms and retried REQUEST_RETRIES times after
+    // RETRY_BASE_DELAY ms, doubled on each retry up to RETRY_MAX_DELAY ms
+    MAX_CONCURRENT_REQUESTS: 2,
+    REQUEST_TIMEOUT: 15000,
+    REQUEST_RETRIES: 2,
+    RETRY_BASE_DELAY: 1000,
+    RETRY_MAX_DELAY: 30000,
+    // Words no backend answered for are requested again on the scans that
+    // follow at least FAILED_RETRY_DELAY ms later
+    FAILED_RETRY_DELAY: 60000,
+    // Cached readings expire CACHE_TTL ms after they were resolved. The time an
+    // entry was last used is only stored again once it's CACHE_TOUCH_INTERVAL ms old.
+    CACHE_TTL: 30 * 24 * 60 * 60 * 1000,
+    CACHE_TOUCH_INTERVAL: 24 * 60 * 60 * 1000,
+    // Time allowed to the test request checking a resolver URL
+    TEST_REQUEST_TIMEOUT: 10000,
+    // MAX_CACHE_SIZE, DEBOUNCE_DELAY, CHUNK_SIZE and EXCLUDED_TAGS are defaults,
+    // overridden by the settings panel
+    MAX_CACHE_SIZE: 5000,
+    DEBOUNCE_DELAY: 500,
+    CHUNK_SIZE: 200,
+    EXCLUDED_TAGS: {
+        ruby: true,
+        rb: true,
+        rt: true,
+        script: true,
+        select: true,
+        textarea: true,
+        input: true,
+        "kanji-terminator-popup": true,
+        "kanji-terminator-settings": true,
+        "kanji-terminator-badge": true,
+    },
+    // Elements inserted by the script, excluded whatever the settings
+    INTERNAL_TAGS: ["ruby", "rb", "rt", "kanji-terminator-popup", "kanji-terminator-settings", "kanji-terminator-badge"],
+    // Unicode range for CJK Chinese characters
+    KANJI_REGEX: /[\u3400-\u4DB5\u4E00-\u9FCB\uF900-\uFA6A]+/,
+    // A single hiragana character, possibly okurigana
+    HIRAGANA_REGEX: /^[\u3041-\u3096]$/
+};
+
+module.exports = { CONFIG };
@@ -0,0 +1,153 @@
+// Display modes of the readings
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { LearningHistory } = require("./history");
+const { Learning } = require("./learning");
+const { Styles } = require("./styles");
+
+/**
+ * Shows the readings according to the display mode. The mode is an attribute
+ * of the root element setting custom properties that the styles of the
+ * rubies depend on, so that switching modes never touches the rubies, and
+ * rubies in shadow roots inherit them:
+ * - `always`: readings are always visible
+ * - `hover`: readings are visible while the pointer is over their word
+ * - `toggle`: Alt+R shows or hides every reading
+ * - `quiz`: readings are blurred until their word is clicked
+ */
+const Display = {
+    doc: document,
+    mode: CONFIG.DEFAULT_DISPLAY_MODE,
+
+    /**
+     * Add the styles and the event listeners, and apply the stored mode
+     */
+    initialize() {
+        // :where() keeps these rules below those of Learning, which hide the readings of known words
+        Styles.add(`
+            html[data-kanji-terminator-display="hover"] { --kanji-terminator-idle-visibility: hidden; }
+            html[data-kanji-terminator-display="toggle"][data-kanji-terminator-hidden] { --kanji-terminator-visibility: hidden; }
+            html[data-kanji-terminator-display="quiz"] { --kanji-terminator-quiz-filter: blur(0.25em); --kanji-terminator-quiz-cursor: pointer; }
+            :where(ruby.kanji-terminator-ruby) > rt.kanji-terminator-rt { visibility: var(--kanji-terminator-visibility, visible); }
+            :where(ruby.kanji-terminator-ruby:not(:hover)) > rt.kanji-terminator-rt {
+                visibility: var(--kanji-terminator-visibility, var(--kanji-terminator-idle-visibility, visible));
+            }
+            :where(ruby.kanji-terminator-ruby:not([data-revealed])) > rt.kanji-terminator-rt {
+                filter: var(--kanji-terminator-quiz-filter, none);
+                cursor: var(--kanji-terminator-quiz-cursor, auto);
+            }
+        `);
+        this.listen(this.doc);
+
+        const mode = gm.getValue(CONFIG.DISPLAY_KEY, CONFIG.DEFAULT_DISPLAY_MODE);
+        this.apply(mode in CONFIG.DISPLAY_MODES ? mode : CONFIG.DEFAULT_DISPLAY_MODE);
+    },
+
+    /**
+     * Add the event listeners to a document, and show its readings in the current mode
+     * @param {Document} doc - The page's document or a frame's
+     */
+    listen(doc) {
+        // Capture, after Learning's handler and before the popup's
+        doc.addEventListener("click", event => this.handleClick(event), true);
+        doc.addEventListener("keydown", event => this.handleKeyDown(event));
+        if (doc !== this.doc) {
+            doc.documentElement.dataset.kanjiTerminatorDisplay = this.mode;
+            if ("kanjiTerminatorHidden" in this.doc.documentElement.dataset) {
+                doc.documentElement.dataset.kanjiTerminatorHidden = "";
+            }
+        }
+    },
+
+    /**
+     * Get the root elements the display mode is set on: the page's and its frames'
+     * @returns {Element[]} - Root elements
+     */
+    getRootElements() {
+        return [this.doc, ...Styles.getRoots().filter(root => root.nodeType === Node.DOCUMENT_NODE)]
+            .map(doc => doc.documentElement);
+    },
+
+    /**
+     * Switch to a display mode and store it
+     * @param {string} mode - One of CONFIG.DISPLAY_MODES
+     */
+    setMode(mode) {
+        if (!(mode in CONFIG.DISPLAY_MODES)) {
+            throw new Error(`Unknown display mode: ${mode}`);
+        }
+        gm.setValue(CONFIG.DISPLAY_KEY, mode);
+        this.apply(mode);
+    },
+
+    /**
+     * Show the readings in a display mode
+     * @param {string} mode - One of CONFIG.DISPLAY_MODES
+     */
+    apply(mode) {
+        this.mode = mode;
+        this.getRootElements().forEach(root => {
+            root.dataset.kanjiTerminatorDisplay = mode;
+            // Readings are visible when switching to the toggle mode
+            delete root.dataset.kanjiTerminatorHidden;
+        });
+    },
+
+    /**
+     * Show or hide every reading in toggle mode
+     * @param {boolean} [hidden] - Whether to hide the readings, toggled by default
+     */
+    toggle(hidden) {
+        if (hidden === undefined) {
+            hidden = !("kanjiTerminatorHidden" in this.doc.documentElement.dataset);
+        }
+        this.getRootElements().forEach(root => {
+            if (hidden) {
+                root.dataset.kanjiTerminatorHidden = "";
+            } else {
+                delete root.dataset.kanjiTerminatorHidden;
+            }
+        });
+    },
+
+    /**
+     * Toggle the readings on Alt+R, unless the user is typing
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyDown(event) {
+        if (this.mode !== "toggle" || !event.altKey || event.ctrlKey || event.metaKey || event.code !== CONFIG.TOGGLE_KEY_CODE) {
+            return;
+        }
+        const target = event.target;
+        if (target && (target.isContentEditable || /^(input|textarea|select)$/i.test(target.tagName || ""))) {
+            return;
+        }
+
+        event.preventDefault();
+        this.toggle();
+    },
+
+    /**
+     * Reveal a blurred reading on click in quiz mode. Links and buttons keep
+     * their clicks, Shift+click reveals the readings in them.
+     * @param {MouseEvent} event - Click event
+     */
+    handleClick(event) {
+        if (this.mode !== "quiz" || event.defaultPrevented) {
+            return;
+        }
+
+        const ruby = Learning.getRuby(event);
+        if (!ruby || "revealed" in ruby.dataset || (ruby.closest("a[href], button") && !event.shiftKey)) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        ruby.dataset.revealed = "";
+        LearningHistory.recordLookup(ruby.dataset.word);
+    }
+};
+
+module.exports = { Display };
@@ -0,0 +1,538 @@
+// DOM manipulation
+
+const { CONFIG } = require("./config");
+const { CacheService } = require("./cache");
+const { LearningHistory } = require("./history");
+const { KnownKanji } = require("./known");
+const { isJapaneseLang } = require("./language");
+const { Learning } = require("./learning");
+const { ReadingOverrides } = require("./overrides");
+const { Styles } = require("./styles");
+const { getCacheKey, getRunSegments } = require("./utils");
+
+/**
+ * Handles DOM manipulation for kanji furigana
+ */
+const DOMHandler = {
+    doc: document,
+    queue: {}, // Kanji queue to be converted
+    rubies: new Set(), // Ruby elements inserted in the page, removed by restore
+    contexts: new WeakMap(), // Rubies to the text, start and end of their run, to queue them again
+    inserted: new WeakSet(), // Rubies and text nodes inserted by addRuby
+    splitNodes: new WeakMap(), // Text nodes annotated by addRuby, to their value once annotated and the nodes split from them
+    rootIsJapanese: true, // Language of text outside elements with a lang attribute
+    roots: new WeakSet(), // Shadow roots and frame documents found while scanning
+    frames: new WeakSet(), // Frames whose loads are followed
+    onRoot: null, // Called with each shadow root or frame document found
+
+    /**
+     * Initialize styles and setup
+     */
+    initialize() {
+        Styles.add("rt.kanji-terminator-rt::before { content: attr(data-rt); }");
+        this.listen(this.doc);
+    },
+
+    /**
+     * Add the event listeners to a document
+     * @param {Document} doc - The page's document or a frame's
+     */
+    listen(doc) {
+        doc.addEventListener("copy", event => this.handleCopy(event));
+    },
+
+    /**
+     * Correct the reading of the word of a ruby, see Popup
+     * @param {Element} ruby - Ruby element
+     * @param {string} input - Reading entered by the user, empty to go back to the resolved one
+     * @param {boolean} siteOnly - Whether the correction only applies to the current site
+     * @throws {Error} - When the reading holds kanji
+     */
+    correctReading(ruby, input, siteOnly) {
+        const key = ruby.dataset.key || ruby.dataset.word;
+        const hostname = window.location.hostname;
+        const reading = input.trim().replace(/\s+/g, " ");
+        if (CONFIG.KANJI_REGEX.test(reading)) {
+            throw new Error(`Invalid reading: ${reading}`);
+        }
+
+        const corrected = ReadingOverrides.getWord(key, CacheService.getResolved(key));
+        if (!reading) {
+            ReadingOverrides.remove(corrected, CacheService.mode, hostname);
+        } else {
+            ReadingOverrides.set(corrected, CacheService.mode, reading, siteOnly && hostname ? hostname : null);
+        }
+        this.refreshWord(corrected);
+    },
+
+    /**
+     * Show the current reading on every ruby of a corrected word: the user's
+     * correction or the resolved reading. Rubies left without a reading are
+     * queued again, the mutations of their rendering triggering the conversion.
+     * @param {string} word - Word of the correction, see ReadingOverrides.getWord
+     */
+    refreshWord(word) {
+        this.rubies.forEach(ruby => {
+            const key = ruby.dataset.key;
+            if (key !== word && ruby.dataset.word !== word) {
+                return;
+            }
+            const entry = CacheService.get(key);
+            if (entry && entry.reading) {
+                this.renderRuby(ruby, getRunSegments(key, entry));
+            } else {
+                this.renderPending(ruby);
+                this.queueRuby(ruby);
+            }
+        });
+    },
+
+    /**
+     * Copy the selection without the readings inserted by the script
+     * @param {ClipboardEvent} event - Copy event
+     */
+    handleCopy(event) {
+        const doc = event.currentTarget && event.currentTarget.getSelection ? event.currentTarget : this.doc;
+        const selection = doc.getSelection();
+        if (!selection || selection.isCollapsed || !event.clipboardData) {
+            return;
+        }
+
+        const fragment = doc.createElement("div");
+        for (let i = 0; i < selection.rangeCount; i++) {
+            fragment.appendChild(selection.getRangeAt(i).cloneContents());
+        }
+        const rubies = fragment.querySelectorAll("ruby.kanji-terminator-ruby");
+        if (!rubies.length) {
+            return;
+        }
+        rubies.forEach(ruby => {
+            ruby.querySelectorAll("rt").forEach(rt => rt.remove());
+            ruby.replaceWith(doc.createTextNode(ruby.textContent));
+        });
+
+        event.preventDefault();
+        // Readings are generated content of the rt elements, so the text of the
+        // selection doesn't hold them, unlike its markup
+        event.clipboardData.setData("text/plain", selection.toString());
+        event.clipboardData.setData("text/html", fragment.innerHTML);
+    },
+
+    /**
+     * Remove every ruby inserted by the script, putting the text nodes back as
+     * they were before addRuby split them
+     */
+    restore() {
+        this.rubies.forEach(ruby => {
+            const parent = ruby.parentNode;
+            if (!parent) {
+                return;
+            }
+
+            let text = ruby.ownerDocument.createTextNode(ruby.dataset.word);
+            parent.replaceChild(text, ruby);
+
+            // Merge the text back with the text around it
+            const previous = text.previousSibling;
+            if (previous && previous.nodeType === Node.TEXT_NODE) {
+                previous.appendData(text.nodeValue);
+                parent.removeChild(text);
+                text = previous;
+            }
+            const next = text.nextSibling;
+            if (next && next.nodeType === Node.TEXT_NODE) {
+                text.appendData(next.nodeValue);
+                parent.removeChild(next);
+            }
+        });
+
+        this.rubies.clear();
+        this.splitNodes = new WeakMap();
+        this.roots = new WeakSet();
+        this.frames = new WeakSet();
+        this.queue = {};
+    },
+
+    /**
+     * Annotate a text node whose text was changed by the page. When addRuby
+     * split it, the nodes inserted after it hold the old text and are removed.
+     * @param {Text} node - Text node
+     */
+    updateText(node) {
+        const split = this.splitNodes.get(node);
+        if (split) {
+            // Changes made by addRuby itself
+            if (split.value === node.nodeValue) {
+                return;
+            }
+            this.removeSplit(node, node.parentNode);
+        }
+        this.scanTextNodes(node);
+    },
+
+    /**
+     * Remove the nodes addRuby split from a text node, the rubies and the
+     * text after them, which the page doesn't know about
+     * @param {Text} node - Text node split by addRuby
+     * @param {Node|null} parent - Parent the nodes were inserted in, the one of the text node
+     */
+    removeSplit(node, parent) {
+        const split = this.splitNodes.get(node);
+        this.splitNodes.delete(node);
+        split.nodes.forEach(inserted => {
+            if (inserted.parentNode === parent) {
+                inserted.remove();
+                this.forget(inserted, parent);
+            }
+        });
+    },
+
+    /**
+     * Stop tracking the rubies of a node removed from the page. A removed
+     * text node split by addRuby takes the nodes split from it along.
+     * @param {Node} node - Removed node
+     * @param {Node} parent - Node it was removed from
+     */
+    forget(node, parent) {
+        if (node.isConnected) {
+            return;
+        }
+        if (node.nodeType === Node.TEXT_NODE && this.splitNodes.has(node)) {
+            this.removeSplit(node, parent);
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return;
+        }
+
+        const rubies = node.matches("ruby.kanji-terminator-ruby")
+            ? [node]
+            : node.querySelectorAll("ruby.kanji-terminator-ruby");
+        rubies.forEach(ruby => {
+            this.rubies.delete(ruby);
+            const queued = this.queue[ruby.dataset.key];
+            if (queued) {
+                queued.nodes = queued.nodes.filter(other => other !== ruby);
+                if (!queued.nodes.length) {
+                    delete this.queue[ruby.dataset.key];
+                }
+            }
+        });
+    },
+
+    /**
+     * Get the parent element of a node, the host of its shadow root for the
+     * nodes at the top of a shadow tree
+     * @param {Node} node - Node
+     * @returns {Element|null} - Parent element
+     */
+    getParentElement(node) {
+        if (node.parentElement) {
+            return node.parentElement;
+        }
+        const parent = node.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? node : node.parentNode;
+        return (parent && parent.host) || null;
+    },
+
+    /**
+     * Check if the text of an element is Japanese, from the closest lang
+     * attribute below the root element
+     * @param {Element|null} element - Element to check
+     * @returns {boolean} - True if the element's text is Japanese
+     */
+    isJapanese(element) {
+        for (let current = element; current && current !== this.doc.documentElement; current = this.getParentElement(current)) {
+            const lang = current.getAttribute("lang");
+            if (lang) {
+                return isJapaneseLang(lang);
+            }
+        }
+        return this.rootIsJapanese;
+    },
+
+    /**
+     * Check if a node is inside an excluded tag, one of the rubies included,
+     * or inside editable content
+     * @param {Node} node - Node to check
+     * @returns {boolean} - True if the node must be left as is
+     */
+    isExcluded(node) {
+        const parent = this.getParentElement(node);
+        for (let element = parent; element; element = this.getParentElement(element)) {
+            if (element.tagName.toLowerCase() in CONFIG.EXCLUDED_TAGS) {
+                return true;
+            }
+        }
+        return Boolean(parent && parent.isContentEditable);
+    },
+
+    /**
+     * Get what an element shows besides its child nodes: its open shadow
+     * root, or the document of a same-origin frame the userscript manager
+     * doesn't run the script in (about:blank, srcdoc)
+     * @param {Element} element - Element
+     * @returns {ShadowRoot|Document|null} - Shadow root or frame document
+     */
+    getInnerRoot(element) {
+        if (element.shadowRoot) {
+            return element.shadowRoot;
+        }
+        if (element.tagName.toLowerCase() !== "iframe") {
+            return null;
+        }
+        try {
+            const doc = element.contentDocument;
+            return doc && doc.body && !/^https?:$/.test(doc.location.protocol) ? doc : null;
+        } catch (error) {
+            return null; // Cross-origin frame
+        }
+    },
+
+    /**
+     * Find the inner root of an element, reporting it to onRoot the first time
+     * @param {Element} element - Element
+     * @returns {Node|null} - Node to scan: the shadow root, or the body of the frame
+     */
+    enterRoot(element) {
+        if (element.tagName.toLowerCase() === "iframe" && !this.frames.has(element)) {
+            this.frames.add(element);
+            // Frames get a new document once they load
+            element.addEventListener("load", () => {
+                if (this.frames.has(element)) {
+                    this.scanTextNodes(element);
+                }
+            });
+        }
+
+        const root = this.getInnerRoot(element);
+        if (!root) {
+            return null;
+        }
+        if (!this.roots.has(root)) {
+            this.roots.add(root);
+            if (this.onRoot) {
+                this.onRoot(root);
+            }
+        }
+        return root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+    },
+
+    /**
+     * Scan DOM for text nodes and add ruby elements
+     * @param {Node} node - Starting node to scan
+     */
+    scanTextNodes(node) {
+        // Nodes removed from the page are left alone
+        if (!node.isConnected || this.isExcluded(node)) {
+            return;
+        }
+
+        let currentLevel = [[node, this.isJapanese(this.getParentElement(node))]];
+
+        while (currentLevel.length > 0) {
+            let [curNode, japanese] = currentLevel.pop();
+
+            // Skip nodes removed while scanning
+            if (!curNode.parentNode && curNode.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+                continue;
+            }
+
+            let textNode = curNode;
+
+            switch (curNode.nodeType) {
+                case Node.ELEMENT_NODE: {
+                    // Skip excluded tags and editable content
+                    if (
+                        curNode.tagName.toLowerCase() in CONFIG.EXCLUDED_TAGS ||
+                        curNode.isContentEditable
+                    ) {
+                        continue;
+                    }
+
+                    // A lang attribute sets the language of the subtree
+                    const lang = curNode.getAttribute("lang");
+                    if (lang) {
+                        japanese = isJapaneseLang(lang);
+                    }
+
+                    // Add child nodes to process queue
+                    curNode.childNodes.forEach(child => {
+                        currentLevel.push([child, japanese]);
+                    });
+
+                    // Open shadow roots and frames without their own copy of the script
+                    const inner = this.enterRoot(curNode);
+                    if (inner) {
+                        currentLevel.push([inner, japanese]);
+                    }
+                    break;
+                }
+
+                case Node.DOCUMENT_FRAGMENT_NODE: {
+                    curNode.childNodes.forEach(child => {
+                        currentLevel.push([child, japanese]);
+                    });
+                    break;
+                }
+
+                case Node.TEXT_NODE: {
+                    if (!japanese) {
+                        break;
+                    }
+
+                    // Keep the whole text node as context for the converter
+                    const context = { text: curNode.nodeValue, offset: 0, nodes: [] };
+
+                    // Process text nodes and add ruby elements
+                    while ((textNode = this.addRuby(textNode, context)));
+
+                    // Remember the values of the text nodes once annotated, and
+                    // the nodes split from the text node, which are stale once
+                    // the page changes its text
+                    if (context.nodes.length) {
+                        const split = this.splitNodes.get(curNode);
+                        this.splitNodes.set(curNode, {
+                            value: curNode.nodeValue,
+                            nodes: split ? split.nodes.concat(context.nodes) : context.nodes,
+                        });
+                        context.nodes.forEach(inserted => {
+                            if (inserted.nodeType === Node.TEXT_NODE) {
+                                this.splitNodes.set(inserted, { value: inserted.nodeValue, nodes: [] });
+                            }
+                        });
+                    }
+                    break;
+                }
+            }
+        }
+    },
+
+    /**
+     * Create ruby element for kanji
+     * @param {Node} node - Text node to process
+     * @param {{text: string, offset: number, nodes: Node[]}} context - Original text of the node, offset of `node`
+     *     within it and nodes inserted in its place
+     * @returns {Node|false} - Next text node or false if done
+     */
+    addRuby(node, context) {
+        // Not a text node
+        if (!node.nodeValue) {
+            return false;
+        }
+
+        // Find kanji in text, skipping runs the reader knows
+        const regex = new RegExp(CONFIG.KANJI_REGEX.source, "g");
+        let match;
+        while ((match = regex.exec(node.nodeValue)) && KnownKanji.isKnown(match[0]));
+        if (!match) {
+            return false;
+        }
+
+        // Locate the run within the original text
+        const start = context.offset + match.index;
+        const end = start + match[0].length;
+        context.offset = end;
+
+        // Create ruby element structure
+        let ruby = node.ownerDocument.createElement("ruby");
+        ruby.classList.add("kanji-terminator-ruby");
+        ruby.dataset.word = match[0];
+        this.renderPending(ruby);
+
+        // Add to queue for conversion
+        ruby.dataset.key = getCacheKey(context.text, start, end);
+        this.rubies.add(ruby);
+        this.contexts.set(ruby, { text: context.text, start, end });
+        this.queueRuby(ruby);
+
+        // Handle remaining text
+        let rest = node.splitText(match.index);
+        node.parentNode.insertBefore(ruby, rest);
+        rest.nodeValue = rest.nodeValue.substring(match[0].length);
+        this.inserted.add(ruby);
+        this.inserted.add(rest);
+        context.nodes.push(ruby, rest);
+
+        // Return remaining text for recursive processing
+        return rest;
+    },
+
+    /**
+     * Add a ruby to the queue of its kanji run
+     * @param {Element} ruby - Ruby element created by addRuby
+     */
+    queueRuby(ruby) {
+        const key = ruby.dataset.key;
+        if (!this.queue[key]) {
+            this.queue[key] = {
+                nodes: [],
+                context: this.contexts.get(ruby)
+            };
+        }
+        if (!this.queue[key].nodes.includes(ruby)) {
+            this.queue[key].nodes.push(ruby);
+        }
+    },
+
+    /**
+     * Update ruby elements with readings from cache. Runs only showing the
+     * user's correction stay queued until a backend resolves them.
+     * @param {string} key - Cache key of the kanji run to update
+     */
+    updateRubyFromCache(key) {
+        const entry = CacheService.get(key);
+        if (!entry || !entry.reading) {
+            return;
+        }
+
+        const kanji = CONFIG.KANJI_REGEX.exec(key)[0];
+        ((this.queue[key] || {}).nodes || []).forEach(ruby => {
+            this.renderRuby(ruby, getRunSegments(key, entry));
+            LearningHistory.recordSeen(kanji, entry.reading);
+            Learning.apply(ruby);
+        });
+
+        if (CacheService.has(key)) {
+            delete this.queue[key];
+        }
+    },
+
+    /**
+     * Show a ruby without reading, as created while its reading is requested
+     * @param {Element} ruby - Ruby element
+     */
+    renderPending(ruby) {
+        const doc = ruby.ownerDocument;
+        ruby.textContent = "";
+        ruby.appendChild(doc.createTextNode(ruby.dataset.word));
+
+        const rt = doc.createElement("rt");
+        rt.classList.add("kanji-terminator-rt");
+        ruby.appendChild(rt);
+    },
+
+    /**
+     * Fill a ruby element with one rb/rt pair per segment, so that each
+     * reading sits over its own kanji and okurigana gets no reading
+     * @param {Element} ruby - Ruby element created by addRuby
+     * @param {Object[]} segments - Segments of the kanji run
+     */
+    renderRuby(ruby, segments) {
+        ruby.textContent = "";
+
+        segments.forEach(segment => {
+            let rb = ruby.ownerDocument.createElement("rb");
+            rb.textContent = segment.text;
+            ruby.appendChild(rb);
+
+            let rt = ruby.ownerDocument.createElement("rt");
+            rt.classList.add("kanji-terminator-rt");
+            if (segment.kind === "kanji" && segment.reading !== segment.text) {
+                rt.dataset.rt = segment.reading;
+            }
+            ruby.appendChild(rt);
+        });
+    }
+};
+
+module.exports = { DOMHandler };
@@ -0,0 +1,91 @@
+// Thin adapter over the GM_* APIs of the userscript manager. Every other
+// module goes through it, so that tests can run the script with fake GM_* globals.
+
+const gm = {
+    /**
+     * Read a stored value
+     * @param {string} key - Storage key
+     * @param {*} [defaultValue] - Value returned when nothing is stored
+     * @returns {*} - Stored value
+     */
+    getValue(key, defaultValue) {
+        return GM_getValue(key, defaultValue);
+    },
+
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     */
+    setValue(key, value) {
+        GM_setValue(key, value);
+    },
+
+    /**
+     * Remove a stored value
+     * @param {string} key - Storage key
+     */
+    deleteValue(key) {
+        GM_deleteValue(key);
+    },
+
+    /**
+     * Call a function when a stored value changes, in this tab or another one
+     * @param {string} key - Storage key
+     * @param {Function} callback - Called with (key, old value, new value, whether another tab changed it)
+     * @returns {*} - Listener id, null when the userscript manager can't notify changes
+     */
+    addValueChangeListener(key, callback) {
+        if (typeof GM_addValueChangeListener !== "function") {
+            return null;
+        }
+        return GM_addValueChangeListener(key, callback);
+    },
+
+    /**
+     * Add a stylesheet to the page
+     * @param {string} css - CSS rules
+     */
+    addStyle(css) {
+        GM_addStyle(css);
+    },
+
+    /**
+     * Send a cross-origin request
+     * @param {Object} details - GM_xmlhttpRequest details
+     */
+    xmlhttpRequest(details) {
+        GM_xmlhttpRequest(details);
+    },
+
+    /**
+     * Add an entry to the userscript manager's menu
+     * @param {string} name - Menu entry label
+     * @param {Function} callback - Called when the entry is clicked
+     */
+    registerMenuCommand(name, callback) {
+        GM_registerMenuCommand(name, callback);
+    },
+
+    /**
+     * Get the page's own window rather than the sandbox's view of it, so that
+     * what is changed on it is seen by the page's scripts
+     * @returns {Window} - Window of the page, the sandbox's when the userscript manager doesn't expose it
+     */
+    getPageWindow() {
+        return typeof unsafeWindow !== "undefined" ? unsafeWindow : window;
+    },
+
+    /**
+     * Make a function of the userscript callable by the page's scripts, which
+     * Firefox doesn't allow unless the function is exported to the page
+     * @param {Function} func - Function to export
+     * @param {Object} target - Page object the function is added to
+     * @returns {Function} - Function to set on the page object
+     */
+    exportFunction(func, target) {
+        return typeof exportFunction === "function" ? exportFunction(func, target) : func;
+    }
+};
+
+module.exports = { gm };
@@ -0,0 +1,205 @@
+// Learning history of the words read with the script
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { getPageUrl } = require("./navigation");
+
+/**
+ * Per-word learning history, stored as { word: entry } with entries holding:
+ * - `reading`: last reading shown
+ * - `status`: "known", "hover" or "unknown" when set by the user
+ * - `seen`: number of pages the word was shown on
+ * - `lookups`: number of times the user revealed a hidden or faded reading
+ * - `firstSeen`, `lastSeen`: timestamps in milliseconds
+ * - `url`: page the word was first seen on
+ *
+ * Readings fade out as a word is seen, a lookup setting them back as in
+ * spaced repetition, until they only show on hover.
+ *
+ * Tabs share the stored history: a save merges the entries other tabs stored
+ * since it was read, see merge().
+ */
+const LearningHistory = {
+    entries: {},
+    seenOnPage: new Set(),
+    lookedUpOnPage: new Set(),
+    dirty: false, // Whether the entries changed since the last save
+    statusChanged: new Set(), // Words whose status was set since the last save, the others taking the stored one
+
+    /**
+     * Load the history from storage
+     * @returns {Object} - History entries
+     */
+    load() {
+        this.entries = this.getStored();
+        this.dirty = false;
+        this.statusChanged.clear();
+        return this.entries;
+    },
+
+    /**
+     * Get the history stored by every tab
+     * @returns {Object} - History entries
+     */
+    getStored() {
+        const entries = gm.getValue(CONFIG.HISTORY_KEY, {});
+        return entries && typeof entries === "object" ? entries : {};
+    },
+
+    /**
+     * Merge the entries stored by other tabs into the entries of this one.
+     * Counters and the time last seen take the highest value, the status the
+     * stored one unless it was set in this tab since the last save.
+     * @param {Object} stored - Stored history entries
+     */
+    merge(stored) {
+        Object.entries(stored).forEach(([word, other]) => {
+            const entry = this.entries[word];
+            if (!entry) {
+                this.entries[word] = other;
+                return;
+            }
+            entry.seen = Math.max(entry.seen, other.seen || 0);
+            entry.lookups = Math.max(entry.lookups, other.lookups || 0);
+            entry.lastSeen = Math.max(entry.lastSeen, other.lastSeen || 0);
+            entry.firstSeen = Math.min(entry.firstSeen, other.firstSeen || entry.firstSeen);
+            entry.url = other.url || entry.url;
+            if (!this.statusChanged.has(word)) {
+                if (other.status) {
+                    entry.status = other.status;
+                } else {
+                    delete entry.status;
+                }
+            }
+        });
+    },
+
+    /**
+     * Save the history to storage when it changed, merged with what other
+     * tabs stored, dropping the least recently seen words without a status
+     * once it grows too large
+     */
+    save() {
+        if (!this.dirty) {
+            return;
+        }
+        this.merge(this.getStored());
+
+        const words = Object.keys(this.entries);
+        if (words.length > CONFIG.MAX_HISTORY_SIZE) {
+            words
+                .filter(word => !this.entries[word].status)
+                .sort((a, b) => this.entries[a].lastSeen - this.entries[b].lastSeen)
+                .slice(0, words.length - CONFIG.MAX_HISTORY_SIZE)
+                .forEach(word => delete this.entries[word]);
+        }
+
+        gm.setValue(CONFIG.HISTORY_KEY, this.entries);
+        this.dirty = false;
+        this.statusChanged.clear();
+    },
+
+    /**
+     * Count words as seen and looked up again, when a single-page application shows a new page
+     */
+    startPage() {
+        this.seenOnPage.clear();
+        this.lookedUpOnPage.clear();
+    },
+
+    /**
+     * Get the entry of a word, creating it if needed
+     * @param {string} word - Kanji run
+     * @returns {Object} - History entry
+     */
+    entry(word) {
+        if (!this.entries[word]) {
+            const now = Date.now();
+            this.entries[word] = { reading: "", seen: 0, lookups: 0, firstSeen: now, lastSeen: now, url: getPageUrl(window.location.href) };
+        }
+        return this.entries[word];
+    },
+
+    /**
+     * Record that a word was shown with its reading, once per page
+     * @param {string} word - Kanji run
+     * @param {string} reading - Reading shown
+     */
+    recordSeen(word, reading) {
+        const entry = this.entry(word);
+        if (entry.reading !== reading) {
+            entry.reading = reading;
+            this.dirty = true;
+        }
+        if (!this.seenOnPage.has(word)) {
+            this.seenOnPage.add(word);
+            entry.seen++;
+            entry.lastSeen = Date.now();
+            this.dirty = true;
+        }
+    },
+
+    /**
+     * Record that the user revealed the reading of a word, once per page
+     * @param {string} word - Kanji run
+     */
+    recordLookup(word) {
+        if (this.lookedUpOnPage.has(word)) {
+            return;
+        }
+        this.lookedUpOnPage.add(word);
+        this.entry(word).lookups++;
+        this.dirty = true;
+        this.save();
+    },
+
+    /**
+     * Set the status of a word
+     * @param {string} word - Kanji run
+     * @param {string|null} status - One of CONFIG.WORD_STATUSES, null to let the reading fade
+     */
+    setStatus(word, status) {
+        const entry = this.entry(word);
+        if (status) {
+            entry.status = status;
+        } else {
+            delete entry.status;
+        }
+        this.statusChanged.add(word);
+        this.dirty = true;
+        this.save();
+    },
+
+    /**
+     * Get the status of a word
+     * @param {string} word - Kanji run
+     * @returns {string|null} - One of CONFIG.WORD_STATUSES, null if the user didn't set any
+     */
+    getStatus(word) {
+        return (this.entries[word] && this.entries[word].status) || null;
+    },
+
+    /**
+     * Get how well a word is learned from its history
+     * @param {string} word - Kanji run
+     * @returns {number} - From 0 (new word) to 1 (reading only shown on hover)
+     */
+    getStrength(word) {
+        const entry = this.entries[word];
+        if (!entry) {
+            return 0;
+        }
+        const progress = entry.seen - entry.lookups * CONFIG.LOOKUP_PENALTY;
+        return Math.min(1, Math.max(0, progress / CONFIG.FADE_SEEN_COUNT));
+    },
+
+    /**
+     * Serialize the history for export
+     * @returns {string} - JSON document
+     */
+    export() {
+        return JSON.stringify({ exported: new Date().toISOString(), words: this.entries }, null, 2);
+    }
+};
+
+module.exports = { LearningHistory };
@@ -0,0 +1,6 @@
+// Entry point of the userscript, see scripts/build.js
+
+const { start } = require("./app");
+
+// Start the application
+start();
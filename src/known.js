@@ -0,0 +1,71 @@
+// Kanji the reader already knows
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { KANJI_GRADES } = require("./kanji_grades");
+
+/**
+ * Known-kanji model: the kanji of every school grade up to the chosen level,
+ * plus the kanji the user marked as known, minus those marked as unknown.
+ * Runs made only of known kanji get no reading.
+ */
+const KnownKanji = {
+    level: gm.getValue(CONFIG.KNOWN_LEVEL_KEY, 0),
+    known: new Set(),
+
+    /**
+     * Build the set of known kanji from the level and the user's edits
+     */
+    load() {
+        const edits = this.getEdits();
+        this.known = new Set();
+
+        for (let grade = 1; grade <= this.level; grade++) {
+            [...(KANJI_GRADES[grade] || "")].forEach(char => this.known.add(char));
+        }
+        [...edits.known].forEach(char => this.known.add(char));
+        [...edits.unknown].forEach(char => this.known.delete(char));
+    },
+
+    /**
+     * Get the kanji the user marked as known or unknown
+     * @returns {{known: string, unknown: string}} - Kanji of each list
+     */
+    getEdits() {
+        const edits = gm.getValue(CONFIG.KNOWN_KANJI_KEY, {});
+        return {
+            known: typeof edits.known === "string" ? edits.known : "",
+            unknown: typeof edits.unknown === "string" ? edits.unknown : "",
+        };
+    },
+
+    /**
+     * Store the kanji the user marked as known or unknown
+     * @param {{known: string, unknown: string}} edits - Kanji of each list
+     */
+    setEdits(edits) {
+        gm.setValue(CONFIG.KNOWN_KANJI_KEY, { known: edits.known, unknown: edits.unknown });
+        this.load();
+    },
+
+    /**
+     * Set the school grade up to which kanji are known
+     * @param {number} level - Grade from 1 to 6, 0 when no kanji is known
+     */
+    setLevel(level) {
+        this.level = level;
+        gm.setValue(CONFIG.KNOWN_LEVEL_KEY, level);
+        this.load();
+    },
+
+    /**
+     * Check if every kanji of a run is known
+     * @param {string} kanji - Kanji run
+     * @returns {boolean} - True if the run needs no reading
+     */
+    isKnown(kanji) {
+        return [...kanji].every(char => this.known.has(char));
+    }
+};
+
+module.exports = { KnownKanji };
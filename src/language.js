@@ -0,0 +1,84 @@
+// Detection of Japanese text
+
+const { CONFIG } = require("./config");
+
+/**
+ * Check if a language tag is Japanese, e.g. "ja" or "ja-JP"
+ * @param {string|null} lang - Value of a lang attribute
+ * @returns {boolean} - True for Japanese
+ */
+function isJapaneseLang(lang) {
+    return /^ja(-|$)/i.test((lang || "").trim());
+}
+
+/**
+ * Collect a sample of the text of an element, leaving out excluded tags
+ * @param {Element} root - Element to read
+ * @param {number} size - Maximum number of characters
+ * @returns {string} - Text sample
+ */
+function getTextSample(root, size) {
+    const doc = root.ownerDocument;
+    const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                return node.tagName.toLowerCase() in CONFIG.EXCLUDED_TAGS || node.tagName.toLowerCase() === "style"
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_SKIP;
+            }
+            return NodeFilter.FILTER_ACCEPT;
+        }
+    });
+
+    let sample = "";
+    while (sample.length < size && walker.nextNode()) {
+        sample += walker.currentNode.nodeValue.replace(/\s+/g, "");
+    }
+    return sample.substring(0, size);
+}
+
+/**
+ * Guess whether a text is Japanese from its share of kana and kanji. Kana
+ * are required too, so that Chinese text isn't taken for Japanese.
+ * @param {string} text - Text to check
+ * @returns {boolean} - True if the text looks Japanese
+ */
+function looksJapanese(text) {
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    const kana = (text.match(/[ぁ-ゖァ-ヺー]/g) || []).length;
+    const kanji = (text.match(new RegExp(CONFIG.KANJI_REGEX.source, "g")) || []).join("").length;
+
+    if (!letters || !kana) {
+        return false;
+    }
+    return (kana + kanji) / letters >= CONFIG.JAPANESE_TEXT_RATIO && kana / (kana + kanji) >= CONFIG.JAPANESE_KANA_RATIO;
+}
+
+/**
+ * Check if a page is in Japanese, from its lang attribute or else from its text
+ * @param {Document} doc - Page to check
+ * @returns {boolean} - True if the page is in Japanese
+ */
+function isJapanesePage(doc) {
+    if (isJapaneseLang(doc.documentElement.lang)) {
+        return true;
+    }
+    return looksJapanese(getTextSample(doc.body, CONFIG.LANGUAGE_SAMPLE_SIZE));
+}
+
+/**
+ * Check if some elements of a page are marked as Japanese with a lang attribute
+ * @param {Document} doc - Page to check
+ * @returns {boolean} - True if an element has a Japanese lang attribute
+ */
+function hasJapaneseElements(doc) {
+    return [...doc.body.querySelectorAll("[lang]")].some(element => isJapaneseLang(element.getAttribute("lang")));
+}
+
+module.exports = {
+    getTextSample,
+    hasJapaneseElements,
+    isJapaneseLang,
+    isJapanesePage,
+    looksJapanese
+};
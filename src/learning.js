@@ -0,0 +1,162 @@
+// Marking words as known and fading readings with the learning history
+
+const { CONFIG } = require("./config");
+const { LearningHistory } = require("./history");
+const { Styles } = require("./styles");
+
+// Order the statuses go through on Alt+click or long press, null letting the reading fade
+const STATUS_CYCLE = [null, "known", "hover", "unknown"];
+
+/**
+ * Handles the learning interactions on the rubies
+ */
+const Learning = {
+    doc: document,
+    longPressTimer: null,
+    suppressClick: false,
+
+    /**
+     * Add the styles and the event listeners
+     */
+    initialize() {
+        Styles.add(`
+            ruby.kanji-terminator-ruby > rt.kanji-terminator-rt { opacity: var(--kanji-terminator-opacity, 1); }
+            ruby.kanji-terminator-ruby:hover > rt.kanji-terminator-rt { opacity: 1; }
+            ruby.kanji-terminator-ruby[data-display="known"] > rt.kanji-terminator-rt,
+            ruby.kanji-terminator-ruby[data-display="hover"]:not(:hover) > rt.kanji-terminator-rt { visibility: hidden; }
+        `);
+        this.listen(this.doc);
+    },
+
+    /**
+     * Add the event listeners to a document
+     * @param {Document} doc - The page's document or a frame's
+     */
+    listen(doc) {
+        // Capture so that a click on a ruby inside a link doesn't follow it
+        doc.addEventListener("click", event => this.handleClick(event), true);
+        doc.addEventListener("pointerdown", event => this.handlePointerDown(event), true);
+        ["pointerup", "pointercancel"].forEach(type => {
+            doc.addEventListener(type, () => clearTimeout(this.longPressTimer), true);
+        });
+        doc.addEventListener("mouseover", event => this.handleMouseOver(event));
+    },
+
+    /**
+     * Get the ruby inserted by the script an event happened in, shadow trees included
+     * @param {Event} event - DOM event
+     * @returns {Element|null} - The ruby, null if the event is elsewhere
+     */
+    getRuby(event) {
+        const target = event.composedPath ? event.composedPath()[0] || event.target : event.target;
+        return target && target.closest ? target.closest("ruby.kanji-terminator-ruby[data-word]") : null;
+    },
+
+    /**
+     * Show the reading of a ruby according to the status and history of its word
+     * @param {Element} ruby - Ruby element
+     */
+    apply(ruby) {
+        const word = ruby.dataset.word;
+        const status = LearningHistory.getStatus(word);
+        const strength = status ? 0 : LearningHistory.getStrength(word);
+        const display = status || (strength >= 1 ? "hover" : "");
+
+        if (display) {
+            ruby.dataset.display = display;
+        } else {
+            delete ruby.dataset.display;
+        }
+
+        if (strength > 0 && strength < 1) {
+            ruby.style.setProperty("--kanji-terminator-opacity", String(1 - strength * (1 - CONFIG.MIN_READING_OPACITY)));
+        } else {
+            ruby.style.removeProperty("--kanji-terminator-opacity");
+        }
+    },
+
+    /**
+     * Move the word of a ruby to its next status
+     * @param {Element} ruby - Ruby element
+     */
+    cycleStatus(ruby) {
+        const word = ruby.dataset.word;
+        const current = STATUS_CYCLE.indexOf(LearningHistory.getStatus(word));
+        this.setStatus(word, STATUS_CYCLE[(current + 1) % STATUS_CYCLE.length]);
+    },
+
+    /**
+     * Set the status of a word, updating every ruby of the word
+     * @param {string} word - Kanji run
+     * @param {string|null} status - One of CONFIG.WORD_STATUSES, null to let the reading fade
+     */
+    setStatus(word, status) {
+        LearningHistory.setStatus(word, status);
+
+        [this.doc, ...Styles.getRoots()].forEach(root => {
+            root.querySelectorAll("ruby.kanji-terminator-ruby[data-word]").forEach(other => {
+                if (other.dataset.word === word) {
+                    this.apply(other);
+                    if (status) {
+                        other.title = `Kanji Terminator: ${CONFIG.WORD_STATUSES[status]}`;
+                    } else {
+                        other.removeAttribute("title");
+                    }
+                }
+            });
+        });
+    },
+
+    /**
+     * Change the status of a word on Alt+click, and swallow the click ending a long press
+     * @param {MouseEvent} event - Click event
+     */
+    handleClick(event) {
+        const ruby = this.getRuby(event);
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            if (ruby) {
+                event.preventDefault();
+                event.stopPropagation();
+            }
+            return;
+        }
+
+        if (ruby && event.altKey) {
+            event.preventDefault();
+            event.stopPropagation();
+            this.cycleStatus(ruby);
+        }
+    },
+
+    /**
+     * Start a long press on a ruby, which changes the status of its word
+     * @param {PointerEvent} event - Pointer event
+     */
+    handlePointerDown(event) {
+        const ruby = this.getRuby(event);
+        clearTimeout(this.longPressTimer);
+        this.suppressClick = false;
+        if (!ruby || event.button !== 0) {
+            return;
+        }
+
+        this.longPressTimer = setTimeout(() => {
+            this.suppressClick = true;
+            this.cycleStatus(ruby);
+        }, CONFIG.LONG_PRESS_DELAY);
+    },
+
+    /**
+     * Record a lookup when the user reveals a reading shown on hover only
+     * @param {MouseEvent} event - Mouse event
+     */
+    handleMouseOver(event) {
+        const ruby = this.getRuby(event);
+        if (ruby && ruby.dataset.display === "hover") {
+            LearningHistory.recordLookup(ruby.dataset.word);
+        }
+    }
+};
+
+module.exports = { Learning };
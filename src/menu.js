@@ -0,0 +1,312 @@
+// Menu commands of the userscript manager
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+const { Backends } = require("./backends");
+const { Backup } = require("./backup");
+const { Display } = require("./display");
+const { LearningHistory } = require("./history");
+const { KnownKanji } = require("./known");
+const { SettingsPanel } = require("./panel");
+const { SiteRules } = require("./sites");
+const { downloadFile, pickFile } = require("./utils");
+
+/**
+ * Prompt user to choose the reading backends and their order
+ */
+function promptForBackendOrder() {
+    const names = Object.keys(Backends.registry);
+    const input = prompt(
+        "Enter the reading backends to try, in order, separated by commas.\n" +
+        names.map(name => `${name}: ${Backends.registry[name].label}`).join("\n"),
+        Backends.order.join(", ")
+    );
+    if (input === null) {
+        return;
+    }
+
+    const order = input.split(",").map(name => name.trim()).filter(Boolean);
+    const unknown = order.filter(name => !names.includes(name));
+    if (unknown.length || !order.length) {
+        alert(`Unknown reading backend: ${unknown.join(", ") || "(none)"}`);
+        return;
+    }
+
+    Backends.setOrder(order);
+    alert("Reading backends saved successfully!");
+}
+
+/**
+ * Prompt user to edit the static reading dictionary
+ */
+function promptForDictionary() {
+    const input = prompt(
+        'Enter your readings as JSON, e.g. {"今日": "きょう", "生き": "いき"}:',
+        JSON.stringify(gm.getValue(CONFIG.DICTIONARY_KEY, {}))
+    );
+    if (input === null) {
+        return;
+    }
+
+    try {
+        const dictionary = JSON.parse(input || "{}");
+        if (!dictionary || typeof dictionary !== "object" || Array.isArray(dictionary)) {
+            throw new Error("The dictionary must be a JSON object");
+        }
+        gm.setValue(CONFIG.DICTIONARY_KEY, dictionary);
+        alert("Reading dictionary saved successfully!");
+    } catch (error) {
+        alert(`Invalid reading dictionary: ${error.message}`);
+    }
+}
+
+/**
+ * Prompt user to configure the custom JSON endpoint backend
+ *
+ * The configuration is a JSON object:
+ * - `url`: endpoint URL, `{{words}}` is replaced by the newline separated words
+ * - `method`: HTTP method, POST by default
+ * - `headers`: request headers
+ * - `body`: request body, `{{words}}` is replaced by the JSON array of words and `{{mode}}` by the reading mode
+ * - `results`: dot separated path of the results in the response, either an array or a newline separated string
+ * - `reading`: path of the reading within each result, empty if the result is the reading
+ * - `meanings`: path of the meanings (an array of strings) within each result, optional
+ */
+function promptForJsonBackend() {
+    const input = prompt(
+        "Enter the JSON endpoint configuration, see the script for details:",
+        JSON.stringify(gm.getValue(CONFIG.JSON_BACKEND_KEY, {
+            url: "",
+            method: "POST",
+            body: '{"words": {{words}}, "mode": "{{mode}}"}',
+            results: "results",
+            reading: "reading",
+        }))
+    );
+    if (input === null) {
+        return;
+    }
+
+    try {
+        const config = JSON.parse(input || "{}");
+        if (config.url !== undefined && typeof config.url !== "string") {
+            throw new Error("url must be a string");
+        }
+        gm.setValue(CONFIG.JSON_BACKEND_KEY, config);
+        alert("JSON endpoint saved successfully!");
+    } catch (error) {
+        alert(`Invalid JSON endpoint configuration: ${error.message}`);
+    }
+}
+
+/**
+ * Always or never run on the current site, whatever the language of its pages
+ * @param {"allow"|"deny"} rule - List to add the site to
+ */
+function setSiteRule(rule) {
+    const hostname = window.location.hostname;
+    SiteRules.setSiteRule(hostname, rule);
+    alert(rule === "allow"
+        ? `Kanji Terminator will run on ${hostname}. Reload the page to apply.`
+        : `Kanji Terminator won't run on ${hostname} anymore. Reload the page to apply.`);
+}
+
+/**
+ * Prompt user to edit the allow and deny lists of sites
+ */
+function promptForSiteRules() {
+    const input = prompt(
+        "Enter the sites to always (allow) or never (deny) run on as JSON. " +
+        'Sites are domains such as "example.com", or URLs where * matches anything such as "example.com/news/*":',
+        JSON.stringify(SiteRules.get())
+    );
+    if (input === null) {
+        return;
+    }
+
+    try {
+        const rules = JSON.parse(input || "{}");
+        ["allow", "deny"].forEach(list => {
+            rules[list] = rules[list] || [];
+            if (!Array.isArray(rules[list]) || rules[list].some(pattern => typeof pattern !== "string")) {
+                throw new Error(`${list} must be a list of sites`);
+            }
+        });
+        SiteRules.set(rules);
+        alert("Site rules saved successfully! Reload the page to apply.");
+    } catch (error) {
+        alert(`Invalid site rules: ${error.message}`);
+    }
+}
+
+/**
+ * Prompt user to choose the school grade up to which kanji get no reading
+ */
+function promptForKnownLevel() {
+    const input = prompt(
+        "Hide readings of kanji taught up to which school grade? (1-6, 0 to show every reading)",
+        String(KnownKanji.level)
+    );
+    if (input === null) {
+        return;
+    }
+
+    const level = Number(input.trim() || 0);
+    if (!Number.isInteger(level) || level < 0 || level > 6) {
+        alert(`Invalid school grade: ${input}`);
+        return;
+    }
+
+    KnownKanji.setLevel(level);
+    alert(level
+        ? `Readings of kanji up to grade ${level} will be hidden. Reload the page to apply.`
+        : "Every reading will be shown. Reload the page to apply.");
+}
+
+/**
+ * Prompt user to edit the kanji marked as known or unknown, whatever the level
+ */
+function promptForKnownKanji() {
+    const input = prompt(
+        'Enter the kanji you know and those you want readings for whatever the level as JSON, e.g. {"known": "猫犬", "unknown": "曜"}:',
+        JSON.stringify(KnownKanji.getEdits())
+    );
+    if (input === null) {
+        return;
+    }
+
+    try {
+        const edits = JSON.parse(input || "{}");
+        ["known", "unknown"].forEach(list => {
+            edits[list] = edits[list] || "";
+            if (typeof edits[list] !== "string") {
+                throw new Error(`${list} must be a string of kanji`);
+            }
+        });
+        KnownKanji.setEdits(edits);
+        alert("Known kanji saved successfully! Reload the page to apply.");
+    } catch (error) {
+        alert(`Invalid known kanji: ${error.message}`);
+    }
+}
+
+/**
+ * Download the learning history as JSON
+ */
+function exportHistory() {
+    LearningHistory.load();
+    downloadFile("kanji-terminator-history.json", LearningHistory.export(), "application/json");
+}
+
+// Export formats of the readings: file name, MIME type and serializer
+const EXPORT_FORMATS = {
+    json: ["kanji-terminator-readings.json", "application/json", rows => Backup.toJSON(rows)],
+    csv: ["kanji-terminator-readings.csv", "text/csv", rows => Backup.toCSV(rows)],
+    anki: ["kanji-terminator-anki.txt", "text/tab-separated-values", rows => Backup.toAnki(rows)],
+};
+
+/**
+ * Download the reading dictionary and the cached readings
+ * @param {string} format - One of EXPORT_FORMATS
+ */
+function exportReadings(format) {
+    const [name, type, serialize] = EXPORT_FORMATS[format];
+    downloadFile(name, serialize(Backup.collect()), type);
+}
+
+/**
+ * Let the user pick an export, from this script or someone else's, and add
+ * its readings, asking which to keep when they differ from the current ones
+ * @returns {Promise<void>}
+ */
+async function importReadings() {
+    const text = await pickFile(".json,.csv,.tsv,.txt,application/json,text/csv,text/tab-separated-values,text/plain");
+    if (text === null) {
+        return;
+    }
+
+    let rows;
+    try {
+        rows = Backup.parse(text);
+    } catch (error) {
+        alert(`Invalid readings file: ${error.message}`);
+        return;
+    }
+    if (!rows.length) {
+        alert("No readings found in this file.");
+        return;
+    }
+
+    const conflicts = Backup.findConflicts(rows);
+    const replace = conflicts.length > 0 && confirm(
+        `${conflicts.length} imported reading${conflicts.length > 1 ? "s differ" : " differs"} from yours, e.g. ` +
+        `${conflicts[0].word}: ${conflicts[0].reading}.\nOK to use the imported readings, Cancel to keep yours.`
+    );
+    const { added, replaced, kept } = Backup.import(rows, replace);
+    alert(`Readings imported: ${added} added, ${replaced} replaced, ${kept} kept. Reload the page to apply.`);
+}
+
+/**
+ * Set the reading mode used for new readings
+ * @param {string} mode - One of CONFIG.MODES
+ */
+function setReadingMode(mode) {
+    gm.setValue(CONFIG.MODE_KEY, mode);
+    alert(`Readings will be shown in ${CONFIG.MODES[mode]}. Reload the page to apply.`);
+}
+
+/**
+ * Switch the display mode of the readings, applied right away
+ * @param {string} mode - One of CONFIG.DISPLAY_MODES
+ */
+function setDisplayMode(mode) {
+    Display.setMode(mode);
+}
+
+/**
+ * Register the menu commands
+ * @param {Object} [options]
+ * @param {Function} [options.onSettingsSaved] - Called once settings saved from the settings panel are applied
+ * @param {Function} [options.onDisable] - Removes the readings from the current page
+ */
+function registerMenuCommands({ onSettingsSaved, onDisable } = {}) {
+    gm.registerMenuCommand("Settings", () => SettingsPanel.open(onSettingsSaved));
+    if (onDisable) {
+        gm.registerMenuCommand("Disable on this page", onDisable);
+    }
+    gm.registerMenuCommand("Set reading backends order", promptForBackendOrder);
+    gm.registerMenuCommand("Edit reading dictionary", promptForDictionary);
+    gm.registerMenuCommand("Configure JSON reading endpoint", promptForJsonBackend);
+    gm.registerMenuCommand("Set known kanji level", promptForKnownLevel);
+    gm.registerMenuCommand("Edit known kanji", promptForKnownKanji);
+    gm.registerMenuCommand("Export learning history", exportHistory);
+    gm.registerMenuCommand("Export readings as JSON", () => exportReadings("json"));
+    gm.registerMenuCommand("Export readings as CSV", () => exportReadings("csv"));
+    gm.registerMenuCommand("Export readings for Anki", () => exportReadings("anki"));
+    gm.registerMenuCommand("Import readings", importReadings);
+    gm.registerMenuCommand("Always run on this site", () => setSiteRule("allow"));
+    gm.registerMenuCommand("Never run on this site", () => setSiteRule("deny"));
+    gm.registerMenuCommand("Edit site rules", promptForSiteRules);
+    Object.keys(CONFIG.MODES).forEach(mode => {
+        gm.registerMenuCommand(`Show readings in ${CONFIG.MODES[mode]}`, () => setReadingMode(mode));
+    });
+    Object.keys(CONFIG.DISPLAY_MODES).forEach(mode => {
+        gm.registerMenuCommand(`Readings ${CONFIG.DISPLAY_MODES[mode]}`, () => setDisplayMode(mode));
+    });
+}
+
+module.exports = {
+    exportHistory,
+    exportReadings,
+    importReadings,
+    promptForBackendOrder,
+    promptForDictionary,
+    promptForJsonBackend,
+    promptForKnownKanji,
+    promptForKnownLevel,
+    promptForSiteRules,
+    registerMenuCommands,
+    setDisplayMode,
+    setReadingMode,
+    setSiteRule
+};
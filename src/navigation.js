@@ -0,0 +1,61 @@
+// Navigation of single-page applications
+
+const { gm } = require("./gm");
+
+const NAVIGATE_EVENT = "kanji-terminator-navigate";
+
+/**
+ * Get the URL of a page, without the fragment, which doesn't change the page
+ * @param {string} href - URL
+ * @returns {string} - URL without its fragment
+ */
+function getPageUrl(href) {
+    return href.split("#")[0];
+}
+
+/**
+ * Call a function when the page's URL changes without loading a new page,
+ * through the History API or the back and forward buttons
+ * @param {Function} callback - Called with the new URL
+ * @returns {{ check: Function, stop: Function }} - Checks whether the URL changed, for the
+ *   navigations the History API doesn't report, and stops watching
+ */
+function watchNavigation(callback) {
+    // history.pushState and replaceState don't fire any event: wrap them once,
+    // so that they fire one on window. The page's own history is wrapped, the
+    // sandbox's is a separate view of it on Firefox and Manifest V3 extensions.
+    const pageHistory = gm.getPageWindow().history;
+    if (!pageHistory.pushState.kanjiTerminator) {
+        ["pushState", "replaceState"].forEach(name => {
+            const original = pageHistory[name];
+            const wrapped = gm.exportFunction(function (...args) {
+                const result = original.apply(this, args);
+                window.dispatchEvent(new Event(NAVIGATE_EVENT));
+                return result;
+            }, pageHistory);
+            wrapped.kanjiTerminator = true;
+            pageHistory[name] = wrapped;
+        });
+    }
+
+    let url = getPageUrl(window.location.href);
+    const check = () => {
+        const next = getPageUrl(window.location.href);
+        if (next !== url) {
+            url = next;
+            callback(window.location.href);
+        }
+    };
+
+    window.addEventListener(NAVIGATE_EVENT, check);
+    window.addEventListener("popstate", check);
+    return {
+        check,
+        stop() {
+            window.removeEventListener(NAVIGATE_EVENT, check);
+            window.removeEventListener("popstate", check);
+        },
+    };
+}
+
+module.exports = { getPageUrl, watchNavigation };
@@ -0,0 +1,156 @@
+// Readings the user corrected on the page
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+
+/**
+ * Readings corrected by the user, used instead of the cached and resolved
+ * ones. Corrections are kept by reading mode and by run, with its okurigana
+ * when the resolved reading has some so that 生き and 生ま are told apart,
+ * for every site or for a single hostname, the site's taking priority.
+ *
+ * A correction may hold one reading per kanji separated by spaces (に ほん),
+ * shown over their own kanji when there are as many as kanji in the run.
+ */
+const ReadingOverrides = {
+    overrides: { global: {}, sites: {} },
+
+    /**
+     * Load the corrections from storage
+     */
+    load() {
+        const stored = gm.getValue(CONFIG.OVERRIDES_KEY, {});
+        this.overrides = {
+            global: { ...stored.global },
+            sites: { ...stored.sites },
+        };
+    },
+
+    /**
+     * Store the corrections
+     */
+    save() {
+        gm.setValue(CONFIG.OVERRIDES_KEY, this.overrides);
+    },
+
+    /**
+     * Get the corrections of a scope
+     * @param {string|null} hostname - Site of the corrections, null for those of every site
+     * @returns {Object} - Readings by mode and word
+     */
+    getScope(hostname) {
+        return hostname ? this.overrides.sites[hostname] || {} : this.overrides.global;
+    },
+
+    /**
+     * Get the word the correction of a kanji run is stored under: the cache
+     * key, with the kana after the run, unless the resolved reading shows
+     * that kana isn't okurigana (日本と), in which case the run alone
+     * @param {string} key - Cache key of the kanji run
+     * @param {Object|undefined} resolved - Reading a backend resolved for the key, see CacheService.getResolved
+     * @returns {string} - Word of the correction
+     */
+    getWord(key, resolved) {
+        if (!resolved || !resolved.segments || resolved.segments.some(segment => segment.kind === "okurigana")) {
+            return key;
+        }
+        return CONFIG.KANJI_REGEX.exec(key)[0];
+    },
+
+    /**
+     * Get the corrected reading of a kanji run
+     * @param {string} key - Cache key of the kanji run
+     * @param {string} mode - One of CONFIG.MODES
+     * @param {Object|undefined} resolved - Reading a backend resolved for the key
+     * @param {string} [hostname] - Site the word is read on
+     * @returns {{reading: string, segments: Object[], source: string}|undefined} - Corrected reading, undefined if there's none
+     */
+    get(key, mode, resolved, hostname = window.location.hostname) {
+        const word = this.getWord(key, resolved);
+        for (const scope of [this.getScope(hostname), this.getScope(null)]) {
+            const reading = scope[`${mode}:${word}`];
+            if (reading) {
+                return this.toEntry(word, reading);
+            }
+        }
+        return undefined;
+    },
+
+    /**
+     * Build the cached reading of a correction
+     * @param {string} word - Word of the correction, see getWord
+     * @param {string} value - Correction, possibly one reading per kanji separated by spaces
+     * @returns {{reading: string, segments: Object[], source: string}} - Reading and segments of the run
+     */
+    toEntry(word, value) {
+        const kanji = CONFIG.KANJI_REGEX.exec(word)[0];
+        const readings = value.split(/\s+/).filter(Boolean);
+        const segments = readings.length > 1 && readings.length === kanji.length
+            ? readings.map((reading, idx) => ({ text: kanji[idx], reading, kind: "kanji" }))
+            : [{ text: kanji, reading: readings.join(""), kind: "kanji" }];
+        return { reading: readings.join(""), segments, source: "user" };
+    },
+
+    /**
+     * Write the segments of a run the way a correction is entered
+     * @param {Object[]} segments - Segments covering the run
+     * @returns {string} - One reading per kanji separated by spaces when each kanji has its own, the reading of the run otherwise
+     */
+    format(segments) {
+        const perKanji = segments.length > 1 && segments.every(segment => segment.text.length === 1);
+        return segments.map(segment => segment.reading).join(perKanji ? " " : "");
+    },
+
+    /**
+     * Correct the reading of a kanji run, without storing it
+     * @param {string} word - Word of the correction, see getWord
+     * @param {string} mode - One of CONFIG.MODES
+     * @param {string} reading - Corrected reading
+     * @param {string|null} hostname - Site the correction applies to, null for every site
+     */
+    put(word, mode, reading, hostname) {
+        const scope = { ...this.getScope(hostname), [`${mode}:${word}`]: reading };
+        if (hostname) {
+            this.overrides.sites[hostname] = scope;
+        } else {
+            this.overrides.global = scope;
+        }
+    },
+
+    /**
+     * Correct the reading of a kanji run
+     * @param {string} word - Word of the correction, see getWord
+     * @param {string} mode - One of CONFIG.MODES
+     * @param {string} reading - Corrected reading
+     * @param {string|null} hostname - Site the correction applies to, null for every site
+     */
+    set(word, mode, reading, hostname) {
+        this.load();
+        this.put(word, mode, reading, hostname);
+        this.save();
+    },
+
+    /**
+     * Remove the corrections of a kanji run, for the site and for every site
+     * @param {string} word - Word of the correction, see getWord
+     * @param {string} mode - One of CONFIG.MODES
+     * @param {string} hostname - Site the word is read on
+     */
+    remove(word, mode, hostname) {
+        this.load();
+        const name = `${mode}:${word}`;
+        delete this.overrides.global[name];
+        if (this.overrides.sites[hostname]) {
+            const scope = { ...this.overrides.sites[hostname] };
+            delete scope[name];
+            if (Object.keys(scope).length) {
+                this.overrides.sites[hostname] = scope;
+            } else {
+                delete this.overrides.sites[hostname];
+            }
+        }
+        this.save();
+    }
+};
+
+module.exports = { ReadingOverrides };
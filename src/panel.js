@@ -0,0 +1,232 @@
+// Settings panel opened from the menu
+
+const { Backends } = require("./backends");
+const { Settings } = require("./settings");
+
+const PANEL_STYLE = `
+    .overlay {
+        position: fixed;
+        inset: 0;
+        z-index: 2147483647;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.3);
+    }
+    form {
+        width: 28em;
+        max-width: calc(100vw - 2em);
+        padding: 1em 1.2em;
+        border-radius: 6px;
+        background: #fff;
+        color: #222;
+        font: 14px/1.5 sans-serif;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+    }
+    h2 { margin: 0 0 0.6em; font-size: 1.2em; }
+    label { display: block; margin-bottom: 0.6em; }
+    label span { display: block; color: #555; font-size: 0.9em; }
+    input { box-sizing: border-box; width: 100%; font: inherit; padding: 0.2em 0.4em; }
+    .url { display: flex; gap: 0.4em; }
+    .message { min-height: 1.5em; margin: 0.4em 0; }
+    .message.error { color: #b00; }
+    .actions { display: flex; justify-content: flex-end; gap: 0.4em; }
+    button { font: inherit; padding: 0.2em 0.8em; cursor: pointer; }
+`;
+
+// Fields of the form: setting name, label and input type
+const FIELDS = [
+    ["debounceDelay", "Delay before converting new text (ms)", "number"],
+    ["chunkSize", "Kanji per request", "number"],
+    ["maxCacheSize", "Cached readings", "number"],
+    ["excludedTags", "Tags left untouched, separated by commas", "text"],
+];
+
+/**
+ * Settings panel in a shadow root, so that the page's styles don't apply to it
+ */
+const SettingsPanel = {
+    doc: document,
+    host: null,
+    root: null,
+    onSave: null, // Called once new settings are applied
+
+    /**
+     * Open the panel
+     * @param {Function} [onSave] - Called once new settings are applied
+     */
+    open(onSave) {
+        this.onSave = onSave || null;
+        if (this.host && this.host.isConnected) {
+            this.root.querySelector("input").focus();
+            return;
+        }
+
+        // A custom element excluded from the scan, so that the panel isn't annotated
+        this.host = this.doc.createElement("kanji-terminator-settings");
+        this.root = this.host.attachShadow({ mode: "open" });
+        this.render();
+        this.doc.body.appendChild(this.host);
+        this.root.querySelector("input").focus();
+    },
+
+    /**
+     * Close the panel without saving
+     */
+    close() {
+        if (this.host) {
+            this.host.remove();
+        }
+    },
+
+    /**
+     * Build the form from the current settings
+     */
+    render() {
+        const settings = Settings.get();
+        const element = (tag, props = {}) => Object.assign(this.doc.createElement(tag), props);
+
+        const form = element("form");
+        form.setAttribute("role", "dialog");
+        form.setAttribute("aria-label", "Kanji Terminator settings");
+        form.appendChild(element("h2", { textContent: "Kanji Terminator settings" }));
+
+        const urlLabel = element("label");
+        urlLabel.appendChild(element("span", { textContent: "Resolver API URL, leave empty to convert in the browser" }));
+        const url = element("div", { className: "url" });
+        url.appendChild(element("input", { name: "apiUrl", type: "url", value: Backends.registry.worker.apiUrl || "" }));
+        url.appendChild(element("button", { type: "button", name: "test", textContent: "Test" }));
+        urlLabel.appendChild(url);
+        form.appendChild(urlLabel);
+
+        FIELDS.forEach(([name, text, type]) => {
+            const label = element("label");
+            label.appendChild(element("span", { textContent: text }));
+            const value = Array.isArray(settings[name]) ? settings[name].join(", ") : String(settings[name]);
+            const input = element("input", { name, type, value });
+            if (Settings.LIMITS[name]) {
+                input.min = Settings.LIMITS[name].min;
+                input.max = Settings.LIMITS[name].max;
+            }
+            label.appendChild(input);
+            form.appendChild(label);
+        });
+
+        const message = element("div", { className: "message" });
+        message.setAttribute("role", "status");
+        form.appendChild(message);
+
+        const actions = element("div", { className: "actions" });
+        actions.appendChild(element("button", { type: "button", name: "reset", textContent: "Defaults" }));
+        actions.appendChild(element("button", { type: "button", name: "cancel", textContent: "Cancel" }));
+        actions.appendChild(element("button", { type: "submit", name: "save", textContent: "Save" }));
+        form.appendChild(actions);
+
+        form.addEventListener("submit", event => {
+            event.preventDefault();
+            this.save();
+        });
+        form.elements.test.addEventListener("click", () => this.testUrl());
+        form.elements.cancel.addEventListener("click", () => this.close());
+        form.elements.reset.addEventListener("click", () => this.fill(Settings.DEFAULTS));
+        form.addEventListener("keydown", event => {
+            if (event.key === "Escape") {
+                event.preventDefault();
+                this.close();
+            }
+        });
+
+        const overlay = element("div", { className: "overlay" });
+        overlay.appendChild(form);
+        // A click on the backdrop closes the panel
+        overlay.addEventListener("click", event => {
+            if (event.target === overlay) {
+                this.close();
+            }
+        });
+
+        this.root.textContent = "";
+        this.root.appendChild(element("style", { textContent: PANEL_STYLE }));
+        this.root.appendChild(overlay);
+    },
+
+    /**
+     * Put settings in the form
+     * @param {Object} settings - Settings to show
+     */
+    fill(settings) {
+        const form = this.root.querySelector("form");
+        FIELDS.forEach(([name]) => {
+            form.elements[name].value = Array.isArray(settings[name]) ? settings[name].join(", ") : String(settings[name]);
+        });
+    },
+
+    /**
+     * Show a message under the form
+     * @param {string} text - Message
+     * @param {boolean} [isError] - Whether the message reports an error
+     */
+    showMessage(text, isError = false) {
+        const message = this.root.querySelector(".message");
+        message.textContent = text;
+        message.classList.toggle("error", isError);
+    },
+
+    /**
+     * Check the URL of the form with a test request
+     * @returns {Promise<boolean>} - True if the URL can be used
+     */
+    async testUrl() {
+        const url = this.root.querySelector("form").elements.apiUrl.value.trim();
+        if (!url) {
+            this.showMessage("No resolver URL, kanji will be converted in the browser.");
+            return true;
+        }
+
+        this.showMessage("Testing the resolver…");
+        try {
+            new URL(url);
+            await Backends.registry.worker.test(url);
+            this.showMessage("The resolver works.");
+            return true;
+        } catch (error) {
+            this.showMessage(`The resolver can't be used: ${error.message || error}`, true);
+            return false;
+        }
+    },
+
+    /**
+     * Validate and apply the settings of the form, testing the resolver URL when it changed
+     * @returns {Promise<boolean>} - True if the settings were saved
+     */
+    async save() {
+        const form = this.root.querySelector("form");
+        const values = {};
+        FIELDS.forEach(([name]) => {
+            values[name] = form.elements[name].value;
+        });
+
+        let settings;
+        try {
+            settings = Settings.validate(values);
+        } catch (error) {
+            this.showMessage(error.message, true);
+            return false;
+        }
+
+        const url = form.elements.apiUrl.value.trim();
+        if (url !== (Backends.registry.worker.apiUrl || "") && !(await this.testUrl())) {
+            return false;
+        }
+
+        Backends.registry.worker.setApiUrl(url);
+        Settings.set(settings);
+        this.close();
+        if (this.onSave) {
+            this.onSave(settings);
+        }
+        return true;
+    }
+};
+
+module.exports = { SettingsPanel };
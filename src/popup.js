@@ -0,0 +1,455 @@
+// Popup dictionary of the converted words
+
+const { CONFIG } = require("./config");
+const { Backends } = require("./backends");
+const { CacheService } = require("./cache");
+const { DOMHandler } = require("./dom");
+const { LearningHistory } = require("./history");
+const { Learning } = require("./learning");
+const { ReadingOverrides } = require("./overrides");
+const { getRunSegments } = require("./utils");
+
+const POPUP_STYLE = `
+    .panel {
+        position: absolute;
+        z-index: 2147483647;
+        min-width: 12em;
+        max-width: 24em;
+        padding: 0.6em 0.8em;
+        border: 1px solid #999;
+        border-radius: 4px;
+        background: #fff;
+        color: #222;
+        font: 14px/1.5 sans-serif;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.25);
+    }
+    .panel:focus { outline: none; }
+    .word { font-size: 1.6em; }
+    .normalized, .romaji, .dictionary { color: #666; }
+    .reading { font-size: 1.2em; }
+    table { border-collapse: collapse; margin: 0.4em 0; }
+    th, td { padding: 0 0.6em 0 0; text-align: left; vertical-align: top; }
+    th { font-size: 1.2em; font-weight: normal; }
+    ul { margin: 0.4em 0; padding-left: 1.2em; }
+    .actions { display: flex; flex-wrap: wrap; gap: 0.3em; margin-top: 0.4em; }
+    button { font: inherit; font-size: 0.85em; padding: 0.1em 0.5em; cursor: pointer; }
+    button[aria-pressed="true"] { font-weight: bold; }
+    button:focus-visible { outline: 2px solid #36c; }
+    form { display: flex; flex-wrap: wrap; align-items: center; gap: 0.3em; margin-top: 0.4em; }
+    input[name="reading"] { flex: 1; min-width: 8em; font: inherit; }
+    label { font-size: 0.85em; }
+    .error { flex-basis: 100%; color: #b00; }
+`;
+
+// Status buttons of the popup, null letting the reading fade
+const STATUS_BUTTONS = [
+    ["known", "Known"],
+    ["hover", "On hover"],
+    ["unknown", "Unknown"],
+    [null, "Auto"],
+];
+
+/**
+ * Popup showing the reading, romaji, per-kanji breakdown and dictionary
+ * entries of a ruby, opened by clicking it (Shift+click in links and buttons).
+ * Its form corrects the reading, and right-clicking the reading of a ruby
+ * opens the popup on it.
+ */
+const Popup = {
+    doc: document,
+    host: null, // Element holding the popup's shadow root
+    root: null,
+    ruby: null, // Ruby the popup is open for
+    returnFocus: null,
+    lookups: new Map(), // Lookup promises by mode and word
+    draft: null, // Correction being entered, kept when the popup is refreshed
+
+    /**
+     * Add the event listeners. Must run after Learning.initialize and
+     * Display.initialize, whose clicks it skips by their prevented default.
+     */
+    initialize() {
+        this.listen(this.doc);
+    },
+
+    /**
+     * Listen to the clicks and keys of a document, the page's or a frame's
+     * @param {Document} doc - Document to listen to
+     */
+    listen(doc) {
+        doc.addEventListener("click", event => this.handleClick(event), true);
+        doc.addEventListener("keydown", event => this.handleKeyDown(event), true);
+        doc.addEventListener("contextmenu", event => this.handleContextMenu(event));
+    },
+
+    /**
+     * Open the popup on a click on a ruby, close it on a click elsewhere
+     * @param {MouseEvent} event - Click event
+     */
+    handleClick(event) {
+        if (event.defaultPrevented || (this.host && event.composedPath().includes(this.host))) {
+            return;
+        }
+
+        const ruby = Learning.getRuby(event);
+        // Links and buttons keep their clicks, Shift+click opens the popup in them
+        if (!ruby || (ruby.closest("a[href], button") && !event.shiftKey)) {
+            this.close();
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.open(ruby);
+    },
+
+    /**
+     * Open the popup on its correction form on right-click on the reading of
+     * a ruby, the kanji keeping the browser's menu
+     * @param {MouseEvent} event - Context menu event
+     */
+    handleContextMenu(event) {
+        const target = event.composedPath()[0] || event.target;
+        const ruby = Learning.getRuby(event);
+        if (!ruby || !target.closest("rt.kanji-terminator-rt")) {
+            return;
+        }
+        event.preventDefault();
+        this.open(ruby);
+        const input = this.root.querySelector("input[name=reading]");
+        input.focus();
+        input.select();
+    },
+
+    /**
+     * Keyboard navigation: Escape closes, arrows move to the previous or next
+     * word, outside of the reading field, and Tab cycles through the fields
+     * and buttons
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeyDown(event) {
+        if (!this.ruby) {
+            return;
+        }
+
+        if (event.key === "Escape") {
+            event.preventDefault();
+            this.close();
+            return;
+        }
+
+        // Other keys are only handled while the popup has the focus, arrows
+        // moving the cursor of the reading field
+        const path = event.composedPath();
+        if (!path.includes(this.host) || (path[0].matches && path[0].matches("input[name=reading]") && event.key !== "Tab")) {
+            return;
+        }
+
+        switch (event.key) {
+            case "ArrowRight":
+            case "ArrowDown":
+                event.preventDefault();
+                this.move(1);
+                break;
+            case "ArrowLeft":
+            case "ArrowUp":
+                event.preventDefault();
+                this.move(-1);
+                break;
+            case "Tab": {
+                event.preventDefault();
+                const focusable = [...this.root.querySelectorAll("input, button")];
+                const current = focusable.indexOf(this.root.activeElement);
+                const next = current < 0
+                    ? (event.shiftKey ? focusable.length - 1 : 0)
+                    : (current + (event.shiftKey ? -1 : 1) + focusable.length) % focusable.length;
+                focusable[next].focus();
+                break;
+            }
+        }
+    },
+
+    /**
+     * Open the popup for the previous or next word of the page, or of the
+     * frame or shadow root the current word is in
+     * @param {number} offset - -1 for the previous word, 1 for the next one
+     */
+    move(offset) {
+        const rubies = [...this.ruby.getRootNode().querySelectorAll("ruby.kanji-terminator-ruby[data-word]")];
+        const next = rubies[rubies.indexOf(this.ruby) + offset];
+        if (!next) {
+            return;
+        }
+        if (next.scrollIntoView) {
+            next.scrollIntoView({ block: "nearest" });
+        }
+        this.open(next);
+    },
+
+    /**
+     * Open the popup below a ruby, in the document of the ruby
+     * @param {Element} ruby - Ruby element
+     */
+    open(ruby) {
+        const word = ruby.dataset.word;
+        const doc = ruby.ownerDocument;
+        if (!this.ruby) {
+            this.returnFocus = doc.activeElement;
+        }
+        this.ruby = ruby;
+        this.draft = null;
+        LearningHistory.recordLookup(word);
+
+        if (!this.host || !this.host.isConnected || this.host.ownerDocument !== doc) {
+            if (this.host) {
+                this.host.remove();
+            }
+            // A custom element excluded from the scan, so that the popup isn't annotated
+            this.host = doc.createElement("kanji-terminator-popup");
+            this.root = this.host.attachShadow({ mode: "open" });
+            doc.body.appendChild(this.host);
+        }
+
+        this.render(ruby, null);
+        this.lookup(word).then(lookup => {
+            if (this.ruby === ruby) {
+                this.render(ruby, lookup);
+            }
+        });
+
+        const panel = this.root.querySelector(".panel");
+        const rect = ruby.getBoundingClientRect();
+        panel.style.top = `${rect.bottom + doc.defaultView.scrollY + 4}px`;
+        panel.style.left = `${rect.left + doc.defaultView.scrollX}px`;
+        panel.focus();
+    },
+
+    /**
+     * Close the popup and give the focus back
+     */
+    close() {
+        if (!this.ruby) {
+            return;
+        }
+        this.ruby = null;
+        this.host.remove();
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    },
+
+    /**
+     * Look up a word with the backends, once per word and mode. Failed
+     * lookups are forgotten, so that the next popup of the word tries again.
+     * @param {string} word - Kanji run
+     * @returns {Promise<Object|null>} - Lookup result, see Backends.lookup
+     */
+    lookup(word) {
+        const key = `${CacheService.mode}:${word}`;
+        if (!this.lookups.has(key)) {
+            const lookup = Backends.lookup(word, CacheService.mode);
+            this.lookups.set(key, lookup);
+            lookup.then(result => {
+                if (!result && this.lookups.get(key) === lookup) {
+                    this.lookups.delete(key);
+                }
+            });
+        }
+        return this.lookups.get(key);
+    },
+
+    /**
+     * Get the romaji of a reading
+     * @param {Object|undefined} entry - Cached reading
+     * @param {Object|null} lookup - Lookup result
+     * @returns {string} - Romaji, empty when it can't be produced
+     */
+    getRomaji(entry, lookup) {
+        if (lookup && lookup.romaji) {
+            return lookup.romaji;
+        }
+        if (!entry) {
+            return "";
+        }
+        if (CacheService.mode === "romaji") {
+            return entry.reading;
+        }
+        return typeof KanjiTerminatorKakasi !== "undefined" ? KanjiTerminatorKakasi.kanaToRomaji(entry.reading) : "";
+    },
+
+    /**
+     * Fill the popup with what is known about the word of a ruby
+     * @param {Element} ruby - Ruby element
+     * @param {Object|null} lookup - Lookup result, null while it is pending or when no backend has one
+     */
+    render(ruby, lookup) {
+        const word = ruby.dataset.word;
+        const entry = CacheService.get(ruby.dataset.key || word);
+        const reading = (entry && entry.reading) || (lookup && lookup.reading) || "";
+        const status = LearningHistory.getStatus(word);
+        const active = this.root.activeElement;
+        const focused = active && (active.dataset.status || active.name);
+
+        const element = (tag, className, text) => {
+            const node = this.host.ownerDocument.createElement(tag);
+            if (className) {
+                node.className = className;
+            }
+            if (text !== undefined) {
+                node.textContent = text;
+            }
+            return node;
+        };
+
+        const previous = this.root.querySelector(".panel");
+        const panel = element("div", "panel");
+        panel.setAttribute("role", "dialog");
+        panel.setAttribute("aria-label", `Kanji Terminator: ${word}`);
+        panel.tabIndex = -1;
+        if (previous) {
+            panel.style.cssText = previous.style.cssText;
+        }
+
+        // Word, with its normalized form when it differs (e.g. 會 → 会)
+        const heading = element("div", "word", word);
+        if (lookup && lookup.normalized && lookup.normalized !== word) {
+            heading.appendChild(element("span", "normalized", ` → ${lookup.normalized}`));
+        }
+        panel.appendChild(heading);
+
+        const readingLine = element("div", "reading", reading || "…");
+        const romaji = this.getRomaji(entry, lookup);
+        if (romaji && romaji !== reading) {
+            readingLine.appendChild(element("span", "romaji", ` ${romaji}`));
+        }
+        panel.appendChild(readingLine);
+
+        // Per-kanji breakdown, with the dictionary readings of each kanji
+        const entries = (lookup && lookup.entries) || [];
+        const formatReadings = readings => readings
+            .map(item => (item.tail ? `${item.reading}(${item.okurigana.join("|")})` : item.reading))
+            .join("、");
+        const segments = entry ? getRunSegments(ruby.dataset.key || word, entry) : ((lookup && lookup.segments) || []);
+        const kanjiSegments = segments.filter(segment => segment.kind === "kanji");
+        if (kanjiSegments.length) {
+            const table = element("table");
+            kanjiSegments.forEach(segment => {
+                const row = element("tr");
+                row.appendChild(element("th", "", segment.text));
+                row.appendChild(element("td", "", segment.reading));
+                const dictEntry = entries.find(item => item.word === segment.text);
+                row.appendChild(element("td", "dictionary", dictEntry ? formatReadings(dictEntry.readings) : ""));
+                table.appendChild(row);
+            });
+            panel.appendChild(table);
+        }
+
+        const wordEntry = entries.find(item => item.word === word && [...word].length > 1);
+        if (wordEntry) {
+            panel.appendChild(element("div", "dictionary", `Dictionary: ${formatReadings(wordEntry.readings)}`));
+        }
+
+        const meanings = (entry && entry.meanings) || (lookup && lookup.meanings) || [];
+        if (meanings.length) {
+            const list = element("ul", "meanings");
+            meanings.forEach(meaning => list.appendChild(element("li", "", meaning)));
+            panel.appendChild(list);
+        }
+
+        const actions = element("div", "actions");
+        STATUS_BUTTONS.forEach(([value, label]) => {
+            const button = element("button", "", label);
+            button.type = "button";
+            button.dataset.status = String(value);
+            button.title = value ? CONFIG.WORD_STATUSES[value] : "Reading fades as you see the word";
+            button.setAttribute("aria-pressed", String(status === value));
+            button.addEventListener("click", () => {
+                Learning.setStatus(word, value);
+                this.render(ruby, lookup);
+            });
+            actions.appendChild(button);
+        });
+        const closeButton = element("button", "", "Close");
+        closeButton.type = "button";
+        closeButton.dataset.status = "close";
+        closeButton.addEventListener("click", () => this.close());
+        actions.appendChild(closeButton);
+        panel.appendChild(actions);
+        panel.appendChild(this.renderCorrection(ruby, entry, lookup, element));
+
+        this.root.textContent = "";
+        this.root.appendChild(element("style", "", POPUP_STYLE));
+        this.root.appendChild(panel);
+
+        // Keep the focus on the same button when the popup is refreshed
+        const refocus = focused && this.root.querySelector(`[data-status="${focused}"], [name="${focused}"]`);
+        if (refocus) {
+            refocus.focus();
+        } else if (previous) {
+            panel.focus();
+        }
+    },
+
+    /**
+     * Build the form correcting the reading of the word of a ruby: one reading
+     * per kanji separated by spaces shows them over their own kanji, and an
+     * empty one goes back to the resolved reading
+     * @param {Element} ruby - Ruby element
+     * @param {Object|undefined} entry - Cached reading
+     * @param {Object|null} lookup - Lookup result, see render
+     * @param {Function} element - Creates an element of the popup, from its tag, class name and text
+     * @returns {HTMLFormElement} - Correction form
+     */
+    renderCorrection(ruby, entry, lookup, element) {
+        const key = ruby.dataset.key || ruby.dataset.word;
+        const hostname = window.location.hostname;
+        const draft = this.draft && this.draft.ruby === ruby ? this.draft : null;
+
+        const form = element("form", "correction");
+        const input = element("input");
+        input.name = "reading";
+        input.setAttribute("aria-label", `Reading of ${ruby.dataset.word}, one per kanji separated by spaces`);
+        input.value = draft ? draft.reading : (entry && entry.reading ? ReadingOverrides.format(getRunSegments(key, entry)) : "");
+        form.appendChild(input);
+
+        const siteOnly = element("input");
+        siteOnly.type = "checkbox";
+        siteOnly.name = "siteOnly";
+        siteOnly.checked = Boolean(draft && draft.siteOnly);
+        if (hostname) {
+            const label = element("label");
+            label.appendChild(siteOnly);
+            label.appendChild(element("span", "", ` ${hostname} only`));
+            form.appendChild(label);
+        }
+
+        const save = element("button", "", "Correct");
+        save.type = "submit";
+        save.dataset.status = "correct";
+        form.appendChild(save);
+        const message = element("div", "error", draft ? draft.error : "");
+        form.appendChild(message);
+
+        const keepDraft = () => {
+            this.draft = { ruby, reading: input.value, siteOnly: siteOnly.checked, error: message.textContent };
+        };
+        form.addEventListener("input", keepDraft);
+        form.addEventListener("change", keepDraft);
+        form.addEventListener("submit", event => {
+            event.preventDefault();
+            try {
+                DOMHandler.correctReading(ruby, input.value, siteOnly.checked);
+            } catch (error) {
+                message.textContent = error.message;
+                keepDraft();
+                return;
+            }
+            this.draft = null;
+            this.render(ruby, lookup);
+        });
+        return form;
+    }
+};
+
+module.exports = { Popup };
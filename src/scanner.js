@@ -0,0 +1,215 @@
+// Lazy annotation of long pages
+
+const { CONFIG } = require("./config");
+const { DOMHandler } = require("./dom");
+const { getElapsedTime, startTimer } = require("./utils");
+
+/**
+ * Annotates the text of a page in slices of CONFIG.SCAN_SLICE_TIME ms, run
+ * when the browser is idle: the text on screen first, then the rest from the
+ * closest to the farthest, and text scrolled into view ahead of the rest.
+ */
+const LazyScanner = {
+    blocks: new Map(), // Elements to annotate, to their text nodes holding kanji
+    visible: [], // Elements on screen, annotated first
+    rest: [], // Other elements, from the closest to the screen to the farthest
+    observer: null, // IntersectionObserver moving elements scrolled into view to `visible`
+    handle: null, // Scheduled slice
+    startTime: 0,
+    count: 0, // Text nodes annotated since the scan started
+    onScanned: null, // Called after each slice, with true once the elements on screen are annotated
+
+    /**
+     * Annotate the text of an element, starting with a first slice right away
+     * @param {Node} root - Element or shadow root to annotate
+     * @param {Function} [onScanned] - Called after each slice, with true once the elements on screen are annotated
+     */
+    scan(root, onScanned) {
+        if (onScanned) {
+            this.onScanned = onScanned;
+        }
+        if (!this.blocks.size) {
+            this.startTime = startTimer();
+            this.count = 0;
+        }
+
+        const added = this.collect(root);
+        if (!added.length) {
+            return;
+        }
+
+        // Read every position before annotating, which changes the layout
+        const height = window.innerHeight;
+        const distances = new Map(added.map(element => {
+            const rect = element.getBoundingClientRect();
+            return [element, rect.bottom < 0 ? -rect.bottom : Math.max(0, rect.top - height)];
+        }));
+        added.forEach(element => {
+            (distances.get(element) === 0 ? this.visible : this.rest).push(element);
+        });
+        this.rest.sort((a, b) => (distances.get(a) || 0) - (distances.get(b) || 0));
+
+        if (typeof IntersectionObserver !== "undefined") {
+            if (!this.observer) {
+                this.observer = new IntersectionObserver(entries => this.handleIntersection(entries));
+            }
+            added.forEach(element => this.observer.observe(element));
+        }
+
+        this.runSlice();
+    },
+
+    /**
+     * Find the text nodes holding kanji below a node, open shadow roots and
+     * frames included, grouped by parent element
+     * @param {Node} root - Element or shadow root to read
+     * @returns {Element[]} - Elements added to `blocks`
+     */
+    collect(root) {
+        if (!root.isConnected || DOMHandler.isExcluded(root)) {
+            return [];
+        }
+
+        const innerRoots = [];
+        const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    if (node.tagName.toLowerCase() in CONFIG.EXCLUDED_TAGS || node.isContentEditable) {
+                        return NodeFilter.FILTER_REJECT;
+                    }
+                    const inner = DOMHandler.enterRoot(node);
+                    if (inner) {
+                        innerRoots.push(inner);
+                    }
+                    return NodeFilter.FILTER_SKIP;
+                }
+                return CONFIG.KANJI_REGEX.test(node.nodeValue) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+            }
+        });
+
+        const added = [];
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const element = DOMHandler.getParentElement(node);
+            if (!this.blocks.has(element)) {
+                this.blocks.set(element, []);
+                added.push(element);
+            }
+            this.blocks.get(element).push(node);
+        }
+        innerRoots.forEach(inner => added.push(...this.collect(inner)));
+        return added;
+    },
+
+    /**
+     * Annotate the elements scrolled into view before the others
+     * @param {IntersectionObserverEntry[]} entries - Elements whose visibility changed
+     */
+    handleIntersection(entries) {
+        const entered = entries
+            .filter(entry => entry.isIntersecting && this.blocks.has(entry.target))
+            .map(entry => entry.target);
+        if (!entered.length) {
+            return;
+        }
+        this.visible.push(...entered);
+        this.schedule();
+    },
+
+    /**
+     * Run the next slice when the browser is idle
+     */
+    schedule() {
+        if (this.handle !== null) {
+            return;
+        }
+        if (typeof requestIdleCallback === "function") {
+            this.handle = requestIdleCallback(deadline => {
+                this.handle = null;
+                this.runSlice(deadline);
+            }, { timeout: CONFIG.SCAN_IDLE_TIMEOUT });
+        } else {
+            this.handle = setTimeout(() => {
+                this.handle = null;
+                this.runSlice();
+            }, 0);
+        }
+    },
+
+    /**
+     * Annotate elements until the slice's time is up
+     * @param {IdleDeadline} [deadline] - Time left in the idle period
+     */
+    runSlice(deadline) {
+        const sliceStart = Date.now();
+        const hadVisible = this.visible.length > 0;
+
+        while (this.blocks.size) {
+            if (Date.now() - sliceStart >= CONFIG.SCAN_SLICE_TIME || (deadline && !deadline.didTimeout && deadline.timeRemaining() <= 0)) {
+                break;
+            }
+
+            const element = this.visible.length ? this.visible.shift() : this.rest.shift();
+            const nodes = this.blocks.get(element);
+            if (!nodes) {
+                continue; // Already annotated
+            }
+            this.blocks.delete(element);
+            if (this.observer) {
+                this.observer.unobserve(element);
+            }
+            nodes.forEach(node => DOMHandler.scanTextNodes(node));
+            this.count += nodes.length;
+        }
+
+        if (this.blocks.size) {
+            this.schedule();
+        } else {
+            this.finish();
+        }
+
+        if (this.onScanned) {
+            this.onScanned(hadVisible && !this.visible.some(element => this.blocks.has(element)));
+        }
+    },
+
+    /**
+     * Log the time the scan took once every element is annotated
+     */
+    finish() {
+        this.visible = [];
+        this.rest = [];
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.count) {
+            console.debug(
+                getElapsedTime(this.startTime),
+                "ms Kanji Terminator:",
+                this.count,
+                "text nodes annotated, frame",
+                window.location.href
+            );
+        }
+    },
+
+    /**
+     * Stop annotating, dropping the elements not annotated yet
+     */
+    stop() {
+        if (this.handle !== null) {
+            if (typeof cancelIdleCallback === "function") {
+                cancelIdleCallback(this.handle);
+            } else {
+                clearTimeout(this.handle);
+            }
+            this.handle = null;
+        }
+        this.blocks.clear();
+        this.count = 0;
+        this.finish();
+    }
+};
+
+module.exports = { LazyScanner };
@@ -0,0 +1,123 @@
+// Scheduling of the requests to the backends
+
+const { CONFIG } = require("./config");
+
+/**
+ * Runs requests at most CONFIG.MAX_CONCURRENT_REQUESTS at a time, retrying
+ * the ones that fail with a retryable error after an exponential backoff
+ */
+const RequestScheduler = {
+    active: 0, // Requests being sent
+    waiting: [], // Attempts waiting for a free slot
+    retrying: 0, // Requests waiting for their next attempt
+    failures: 0, // Requests that failed for good since the last success
+    lastError: null,
+    listeners: [],
+
+    /**
+     * Run a request
+     * @param {Function} send - Sends the request, returns a promise
+     * @param {Object} [options]
+     * @param {number} [options.retries] - Number of retries after the first attempt
+     * @returns {Promise<*>} - Result of the first successful attempt
+     */
+    run(send, { retries = CONFIG.REQUEST_RETRIES } = {}) {
+        return new Promise((resolve, reject) => {
+            const attempt = tries => {
+                this.enqueue(() => new Promise(resolve => resolve(send())).then(
+                    result => {
+                        this.failures = 0;
+                        this.lastError = null;
+                        this.notify();
+                        resolve(result);
+                    },
+                    error => {
+                        if (tries < retries && error && error.retryable) {
+                            this.retrying++;
+                            this.lastError = error;
+                            this.notify();
+                            setTimeout(() => {
+                                this.retrying--;
+                                attempt(tries + 1);
+                            }, this.getRetryDelay(tries));
+                            return;
+                        }
+                        this.failures++;
+                        this.lastError = error;
+                        this.notify();
+                        reject(error);
+                    }
+                ));
+            };
+            attempt(0);
+        });
+    },
+
+    /**
+     * Get the delay before the next attempt of a request
+     * @param {number} tries - Number of attempts that failed, minus one
+     * @returns {number} - Delay in milliseconds
+     */
+    getRetryDelay(tries) {
+        return Math.min(CONFIG.RETRY_MAX_DELAY, CONFIG.RETRY_BASE_DELAY * 2 ** tries);
+    },
+
+    /**
+     * Queue an attempt until a slot is free
+     * @param {Function} task - Runs the attempt, returns a promise
+     */
+    enqueue(task) {
+        this.waiting.push(task);
+        this.next();
+    },
+
+    /**
+     * Start the waiting attempts the free slots allow
+     */
+    next() {
+        while (this.active < CONFIG.MAX_CONCURRENT_REQUESTS && this.waiting.length) {
+            const task = this.waiting.shift();
+            this.active++;
+            this.notify();
+            // Free the slot whether the attempt succeeded or not
+            const done = () => {
+                this.active--;
+                this.notify();
+                this.next();
+            };
+            task().then(done, done);
+        }
+    },
+
+    /**
+     * Get the state of the requests
+     * @returns {{active: number, waiting: number, retrying: number, failures: number, lastError: Error|null}} - State
+     */
+    getStatus() {
+        return {
+            active: this.active,
+            waiting: this.waiting.length,
+            retrying: this.retrying,
+            failures: this.failures,
+            lastError: this.lastError,
+        };
+    },
+
+    /**
+     * Call a function whenever the state of the requests changes
+     * @param {Function} listener - Called with getStatus()
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    },
+
+    /**
+     * Tell the listeners about the state of the requests
+     */
+    notify() {
+        const status = this.getStatus();
+        this.listeners.forEach(listener => listener(status));
+    }
+};
+
+module.exports = { RequestScheduler };
@@ -0,0 +1,111 @@
+// Settings changed from the settings panel
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+
+// Values of CONFIG the settings override, as shipped with the script
+const DEFAULTS = {
+    debounceDelay: CONFIG.DEBOUNCE_DELAY,
+    chunkSize: CONFIG.CHUNK_SIZE,
+    maxCacheSize: CONFIG.MAX_CACHE_SIZE,
+    excludedTags: Object.keys(CONFIG.EXCLUDED_TAGS).filter(tag => !CONFIG.INTERNAL_TAGS.includes(tag)),
+};
+
+// Allowed range of the numeric settings
+const LIMITS = {
+    debounceDelay: { min: 0, max: 10000, label: "Debounce delay" },
+    chunkSize: { min: 1, max: 1000, label: "Chunk size" },
+    maxCacheSize: { min: 10, max: 100000, label: "Cache size" },
+};
+
+/**
+ * Settings stored with GM_setValue and applied to CONFIG, so that every
+ * module reading CONFIG picks them up without reloading the page
+ */
+const Settings = {
+    DEFAULTS,
+    LIMITS,
+
+    /**
+     * Get the stored settings, completed with the defaults
+     * @returns {{debounceDelay: number, chunkSize: number, maxCacheSize: number, excludedTags: string[]}} - Settings
+     */
+    get() {
+        const stored = gm.getValue(CONFIG.SETTINGS_KEY, {});
+        return { ...DEFAULTS, ...(stored && typeof stored === "object" ? stored : {}) };
+    },
+
+    /**
+     * Check settings before storing them
+     * @param {Object} settings - Settings to check
+     * @returns {Object} - Normalized settings
+     * @throws {Error} - When a setting is invalid
+     */
+    validate(settings) {
+        const result = { ...DEFAULTS, ...settings };
+
+        Object.keys(LIMITS).forEach(name => {
+            const { min, max, label } = LIMITS[name];
+            const value = Number(result[name]);
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`${label} must be a whole number between ${min} and ${max}`);
+            }
+            result[name] = value;
+        });
+
+        const tags = typeof result.excludedTags === "string" ? result.excludedTags.split(",") : result.excludedTags;
+        if (!Array.isArray(tags)) {
+            throw new Error("Excluded tags must be a list of tag names");
+        }
+        result.excludedTags = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+        const invalid = result.excludedTags.find(tag => !/^[a-z][a-z0-9-]*$/.test(tag));
+        if (invalid) {
+            throw new Error(`Invalid tag name "${invalid}"`);
+        }
+
+        return result;
+    },
+
+    /**
+     * Validate, store and apply settings
+     * @param {Object} settings - New settings
+     * @returns {Object} - Stored settings
+     * @throws {Error} - When a setting is invalid, nothing is stored then
+     */
+    set(settings) {
+        const result = this.validate(settings);
+        gm.setValue(CONFIG.SETTINGS_KEY, result);
+        this.apply(result);
+        return result;
+    },
+
+    /**
+     * Apply the stored settings to CONFIG
+     */
+    load() {
+        let settings;
+        try {
+            settings = this.validate(this.get());
+        } catch (error) {
+            console.debug("Kanji Terminator: Invalid settings, using the defaults", error);
+            settings = DEFAULTS;
+        }
+        this.apply(settings);
+    },
+
+    /**
+     * Apply settings to CONFIG
+     * @param {Object} settings - Validated settings
+     */
+    apply(settings) {
+        CONFIG.DEBOUNCE_DELAY = settings.debounceDelay;
+        CONFIG.CHUNK_SIZE = settings.chunkSize;
+        CONFIG.MAX_CACHE_SIZE = settings.maxCacheSize;
+        CONFIG.EXCLUDED_TAGS = {};
+        [...CONFIG.INTERNAL_TAGS, ...settings.excludedTags].forEach(tag => {
+            CONFIG.EXCLUDED_TAGS[tag] = true;
+        });
+    }
+};
+
+module.exports = { Settings };
@@ -0,0 +1,95 @@
+// Per-site rules
+
+const { CONFIG } = require("./config");
+const { gm } = require("./gm");
+
+/**
+ * Check if a URL matches a site pattern
+ *
+ * A pattern is either a domain, matching the domain and its subdomains
+ * (e.g. "example.com"), or a URL where `*` matches anything
+ * (e.g. "https://example.com/news/*"). URL patterns without a scheme
+ * match any scheme (e.g. "example.com/news/*").
+ * @param {string} pattern - Site pattern
+ * @param {URL} url - URL to check
+ * @returns {boolean} - True if the URL matches
+ */
+function matchesPattern(pattern, url) {
+    pattern = pattern.trim();
+    if (!pattern) {
+        return false;
+    }
+
+    if (!/[/*]/.test(pattern)) {
+        const domain = pattern.toLowerCase();
+        return url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+    }
+
+    const target = pattern.includes("://") ? url.href : url.href.replace(/^[a-z][\w+.-]*:\/\//i, "");
+    const regex = new RegExp(`^${pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`, "i");
+    return regex.test(target);
+}
+
+/**
+ * Allow and deny lists deciding where the script runs, whatever the language of the page
+ */
+const SiteRules = {
+    /**
+     * Get the stored rules
+     * @returns {{allow: string[], deny: string[]}} - Site patterns of each list
+     */
+    get() {
+        const rules = gm.getValue(CONFIG.SITE_RULES_KEY, {});
+        return {
+            allow: Array.isArray(rules.allow) ? rules.allow : [],
+            deny: Array.isArray(rules.deny) ? rules.deny : [],
+        };
+    },
+
+    /**
+     * Store the rules
+     * @param {{allow: string[], deny: string[]}} rules - Site patterns of each list
+     */
+    set(rules) {
+        gm.setValue(CONFIG.SITE_RULES_KEY, { allow: rules.allow, deny: rules.deny });
+    },
+
+    /**
+     * Find the rule applying to a URL. The longest matching pattern wins,
+     * deny winning over allow on a tie.
+     * @param {string} href - URL of the page
+     * @returns {"allow"|"deny"|null} - The rule, null when no pattern matches
+     */
+    match(href) {
+        const url = new URL(href);
+        const rules = this.get();
+        const longest = patterns => Math.max(-1, ...patterns.filter(pattern => matchesPattern(pattern, url)).map(pattern => pattern.length));
+
+        const allow = longest(rules.allow);
+        const deny = longest(rules.deny);
+        if (allow < 0 && deny < 0) {
+            return null;
+        }
+        return deny >= allow ? "deny" : "allow";
+    },
+
+    /**
+     * Add a domain to a list, removing it from the other one
+     * @param {string} hostname - Domain of the site
+     * @param {"allow"|"deny"|null} rule - List to add it to, null to remove it from both
+     */
+    setSiteRule(hostname, rule) {
+        const rules = this.get();
+        rules.allow = rules.allow.filter(pattern => pattern !== hostname);
+        rules.deny = rules.deny.filter(pattern => pattern !== hostname);
+        if (rule) {
+            rules[rule].push(hostname);
+        }
+        this.set(rules);
+    }
+};
+
+module.exports = {
+    SiteRules,
+    matchesPattern
+};
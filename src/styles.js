@@ -0,0 +1,66 @@
+// Styles of the rubies, shared with shadow roots and frames
+
+const { gm } = require("./gm");
+
+/**
+ * Page styles of the script. The styles added with GM_addStyle only apply to
+ * the page's document, so shadow roots and frames holding rubies get their
+ * own copy.
+ */
+const Styles = {
+    css: [], // Styles added so far
+    elements: [], // Style elements holding the copies, in the roots still in the page
+    roots: new WeakSet(),
+
+    /**
+     * Add styles to the page and to the roots holding rubies
+     * @param {string} css - Style sheet
+     */
+    add(css) {
+        this.css.push(css);
+        gm.addStyle(css);
+        this.prune();
+        this.elements.forEach(style => {
+            style.textContent += css;
+        });
+    },
+
+    /**
+     * Copy the styles into a shadow root or a frame's document, once
+     * @param {ShadowRoot|Document} root - Shadow root or document
+     */
+    attach(root) {
+        this.prune();
+        if (this.roots.has(root)) {
+            return;
+        }
+        this.roots.add(root);
+
+        const doc = root.nodeType === Node.DOCUMENT_NODE ? root : root.ownerDocument;
+        const style = doc.createElement("style");
+        style.className = "kanji-terminator-style";
+        style.textContent = this.css.join("");
+        (root.nodeType === Node.DOCUMENT_NODE ? root.head || root.documentElement : root).appendChild(style);
+        this.elements.push(style);
+    },
+
+    /**
+     * Forget the copies of the roots removed from the page, so that the
+     * shadow roots of destroyed web components and the documents of removed
+     * frames can be freed
+     */
+    prune() {
+        this.elements = this.elements.filter(style => style.isConnected);
+    },
+
+    /**
+     * Get the shadow roots and frame documents the styles were copied to
+     * @returns {Array<ShadowRoot|Document>} - Roots still holding their copy
+     */
+    getRoots() {
+        this.prune();
+        return this.elements.map(style => (style.parentNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? style.parentNode : style.ownerDocument));
+    }
+};
+
+module.exports = { Styles };
@@ -0,0 +1,137 @@
+// Utility functions
+
+const { CONFIG } = require("./config");
+
+/**
+ * Creates a debounced version of the provided function
+ * @param {Function} func - Function to debounce
+ * @param {number|Function} delay - Delay in milliseconds, or a function returning it when it can change
+ * @returns {Function} - Debounced function
+ */
+function debounce(func, delay) {
+    let timeoutId;
+    return function (...args) {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => {
+            func.apply(this, args);
+        }, typeof delay === "function" ? delay() : delay);
+    };
+}
+
+/**
+ * Build the cache key of a kanji run. The reading of a run only depends on
+ * the run itself and on the kana right after it (okurigana), so that kana is
+ * part of the key: 生き and 生ま are cached separately.
+ * @param {string} text - Text containing the run
+ * @param {number} start - Offset of the run
+ * @param {number} end - Offset just after the run
+ * @returns {string} - Cache key
+ */
+function getCacheKey(text, start, end) {
+    const next = text.charAt(end);
+    return text.substring(start, end) + (CONFIG.HIRAGANA_REGEX.test(next) ? next : "");
+}
+
+/**
+ * Get the segments of a cached reading that fall within the kanji run,
+ * dropping okurigana which stays in the page text after the ruby
+ * @param {string} key - Cache key of the kanji run, see getCacheKey
+ * @param {{reading: string, segments: Object[]}} entry - Cached reading
+ * @returns {Object[]} - Segments covering exactly the kanji run
+ */
+function getRunSegments(key, entry) {
+    const kanji = CONFIG.KANJI_REGEX.exec(key)[0];
+    const segments = [];
+    let text = "";
+
+    for (const segment of entry.segments || []) {
+        if (text.length >= kanji.length) {
+            break;
+        }
+        segments.push(segment);
+        text += segment.text;
+    }
+
+    // Alignment doesn't match the run: show the reading over the whole run,
+    // without the okurigana of the key
+    if (text !== kanji) {
+        const okurigana = key.substring(kanji.length);
+        const reading = okurigana && entry.reading.endsWith(okurigana) && entry.reading.length > okurigana.length
+            ? entry.reading.slice(0, -okurigana.length)
+            : entry.reading;
+        return [{ text: kanji, reading, kind: "kanji" }];
+    }
+    return segments;
+}
+
+/**
+ * Let the user download a file
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadFile(name, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Let the user pick a file and read it as text
+ * @param {string} accept - File types offered, as in the accept attribute
+ * @returns {Promise<string|null>} - File content, null if no file was picked
+ */
+function pickFile(accept) {
+    return new Promise(resolve => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = accept;
+        input.addEventListener("change", () => {
+            const file = input.files && input.files[0];
+            if (!file) {
+                resolve(null);
+                return;
+            }
+            const reader = new FileReader();
+            reader.addEventListener("load", () => resolve(reader.result));
+            reader.addEventListener("error", () => resolve(null));
+            reader.readAsText(file);
+        });
+        input.click();
+    });
+}
+
+let startTime = Date.now();
+
+/**
+ * Start measuring time for getElapsedTime
+ * @returns {number} - Start time, for measurements overlapping with others
+ */
+function startTimer() {
+    startTime = Date.now();
+    return startTime;
+}
+
+/**
+ * Measures elapsed time from a given start time
+ * @param {number} [start] - Start time returned by startTimer, the last one by default
+ * @returns {number} - Elapsed time in milliseconds
+ */
+function getElapsedTime(start = startTime) {
+    return Date.now() - start;
+}
+
+module.exports = {
+    debounce,
+    downloadFile,
+    getCacheKey,
+    getElapsedTime,
+    getRunSegments,
+    pickFile,
+    startTimer
+};
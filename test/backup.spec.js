@@ -0,0 +1,177 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { installGM, loadUserscript } from './helpers/userscript';
+
+const NOW = Date.now();
+
+/**
+ * Install the fake GM with a dictionary, cached readings and a learning history
+ * @returns {Object} - State of the fake GM
+ */
+function installReadings() {
+	const entry = (reading, source) => ({ reading, segments: null, source, created: NOW, used: NOW });
+	return installGM({
+		values: {
+			'kanji-terminator-dictionary': { '今日': 'きょう' },
+			'kanji-terminator-cache-index': { format: 2, versions: {} },
+			'kanji-terminator-cache-0': {
+				'hiragana:worker:漢字': entry('かんじ', 'worker'),
+				'romaji:worker:漢字': entry('kanji', 'worker'),
+				'hiragana:local:生き': entry('い', 'local'),
+			},
+			'kanji-terminator-history': {
+				'漢字': { reading: 'かんじ', seen: 1, lookups: 0, firstSeen: 0, lastSeen: 0, url: 'https://example.com/a,b' },
+			},
+		},
+	});
+}
+
+describe('readings backup', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+		vi.unstubAllGlobals();
+	});
+
+	it('exports the dictionary and the cache as JSON, CSV and Anki TSV', () => {
+		installReadings();
+		const { Backup } = loadUserscript();
+		const rows = Backup.collect();
+
+		expect(rows).toEqual([
+			{ word: '今日', reading: 'きょう', mode: 'hiragana', source: 'dictionary', url: '', site: '' },
+			{ word: '漢字', reading: 'かんじ', mode: 'hiragana', source: 'worker', url: 'https://example.com/a,b', site: '' },
+			{ word: '漢字', reading: 'kanji', mode: 'romaji', source: 'worker', url: 'https://example.com/a,b', site: '' },
+			{ word: '生き', reading: 'い', mode: 'hiragana', source: 'local', url: '', site: '' },
+		]);
+		expect(JSON.parse(Backup.toJSON(rows))).toMatchObject({ format: 'kanji-terminator-readings', readings: rows });
+		expect(Backup.toCSV(rows).split('\r\n').slice(0, 3)).toEqual([
+			'word,reading,mode,source,url,site',
+			'今日,きょう,hiragana,dictionary,,',
+			'漢字,かんじ,hiragana,worker,"https://example.com/a,b",',
+		]);
+		expect(Backup.toAnki(rows)).toBe(
+			'#separator:tab\n#html:false\n#columns:Word\tReading\tURL\n' +
+			'今日\tきょう\t\n漢字\tかんじ\thttps://example.com/a,b\n生き\tい\t\n',
+		);
+	});
+
+	it('reads back every export format, and plain reading lists', () => {
+		installReadings();
+		const { Backup } = loadUserscript();
+		const rows = Backup.collect();
+
+		expect(Backup.parse(Backup.toJSON(rows))).toEqual(rows);
+		expect(Backup.parse(Backup.toCSV(rows))).toEqual(rows);
+		expect(Backup.parse(Backup.toAnki(rows)).map(({ word, reading, source }) => [word, reading, source])).toEqual([
+			['今日', 'きょう', 'dictionary'],
+			['漢字', 'かんじ', 'dictionary'],
+			['生き', 'い', 'dictionary'],
+		]);
+		expect(Backup.parse('{"日本": "にっぽん", "hello": "world"}')).toEqual([
+			{ word: '日本', reading: 'にっぽん', mode: 'hiragana', source: 'dictionary', url: '', site: '' },
+		]);
+	});
+
+	it('keeps or replaces the readings that differ from the current ones', () => {
+		const gm = installReadings();
+		const { Backup, CacheService } = loadUserscript();
+		const rows = Backup.parse('word,reading,mode,source\n今日,こんにち,,\n明日,あした,,\n漢字,かんじ,hiragana,worker\n生き,せい,hiragana,local\n');
+
+		expect(Backup.findConflicts(rows).map(row => row.word)).toEqual(['今日', '生き']);
+		expect(Backup.import(rows, false)).toEqual({ added: 1, replaced: 0, kept: 2 });
+		expect(gm.values['kanji-terminator-dictionary']).toEqual({ '今日': 'きょう', '明日': 'あした' });
+
+		expect(Backup.import(rows, true)).toEqual({ added: 0, replaced: 2, kept: 0 });
+		expect(gm.values['kanji-terminator-dictionary']).toEqual({ '今日': 'こんにち', '明日': 'あした' });
+		expect(CacheService.entries.get('hiragana:local:生き').reading).toBe('せい');
+	});
+
+	it('exports the mode of dictionary readings and only imports known sources', () => {
+		installGM({ values: { 'kanji-terminator-dictionary': { '東京': 'トウキョウ', '大阪': 'oosaka' } } });
+		const { Backup } = loadUserscript();
+
+		expect(Backup.collect().map(row => row.mode)).toEqual(['katakana', 'romaji']);
+		const rows = [
+			{ word: '漢字', reading: 'かんじ', source: 'worker' },
+			{ word: '日本', reading: 'にほん', source: 'elsewhere' },
+			{ word: '文字', reading: 'もじ', source: 'constructor', mode: 'toString' },
+		];
+		expect(Backup.parse(JSON.stringify(rows)).map(row => row.word)).toEqual(['漢字']);
+	});
+
+	it('imports the readings of the reading dictionary as hiragana, keeping the romaji ones out', () => {
+		const gm = installGM({ values: { 'kanji-terminator-dictionary': { '京都': 'きょうと' } } });
+		const { Backup } = loadUserscript();
+
+		const rows = Backup.parse('word,reading,mode,source\n東京,トウキョウ,katakana,dictionary\n大阪,oosaka,romaji,dictionary\n京都,キョウト,,\n');
+		expect(rows.map(row => row.mode)).toEqual(['katakana', 'romaji', 'katakana']);
+		expect(Backup.findConflicts(rows)).toEqual([]);
+		expect(Backup.import(rows, false)).toEqual({ added: 1, replaced: 0, kept: 1 });
+		expect(gm.values['kanji-terminator-dictionary']).toEqual({ '京都': 'きょうと', '東京': 'とうきょう' });
+	});
+
+	it('stamps imported readings as resolved at import time', () => {
+		vi.useFakeTimers({ now: NOW });
+		try {
+			const gm = installGM();
+			const { Backup, CacheService, CONFIG } = loadUserscript();
+			const exported = { format: 'kanji-terminator-readings', readings: [{ word: '漢字', reading: 'かんじ', mode: 'hiragana', source: 'worker', created: 0, used: 0 }] };
+
+			Backup.import(Backup.parse(JSON.stringify(exported)), false);
+			expect(CacheService.entries.get('hiragana:worker:漢字')).toMatchObject({ created: NOW, used: NOW });
+
+			vi.setSystemTime(NOW + CONFIG.CACHE_TTL - 1000);
+			installGM({ values: gm.values });
+			const { CacheService: reloaded } = loadUserscript();
+			reloaded.load();
+			expect(reloaded.get('漢字')).toMatchObject({ reading: 'かんじ', source: 'worker' });
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it('exports and imports the readings corrected on the page', () => {
+		const gm = installGM({
+			values: {
+				'kanji-terminator-overrides': {
+					global: { 'hiragana:日本': 'にっ ぽん' },
+					sites: { 'example.com': { 'katakana:生き': 'ナマ' } },
+				},
+			},
+		});
+		const { Backup } = loadUserscript();
+		const rows = Backup.collect();
+
+		expect(rows).toEqual([
+			{ word: '日本', reading: 'にっ ぽん', mode: 'hiragana', source: 'user', url: '', site: '' },
+			{ word: '生き', reading: 'ナマ', mode: 'katakana', source: 'user', url: '', site: 'example.com' },
+		]);
+		expect(Backup.toAnki(rows)).toContain('日本\tにっぽん\t\n');
+		const exported = Backup.toCSV(rows);
+		expect(Backup.parse(exported)).toEqual(rows);
+
+		installGM();
+		const { Backup: other } = loadUserscript();
+		expect(other.import(other.parse(exported), false)).toEqual({ added: 2, replaced: 0, kept: 0 });
+		expect(GM_getValue('kanji-terminator-overrides')).toEqual(gm.values['kanji-terminator-overrides']);
+	});
+
+	it('imports a file in one click from the menu', async () => {
+		const gm = installGM({ values: { 'kanji-terminator-dictionary': { '今日': 'きょう' } } });
+		const { registerMenuCommands } = loadUserscript();
+		registerMenuCommands();
+		vi.spyOn(HTMLInputElement.prototype, 'click').mockImplementation(function () {
+			Object.defineProperty(this, 'files', { value: [new File(['{"今日": "こんにち", "日本": "にっぽん"}'], 'readings.json')] });
+			this.dispatchEvent(new Event('change'));
+		});
+		const confirm = vi.fn(() => true);
+		const alert = vi.fn();
+		vi.stubGlobal('confirm', confirm);
+		vi.stubGlobal('alert', alert);
+
+		await gm.menu['Import readings']();
+
+		expect(confirm).toHaveBeenCalledTimes(1);
+		expect(gm.values['kanji-terminator-dictionary']).toEqual({ '今日': 'こんにち', '日本': 'にっぽん' });
+		expect(alert).toHaveBeenCalledWith('Readings imported: 1 added, 1 replaced, 0 kept. Reload the page to apply.');
+	});
+});
@@ -0,0 +1,18 @@
+import { createRequire } from 'node:module';
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { build } = require('../scripts/build');
+
+describe('userscript build', () => {
+	it('keeps kanji.js in sync with src/', () => {
+		const committed = fs.readFileSync(path.resolve(__dirname, '../kanji.js'), 'utf8');
+		expect(build() === committed, 'kanji.js is out of date, run `npm run build`').toBe(true);
+	});
+
+	it('starts with the userscript metadata block', () => {
+		expect(build()).toMatch(/^\/\/ ==UserScript==\n[\s\S]*?\/\/ ==\/UserScript==\n/);
+	});
+});
@@ -0,0 +1,185 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { installGM, loadUserscript, setValueFromOtherTab } from './helpers/userscript';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the cache entries stored in the chunks
+ * @param {Object} values - Stored values of the fake GM
+ * @returns {Object} - Entries by storage key
+ */
+function storedEntries(values) {
+	return Object.assign({}, ...Object.keys(values).filter(key => /^kanji-terminator-cache-\d+$/.test(key)).map(key => values[key]));
+}
+
+describe('CacheService', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	it('stores readings with their segments, source and timestamps', () => {
+		vi.useFakeTimers({ now: 1000 });
+		const gm = installGM();
+		const { CacheService } = loadUserscript();
+		const segments = [{ text: '日本', reading: 'にほん', kind: 'kanji' }];
+
+		CacheService.load();
+		CacheService.set('日本', 'にほん', segments, 'worker', undefined, 'v1');
+		CacheService.save();
+
+		expect(CacheService.has('日本')).toBe(true);
+		expect(CacheService.get('日本')).toEqual({ reading: 'にほん', segments, source: 'worker' });
+		expect(storedEntries(gm.values)).toEqual({
+			'hiragana:worker:日本': { reading: 'にほん', segments, source: 'worker', dictionary: 'v1', created: 1000, used: 1000 },
+		});
+		expect(gm.values['kanji-terminator-cache-index']).toEqual({ format: 2, versions: { worker: 'v1' } });
+	});
+
+	it('moves the cache of older versions to the chunks', () => {
+		const gm = installGM({
+			values: {
+				'kanji-terminator-caches': JSON.stringify({ '漢字': 'かんじ', 'romaji:日本': { reading: 'nihon', segments: null, source: 'local' } }),
+			},
+		});
+		const { CacheService } = loadUserscript();
+
+		CacheService.load();
+		expect(CacheService.get('漢字')).toEqual({ reading: 'かんじ', segments: null, source: 'worker' });
+		// Kept until its entries are saved to the chunks
+		expect(gm.values['kanji-terminator-caches']).toBeDefined();
+		CacheService.mode = 'romaji';
+		expect(CacheService.get('日本')).toEqual({ reading: 'nihon', segments: null, source: 'local' });
+
+		CacheService.save();
+		expect(gm.values['kanji-terminator-caches']).toBeUndefined();
+		expect(Object.keys(storedEntries(gm.values)).sort()).toEqual(['hiragana:worker:漢字', 'romaji:local:日本']);
+	});
+
+	it('keeps the readings of each mode and backend apart', () => {
+		installGM({ values: { 'kanji-terminator-mode': 'romaji', 'kanji-terminator-backends': ['worker', 'local'] } });
+		const { Backends, CacheService } = loadUserscript();
+
+		CacheService.set('日本', 'nihon', null, 'local');
+		CacheService.set('日本', 'nippon', null, 'worker');
+		expect([...CacheService.entries.keys()]).toEqual(['romaji:local:日本', 'romaji:worker:日本']);
+		expect(CacheService.get('日本').reading).toBe('nippon');
+
+		// Readings of the first backend in order win, backends left out aren't used
+		Backends.setOrder(['local']);
+		expect(CacheService.get('日本').reading).toBe('nihon');
+		Backends.setOrder(['dictionary']);
+		expect(CacheService.has('日本')).toBe(false);
+
+		CacheService.mode = 'hiragana';
+		Backends.setOrder(['worker', 'local']);
+		expect(CacheService.has('日本')).toBe(false);
+	});
+
+	it('drops the least recently used entries once it is full', () => {
+		vi.spyOn(console, 'debug').mockImplementation(() => {});
+		vi.useFakeTimers({ now: 0 });
+		const gm = installGM();
+		const { CacheService, CONFIG } = loadUserscript();
+		CONFIG.MAX_CACHE_SIZE = 3;
+		CacheService.load();
+
+		['漢字', '日本', '学校'].forEach(word => CacheService.set(word, 'よみ', null, 'worker'));
+		vi.setSystemTime(DAY);
+		CacheService.get('漢字');
+		CacheService.set('電車', 'でんしゃ', null, 'worker');
+		CacheService.save();
+
+		expect([...CacheService.entries.keys()]).toEqual(['hiragana:worker:学校', 'hiragana:worker:漢字', 'hiragana:worker:電車']);
+		expect(storedEntries(gm.values)['hiragana:worker:漢字'].used).toBe(DAY);
+
+		// The recency survives a reload
+		const { CacheService: reloaded, CONFIG: reloadedConfig } = loadUserscript();
+		reloadedConfig.MAX_CACHE_SIZE = 2;
+		reloaded.load();
+		reloaded.save();
+		expect([...reloaded.entries.keys()]).toEqual(['hiragana:worker:漢字', 'hiragana:worker:電車']);
+	});
+
+	it('only rewrites the chunks that changed', () => {
+		const gm = installGM();
+		const { CacheService } = loadUserscript();
+		CacheService.load();
+		CacheService.set('漢字', 'かんじ', null, 'worker');
+		CacheService.save();
+
+		const setValue = vi.fn(GM_setValue);
+		vi.stubGlobal('GM_setValue', setValue);
+		CacheService.get('漢字');
+		CacheService.save();
+		expect(setValue).not.toHaveBeenCalled();
+
+		CacheService.set('日本', 'にほん', null, 'worker');
+		CacheService.save();
+		expect(setValue).toHaveBeenCalledTimes(1);
+		expect(setValue.mock.calls[0][1]).toHaveProperty(['hiragana:worker:日本']);
+		expect(Object.keys(storedEntries(gm.values))).toHaveLength(2);
+	});
+
+	it('drops expired entries and entries of an older dictionary', () => {
+		vi.spyOn(console, 'debug').mockImplementation(() => {});
+		vi.useFakeTimers({ now: 0 });
+		installGM();
+		const { CacheService, CONFIG } = loadUserscript();
+
+		CacheService.set('漢字', 'かんじ', null, 'worker', undefined, 'v1');
+		CacheService.set('日本', 'にほん', null, 'worker', undefined, 'v1');
+		vi.setSystemTime(CONFIG.CACHE_TTL);
+		CacheService.set('学校', 'がっこう', null, 'worker', undefined, 'v1');
+		expect(CacheService.has('漢字')).toBe(false);
+		expect(CacheService.has('学校')).toBe(true);
+
+		CacheService.set('電車', 'でんしゃ', null, 'worker', undefined, 'v2');
+		expect(CacheService.has('学校')).toBe(false);
+		expect([...CacheService.entries.keys()]).toEqual(['hiragana:worker:電車']);
+	});
+
+	it('keeps the readings other tabs saved in the meantime', () => {
+		const gm = installGM();
+		const tabs = [loadUserscript(), loadUserscript()];
+		tabs.forEach(({ CacheService, CONFIG }) => {
+			CONFIG.CACHE_CHUNKS = 1;
+			CacheService.load();
+		});
+		const [first, second] = tabs.map(tab => tab.CacheService);
+
+		first.set('漢字', 'かんじ', null, 'worker');
+		second.set('日本', 'にほん', null, 'worker');
+		first.save();
+		second.save();
+		expect(Object.keys(gm.values['kanji-terminator-cache-0']).sort()).toEqual(['hiragana:worker:日本', 'hiragana:worker:漢字']);
+		expect(second.get('漢字').reading).toBe('かんじ');
+
+		// Entries a tab dropped aren't brought back by the merge
+		second.delete('hiragana:worker:漢字');
+		second.save();
+		expect(Object.keys(gm.values['kanji-terminator-cache-0'])).toEqual(['hiragana:worker:日本']);
+	});
+
+	it('merges the entries other tabs save as they come', () => {
+		vi.useFakeTimers({ now: 1000 });
+		const gm = installGM({ values: { 'kanji-terminator-mode': 'katakana' } });
+		const { CacheService } = loadUserscript();
+		const updated = vi.fn();
+		CacheService.load();
+		CacheService.listen(updated);
+		CacheService.set('日本', 'ニホン', null, 'worker');
+
+		const entry = reading => ({ reading, segments: null, source: 'worker', created: 2000, used: 2000 });
+		setValueFromOtherTab(gm, 'kanji-terminator-cache-3', {
+			'katakana:worker:日本': entry('ニッポン'),
+			'katakana:local:漢字': entry('カンジ'),
+			'hiragana:worker:学校': entry('がっこう'),
+		});
+		expect(updated).toHaveBeenCalledWith(['日本', '漢字']);
+		expect(CacheService.get('日本').reading).toBe('ニッポン');
+
+		setValueFromOtherTab(gm, 'kanji-terminator-cache-index', { format: 2, versions: { worker: 'v2' } });
+		expect(CacheService.versions.worker).toBe('v2');
+	});
+});
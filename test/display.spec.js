@@ -0,0 +1,101 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { startUserscript, stopUserscript } from './helpers/userscript';
+
+const WAIT = { timeout: 3000 };
+
+describe('display modes', () => {
+	beforeEach(() => {
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		stopUserscript();
+		document.querySelectorAll('kanji-terminator-popup').forEach(popup => popup.remove());
+		vi.clearAllTimers();
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	/**
+	 * Start the userscript with its menu on a page with two words
+	 * @param {Object} [values] - Stored values
+	 * @returns {Promise<Object>} - See startUserscript
+	 */
+	async function start(values = {}) {
+		const started = startUserscript('<html lang="ja"><body><p>漢字と<a href="#next">日本</a></p><input></body></html>', {
+			values: { KANJI_API: 'https://resolver.example', ...values },
+		});
+		started.registerMenuCommands();
+		await vi.waitFor(() => expect(document.querySelectorAll('rt[data-rt]').length).toBe(3), WAIT);
+		return started;
+	}
+
+	it('shows readings with the stored mode and has styles for every mode', async () => {
+		const { gm } = await start({ 'kanji-terminator-display': 'hover' });
+
+		expect(document.documentElement.dataset.kanjiTerminatorDisplay).toBe('hover');
+		const styles = gm.styles.join('\n');
+		['hover', 'toggle', 'quiz'].forEach(mode => {
+			expect(styles).toContain(`html[data-kanji-terminator-display="${mode}"]`);
+		});
+	});
+
+	it('switches modes from the menu without touching the rubies', async () => {
+		const { gm } = await start();
+		expect(document.documentElement.dataset.kanjiTerminatorDisplay).toBe('always');
+		const rubies = [...document.querySelectorAll('ruby')];
+		const html = document.body.innerHTML;
+
+		gm.menu['Readings visible on hover']();
+		expect(document.documentElement.dataset.kanjiTerminatorDisplay).toBe('hover');
+		expect(gm.values['kanji-terminator-display']).toBe('hover');
+		expect([...document.querySelectorAll('ruby')]).toEqual(rubies);
+		expect(document.body.innerHTML).toBe(html);
+	});
+
+	it('shows and hides every reading with Alt+R in toggle mode', async () => {
+		const { gm } = await start();
+		const press = (target, options = {}) => {
+			const event = new KeyboardEvent('keydown', { code: 'KeyR', key: 'r', altKey: true, bubbles: true, cancelable: true, ...options });
+			target.dispatchEvent(event);
+			return event;
+		};
+
+		// Only the toggle mode has a shortcut
+		expect(press(document.body).defaultPrevented).toBe(false);
+
+		gm.menu['Readings toggled with Alt+R']();
+		expect(press(document.body).defaultPrevented).toBe(true);
+		expect('kanjiTerminatorHidden' in document.documentElement.dataset).toBe(true);
+		press(document.body);
+		expect('kanjiTerminatorHidden' in document.documentElement.dataset).toBe(false);
+
+		// Typing is left alone
+		press(document.querySelector('input'));
+		press(document.body, { code: 'KeyT' });
+		expect('kanjiTerminatorHidden' in document.documentElement.dataset).toBe(false);
+	});
+
+	it('reveals blurred readings on click in quiz mode', async () => {
+		const { gm } = await start({ 'kanji-terminator-display': 'quiz' });
+		const [kanji, nihon] = document.querySelectorAll('ruby');
+
+		const click = new MouseEvent('click', { bubbles: true, cancelable: true });
+		kanji.querySelector('rt').dispatchEvent(click);
+		expect(click.defaultPrevented).toBe(true);
+		expect('revealed' in kanji.dataset).toBe(true);
+		expect(gm.values['kanji-terminator-history']['漢字'].lookups).toBe(1);
+		// Revealing doesn't open the popup, the next click does
+		expect(document.querySelector('kanji-terminator-popup')).toBeNull();
+		kanji.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+		expect(document.querySelector('kanji-terminator-popup')).not.toBeNull();
+
+		// Links are followed, Shift+click reveals their readings
+		const follow = new MouseEvent('click', { bubbles: true, cancelable: true });
+		nihon.dispatchEvent(follow);
+		expect(follow.defaultPrevented).toBe(false);
+		expect('revealed' in nihon.dataset).toBe(false);
+		nihon.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, shiftKey: true }));
+		expect('revealed' in nihon.dataset).toBe(true);
+	});
+});
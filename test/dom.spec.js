@@ -0,0 +1,681 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { resolveLikeWorker, rubyPairs, setValueFromOtherTab, startUserscript, stopUserscript } from './helpers/userscript';
+
+const WAIT = { timeout: 3000 };
+
+describe('userscript DOM handling', () => {
+	// Fake timers let the debounced conversion run without waiting, and drop
+	// the conversions a test leaves pending instead of running them in the next one
+	beforeEach(() => {
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		stopUserscript();
+		vi.clearAllTimers();
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	const start = startUserscript;
+
+	it('annotates test.html with per-kanji ruby markup', async () => {
+		const { gm } = start(null);
+
+		await vi.waitFor(() => {
+			expect(document.querySelectorAll('rt[data-rt]').length).toBeGreaterThan(0);
+			expect(document.querySelectorAll('ruby > rt:not(.kanji-terminator-rt)')).toHaveLength(0);
+		}, WAIT);
+		await vi.waitFor(() => {
+			expect(document.querySelectorAll('ruby.kanji-terminator-ruby rb').length).toBe(
+				document.querySelectorAll('ruby.kanji-terminator-ruby rt').length,
+			);
+			expect(gm.values['kanji-terminator-cache-index']).toBeDefined();
+		}, WAIT);
+
+		const rubies = [...document.querySelectorAll('ruby.kanji-terminator-ruby')];
+		const pairs = rubies.map(rubyPairs);
+		expect(pairs).toContainEqual(['日本:にほん']);
+		expect(pairs).toContainEqual(['漢:かん', '字:じ']);
+		expect(pairs).toContainEqual(['伝:でん', '来:らい']);
+
+		// The text of the page is left as is
+		expect(document.body.textContent.replace(/\s+/g, '')).toContain('日本に漢字が伝来する以前');
+		// Every kanji run went through a single request to the resolver
+		expect(gm.requests).toHaveLength(1);
+		expect(JSON.parse(gm.requests[0].data).version).toBe(2);
+	});
+
+	it('leaves okurigana outside the ruby', async () => {
+		start('<html lang="ja"><body><p>生きる</p></body></html>');
+
+		await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+		const ruby = document.querySelector('ruby');
+		expect(rubyPairs(ruby)).toEqual(['生:い']);
+		expect(ruby.nextSibling.nodeValue).toBe('きる');
+	});
+
+	it('does nothing on pages that are not in Japanese', () => {
+		const { gm, observer } = start('<html lang="en"><body><p>The word for Japan is 日本.</p></body></html>');
+
+		expect(observer).toBeNull();
+		expect(document.querySelector('ruby')).toBeNull();
+		expect(gm.styles).toHaveLength(0);
+	});
+
+	it('accepts regional Japanese lang values', () => {
+		const { observer } = start('<html lang="ja-JP"><body><p>日本</p></body></html>');
+
+		expect(observer).not.toBeNull();
+		expect(document.querySelectorAll('ruby')).toHaveLength(1);
+	});
+
+	it('detects Japanese pages without a lang attribute from their text', () => {
+		const { observer } = start('<html><body><p>漢字が伝来する以前、日本語には固有の文字がなかった。</p></body></html>');
+
+		expect(observer).not.toBeNull();
+		expect(document.querySelectorAll('ruby').length).toBeGreaterThan(0);
+	});
+
+	it('checks the language of pages without text again as they load', async () => {
+		const { CONFIG, observer } = start('<html><body><div id="app"></div></body></html>');
+		expect(observer).toBeNull();
+
+		document.getElementById('app').innerHTML = '<p>漢字が伝来する以前、日本語には固有の文字がなかった。</p>';
+		await vi.advanceTimersByTimeAsync(0);
+		expect(document.querySelectorAll('ruby').length).toBeGreaterThan(0);
+
+		// Pages still without enough text are left alone after a while
+		start('<html><body><div id="app"></div></body></html>');
+		await vi.advanceTimersByTimeAsync(CONFIG.LANGUAGE_RECHECK_TIME);
+		document.getElementById('app').innerHTML = '<p>漢字が伝来する以前、日本語には固有の文字がなかった。</p>';
+		await vi.advanceTimersByTimeAsync(0);
+		expect(document.querySelector('ruby')).toBeNull();
+	});
+
+	it('does not take Chinese pages for Japanese', () => {
+		const { observer } = start('<html><body><p>汉字是中国的文字。</p></body></html>');
+
+		expect(observer).toBeNull();
+	});
+
+	it('only annotates the Japanese parts of other pages', () => {
+		start('<html lang="en"><body><p>The word <span lang="ja-JP">日本</span> means 日本.</p></body></html>');
+
+		const rubies = document.querySelectorAll('ruby');
+		expect(rubies).toHaveLength(1);
+		expect(rubies[0].parentElement.lang).toBe('ja-JP');
+	});
+
+	it('skips parts of Japanese pages in other languages', () => {
+		start('<html lang="ja"><body><p>日本</p><p lang="zh">中国</p></body></html>');
+
+		const rubies = document.querySelectorAll('ruby');
+		expect(rubies).toHaveLength(1);
+		expect(rubies[0].textContent).toBe('日本');
+	});
+
+	it('follows the site rules over the language of the page', () => {
+		const { observer } = start('<html lang="ja"><body><p>日本</p></body></html>', { values: { 'kanji-terminator-site-rules': { allow: [], deny: ['localhost'] } } });
+		expect(observer).toBeNull();
+		expect(document.querySelector('ruby')).toBeNull();
+
+		start('<html lang="en"><body><p>日本</p></body></html>', { values: { 'kanji-terminator-site-rules': { allow: ['localhost'], deny: [] } } });
+		expect(document.querySelectorAll('ruby')).toHaveLength(1);
+	});
+
+	it('skips excluded tags and editable content', () => {
+		start(
+			'<html lang="ja"><body>' +
+			'<script>var s = "日本";</script>' +
+			'<textarea>日本</textarea>' +
+			'<select><option>日本</option></select>' +
+			'<div contenteditable="true">日本</div>' +
+			'<ruby>漢字<rt>かんじ</rt></ruby>' +
+			'<p>日本</p>' +
+			'</body></html>',
+		);
+
+		const rubies = document.querySelectorAll('ruby.kanji-terminator-ruby');
+		expect(rubies).toHaveLength(1);
+		expect(rubies[0].parentElement.tagName).toBe('P');
+		expect(document.querySelector('textarea').value).toBe('日本');
+	});
+
+	it('skips runs made only of known kanji', async () => {
+		const { gm } = start('<html lang="ja"><body><p>日本の漢字と日本語</p></body></html>', {
+			values: { 'KANJI_API': 'https://resolver.example', 'kanji-terminator-known-level': 1 },
+		});
+
+		await vi.waitFor(() => expect(gm.values['kanji-terminator-cache-index']).toBeDefined(), WAIT);
+		expect(gm.requests).toHaveLength(1);
+		expect([...document.querySelectorAll('ruby')].map(ruby => ruby.textContent)).toEqual(['漢字', '日本語']);
+		expect(document.querySelector('p').textContent).toBe('日本の漢字と日本語');
+	});
+
+	it('changes the status of a word on Alt+click', async () => {
+		const { gm } = start('<html lang="ja"><body><p><a href="#next">漢字</a>と漢字</p></body></html>');
+		await vi.waitFor(() => expect(document.querySelectorAll('rt[data-rt]').length).toBe(4), WAIT);
+		const rubies = [...document.querySelectorAll('ruby')];
+
+		const click = new MouseEvent('click', { bubbles: true, cancelable: true, altKey: true });
+		rubies[0].querySelector('rb').dispatchEvent(click);
+
+		expect(click.defaultPrevented).toBe(true);
+		expect(rubies.map(ruby => ruby.dataset.display)).toEqual(['known', 'known']);
+		expect(gm.values['kanji-terminator-history']['漢字'].status).toBe('known');
+
+		rubies[1].dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, altKey: true }));
+		expect(rubies.map(ruby => ruby.dataset.display)).toEqual(['hover', 'hover']);
+
+		// A plain click is left to the page
+		const plain = new MouseEvent('click', { bubbles: true, cancelable: true });
+		rubies[0].dispatchEvent(plain);
+		expect(plain.defaultPrevented).toBe(false);
+	});
+
+	it('changes the status of a word on long press', async () => {
+		start('<html lang="ja"><body><p><a href="#next">漢字</a></p></body></html>');
+		await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+		const ruby = document.querySelector('ruby');
+
+		ruby.dispatchEvent(new MouseEvent('pointerdown', { bubbles: true, button: 0 }));
+		vi.advanceTimersByTime(1000);
+		expect(ruby.dataset.display).toBe('known');
+
+		// The click ending the long press doesn't follow the link
+		const click = new MouseEvent('click', { bubbles: true, cancelable: true });
+		ruby.dispatchEvent(click);
+		expect(click.defaultPrevented).toBe(true);
+	});
+
+	it('fades readings of words seen on earlier pages', async () => {
+		const { gm } = start('<html lang="ja"><body><p>漢字と日本</p></body></html>', {
+			values: {
+				'KANJI_API': 'https://resolver.example',
+				'kanji-terminator-history': {
+					'漢字': { reading: 'かんじ', seen: 4, lookups: 0, firstSeen: 0, lastSeen: 0 },
+					'日本': { reading: 'にほん', seen: 20, lookups: 0, firstSeen: 0, lastSeen: 0 },
+				},
+			},
+		});
+		await vi.waitFor(() => expect(gm.values['kanji-terminator-history']['漢字'].seen).toBe(5), WAIT);
+
+		const [kanji, nihon] = document.querySelectorAll('ruby');
+		expect(kanji.style.getPropertyValue('--kanji-terminator-opacity')).toBe('0.65');
+		expect(kanji.dataset.display).toBeUndefined();
+		expect(nihon.dataset.display).toBe('hover');
+
+		nihon.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+		expect(gm.values['kanji-terminator-history']['日本'].lookups).toBe(1);
+	});
+
+	it('annotates nodes added after the initial scan', async () => {
+		start('<html lang="ja"><body><p>日本</p></body></html>');
+		await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+
+		const added = document.createElement('p');
+		added.textContent = '漢字を学ぶ';
+		document.body.appendChild(added);
+
+		await vi.waitFor(() => expect(added.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+		expect([...added.querySelectorAll('ruby')].map(rubyPairs)).toEqual([['漢:かん', '字:じ'], ['学:まな']]);
+		// Inserted rb/rt elements aren't scanned again
+		expect(added.querySelectorAll('ruby ruby')).toHaveLength(0);
+	});
+
+	it('removes the readings and restores the text nodes when disabled', async () => {
+		const html = '<p>今日は<b>漢字</b>を学ぶ。日本語</p><p>かな</p>';
+		const { gm, disable, registerMenuCommands } = start(`<html lang="ja"><body>${html}</body></html>`);
+		registerMenuCommands({ onDisable: disable });
+		await vi.waitFor(() => expect(document.querySelectorAll('rt[data-rt]').length).toBeGreaterThan(0), WAIT);
+
+		gm.menu['Disable on this page']();
+		expect(document.body.innerHTML).toBe(html);
+		expect(document.querySelector('p').childNodes).toHaveLength(3);
+		expect(document.querySelector('p').lastChild.nodeValue).toBe('を学ぶ。日本語');
+
+		// Text added afterwards is left alone
+		const added = document.createElement('p');
+		added.textContent = '漢字';
+		document.body.appendChild(added);
+		await vi.advanceTimersByTimeAsync(1000);
+		expect(document.querySelector('ruby')).toBeNull();
+	});
+
+	it('copies the selection without the readings', async () => {
+		start('<html lang="ja"><body><p>今日は漢字を学ぶ</p></body></html>');
+		await vi.waitFor(() => expect(document.querySelectorAll('rt[data-rt]').length).toBeGreaterThan(0), WAIT);
+
+		const range = document.createRange();
+		range.selectNodeContents(document.querySelector('p'));
+		document.getSelection().removeAllRanges();
+		document.getSelection().addRange(range);
+
+		const data = {};
+		const copy = new Event('copy', { bubbles: true, cancelable: true });
+		copy.clipboardData = { setData: (type, value) => (data[type] = value) };
+		document.querySelector('p').dispatchEvent(copy);
+
+		expect(copy.defaultPrevented).toBe(true);
+		expect(data['text/plain']).toBe('今日は漢字を学ぶ');
+		expect(data['text/html']).toBe('今日は漢字を学ぶ');
+	});
+
+	it('annotates text changed in place and drops the stale readings', async () => {
+		const { gm } = start('<html lang="ja"><body><p>今日は晴れ</p><p>ひらがな</p></body></html>');
+		await vi.waitFor(() => expect(document.querySelectorAll('rt[data-rt]').length).toBeGreaterThan(0), WAIT);
+		const [first, second] = document.querySelectorAll('p');
+
+		// Frameworks keep the text node they created and update its value
+		first.firstChild.nodeValue = '明日と日本';
+		second.firstChild.nodeValue = 'ひらがなと漢字';
+
+		await vi.waitFor(() => expect(second.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+		await vi.waitFor(() => expect(first.querySelectorAll('rt[data-rt]').length).toBe(2), WAIT);
+		expect(first.textContent).toBe('明日と日本');
+		expect([...first.querySelectorAll('ruby')].map(ruby => ruby.dataset.word)).toEqual(['明日', '日本']);
+		expect(second.textContent).toBe('ひらがなと漢字');
+		expect(gm.requests.length).toBeLessThanOrEqual(3);
+	});
+
+	it('removes the rubies and text split from a text node the page removes', async () => {
+		const { DOMHandler } = start('<html lang="ja"><body><p>はい日本と漢字です</p><p>漢字</p></body></html>');
+		await vi.waitFor(() => expect(document.querySelectorAll('ruby:has(rt[data-rt])')).toHaveLength(3), WAIT);
+		const [first, second] = document.querySelectorAll('p');
+
+		// Frameworks only know the text node they created
+		first.removeChild(first.firstChild);
+		await vi.advanceTimersByTimeAsync(0);
+
+		expect(first.textContent).toBe('');
+		expect(first.childNodes).toHaveLength(0);
+		expect(second.textContent).toBe('漢字');
+		expect(DOMHandler.rubies.size).toBe(1);
+	});
+
+	it('leaves the nodes it inserted alone and annotates replaced subtrees', async () => {
+		const { DOMHandler } = start('<html lang="ja"><body><div><p>漢字</p></div></body></html>');
+		await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+		const scan = vi.spyOn(DOMHandler, 'scanTextNodes');
+
+		const div = document.querySelector('div');
+		div.innerHTML = '<p>日本と漢字</p>';
+		await vi.waitFor(() => expect(div.querySelectorAll('rt[data-rt]').length).toBe(3), WAIT);
+
+		expect(div.querySelectorAll('ruby')).toHaveLength(2);
+		expect(div.querySelectorAll('ruby ruby')).toHaveLength(0);
+		expect(scan.mock.calls.filter(([node]) => DOMHandler.inserted.has(node))).toHaveLength(0);
+		// The replaced rubies aren't tracked anymore
+		expect(DOMHandler.rubies.size).toBe(2);
+	});
+
+	it('follows the site rules when a single-page application changes its URL', async () => {
+		const { gm, LearningHistory } = start('<html lang="ja"><body><p>漢字</p></body></html>', {
+			values: { 'KANJI_API': 'https://resolver.example', 'kanji-terminator-site-rules': { allow: [], deny: ['*/private/*'] } },
+		});
+		await vi.waitFor(() => expect(gm.values['kanji-terminator-history']).toBeDefined(), WAIT);
+		expect(LearningHistory.entries['漢字'].seen).toBe(1);
+
+		try {
+			history.pushState(null, '', '/private/page');
+			expect(document.querySelector('ruby')).toBeNull();
+
+			history.pushState(null, '', '/public/page');
+			await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+			// Words count again on the new page
+			expect(LearningHistory.entries['漢字'].seen).toBe(2);
+
+			// Fragments don't change the page
+			history.pushState(null, '', '/public/page#top');
+			expect(LearningHistory.seenOnPage.has('漢字')).toBe(true);
+		} finally {
+			history.replaceState(null, '', '/');
+		}
+	});
+
+	it('follows navigations of the page through its own window and the mutations they cause', async () => {
+		const pushState = History.prototype.pushState;
+		const pageHistory = { pushState: (...args) => pushState.apply(history, args), replaceState: (...args) => pushState.apply(history, args) };
+		const options = { values: { 'KANJI_API': 'https://resolver.example', 'kanji-terminator-site-rules': { allow: [], deny: ['*/private/*'] } } };
+		vi.stubGlobal('unsafeWindow', { history: pageHistory });
+
+		try {
+			// The History API of the page is wrapped, not the sandbox's
+			start('<html lang="ja"><body><p>漢字</p></body></html>', options);
+			await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+			pageHistory.pushState(null, '', '/private/page');
+			expect(document.querySelector('ruby')).toBeNull();
+
+			// Navigations it misses are noticed when the page changes
+			pushState.call(history, null, '', '/');
+			start('<html lang="ja"><body><p>漢字</p></body></html>', options);
+			await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+			pushState.call(history, null, '', '/private/other');
+			expect(document.querySelector('ruby')).not.toBeNull();
+			document.body.appendChild(document.createElement('p')).textContent = '日本';
+			await vi.waitFor(() => expect(document.querySelector('ruby')).toBeNull(), WAIT);
+		} finally {
+			history.replaceState(null, '', '/');
+		}
+	});
+
+	it('annotates and observes open shadow roots', async () => {
+		const { gm } = start('<html lang="ja"><body><p>日本</p></body></html>');
+		const host = document.createElement('div');
+		const shadow = host.attachShadow({ mode: 'open' });
+		shadow.innerHTML = '<p>漢字</p>';
+		const closed = document.createElement('div');
+		closed.attachShadow({ mode: 'closed' }).innerHTML = '<p>漢字</p>';
+		document.body.append(host, closed);
+
+		await vi.waitFor(() => expect(shadow.querySelectorAll('rt[data-rt]')).toHaveLength(2), WAIT);
+		expect([...shadow.querySelectorAll('style')].map(style => style.textContent).join('')).toContain('rt.kanji-terminator-rt::before');
+
+		// Text added inside the shadow root is annotated too
+		const added = document.createElement('p');
+		added.textContent = '学校';
+		shadow.appendChild(added);
+		await vi.waitFor(() => expect(added.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+
+		// Clicks are retargeted to the host, the ruby is still found
+		const ruby = shadow.querySelector('ruby');
+		ruby.querySelector('rb').dispatchEvent(new MouseEvent('click', { bubbles: true, composed: true, cancelable: true, altKey: true }));
+		expect(ruby.dataset.display).toBe('known');
+		expect(gm.values['kanji-terminator-history']['漢字'].status).toBe('known');
+	});
+
+	it('forgets the styles of shadow roots removed from the page', async () => {
+		const { Styles } = start('<html lang="ja"><body><p>日本</p></body></html>');
+		const hosts = [1, 2].map(() => {
+			const host = document.createElement('div');
+			host.attachShadow({ mode: 'open' }).innerHTML = '<p>漢字</p>';
+			return document.body.appendChild(host);
+		});
+		await vi.waitFor(() => expect(Styles.elements).toHaveLength(2), WAIT);
+
+		hosts[0].remove();
+		expect(Styles.getRoots()).toEqual([hosts[1].shadowRoot]);
+		expect(Styles.elements).toHaveLength(1);
+	});
+
+	it('annotates frames the script is not injected into', async () => {
+		start('<html lang="ja"><body><p>日本</p></body></html>');
+		const frame = document.createElement('iframe');
+		document.body.appendChild(frame);
+		await vi.advanceTimersByTimeAsync(1000);
+
+		const frameDocument = frame.contentDocument;
+		frameDocument.body.innerHTML = '<p>漢字</p>';
+		await vi.waitFor(() => expect(frameDocument.querySelectorAll('rt[data-rt]')).toHaveLength(2), WAIT);
+		expect(frameDocument.head.querySelector('style.kanji-terminator-style')).not.toBeNull();
+		expect(frameDocument.documentElement.dataset.kanjiTerminatorDisplay).toBe('always');
+	});
+
+	it('renders cached readings without asking the resolver', async () => {
+		const cache = JSON.stringify({ '日本': { reading: 'にっぽん', segments: [{ text: '日本', reading: 'にっぽん', kind: 'kanji' }], source: 'worker' } });
+		const { gm } = start('<html lang="ja"><body><p>日本</p></body></html>', {
+			values: { 'KANJI_API': 'https://resolver.example', 'kanji-terminator-caches': cache },
+		});
+
+		await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+		expect(rubyPairs(document.querySelector('ruby'))).toEqual(['日本:にっぽん']);
+		expect(gm.requests).toHaveLength(0);
+	});
+
+	it('applies the readings another tab resolved to the words waiting for one', () => {
+		const { gm } = start('<html lang="ja"><body><p>日本</p></body></html>');
+		expect(document.querySelector('rt[data-rt]')).toBeNull();
+
+		const now = Date.now();
+		setValueFromOtherTab(gm, 'kanji-terminator-cache-0', {
+			'hiragana:worker:日本': { reading: 'にっぽん', segments: null, source: 'worker', created: now, used: now },
+		});
+		expect(rubyPairs(document.querySelector('ruby'))).toEqual(['日本:にっぽん']);
+	});
+
+	/**
+	 * Right-click the reading of a ruby and correct it in the popup
+	 * @param {Element} ruby - Ruby element
+	 * @param {string} reading - Reading entered
+	 * @param {Object} [options]
+	 * @param {boolean} [options.siteOnly] - Whether the correction only applies to the current site
+	 * @returns {{ offered: string, form: HTMLFormElement }} - Reading offered in the field, and the popup's form
+	 */
+	function correct(ruby, reading, { siteOnly = false } = {}) {
+		ruby.querySelector('rt').dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, cancelable: true, composed: true }));
+		const form = document.querySelector('kanji-terminator-popup').shadowRoot.querySelector('form');
+		const input = form.querySelector('input[name="reading"]');
+		const offered = input.value;
+		input.value = reading;
+		form.querySelector('input[name="siteOnly"]').checked = siteOnly;
+		form.querySelector('button[type="submit"]').click();
+		return { offered, form };
+	}
+
+	it('corrects a reading from the popup opened on right-click, on every ruby of the word', async () => {
+		const { gm } = start('<html lang="ja"><body><p>日本と日本語と日本</p></body></html>');
+		await vi.waitFor(() => expect(document.querySelectorAll('rt[data-rt]').length).toBe(3), WAIT);
+		const rubies = [...document.querySelectorAll('ruby')];
+
+		// Right-click on the kanji keeps the browser's menu
+		const onKanji = new MouseEvent('contextmenu', { bubbles: true, cancelable: true });
+		rubies[0].querySelector('rb').dispatchEvent(onKanji);
+		expect(onKanji.defaultPrevented).toBe(false);
+		expect(document.querySelector('kanji-terminator-popup')).toBeNull();
+
+		const onReading = new MouseEvent('contextmenu', { bubbles: true, cancelable: true });
+		rubies[0].querySelector('rt').dispatchEvent(onReading);
+		expect(onReading.defaultPrevented).toBe(true);
+		const root = document.querySelector('kanji-terminator-popup').shadowRoot;
+		expect(root.activeElement).toBe(root.querySelector('input[name="reading"]'));
+
+		expect(correct(rubies[0], ' にっぽん ').offered).toBe('にほん');
+		expect(rubies.map(ruby => rubyPairs(ruby).join())).toEqual(['日本:にっぽん', '日本語:にほんご', '日本:にっぽん']);
+		expect(gm.values['kanji-terminator-overrides']).toEqual({ global: { 'hiragana:日本': 'にっぽん' }, sites: {} });
+		expect(root.querySelector('.reading').textContent).toMatch(/^にっぽん/);
+
+		// An empty reading goes back to the resolved one
+		correct(rubies[2], '');
+		expect(rubyPairs(rubies[0])).toEqual(['日本:にほん']);
+		expect(gm.values['kanji-terminator-overrides'].global).toEqual({});
+	});
+
+	it('keeps corrections to their okurigana and shows them over each kanji', async () => {
+		const { gm } = start('<html lang="ja"><body><p>生きる</p><p>生まれる</p><p>学校</p></body></html>');
+		await vi.waitFor(() => expect(document.querySelectorAll('rt[data-rt]').length).toBe(4), WAIT);
+		const rubies = [...document.querySelectorAll('ruby')];
+
+		// The okurigana is left out of the reading offered
+		expect(correct(rubies[0], 'なま').offered).toBe('い');
+		expect(rubies.map(ruby => rubyPairs(ruby).join())).toEqual(['生:なま', '生:う', '学:がっ,校:こう']);
+		expect(gm.values['kanji-terminator-overrides'].global).toEqual({ 'hiragana:生き': 'なま' });
+
+		// Readings separated by spaces go over their own kanji
+		expect(correct(rubies[2], 'がく  こう').offered).toBe('がっ こう');
+		expect(rubyPairs(rubies[2])).toEqual(['学:がく', '校:こう']);
+
+		correct(rubies[2], 'がっこう');
+		expect(rubyPairs(rubies[2])).toEqual(['学校:がっこう']);
+	});
+
+	it('shows invalid corrections in the popup and keeps them while it refreshes', async () => {
+		const { gm, Popup } = start('<html lang="ja"><body><p>日本</p></body></html>');
+		await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+		const ruby = document.querySelector('ruby');
+
+		correct(ruby, '日ほん', { siteOnly: true });
+		expect(rubyPairs(ruby)).toEqual(['日本:にほん']);
+		expect(gm.values['kanji-terminator-overrides']).toBeUndefined();
+		const form = () => document.querySelector('kanji-terminator-popup').shadowRoot.querySelector('form');
+		expect(form().querySelector('.error').textContent).toBe('Invalid reading: 日ほん');
+
+		// The entered reading survives the popup being filled with the lookup
+		form().querySelector('input[name="reading"]').value = 'やま';
+		form().dispatchEvent(new Event('input'));
+		Popup.render(ruby, null);
+		expect(form().querySelector('input[name="reading"]').value).toBe('やま');
+		expect(form().querySelector('input[name="siteOnly"]').checked).toBe(true);
+
+		// Arrow keys move the cursor of the field instead of moving to another word
+		const field = form().querySelector('input[name="reading"]');
+		const arrow = new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true, cancelable: true, composed: true });
+		field.dispatchEvent(arrow);
+		expect(arrow.defaultPrevented).toBe(false);
+		expect(Popup.ruby).toBe(ruby);
+	});
+
+	it('applies a correction for the site to the words waiting for a reading', async () => {
+		const hostname = window.location.hostname;
+		const { gm, CacheService } = start('<html lang="ja"><body><p>日本</p></body></html>', {
+			values: {
+				'KANJI_API': 'https://resolver.example',
+				'kanji-terminator-overrides': { global: {}, sites: { 'other.example': { 'hiragana:日本': 'ひのもと' } } },
+			},
+		});
+		const ruby = document.querySelector('ruby');
+		expect(ruby.querySelector('rt[data-rt]')).toBeNull();
+
+		correct(ruby, 'やまと', { siteOnly: true });
+		expect(rubyPairs(ruby)).toEqual(['日本:やまと']);
+		expect(gm.values['kanji-terminator-overrides'].sites).toEqual({
+			'other.example': { 'hiragana:日本': 'ひのもと' },
+			[hostname]: { 'hiragana:日本': 'やまと' },
+		});
+		expect(CacheService.get('日本')).toEqual({ reading: 'やまと', segments: [{ text: '日本', reading: 'やまと', kind: 'kanji' }], source: 'user' });
+
+		// The reading the resolver sends back doesn't replace the correction
+		await vi.waitFor(() => expect(gm.values['kanji-terminator-cache-index']).toBeDefined(), WAIT);
+		expect(gm.requests.filter(request => new URL(request.url).pathname !== '/lookup')).toHaveLength(1);
+		expect(rubyPairs(ruby)).toEqual(['日本:やまと']);
+		expect(CacheService.has('日本')).toBe(true);
+	});
+
+	it('keeps corrected words queued until resolved, and requests them again once the correction is removed', async () => {
+		vi.spyOn(console, 'debug').mockImplementation(() => {});
+		let fail = true;
+		const { gm, APIService, CONFIG, DOMHandler } = start('<html lang="ja"><body><p>日本</p></body></html>', {
+			values: {
+				'KANJI_API': 'https://resolver.example',
+				'kanji-terminator-backends': ['worker'],
+				'kanji-terminator-overrides': { global: { 'hiragana:日本': 'やまと' }, sites: {} },
+			},
+			respond: details => {
+				if (fail) {
+					throw new Error('Service unavailable');
+				}
+				return resolveLikeWorker(details);
+			},
+		});
+		const ruby = document.querySelector('ruby');
+
+		// The correction is shown while the resolver fails
+		await vi.advanceTimersByTimeAsync(5000);
+		expect(gm.requests).toHaveLength(3);
+		expect(rubyPairs(ruby)).toEqual(['日本:やまと']);
+		expect(DOMHandler.queue['日本'].nodes).toEqual([ruby]);
+
+		correct(ruby, '');
+		expect(ruby.querySelector('rt[data-rt]')).toBeNull();
+		expect(DOMHandler.queue['日本'].nodes).toEqual([ruby]);
+
+		fail = false;
+		await vi.advanceTimersByTimeAsync(CONFIG.FAILED_RETRY_DELAY);
+		const processed = APIService.processQueue();
+		await vi.advanceTimersByTimeAsync(0);
+		await processed;
+		expect(rubyPairs(ruby)).toEqual(['日本:にほん']);
+		expect(DOMHandler.queue['日本']).toBeUndefined();
+	});
+
+	it('passes readings with kanji left in them on to the next backend', async () => {
+		const { gm, CacheService } = start('<html lang="ja"><body><p>一本</p></body></html>', {
+			values: {
+				KANJI_API: 'https://resolver.example',
+				'kanji-terminator-backends': ['worker', 'dictionary'],
+				'kanji-terminator-dictionary': { '一本': 'いっぽん' },
+			},
+		});
+
+		await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+		expect(gm.requests).toHaveLength(1);
+		expect(resolveLikeWorker(gm.requests[0]).results[0].reading).toBe('一ほん');
+		expect(rubyPairs(document.querySelector('ruby'))).toEqual(['一本:いっぽん']);
+		expect(CacheService.get('一本').source).toBe('dictionary');
+	});
+
+	it('reads from a JSON endpoint returning an array or a newline separated string', async () => {
+		const { gm, CacheService } = start('<html lang="ja"><body><p>日本</p></body></html>', {
+			values: {
+				'kanji-terminator-backends': ['json'],
+				'kanji-terminator-json-backend': {
+					url: 'https://json.example/convert',
+					body: '{"words": {{words}}, "mode": "{{mode}}"}',
+					results: 'data.items',
+					reading: 'kana',
+					meanings: 'glosses',
+				},
+			},
+			respond: () => ({ data: { items: [{ kana: 'にっぽん', glosses: ['Japan'] }] } }),
+		});
+
+		await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+		expect(gm.requests).toHaveLength(1);
+		expect(gm.requests[0]).toMatchObject({ method: 'POST', url: 'https://json.example/convert' });
+		expect(JSON.parse(gm.requests[0].data)).toEqual({ words: ['日本'], mode: 'hiragana' });
+		expect(rubyPairs(document.querySelector('ruby'))).toEqual(['日本:にっぽん']);
+		expect(CacheService.get('日本')).toMatchObject({ reading: 'にっぽん', meanings: ['Japan'], source: 'json' });
+
+		const { gm: other } = start('<html lang="ja"><body><p>日本の漢字</p></body></html>', {
+			values: {
+				'kanji-terminator-backends': ['json'],
+				'kanji-terminator-json-backend': { url: 'https://json.example/?q={{words}}&mode={{mode}}', method: 'GET', results: 'data' },
+			},
+			respond: () => ({ data: 'にほん\nかんじ' }),
+		});
+
+		await vi.waitFor(() => expect(document.querySelectorAll('ruby:has(rt[data-rt])')).toHaveLength(2), WAIT);
+		expect(other.requests).toHaveLength(1);
+		expect(other.requests[0]).toMatchObject({ method: 'GET', url: `https://json.example/?q=${encodeURIComponent('日本\n漢字')}&mode=hiragana` });
+		expect(other.requests[0].data).toBeUndefined();
+		expect([...document.querySelectorAll('ruby')].map(ruby => rubyPairs(ruby).join(''))).toEqual(['日本:にほん', '漢字:かんじ']);
+	});
+
+	it('passes the words on to the next backend when the JSON endpoint fails', async () => {
+		vi.spyOn(console, 'debug').mockImplementation(() => {});
+		const { gm, CacheService } = start('<html lang="ja"><body><p>日本</p></body></html>', {
+			values: {
+				'kanji-terminator-backends': ['json', 'dictionary'],
+				'kanji-terminator-json-backend': { url: 'https://json.example/convert', results: 'results', reading: 'reading' },
+				'kanji-terminator-dictionary': { '日本': 'やまと' },
+			},
+			respond: () => {
+				throw new Error('Service unavailable');
+			},
+		});
+
+		await vi.advanceTimersByTimeAsync(5000);
+		expect(gm.requests).toHaveLength(3);
+		expect(rubyPairs(document.querySelector('ruby'))).toEqual(['日本:やまと']);
+		expect(CacheService.get('日本').source).toBe('dictionary');
+	});
+
+	it('falls back to the in-browser converter when the resolver fails', async () => {
+		const require = (await import('node:module')).createRequire(import.meta.url);
+		vi.stubGlobal('KanjiTerminatorKakasi', require('../kanji-to-hiragana-worker/src/kakasi'));
+		vi.spyOn(console, 'debug').mockImplementation(() => {});
+		const { gm, CacheService } = start('<html lang="ja"><body><p>日本</p></body></html>', {
+			values: { KANJI_API: 'https://resolver.example' },
+			respond: () => {
+				throw new Error('Service unavailable');
+			},
+		});
+
+		// The resolver is tried again twice before falling back
+		await vi.advanceTimersByTimeAsync(10000);
+		await vi.waitFor(() => expect(document.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+		expect(rubyPairs(document.querySelector('ruby'))).toEqual(['日本:にほん']);
+		expect(gm.requests).toHaveLength(3);
+		expect(CacheService.get('日本').source).toBe('local');
+	});
+});
@@ -0,0 +1,212 @@
+import { createRequire } from 'node:module';
+import fs from 'node:fs';
+import path from 'node:path';
+import { vi } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const kakasi = require('../../kanji-to-hiragana-worker/src/kakasi');
+
+const ROOT = path.resolve(__dirname, '../..');
+const SRC = path.join(ROOT, 'src');
+
+/**
+ * Answer a request to the kanji resolver worker the way its v2 API does
+ * @param {Object} details - GM_xmlhttpRequest details
+ * @returns {Object} - Response body
+ */
+export function resolveLikeWorker(details) {
+	const url = new URL(details.url);
+	if (url.pathname.endsWith('/lookup')) {
+		const word = url.searchParams.get('word');
+		return { version: 2, ...kakasi.lookupWord(word, url.searchParams.get('mode') || 'hiragana'), source: 'kakasi', dictionary: kakasi.DICTIONARY_VERSION };
+	}
+
+	const { contexts, mode } = JSON.parse(details.data);
+	const results = [];
+	kakasi.readContexts(contexts, mode).forEach((context, contextIdx) => {
+		context.spans.forEach(span => {
+			results.push({
+				input: contexts[contextIdx].text.substring(span.start, span.end),
+				reading: span.reading,
+				segments: span.segments,
+				source: 'kakasi',
+				context: contextIdx,
+				start: span.start,
+				end: span.end,
+			});
+		});
+	});
+	return { version: 2, dictionary: kakasi.DICTIONARY_VERSION, results };
+}
+
+/**
+ * Install fake GM_* globals backed by an in-memory store
+ * @param {Object} [options]
+ * @param {Object} [options.values] - Initial stored values
+ * @param {Function} [options.respond] - Builds the response body of a request, throwing makes it fail
+ * @returns {{ values: Object, requests: Object[], menu: Object, styles: string[], listeners: Object }} - State of the fake
+ */
+export function installGM({ values = {}, respond = resolveLikeWorker } = {}) {
+	const gm = { values: { ...values }, requests: [], menu: {}, styles: [], listeners: {} };
+
+	vi.stubGlobal('GM_getValue', (key, defaultValue) => (key in gm.values ? gm.values[key] : defaultValue));
+	vi.stubGlobal('GM_setValue', (key, value) => {
+		const oldValue = gm.values[key];
+		gm.values[key] = value;
+		(gm.listeners[key] || []).forEach(listener => listener(key, oldValue, value, false));
+	});
+	vi.stubGlobal('GM_deleteValue', key => {
+		delete gm.values[key];
+	});
+	vi.stubGlobal('GM_addValueChangeListener', (key, listener) => {
+		(gm.listeners[key] = gm.listeners[key] || []).push(listener);
+	});
+	vi.stubGlobal('GM_addStyle', css => {
+		gm.styles.push(css);
+	});
+	vi.stubGlobal('GM_registerMenuCommand', (name, callback) => {
+		gm.menu[name] = callback;
+	});
+	vi.stubGlobal('GM_xmlhttpRequest', details => {
+		gm.requests.push(details);
+		setTimeout(() => {
+			try {
+				details.onload({ status: 200, responseText: JSON.stringify(respond(details)) });
+			} catch (error) {
+				details.onerror(error);
+			}
+		});
+	});
+
+	return gm;
+}
+
+/**
+ * Store a value the way another tab would, notifying the listeners as remote
+ * @param {Object} gm - State of the fake GM, see installGM
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+export function setValueFromOtherTab(gm, key, value) {
+	const oldValue = gm.values[key];
+	gm.values[key] = value;
+	(gm.listeners[key] || []).forEach(listener => listener(key, oldValue, value, true));
+}
+
+/**
+ * Load the userscript modules from src/ afresh, so that state read from the
+ * GM storage at load time comes from the current fake
+ * @returns {Object} - Exports of every module, by module name
+ */
+export function loadUserscript() {
+	Object.keys(require.cache)
+		.filter(file => file.startsWith(SRC + path.sep))
+		.forEach(file => delete require.cache[file]);
+
+	return {
+		...require('../../src/app'),
+		...require('../../src/badge'),
+		...require('../../src/api'),
+		...require('../../src/backends'),
+		...require('../../src/backup'),
+		...require('../../src/cache'),
+		...require('../../src/config'),
+		...require('../../src/display'),
+		...require('../../src/dom'),
+		...require('../../src/history'),
+		...require('../../src/kanji_grades'),
+		...require('../../src/known'),
+		...require('../../src/language'),
+		...require('../../src/learning'),
+		...require('../../src/menu'),
+		...require('../../src/navigation'),
+		...require('../../src/overrides'),
+		...require('../../src/panel'),
+		...require('../../src/popup'),
+		...require('../../src/scanner'),
+		...require('../../src/scheduler'),
+		...require('../../src/settings'),
+		...require('../../src/sites'),
+		...require('../../src/styles'),
+		...require('../../src/utils'),
+	};
+}
+
+let started = null;
+
+/**
+ * Load a page and start the userscript on it, stopping the one started before
+ * @param {string|null} html - Page source, null for test.html
+ * @param {Object} [options] - Options of installGM, the resolver URL is set by default
+ * @returns {Object} - The fake GM state, the page's observer (null when the script didn't start) and the userscript modules
+ */
+export function startUserscript(html, options = { values: { KANJI_API: 'https://resolver.example' } }) {
+	stopUserscript();
+	const gm = installGM(options);
+	if (html === null) {
+		loadTestPage();
+	} else {
+		loadPage(html);
+	}
+	const listeners = [document, window].map(target => [target, vi.spyOn(target, 'addEventListener')]);
+	const modules = loadUserscript();
+	const observer = modules.initialize();
+	started = { modules, listeners };
+	return { gm, observer, ...modules };
+}
+
+/**
+ * Stop the userscript started by startUserscript: disable it and remove its
+ * event listeners, so that it doesn't handle the events of the next test
+ */
+export function stopUserscript() {
+	if (!started) {
+		return;
+	}
+	started.modules.disable();
+	started.listeners.forEach(([target, spy]) => {
+		spy.mock.calls.forEach(args => target.removeEventListener(...args));
+		spy.mockRestore();
+	});
+	started = null;
+}
+
+/**
+ * Replace the current document with the given page
+ * @param {string} html - Page source
+ */
+export function loadPage(html) {
+	const page = new DOMParser().parseFromString(html, 'text/html');
+	if (page.documentElement.hasAttribute('lang')) {
+		document.documentElement.lang = page.documentElement.lang;
+	} else {
+		document.documentElement.removeAttribute('lang');
+	}
+	document.body.innerHTML = page.body.innerHTML;
+}
+
+/**
+ * Replace the current document with test.html
+ */
+export function loadTestPage() {
+	loadPage(fs.readFileSync(path.join(ROOT, 'test.html'), 'utf8'));
+}
+
+/**
+ * Get the readings shown over a ruby, as "kanji:reading" pairs
+ * @param {Element} ruby - Ruby element inserted by the userscript
+ * @returns {string[]} - One pair per rb/rt
+ */
+export function rubyPairs(ruby) {
+	return [...ruby.querySelectorAll('rb')].map(rb => `${rb.textContent}:${rb.nextElementSibling.dataset.rt || ''}`);
+}
+
+// jsdom doesn't implement isContentEditable, which the userscript relies on to skip editors
+if (!('isContentEditable' in HTMLElement.prototype)) {
+	Object.defineProperty(HTMLElement.prototype, 'isContentEditable', {
+		get() {
+			const editable = this.closest('[contenteditable]');
+			return Boolean(editable) && editable.getAttribute('contenteditable') !== 'false';
+		},
+	});
+}
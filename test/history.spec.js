@@ -0,0 +1,121 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { installGM, loadUserscript } from './helpers/userscript';
+
+describe('LearningHistory', () => {
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('counts each word once per page', () => {
+		const gm = installGM();
+		const { LearningHistory } = loadUserscript();
+
+		LearningHistory.recordSeen('漢字', 'かんじ');
+		LearningHistory.recordSeen('漢字', 'かんじ');
+		LearningHistory.recordLookup('漢字');
+		LearningHistory.recordLookup('漢字');
+		LearningHistory.save();
+
+		expect(gm.values['kanji-terminator-history']['漢字']).toMatchObject({ reading: 'かんじ', seen: 1, lookups: 1 });
+	});
+
+	it('fades readings as words are seen, lookups setting them back', () => {
+		installGM({
+			values: {
+				'kanji-terminator-history': {
+					'日本': { reading: 'にほん', seen: 5, lookups: 0, firstSeen: 0, lastSeen: 0 },
+					'漢字': { reading: 'かんじ', seen: 12, lookups: 0, firstSeen: 0, lastSeen: 0 },
+					'文字': { reading: 'もじ', seen: 12, lookups: 2, firstSeen: 0, lastSeen: 0 },
+				},
+			},
+		});
+		const { LearningHistory } = loadUserscript();
+		LearningHistory.load();
+
+		expect(LearningHistory.getStrength('日本')).toBe(0.5);
+		expect(LearningHistory.getStrength('漢字')).toBe(1);
+		expect(LearningHistory.getStrength('文字')).toBe(0.6);
+		expect(LearningHistory.getStrength('言葉')).toBe(0);
+	});
+
+	it('stores the status set by the user', () => {
+		const gm = installGM();
+		const { LearningHistory } = loadUserscript();
+
+		LearningHistory.setStatus('漢字', 'known');
+		expect(LearningHistory.getStatus('漢字')).toBe('known');
+		expect(gm.values['kanji-terminator-history']['漢字'].status).toBe('known');
+
+		LearningHistory.setStatus('漢字', null);
+		expect(LearningHistory.getStatus('漢字')).toBeNull();
+	});
+
+	it('drops the least recently seen words without a status once full', () => {
+		installGM();
+		const { LearningHistory, CONFIG } = loadUserscript();
+
+		for (let i = 0; i <= CONFIG.MAX_HISTORY_SIZE; i++) {
+			LearningHistory.entries[`漢${i}`] = { reading: 'かん', seen: 1, lookups: 0, firstSeen: i, lastSeen: i };
+		}
+		LearningHistory.entries['漢0'].status = 'known';
+		LearningHistory.dirty = true;
+		LearningHistory.save();
+
+		expect(Object.keys(LearningHistory.entries)).toHaveLength(CONFIG.MAX_HISTORY_SIZE);
+		expect(LearningHistory.entries['漢0']).toBeDefined();
+		expect(LearningHistory.entries['漢1']).toBeUndefined();
+	});
+
+	it('merges the history other tabs stored, keeping their statuses', () => {
+		const gm = installGM({
+			values: {
+				'kanji-terminator-history': {
+					'漢字': { reading: 'かんじ', seen: 2, lookups: 0, firstSeen: 0, lastSeen: 0 },
+					'日本': { reading: 'にほん', seen: 1, lookups: 0, firstSeen: 0, lastSeen: 0, status: 'known' },
+				},
+			},
+		});
+		const { LearningHistory } = loadUserscript();
+		LearningHistory.load();
+
+		// Another tab sets a status and sees words in the meantime
+		gm.values['kanji-terminator-history'] = {
+			'漢字': { reading: 'かんじ', seen: 5, lookups: 1, firstSeen: 0, lastSeen: 50, status: 'known' },
+			'日本': { reading: 'にほん', seen: 1, lookups: 0, firstSeen: 0, lastSeen: 0, status: 'known' },
+			'文字': { reading: 'もじ', seen: 1, lookups: 0, firstSeen: 40, lastSeen: 40 },
+		};
+		LearningHistory.recordSeen('漢字', 'かんじ');
+		LearningHistory.setStatus('日本', 'unknown');
+
+		const stored = gm.values['kanji-terminator-history'];
+		expect(stored['漢字']).toMatchObject({ seen: 5, lookups: 1, status: 'known' });
+		expect(stored['漢字'].lastSeen).toBeGreaterThan(50);
+		expect(stored['日本'].status).toBe('unknown');
+		expect(stored['文字']).toMatchObject({ reading: 'もじ', seen: 1 });
+		expect(LearningHistory.getStatus('漢字')).toBe('known');
+	});
+
+	it('only saves the history when it changed', () => {
+		const gm = installGM();
+		const { LearningHistory } = loadUserscript();
+
+		LearningHistory.recordSeen('漢字', 'かんじ');
+		LearningHistory.save();
+		expect(gm.values['kanji-terminator-history']).toBeDefined();
+
+		delete gm.values['kanji-terminator-history'];
+		LearningHistory.recordSeen('漢字', 'かんじ');
+		LearningHistory.save();
+		expect(gm.values['kanji-terminator-history']).toBeUndefined();
+	});
+
+	it('exports the history as JSON', () => {
+		installGM();
+		const { LearningHistory } = loadUserscript();
+		LearningHistory.recordSeen('漢字', 'かんじ');
+
+		const exported = JSON.parse(LearningHistory.export());
+		expect(Object.keys(exported.words)).toEqual(['漢字']);
+		expect(exported.exported).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+	});
+});
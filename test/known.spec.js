@@ -0,0 +1,49 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { installGM, loadUserscript } from './helpers/userscript';
+
+describe('known kanji', () => {
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('bundles the kanji of each school grade', () => {
+		installGM();
+		const { KANJI_GRADES } = loadUserscript();
+		const counts = Object.values(KANJI_GRADES).map(kanji => [...kanji].length);
+
+		expect(counts).toEqual([80, 160, 200, 202, 193, 191]);
+		expect(new Set(Object.values(KANJI_GRADES).join('')).size).toBe(1026);
+	});
+
+	it('knows the kanji of every grade up to the level', () => {
+		installGM({ values: { 'kanji-terminator-known-level': 2 } });
+		const { KnownKanji } = loadUserscript();
+		KnownKanji.load();
+
+		expect(KnownKanji.isKnown('日本')).toBe(true);
+		expect(KnownKanji.isKnown('時間')).toBe(true);
+		expect(KnownKanji.isKnown('漢字')).toBe(false);
+	});
+
+	it('applies the kanji marked as known or unknown', () => {
+		installGM({ values: { 'kanji-terminator-known-level': 1, 'kanji-terminator-known-kanji': { known: '漢', unknown: '字' } } });
+		const { KnownKanji } = loadUserscript();
+		KnownKanji.load();
+
+		expect(KnownKanji.isKnown('漢')).toBe(true);
+		expect(KnownKanji.isKnown('字')).toBe(false);
+		expect(KnownKanji.isKnown('日')).toBe(true);
+	});
+
+	it('stores the level and the edits', () => {
+		const gm = installGM();
+		const { KnownKanji } = loadUserscript();
+
+		KnownKanji.setLevel(1);
+		KnownKanji.setEdits({ known: '猫', unknown: '' });
+
+		expect(gm.values['kanji-terminator-known-level']).toBe(1);
+		expect(gm.values['kanji-terminator-known-kanji']).toEqual({ known: '猫', unknown: '' });
+		expect(KnownKanji.isKnown('猫人')).toBe(true);
+	});
+});
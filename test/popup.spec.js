@@ -0,0 +1,191 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { resolveLikeWorker, startUserscript, stopUserscript } from './helpers/userscript';
+
+const WAIT = { timeout: 3000 };
+
+describe('popup dictionary', () => {
+	beforeEach(() => {
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		stopUserscript();
+		document.querySelectorAll('kanji-terminator-popup').forEach(popup => popup.remove());
+		vi.clearAllTimers();
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	/**
+	 * Start the userscript and wait for every reading
+	 * @param {string} html - Page source
+	 * @param {Object} [options] - Options of installGM
+	 * @returns {Promise<Object>} - See startUserscript
+	 */
+	async function start(html, options) {
+		const started = startUserscript(html, options);
+		await vi.waitFor(() => {
+			expect(document.querySelectorAll('ruby.kanji-terminator-ruby:not(:has(rb))')).toHaveLength(0);
+		}, WAIT);
+		return started;
+	}
+
+	/**
+	 * Click an element
+	 * @param {Element} element - Element to click
+	 * @param {Object} [init] - Extra event properties
+	 * @returns {MouseEvent} - The dispatched event
+	 */
+	function click(element, init = {}) {
+		const event = new MouseEvent('click', { bubbles: true, cancelable: true, composed: true, ...init });
+		element.dispatchEvent(event);
+		return event;
+	}
+
+	/**
+	 * Press a key
+	 * @param {Element} target - Element receiving the key
+	 * @param {string} key - Key name
+	 */
+	function press(target, key) {
+		target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, composed: true }));
+	}
+
+	const panel = () => {
+		const host = document.querySelector('kanji-terminator-popup');
+		return host && host.isConnected ? host.shadowRoot.querySelector('.panel') : null;
+	};
+
+	it('shows the reading, romaji, breakdown and dictionary entries of a word', async () => {
+		const { gm } = await start('<html lang="ja"><body><p>會社に行く</p></body></html>');
+		const ruby = document.querySelector('ruby');
+
+		expect(click(ruby.querySelector('rb')).defaultPrevented).toBe(true);
+		await vi.waitFor(() => expect(panel().querySelector('.normalized')).not.toBeNull(), WAIT);
+
+		expect(panel().querySelector('.word').textContent).toBe('會社 → 会社');
+		expect(panel().querySelector('.reading').textContent).toBe('かいしゃ kaisha');
+		const rows = [...panel().querySelectorAll('tr')].map(row => [...row.children].map(cell => cell.textContent));
+		expect(rows[0].slice(0, 2)).toEqual(['會', 'かい']);
+		expect(rows[0][2]).toContain('あ(う|ぅ|っ)');
+		expect(panel().getAttribute('role')).toBe('dialog');
+		expect(gm.requests.map(request => new URL(request.url).pathname)).toContain('/lookup');
+		expect(gm.values['kanji-terminator-history']['會社'].lookups).toBe(1);
+	});
+
+	it('looks a word up again after a failed lookup', async () => {
+		vi.spyOn(console, 'debug').mockImplementation(() => {});
+		let lookupFails = true;
+		const { gm } = await start('<html lang="ja"><body><p>會社</p></body></html>', {
+			values: { KANJI_API: 'https://resolver.example' },
+			respond: details => {
+				if (lookupFails && new URL(details.url).pathname === '/lookup') {
+					throw new Error('Service unavailable');
+				}
+				return resolveLikeWorker(details);
+			},
+		});
+		const lookups = () => gm.requests.filter(request => new URL(request.url).pathname === '/lookup');
+		const ruby = document.querySelector('ruby');
+
+		click(ruby);
+		await vi.advanceTimersByTimeAsync(5000);
+		expect(lookups()).toHaveLength(3);
+		expect(panel().querySelector('.normalized')).toBeNull();
+		press(panel(), 'Escape');
+
+		lookupFails = false;
+		click(ruby);
+		await vi.waitFor(() => expect(panel().querySelector('.normalized')).not.toBeNull(), WAIT);
+		expect(lookups()).toHaveLength(4);
+
+		press(panel(), 'Escape');
+		click(ruby);
+		expect(lookups()).toHaveLength(4);
+	});
+
+	it('shows meanings when the backend provides them', async () => {
+		const config = { url: 'https://dictionary.example', results: 'results', reading: 'reading', meanings: 'meanings' };
+		await start('<html lang="ja"><body><p>漢字</p></body></html>', {
+			values: { 'kanji-terminator-backends': ['json'], 'kanji-terminator-json-backend': config },
+			respond: () => ({ results: [{ reading: 'かんじ', meanings: ['Chinese character'] }] }),
+		});
+
+		click(document.querySelector('ruby'));
+		expect([...panel().querySelectorAll('.meanings li')].map(item => item.textContent)).toEqual(['Chinese character']);
+	});
+
+	it('keeps link clicks unless Shift is held', async () => {
+		await start('<html lang="ja"><body><p><a href="#next">漢字</a></p></body></html>');
+		const ruby = document.querySelector('ruby');
+
+		expect(click(ruby).defaultPrevented).toBe(false);
+		expect(panel()).toBeNull();
+
+		expect(click(ruby, { shiftKey: true }).defaultPrevented).toBe(true);
+		expect(panel()).not.toBeNull();
+	});
+
+	it('moves between words with the arrow keys and closes on Escape', async () => {
+		await start('<html lang="ja"><body><p>漢字と日本と文字</p></body></html>');
+		const rubies = document.querySelectorAll('ruby');
+
+		click(rubies[0]);
+		const host = document.querySelector('kanji-terminator-popup');
+		expect(host.shadowRoot.activeElement).toBe(panel());
+
+		press(panel(), 'ArrowRight');
+		expect(panel().querySelector('.word').textContent).toBe('日本');
+		press(panel(), 'ArrowRight');
+		press(panel(), 'ArrowRight');
+		expect(panel().querySelector('.word').textContent).toBe('文字');
+		press(panel(), 'ArrowLeft');
+		expect(panel().querySelector('.word').textContent).toBe('日本');
+
+		press(panel(), 'Tab');
+		expect(host.shadowRoot.activeElement.textContent).toBe('Known');
+		press(host.shadowRoot.activeElement, 'Escape');
+		expect(panel()).toBeNull();
+	});
+
+	it('opens in frames and moves between the words of shadow roots', async () => {
+		await start('<html lang="ja"><body><p>日本</p></body></html>');
+		const frame = document.body.appendChild(document.createElement('iframe'));
+		await vi.advanceTimersByTimeAsync(1000);
+		frame.contentDocument.body.innerHTML = '<p>漢字</p>';
+		await vi.waitFor(() => expect(frame.contentDocument.querySelector('rt[data-rt]')).not.toBeNull(), WAIT);
+
+		click(frame.contentDocument.querySelector('ruby rb'));
+		const framePopup = frame.contentDocument.querySelector('kanji-terminator-popup');
+		expect(framePopup.shadowRoot.querySelector('.word').textContent).toBe('漢字');
+		expect(panel()).toBeNull();
+
+		const shadow = document.body.appendChild(document.createElement('div')).attachShadow({ mode: 'open' });
+		shadow.innerHTML = '<p>学校と文字</p>';
+		await vi.waitFor(() => expect(shadow.querySelectorAll('rt[data-rt]')).toHaveLength(4), WAIT);
+		click(shadow.querySelector('ruby rb'));
+		expect(framePopup.isConnected).toBe(false);
+		expect(panel().querySelector('.word').textContent).toBe('学校');
+		press(panel(), 'ArrowRight');
+		expect(panel().querySelector('.word').textContent).toBe('文字');
+	});
+
+	it('sets the status of the word from its buttons', async () => {
+		await start('<html lang="ja"><body><p>漢字</p></body></html>');
+		const ruby = document.querySelector('ruby');
+
+		click(ruby);
+		click(panel().querySelector('button[data-status="known"]'));
+
+		expect(ruby.dataset.display).toBe('known');
+		expect(panel().querySelector('button[data-status="known"]').getAttribute('aria-pressed')).toBe('true');
+	});
+
+	it('closes on a click elsewhere', async () => {
+		await start('<html lang="ja"><body><p>漢字</p><p>かな</p></body></html>');
+
+		click(document.querySelector('ruby'));
+		click(document.querySelectorAll('p')[1]);
+		expect(panel()).toBeNull();
+	});
+});
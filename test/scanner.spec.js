@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { startUserscript, stopUserscript } from './helpers/userscript';
+
+const WAIT = { timeout: 3000 };
+
+describe('lazy annotation', () => {
+	let idle;
+	let observers;
+
+	beforeEach(() => {
+		vi.useFakeTimers();
+		idle = [];
+		observers = [];
+		vi.stubGlobal('requestIdleCallback', callback => idle.push(callback));
+		vi.stubGlobal('cancelIdleCallback', handle => {
+			idle[handle - 1] = null;
+		});
+		vi.stubGlobal('IntersectionObserver', class {
+			constructor(callback) {
+				this.callback = callback;
+				this.targets = new Set();
+				observers.push(this);
+			}
+
+			observe(target) {
+				this.targets.add(target);
+			}
+
+			unobserve(target) {
+				this.targets.delete(target);
+			}
+
+			disconnect() {
+				this.targets.clear();
+			}
+		});
+
+		// Elements are placed by their data-top attribute
+		vi.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () {
+			const top = Number(this.dataset.top || 0);
+			return { top, bottom: top + 20, left: 0, right: 100 };
+		});
+		// Annotating a kanji run takes 10 ms, more than a slice
+		const splitText = Text.prototype.splitText;
+		vi.spyOn(Text.prototype, 'splitText').mockImplementation(function (offset) {
+			vi.setSystemTime(Date.now() + 10);
+			return splitText.call(this, offset);
+		});
+	});
+
+	afterEach(() => {
+		stopUserscript();
+		vi.restoreAllMocks();
+		vi.clearAllTimers();
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	/**
+	 * Run the next idle callback
+	 */
+	function runIdle() {
+		const callback = idle.find(Boolean);
+		idle[idle.indexOf(callback)] = null;
+		callback({ didTimeout: false, timeRemaining: () => 50 });
+	}
+
+	/**
+	 * Get the words annotated on the page
+	 * @returns {string[]} - Words of the rubies
+	 */
+	function annotated() {
+		return [...document.querySelectorAll('ruby')].map(ruby => ruby.dataset.word);
+	}
+
+	it('annotates the text on screen first, then by distance and scrolling', async () => {
+		const debug = vi.spyOn(console, 'debug').mockImplementation(() => {});
+		const { gm } = startUserscript(
+			'<html lang="ja"><body>' +
+			'<p data-top="9000">学校</p>' +
+			'<p data-top="1500">漢字</p>' +
+			'<p data-top="2500">電車</p>' +
+			'<p data-top="100">日本</p>' +
+			'</body></html>',
+		);
+
+		// The text on screen is annotated and converted right away
+		expect(annotated()).toEqual(['日本']);
+		await vi.waitFor(() => expect(gm.requests).toHaveLength(1), WAIT);
+		expect(JSON.parse(gm.requests[0].data).contexts.map(context => context.text)).toEqual(['日本']);
+		await vi.waitFor(() => expect(gm.values['kanji-terminator-cache-index']).toBeDefined(), WAIT);
+
+		runIdle();
+		expect(annotated()).toEqual(['漢字', '日本']);
+
+		// Text scrolled into view goes before the rest
+		const far = document.querySelector('[data-top="9000"]');
+		expect(observers[0].targets.has(far)).toBe(true);
+		observers[0].callback([{ target: far, isIntersecting: true }]);
+		runIdle();
+		expect(annotated()).toEqual(['学校', '漢字', '日本']);
+
+		runIdle();
+		expect(annotated()).toEqual(['学校', '漢字', '電車', '日本']);
+		expect(idle.filter(Boolean)).toHaveLength(0);
+		expect(observers[0].targets.size).toBe(0);
+		expect(debug).toHaveBeenCalledWith(expect.any(Number), 'ms Kanji Terminator:', 4, 'text nodes annotated, frame', window.location.href);
+	});
+
+	it('stops annotating when disabled', () => {
+		const { disable } = startUserscript('<html lang="ja"><body><p data-top="100">日本</p><p data-top="5000">漢字</p></body></html>');
+		expect(annotated()).toEqual(['日本']);
+
+		disable();
+		expect(idle.filter(Boolean)).toHaveLength(0);
+		expect(annotated()).toEqual([]);
+	});
+});
@@ -0,0 +1,179 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { installGM, loadUserscript, resolveLikeWorker, startUserscript, stopUserscript } from './helpers/userscript';
+
+const WAIT = { timeout: 3000 };
+const CONTEXTS = [{ text: '日本', spans: [{ start: 0, end: 2 }] }];
+
+describe('request scheduling', () => {
+	beforeEach(() => {
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		stopUserscript();
+		vi.clearAllTimers();
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	/**
+	 * Answer the requests with the given HTTP statuses, in order, then like the worker
+	 * @param {Object} gm - State of the fake GM, see installGM
+	 * @param {number[]} statuses - Statuses of the first responses
+	 */
+	function failWith(gm, statuses) {
+		const respond = GM_xmlhttpRequest;
+		vi.stubGlobal('GM_xmlhttpRequest', details => {
+			const status = statuses.shift();
+			if (status === undefined) {
+				respond(details);
+				return;
+			}
+			gm.requests.push(details);
+			setTimeout(() => (status ? details.onload({ status, responseText: '' }) : details.ontimeout()));
+		});
+	}
+
+	it('sends at most MAX_CONCURRENT_REQUESTS requests at a time', async () => {
+		installGM();
+		const { CONFIG, RequestScheduler } = loadUserscript();
+		const pending = [];
+		const send = () => new Promise(resolve => pending.push(resolve));
+
+		const results = [1, 2, 3].map(() => RequestScheduler.run(send));
+		expect(pending).toHaveLength(CONFIG.MAX_CONCURRENT_REQUESTS);
+		expect(RequestScheduler.getStatus()).toMatchObject({ active: 2, waiting: 1 });
+
+		pending[0]('first');
+		await vi.waitFor(() => expect(pending).toHaveLength(3), WAIT);
+		pending[1]('second');
+		pending[2]('third');
+		expect(await Promise.all(results)).toEqual(['first', 'second', 'third']);
+		expect(RequestScheduler.getStatus()).toMatchObject({ active: 0, waiting: 0, failures: 0 });
+	});
+
+	it('frees the slot of attempts that fail', async () => {
+		installGM();
+		const { RequestScheduler } = loadUserscript();
+
+		RequestScheduler.enqueue(() => Promise.reject(new Error('Listener failed')));
+		await vi.advanceTimersByTimeAsync(0);
+		expect(RequestScheduler.getStatus()).toMatchObject({ active: 0, waiting: 0 });
+	});
+
+	it('retries timeouts and server errors with an exponential backoff', async () => {
+		const gm = installGM();
+		const { Backends, RequestScheduler } = loadUserscript();
+		failWith(gm, [503, 0]);
+
+		const results = Backends.registry.worker.request('https://resolver.example', CONTEXTS, 'hiragana');
+		await vi.advanceTimersByTimeAsync(0);
+		expect(gm.requests).toHaveLength(1);
+		expect(gm.requests[0].timeout).toBe(15000);
+		expect(RequestScheduler.getStatus()).toMatchObject({ retrying: 1 });
+
+		await vi.advanceTimersByTimeAsync(1000);
+		expect(gm.requests).toHaveLength(2);
+
+		// Timed out: the next attempt waits twice as long
+		await vi.advanceTimersByTimeAsync(1500);
+		expect(gm.requests).toHaveLength(2);
+		await vi.advanceTimersByTimeAsync(1500);
+		expect(gm.requests).toHaveLength(3);
+
+		expect((await results).map(result => result.reading)).toEqual(['にほん']);
+		expect(RequestScheduler.getStatus()).toMatchObject({ retrying: 0, failures: 0, lastError: null });
+	});
+
+	it('gives up on client errors and after the last retry', async () => {
+		const gm = installGM();
+		const { Backends, RequestScheduler } = loadUserscript();
+		failWith(gm, [404, 500, 500, 500]);
+		const { worker } = Backends.registry;
+
+		const notFound = expect(worker.request('https://resolver.example', CONTEXTS, 'hiragana')).rejects.toMatchObject({ status: 404, retryable: false });
+		await vi.advanceTimersByTimeAsync(10);
+		await notFound;
+		expect(gm.requests).toHaveLength(1);
+
+		const serverError = expect(worker.request('https://resolver.example', CONTEXTS, 'hiragana')).rejects.toMatchObject({ status: 500, retryable: true });
+		await vi.advanceTimersByTimeAsync(5000);
+		await serverError;
+		expect(gm.requests).toHaveLength(4);
+		expect(RequestScheduler.getStatus()).toMatchObject({ failures: 2 });
+	});
+
+	it('does not request words being converted again', async () => {
+		const { gm, APIService, DOMHandler } = startUserscript('<html lang="ja"><body><p>日本</p></body></html>');
+		await vi.waitFor(() => expect(gm.requests).toHaveLength(1), WAIT);
+
+		DOMHandler.scanTextNodes(document.body.appendChild(document.createElement('p')).appendChild(document.createTextNode('日本')));
+		await APIService.processQueue();
+		expect(gm.requests).toHaveLength(1);
+		await vi.waitFor(() => expect(document.querySelectorAll('rt[data-rt]')).toHaveLength(2), WAIT);
+		await APIService.processQueue();
+		expect(gm.requests).toHaveLength(1);
+	});
+
+	it('requests words no backend answered for again on a later scan', async () => {
+		vi.spyOn(console, 'debug').mockImplementation(() => {});
+		let fail = true;
+		const { gm, APIService, CONFIG } = startUserscript('<html lang="ja"><body><p>日本</p></body></html>', {
+			values: { KANJI_API: 'https://resolver.example', 'kanji-terminator-backends': ['worker'] },
+			respond: details => {
+				if (fail) {
+					throw new Error('Connection refused');
+				}
+				return resolveLikeWorker(details);
+			},
+		});
+
+		await vi.advanceTimersByTimeAsync(5000);
+		expect(gm.requests).toHaveLength(3);
+		expect(APIService.unresolved.has('日本')).toBe(false);
+		await APIService.processQueue();
+		expect(gm.requests).toHaveLength(3);
+
+		fail = false;
+		await vi.advanceTimersByTimeAsync(CONFIG.FAILED_RETRY_DELAY);
+		const processed = APIService.processQueue();
+		await vi.advanceTimersByTimeAsync(0);
+		await processed;
+		expect(gm.requests).toHaveLength(4);
+		expect(document.querySelector('rt[data-rt]')).not.toBeNull();
+	});
+
+	it('saves the readings even when a conversion fails', async () => {
+		const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const { Backends, CacheService } = startUserscript('<html lang="ja"><body><p>日本</p></body></html>');
+		vi.spyOn(Backends, 'resolve').mockRejectedValue(new Error('Resolver broke'));
+		const save = vi.spyOn(CacheService, 'save');
+
+		document.body.appendChild(document.createElement('p')).textContent = '漢字';
+		await vi.advanceTimersByTimeAsync(1000);
+		expect(save).toHaveBeenCalled();
+		expect(error).toHaveBeenCalledWith('Kanji Terminator: failed to convert kanji', expect.objectContaining({ message: 'Resolver broke' }));
+	});
+
+	it('shows failed requests in a badge until it is clicked', async () => {
+		vi.spyOn(console, 'debug').mockImplementation(() => {});
+		const { gm } = startUserscript('<html lang="ja"><body><p>日本</p></body></html>', {
+			values: { KANJI_API: 'https://resolver.example', 'kanji-terminator-backends': ['worker'] },
+			respond: () => {
+				throw new Error('Connection refused');
+			},
+		});
+		const badge = () => document.querySelector('kanji-terminator-badge')?.shadowRoot.querySelector('div');
+
+		await vi.advanceTimersByTimeAsync(0);
+		expect(badge().textContent).toBe('Kanji Terminator: retrying 1 request');
+
+		await vi.advanceTimersByTimeAsync(5000);
+		expect(gm.requests).toHaveLength(3);
+		expect(badge().textContent).toBe('Kanji Terminator: 1 request failed');
+		expect(badge().title).toBe('Connection refused. Click to hide.');
+
+		badge().click();
+		expect(badge()).toBeUndefined();
+	});
+});
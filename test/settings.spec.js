@@ -0,0 +1,142 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { installGM, loadUserscript, startUserscript, stopUserscript } from './helpers/userscript';
+
+const WAIT = { timeout: 3000 };
+
+describe('Settings', () => {
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('applies the stored settings over the defaults', () => {
+		installGM({ values: { 'kanji-terminator-settings': { chunkSize: 20, excludedTags: ['code'] } } });
+		const { CONFIG, Settings } = loadUserscript();
+
+		Settings.load();
+		expect(CONFIG.CHUNK_SIZE).toBe(20);
+		expect(CONFIG.DEBOUNCE_DELAY).toBe(500);
+		expect(Object.keys(CONFIG.EXCLUDED_TAGS)).toContain('code');
+		// Elements inserted by the script stay excluded
+		expect(Object.keys(CONFIG.EXCLUDED_TAGS)).toContain('rt');
+		expect(Object.keys(CONFIG.EXCLUDED_TAGS)).not.toContain('textarea');
+	});
+
+	it('rejects invalid settings', () => {
+		const gm = installGM();
+		const { Settings } = loadUserscript();
+
+		expect(() => Settings.set({ chunkSize: 0 })).toThrow('Chunk size must be a whole number between 1 and 1000');
+		expect(() => Settings.set({ debounceDelay: 'soon' })).toThrow('Debounce delay');
+		expect(() => Settings.set({ excludedTags: 'code, <b>' })).toThrow('Invalid tag name "<b>"');
+		expect(gm.values['kanji-terminator-settings']).toBeUndefined();
+	});
+
+	it('falls back to the defaults when the stored settings are invalid', () => {
+		vi.spyOn(console, 'debug').mockImplementation(() => {});
+		installGM({ values: { 'kanji-terminator-settings': { chunkSize: -1 } } });
+		const { CONFIG, Settings } = loadUserscript();
+
+		Settings.load();
+		expect(CONFIG.CHUNK_SIZE).toBe(200);
+	});
+});
+
+describe('settings panel', () => {
+	beforeEach(() => {
+		vi.useFakeTimers();
+	});
+
+	afterEach(() => {
+		stopUserscript();
+		document.querySelectorAll('kanji-terminator-settings').forEach(panel => panel.remove());
+		vi.clearAllTimers();
+		vi.useRealTimers();
+		vi.unstubAllGlobals();
+	});
+
+	/**
+	 * Open the settings panel from the menu
+	 * @param {Object} gm - Fake GM state
+	 * @returns {HTMLFormElement} - The panel's form
+	 */
+	function openPanel(gm) {
+		gm.menu.Settings();
+		return document.querySelector('kanji-terminator-settings').shadowRoot.querySelector('form');
+	}
+
+	/**
+	 * Start the userscript with its menu
+	 * @param {string} html - Page source
+	 * @param {Object} [options] - Options of installGM
+	 * @returns {Object} - See startUserscript
+	 */
+	function start(html, options) {
+		const started = startUserscript(html, options);
+		started.registerMenuCommands({ onSettingsSaved: started.applySettings });
+		return started;
+	}
+
+	it('saves the settings and applies them without reloading', async () => {
+		const { gm, CONFIG } = start('<html lang="ja"><body><p>日本</p><code>漢字</code></body></html>', {
+			values: { 'KANJI_API': 'https://resolver.example', 'kanji-terminator-settings': { excludedTags: ['code'] } },
+		});
+		expect(document.querySelector('code ruby')).toBeNull();
+
+		const form = openPanel(gm);
+		expect(form.elements.excludedTags.value).toBe('code');
+		form.elements.excludedTags.value = 'script, textarea';
+		form.elements.chunkSize.value = '50';
+		form.requestSubmit();
+
+		await vi.waitFor(() => expect(document.querySelector('kanji-terminator-settings')).toBeNull(), WAIT);
+		expect(gm.values['kanji-terminator-settings']).toMatchObject({ chunkSize: 50, excludedTags: ['script', 'textarea'] });
+		expect(CONFIG.CHUNK_SIZE).toBe(50);
+		await vi.waitFor(() => expect(document.querySelector('code rt[data-rt]')).not.toBeNull(), WAIT);
+	});
+
+	it('tests a new resolver URL before saving it', async () => {
+		const { gm } = start('<html lang="ja"><body><p>日本</p></body></html>', { values: {} });
+
+		const form = openPanel(gm);
+		form.elements.apiUrl.value = 'https://other.example';
+		form.requestSubmit();
+
+		await vi.waitFor(() => expect(gm.values.KANJI_API).toBe('https://other.example'), WAIT);
+		expect(gm.requests.map(request => request.url)).toContain('https://other.example');
+		expect(JSON.parse(gm.requests.find(request => request.url === 'https://other.example').data).contexts).toEqual([
+			{ text: '漢字', spans: [{ start: 0, end: 2 }] },
+		]);
+	});
+
+	it('keeps the resolver URL when the test request fails', async () => {
+		const { gm } = start('<html lang="ja"><body><p>日本</p></body></html>', {
+			values: { KANJI_API: 'https://resolver.example' },
+			respond: () => {
+				throw new Error('Not found');
+			},
+		});
+
+		const form = openPanel(gm);
+		form.elements.apiUrl.value = 'https://broken.example';
+		form.requestSubmit();
+
+		const message = form.querySelector('.message');
+		await vi.waitFor(() => expect(message.textContent).toContain("can't be used"), WAIT);
+		expect(message.classList.contains('error')).toBe(true);
+		expect(gm.values.KANJI_API).toBe('https://resolver.example');
+		expect(document.querySelector('kanji-terminator-settings')).not.toBeNull();
+	});
+
+	it('shows invalid values and closes on Escape', () => {
+		const { gm } = start('<html lang="ja"><body><p>日本</p></body></html>');
+
+		const form = openPanel(gm);
+		form.elements.excludedTags.value = 'code, <b>';
+		form.requestSubmit();
+		expect(form.querySelector('.message').textContent).toBe('Invalid tag name "<b>"');
+
+		form.elements.excludedTags.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+		expect(document.querySelector('kanji-terminator-settings')).toBeNull();
+		expect(gm.values['kanji-terminator-settings']).toBeUndefined();
+	});
+});
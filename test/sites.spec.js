@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { installGM, loadUserscript } from './helpers/userscript';
+
+describe('site rules', () => {
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('matches domains with their subdomains', () => {
+		installGM();
+		const { matchesPattern } = loadUserscript();
+
+		expect(matchesPattern('example.com', new URL('https://example.com/a'))).toBe(true);
+		expect(matchesPattern('example.com', new URL('https://news.example.com/a'))).toBe(true);
+		expect(matchesPattern('example.com', new URL('https://notexample.com/a'))).toBe(false);
+	});
+
+	it('matches URL patterns with wildcards', () => {
+		installGM();
+		const { matchesPattern } = loadUserscript();
+		const url = new URL('https://example.com/news/2024?page=2');
+
+		expect(matchesPattern('https://example.com/news/*', url)).toBe(true);
+		expect(matchesPattern('example.com/news/*', url)).toBe(true);
+		expect(matchesPattern('http://example.com/news/*', url)).toBe(false);
+		expect(matchesPattern('example.com/blog/*', url)).toBe(false);
+		expect(matchesPattern('*.example.com/*', url)).toBe(false);
+	});
+
+	it('lets the most specific rule win', () => {
+		installGM({
+			values: {
+				'kanji-terminator-site-rules': { allow: ['example.com/news/*', 'example.jp'], deny: ['example.com', 'example.jp'] },
+			},
+		});
+		const { SiteRules } = loadUserscript();
+
+		expect(SiteRules.match('https://example.com/news/1')).toBe('allow');
+		expect(SiteRules.match('https://example.com/shop')).toBe('deny');
+		expect(SiteRules.match('https://example.jp/')).toBe('deny');
+		expect(SiteRules.match('https://example.org/')).toBeNull();
+	});
+
+	it('moves a site from one list to the other', () => {
+		const gm = installGM({ values: { 'kanji-terminator-site-rules': { allow: ['example.com'], deny: [] } } });
+		const { SiteRules } = loadUserscript();
+
+		SiteRules.setSiteRule('example.com', 'deny');
+		expect(gm.values['kanji-terminator-site-rules']).toEqual({ allow: [], deny: ['example.com'] });
+
+		SiteRules.setSiteRule('example.com', null);
+		expect(gm.values['kanji-terminator-site-rules']).toEqual({ allow: [], deny: [] });
+	});
+});